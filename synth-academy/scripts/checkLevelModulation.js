@@ -0,0 +1,18 @@
+// Check that level modulation amounts are dB of gain, not gain added to the level
+// Run with: node scripts/checkLevelModulation.js
+import assert from 'assert';
+import { levelModulationToGain } from '../src/portRegistry.js';
+
+const closeTo = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 0.01, `${message}: expected about ${expected}, got ${actual}`);
+};
+
+// The default amount: a full-scale modulator makes the level about 4x, not +12
+closeTo(levelModulationToGain(12), 3.98, '12 dB');
+closeTo(levelModulationToGain(-12), 0.25, '-12 dB');
+closeTo(levelModulationToGain(6), 2, '6 dB');
+
+// No modulation leaves the level alone
+assert.strictEqual(levelModulationToGain(0), 1);
+
+console.log('Level modulation OK');
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import ReactFlow, { addEdge, Background, Controls, applyNodeChanges, applyEdgeChanges, ReactFlowProvider } from 'reactflow';
 import { OscNode } from './components/OscNode';
 import { PulseOscNode } from './components/PulseOscNode';
@@ -7,6 +7,8 @@ import { SquareOscNode } from './components/SquareOscNode';
 import { SawtoothOscNode } from './components/SawtoothOscNode';
 import { TriangleOscNode } from './components/TriangleOscNode';
 import { NoiseOscNode } from './components/NoiseOscNode';
+import { WavetableOscNode } from './components/WavetableOscNode';
+import { SamplerNode } from './components/SamplerNode';
 import { FilterNode } from './components/FilterNode';
 import { PianoNode } from './components/PianoNode';
 import { OutputNode } from './components/OutputNode';
@@ -20,8 +22,13 @@ import { DistortionNode } from './components/DistortionNode';
 import { PitchShifterNode } from './components/PitchShifterNode';
 import { PhaserNode } from './components/PhaserNode';
 import { VibratoNode } from './components/VibratoNode';
+import { PanNode } from './components/PanNode';
+import { StereoWidthNode } from './components/StereoWidthNode';
 import { PianoRollNode } from './components/PianoRollNode';
+import { DrumMachineNode } from './components/DrumMachineNode';
+import { ArpeggiatorNode } from './components/ArpeggiatorNode';
 import { TVNode } from './components/TVNode';
+import { ModulationEdge } from './components/ModulationEdge';
 import { InteractiveTutorial } from './components/InteractiveTutorial';
 import { SongBank } from './components/SongBank';
 import { getPresetKeyForSong } from './tutorialGenerator';
@@ -29,8 +36,13 @@ import { FloatingBalloons } from './components/FloatingBalloons';
 import { SunRays } from './components/SunRays';
 import { AuroraLights } from './components/AuroraLights';
 import { OnboardingTutorial, OnboardingInfoButton, RecipesButton } from './components/OnboardingTutorial';
+import { MasterBusPanel } from './components/MasterBusPanel';
 import { audioGraph, setVoiceManager } from './AudioGraph';
 import { voiceManager } from './VoiceManager';
+import { canConnect, isModulationEdge } from './portRegistry';
+import { getWavetableSettings } from './wavetables';
+import { wavePresets } from './wavePresets';
+import { readSampleFile } from './samples';
 import * as Tone from 'tone';
 
 import 'reactflow/dist/style.css';
@@ -47,9 +59,13 @@ const nodeTypes = {
   sawtoothOscNode: SawtoothOscNode,
   triangleOscNode: TriangleOscNode,
   noiseOscNode: NoiseOscNode,
+  wavetableOscNode: WavetableOscNode,
+  samplerNode: SamplerNode,
   filterNode: FilterNode,
   pianoNode: PianoNode,
   pianoRollNode: PianoRollNode,
+  drumMachineNode: DrumMachineNode,
+  arpeggiatorNode: ArpeggiatorNode,
   outputNode: OutputNode,
   groupNode: GroupNode,
   envelopeNode: EnvelopeNode,
@@ -61,9 +77,15 @@ const nodeTypes = {
   pitchShifterNode: PitchShifterNode,
   phaserNode: PhaserNode,
   vibratoNode: VibratoNode,
+  panNode: PanNode,
+  stereoWidthNode: StereoWidthNode,
   tvNode: TVNode
 };
 
+const edgeTypes = {
+  modulationEdge: ModulationEdge
+};
+
 function AppContent() {
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
@@ -223,6 +245,8 @@ function AppContent() {
     const projectData = {
       nodes,
       edges,
+      // Saved custom waves, so whoever opens the project gets them too
+      wavePresets: wavePresets.exportPresets(),
       timestamp: Date.now(),
       version: '1.0'
     };
@@ -253,6 +277,7 @@ function AppContent() {
           const projectData = JSON.parse(event.target.result);
           setNodes(projectData.nodes || []);
           setEdges(projectData.edges || []);
+          wavePresets.importPresets(projectData.wavePresets);
           alert('Project imported successfully!');
         } catch (err) {
           console.error('Failed to import project:', err);
@@ -269,13 +294,30 @@ function AppContent() {
     event.preventDefault();
     const waveform = event.dataTransfer.getData('waveform');
     const waveformDataStr = event.dataTransfer.getData('waveformData');
+    const file = event.dataTransfer.files?.[0];
 
-    // Only handle if waveform data exists
-    if (!waveform) return;
+    // Only handle waveforms and audio files
+    if (!waveform && !file?.type.startsWith('audio/')) return;
 
     const id = `${Date.now()}`;
     const bounds = event.currentTarget.getBoundingClientRect();
 
+    // Audio files dropped on the canvas become samplers
+    if (!waveform) {
+      const position = {
+        x: event.clientX - bounds.left - 60,
+        y: event.clientY - bounds.top - 40,
+      };
+      readSampleFile(file)
+        .then((sampleUrl) => {
+          setNodes((nds) =>
+            nds.concat({ id, type: 'samplerNode', position, data: { sampleUrl, sampleName: file.name } })
+          );
+        })
+        .catch((err) => alert(err.message));
+      return;
+    }
+
     // Parse custom waveform data if available
     let waveformData = null;
     if (waveformDataStr) {
@@ -286,6 +328,22 @@ function AppContent() {
       }
     }
 
+    // The 2D waveform pad drops a live wavetable at the point it was on
+    if (waveform === 'wavetable') {
+      setNodes((nds) =>
+        nds.concat({
+          id,
+          type: 'wavetableOscNode',
+          position: {
+            x: event.clientX - bounds.left - 60,
+            y: event.clientY - bounds.top - 40,
+          },
+          data: getWavetableSettings(waveformData),
+        })
+      );
+      return;
+    }
+
     setNodes((nds) =>
       nds.concat({
         id,
@@ -343,23 +401,36 @@ function AppContent() {
     [showTutorial, nodes]
   );
 
-  // Validate connections - prevent invalid routing like oscillator → oscillator
+  // Validate connections against the port registry - audio into audio inputs,
+  // modulators into mod inputs, controllers into trigger inputs
   const isValidConnection = useCallback((connection) => {
     const sourceNode = nodes.find(n => n.id === connection.source);
     const targetNode = nodes.find(n => n.id === connection.target);
 
-    // Check if both nodes are oscillators (type contains 'osc')
-    const isSourceOsc = sourceNode?.type?.toLowerCase().includes('osc');
-    const isTargetOsc = targetNode?.type?.toLowerCase().includes('osc');
-
-    // Prevent oscillator → oscillator connections
-    if (isSourceOsc && isTargetOsc) {
-      return false;
-    }
-
-    return true;
+    return canConnect(
+      sourceNode?.type,
+      connection.sourceHandle,
+      targetNode?.type,
+      connection.targetHandle
+    );
   }, [nodes]);
 
+  // Render modulation edges (including ones from tutorials and imported patches) with
+  // their amount control; the edges themselves stay as the user created them
+  const flowEdges = useMemo(() => {
+    const nodeTypeById = new Map(nodes.map(n => [n.id, n.type]));
+    return edges.map(edge => {
+      if (edge.type) return edge;
+      const isModulation = isModulationEdge(
+        nodeTypeById.get(edge.source),
+        edge.sourceHandle,
+        nodeTypeById.get(edge.target),
+        edge.targetHandle
+      );
+      return isModulation ? { ...edge, type: 'modulationEdge' } : edge;
+    });
+  }, [nodes, edges]);
+
   // Handle node changes (dragging, selection, etc.)
   const onNodesChange = useCallback(
     (changes) => setNodes((nds) => applyNodeChanges(changes, nds)),
@@ -450,6 +521,28 @@ function AppContent() {
     }
   }, [showTutorial]);
 
+  const addWavetableOscNode = useCallback(() => {
+    const nodeData = { id: `wavetable-${Date.now()}`, type: 'wavetableOscNode', position: { x: 100, y: 100 }, data: {} };
+    if (showTutorial) {
+      window.dispatchEvent(new CustomEvent('tutorialNodeAdd', {
+        detail: { nodeType: 'wavetableOscNode', nodeData }
+      }));
+    } else {
+      setNodes((nds) => [...nds, nodeData]);
+    }
+  }, [showTutorial]);
+
+  const addSamplerNode = useCallback(() => {
+    const nodeData = { id: `sampler-${Date.now()}`, type: 'samplerNode', position: { x: 100, y: 100 }, data: {} };
+    if (showTutorial) {
+      window.dispatchEvent(new CustomEvent('tutorialNodeAdd', {
+        detail: { nodeType: 'samplerNode', nodeData }
+      }));
+    } else {
+      setNodes((nds) => [...nds, nodeData]);
+    }
+  }, [showTutorial]);
+
   const addNoiseOscNode = useCallback(() => {
     const nodeData = { id: `noise-${Date.now()}`, type: 'noiseOscNode', position: { x: 100, y: 100 }, data: {} };
     if (showTutorial) {
@@ -503,6 +596,30 @@ function AppContent() {
     setNodes((nds) => [...nds, newNode]);
   }, []);
 
+  // Add a drum machine node
+  const addDrumMachineNode = useCallback(() => {
+    const id = `drums-${Date.now()}`;
+    const newNode = {
+      id,
+      type: 'drumMachineNode',
+      position: { x: 100, y: 100 },
+      data: {},
+    };
+    setNodes((nds) => [...nds, newNode]);
+  }, []);
+
+  // Add an arpeggiator node
+  const addArpeggiatorNode = useCallback(() => {
+    const id = `arp-${Date.now()}`;
+    const newNode = {
+      id,
+      type: 'arpeggiatorNode',
+      position: { x: 300, y: 100 },
+      data: {},
+    };
+    setNodes((nds) => [...nds, newNode]);
+  }, []);
+
   // Add an output node
   const addOutputNode = useCallback(() => {
     const id = `output-${Date.now()}`;
@@ -633,6 +750,14 @@ function AppContent() {
     setNodes((nds) => [...nds, { id: `vibrato-${Date.now()}`, type: 'vibratoNode', position: { x: 700, y: 350 }, data: {} }]);
   }, []);
 
+  const addPanNode = useCallback(() => {
+    setNodes((nds) => [...nds, { id: `pan-${Date.now()}`, type: 'panNode', position: { x: 700, y: 450 }, data: {} }]);
+  }, []);
+
+  const addStereoWidthNode = useCallback(() => {
+    setNodes((nds) => [...nds, { id: `stereowidth-${Date.now()}`, type: 'stereoWidthNode', position: { x: 700, y: 550 }, data: {} }]);
+  }, []);
+
   // Auto-collapse oscillators into "Color" group
   const createColorGroup = useCallback(() => {
     // Find all oscillator nodes
@@ -1054,6 +1179,19 @@ function AppContent() {
           >
             Pulse
           </button>
+          <button
+            onClick={addWavetableOscNode}
+            className={`floating-button ${flashingNodeType === 'oscillator' || flashingCategories.includes('oscillators') ? 'flash-hint' : ''}`}
+            data-tooltip="WAVETABLE"
+            style={{
+              animationDelay: '0.9s',
+              '--original-bg': 'linear-gradient(135deg, #a8edea 0%, #89cff0 100%)',
+              background: 'linear-gradient(135deg, #a8edea 0%, #89cff0 100%)',
+              color: '#333'
+            }}
+          >
+            Wavetable
+          </button>
           <button
             onClick={addNoiseOscNode}
             className={`floating-button ${flashingNodeType === 'oscillator' || flashingCategories.includes('oscillators') ? 'flash-hint' : ''}`}
@@ -1067,6 +1205,19 @@ function AppContent() {
           >
             Noise
           </button>
+          <button
+            onClick={addSamplerNode}
+            className={`floating-button ${flashingNodeType === 'oscillator' || flashingCategories.includes('oscillators') ? 'flash-hint' : ''}`}
+            data-tooltip="SAMPLER"
+            style={{
+              animationDelay: '1.1s',
+              '--original-bg': 'linear-gradient(135deg, #a8edea 0%, #89cff0 100%)',
+              background: 'linear-gradient(135deg, #a8edea 0%, #89cff0 100%)',
+              color: '#333'
+            }}
+          >
+            Sampler
+          </button>
 
           {/* Utilities - Dreamy Mint Green */}
           <button
@@ -1125,6 +1276,42 @@ function AppContent() {
           >
             + Add Sequencer
           </button>
+          <button
+            onClick={addDrumMachineNode}
+            className="floating-button"
+            data-tooltip="DRUM MACHINE"
+            style={{
+              padding: '8px 16px',
+              background: 'linear-gradient(135deg, #c1fba4 0%, #a8e6cf 100%)',
+              color: '#333',
+              border: 'none',
+              borderRadius: 4,
+              cursor: 'pointer',
+              fontWeight: 'bold',
+              animationDelay: '1.7s',
+              '--original-bg': 'linear-gradient(135deg, #c1fba4 0%, #a8e6cf 100%)'
+            }}
+          >
+            + Add Drums
+          </button>
+          <button
+            onClick={addArpeggiatorNode}
+            className="floating-button"
+            data-tooltip="ARPEGGIATOR"
+            style={{
+              padding: '8px 16px',
+              background: 'linear-gradient(135deg, #c1fba4 0%, #a8e6cf 100%)',
+              color: '#333',
+              border: 'none',
+              borderRadius: 4,
+              cursor: 'pointer',
+              fontWeight: 'bold',
+              animationDelay: '1.75s',
+              '--original-bg': 'linear-gradient(135deg, #c1fba4 0%, #a8e6cf 100%)'
+            }}
+          >
+            + Add Arp
+          </button>
 
           <button
             onClick={addOutputNode}
@@ -1336,6 +1523,44 @@ function AppContent() {
             + Vibrato
           </button>
 
+          <button
+            onClick={addPanNode}
+            className={`floating-button ${flashingNodeType === 'effect' || flashingCategories.includes('effects') ? 'flash-hint' : ''}`}
+            data-tooltip="PAN"
+            style={{
+              padding: '8px 16px',
+              background: 'linear-gradient(135deg, #d4a5f9 0%, #c7b3f5 100%)',
+              color: '#333',
+              border: 'none',
+              borderRadius: 4,
+              cursor: 'pointer',
+              fontWeight: 'bold',
+              animationDelay: '3.7s',
+              '--original-bg': 'linear-gradient(135deg, #d4a5f9 0%, #c7b3f5 100%)'
+            }}
+          >
+            + Pan
+          </button>
+
+          <button
+            onClick={addStereoWidthNode}
+            className={`floating-button ${flashingNodeType === 'effect' || flashingCategories.includes('effects') ? 'flash-hint' : ''}`}
+            data-tooltip="STEREO WIDTH"
+            style={{
+              padding: '8px 16px',
+              background: 'linear-gradient(135deg, #d4a5f9 0%, #c7b3f5 100%)',
+              color: '#333',
+              border: 'none',
+              borderRadius: 4,
+              cursor: 'pointer',
+              fontWeight: 'bold',
+              animationDelay: '3.8s',
+              '--original-bg': 'linear-gradient(135deg, #d4a5f9 0%, #c7b3f5 100%)'
+            }}
+          >
+            + Stereo Width
+          </button>
+
           {/* File Exchange - Dreamy Peach */}
           <button
             onClick={exportProject}
@@ -1378,7 +1603,7 @@ function AppContent() {
 
         <ReactFlow
           nodes={nodes}
-          edges={edges}
+          edges={flowEdges}
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
           onConnect={onConnect}
@@ -1388,6 +1613,7 @@ function AppContent() {
             setPanY(viewport.y);
           }}
           nodeTypes={nodeTypes}
+          edgeTypes={edgeTypes}
           defaultEdgeOptions={{
             style: {
               strokeWidth: 8,
@@ -1455,6 +1681,9 @@ function AppContent() {
       {/* Info Button - Show tutorial again */}
       <OnboardingInfoButton onClick={() => setShowOnboarding(true)} />
 
+      {/* Master volume, limiter and meter */}
+      <MasterBusPanel />
+
       {/* Recipes Button - Toggle song bank */}
       <RecipesButton
         onClick={() => setSongBankCollapsed(!songBankCollapsed)}
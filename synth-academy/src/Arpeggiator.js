@@ -0,0 +1,198 @@
+/**
+ * Arpeggiator - plays the notes held on a controller one at a time, in time with the transport
+ *
+ * ArpeggiatorNodes sit on the trigger path: a piano or piano roll wired into one sends it
+ * notes instead of playing voices, and each step the arpeggiator plays one of the held
+ * notes on the templates wired to its own trigger output (or every template when unwired).
+ * Controllers go through startControllerNote/stopControllerNote so the same notes reach
+ * both their templates and their arpeggiators.
+ *
+ * Held notes are kept with the audio times they start and end at, because the piano roll
+ * schedules its notes ahead of when they're heard.
+ */
+import * as Tone from 'tone';
+import { audioGraph } from './AudioGraph';
+import { voiceManager } from './VoiceManager';
+import { getArpSequence, getArpSettings } from './arpeggio';
+import { claimTransport, releaseTransport } from './transport';
+
+// Arpeggiators on the canvas, by canvas node ID
+const arpeggiators = new Map();
+
+export class Arpeggiator {
+  /**
+   * @param {string} id - Canvas node ID of the ArpeggiatorNode
+   * @param {object} [data] - Arpeggiator node data (see arpeggio.js)
+   */
+  constructor(id, data) {
+    this.id = id;
+    this.settings = getArpSettings(data);
+    // { frequency, velocity, from, until, released }
+    this.notes = [];
+    this.stepIndex = 0;
+
+    // Runs on the step grid whenever the transport does; steps with no held notes are silent
+    this.loop = new Tone.Loop((time) => {
+      // Wait for the rest of this tick's callbacks, so piano roll notes landing on the step are held
+      queueMicrotask(() => this.step(time));
+    }, this.settings.rate).start(0);
+  }
+
+  /**
+   * Apply new settings (from the node's controls)
+   * @param {object} data - Arpeggiator node data
+   */
+  setSettings(data) {
+    const wasLatched = this.settings.latch;
+    this.settings = getArpSettings(data);
+    this.loop.interval = this.settings.rate;
+
+    // Unlatching lets go of the notes whose keys are already up
+    if (wasLatched && !this.settings.latch) {
+      const now = Tone.now();
+      this.notes.forEach(note => {
+        if (note.released) {
+          note.until = Math.min(note.until, now);
+        }
+      });
+    }
+  }
+
+  /**
+   * Hold a note
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} velocity - Velocity 0-1
+   * @param {number} time - Audio time the note starts
+   * @returns {object} Held note (pass to noteOff)
+   */
+  noteOn(frequency, velocity, time) {
+    const holding = this.notes.filter(note => note.until > time);
+
+    // A new chord after a latched one has been let go replaces it
+    if (holding.length > 0 && holding.every(note => note.released)) {
+      holding.forEach(note => {
+        note.until = time;
+      });
+      this.stepIndex = 0;
+    }
+
+    const note = { frequency, velocity, from: time, until: Infinity, released: false };
+    this.notes.push(note);
+    claimTransport(this.id, this.settings.tempo);
+    return note;
+  }
+
+  /**
+   * Let go of a note (latched notes keep playing until the next chord)
+   * @param {object} note - Held note from noteOn
+   * @param {number} time - Audio time the note ends
+   */
+  noteOff(note, time) {
+    if (this.settings.latch) {
+      note.released = true;
+    } else {
+      note.until = Math.min(note.until, time);
+    }
+  }
+
+  /**
+   * Play the next note of the pattern
+   * @param {number} time - Audio time of the step
+   */
+  step(time) {
+    this.notes = this.notes.filter(note => note.until > time);
+    const heldNotes = this.notes.filter(note => note.from <= time);
+
+    if (heldNotes.length === 0) {
+      // Start the pattern from the top next time, and stop the transport once nothing is left to play
+      this.stepIndex = 0;
+      if (this.notes.length === 0) {
+        releaseTransport(this.id);
+      }
+      return;
+    }
+
+    const { mode, octaves, rate, gate } = this.settings;
+    const sequence = getArpSequence(heldNotes, mode, octaves);
+    const note = mode === 'random'
+      ? sequence[Math.floor(Math.random() * sequence.length)]
+      : sequence[this.stepIndex % sequence.length];
+    this.stepIndex++;
+
+    const handle = startControllerNote(this.id, note.frequency, note.velocity, time);
+    stopControllerNote(handle, time + Tone.Time(rate).toSeconds() * gate);
+  }
+
+  dispose() {
+    this.loop.dispose();
+    this.notes = [];
+    releaseTransport(this.id);
+  }
+}
+
+/**
+ * Make an arpeggiator reachable from the controllers wired into it
+ * @param {Arpeggiator} arpeggiator
+ */
+export function registerArpeggiator(arpeggiator) {
+  arpeggiators.set(arpeggiator.id, arpeggiator);
+}
+
+/**
+ * @param {string} id - Canvas node ID of the ArpeggiatorNode
+ */
+export function unregisterArpeggiator(id) {
+  arpeggiators.delete(id);
+}
+
+/**
+ * Arpeggiators a controller's trigger output is wired into
+ * @param {string} controllerId - Canvas node ID of the controller
+ * @returns {Array<Arpeggiator>}
+ */
+function getArpeggiatorsForController(controllerId) {
+  return audioGraph.edges
+    .filter(edge => edge.source === controllerId && arpeggiators.has(edge.target))
+    .map(edge => arpeggiators.get(edge.target));
+}
+
+/**
+ * Whether a controller has anything to play (voice templates or arpeggiators)
+ * @param {string} controllerId - Canvas node ID of the controller
+ * @returns {boolean}
+ */
+export function controllerHasTargets(controllerId) {
+  return audioGraph.getVoiceTemplateIdsForController(controllerId).length > 0 ||
+    getArpeggiatorsForController(controllerId).length > 0;
+}
+
+/**
+ * Play a note from a controller: starts a voice on each template it's wired to
+ * and holds the note on each arpeggiator it's wired to
+ *
+ * @param {string} controllerId - Canvas node ID of the piano/sequencer/arpeggiator
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} velocity - Velocity 0-1
+ * @param {number} time - Audio time the note starts
+ * @returns {object} Note handle for stopControllerNote ({ voiceIds, arpNotes })
+ */
+export function startControllerNote(controllerId, frequency, velocity = 1.0, time = Tone.now()) {
+  const templateIds = audioGraph.getVoiceTemplateIdsForController(controllerId);
+  return {
+    voiceIds: voiceManager.startVoices(templateIds, frequency, velocity, time),
+    arpNotes: getArpeggiatorsForController(controllerId).map(arpeggiator => ({
+      arpeggiator,
+      note: arpeggiator.noteOn(frequency, velocity, time)
+    }))
+  };
+}
+
+/**
+ * Stop a note started with startControllerNote
+ * @param {object} handle - Note handle
+ * @param {number} time - Audio time the note ends
+ */
+export function stopControllerNote(handle, time = Tone.now()) {
+  voiceManager.stopVoices(handle.voiceIds, time);
+  handle.arpNotes.forEach(({ arpeggiator, note }) => arpeggiator.noteOff(note, time));
+}
@@ -1,4 +1,19 @@
 import * as Tone from 'tone';
+import {
+  PORT_KIND,
+  getInputPort,
+  getOutputPort,
+  getModulationPort,
+  getModulationAmount,
+  modulationAmountToParamValue,
+  isModulatorType,
+  getOscModType,
+  OSC_MOD
+} from './portRegistry';
+import { getVoiceSettings } from './voiceSettings';
+import { getPolyphonySettings } from './voiceStealing';
+import { masterBus } from './MasterBus';
+import { loadSyncOscillator } from './SyncOscillator';
 
 // We'll set this reference after VoiceManager is imported
 let voiceManagerInstance = null;
@@ -7,6 +22,67 @@ export function setVoiceManager(vm) {
   voiceManagerInstance = vm;
 }
 
+/**
+ * Whether an edge comes out of a controller's trigger output (piano, sequencer)
+ * Trigger edges select which templates a controller plays; they're not part of the voice
+ *
+ * @param {object} sourceNode - ReactFlow node the edge starts from
+ * @param {object} edge - ReactFlow edge
+ * @returns {boolean}
+ */
+function isTriggerEdge(sourceNode, edge) {
+  return getOutputPort(sourceNode.type, edge.sourceHandle)?.kind === PORT_KIND.TRIGGER;
+}
+
+/**
+ * Whether a controller (piano, sequencer) plays a voice template
+ * A controller plays each template whose chain contains a node it is wired to;
+ * an unwired controller plays every template
+ *
+ * @param {string} controllerId - Canvas node ID of the controller
+ * @param {object} template - Voice template (with memberNodeIds)
+ * @param {Array} edges - ReactFlow edges
+ * @returns {boolean}
+ */
+function controllerPlaysTemplate(controllerId, template, edges) {
+  const targetIds = edges
+    .filter(edge => edge.source === controllerId)
+    .map(edge => edge.target);
+
+  if (targetIds.length === 0) {
+    return true;
+  }
+
+  const members = template?.memberNodeIds || [];
+  return targetIds.some(targetId => members.includes(targetId));
+}
+
+/**
+ * Structural fingerprint of a voice template
+ * Two templates with the same signature build identical voices apart from parameter values,
+ * so active voices can be updated in place instead of being stopped
+ *
+ * @param {object} template - Voice template
+ * @returns {string} Signature
+ */
+function getTemplateSignature(template) {
+  return JSON.stringify({
+    nodes: template.nodes.map(node => [
+      node.type,
+      node.canvasNodeId,
+      node.modulationTarget,
+      // The number of unison oscillators is fixed when a voice is built
+      node.data.unisonVoices,
+      // So is whether an effect is shared or copied into each voice
+      node.data.effectMode,
+      // And whether an oscillator plays a custom wave (a different kind of oscillator)
+      Boolean(node.data.waveformData)
+    ]),
+    // Modulation amounts are updated live, so they aren't part of the structure
+    connections: template.connections.map(({ from, to, param, oscMod, output }) => ({ from, to, param, oscMod, output }))
+  });
+}
+
 /**
  * AudioGraph manages the audio routing between nodes
  * It keeps track of all audio nodes and their connections
@@ -18,6 +94,12 @@ class AudioGraph {
 
     // Map of node IDs to their output connections (for tracking)
     this.connections = new Map();
+
+    // Output node IDs that currently have a playable voice template
+    this.validTemplateIds = [];
+
+    // Latest ReactFlow edges (used to resolve which templates a controller triggers)
+    this.edges = [];
   }
 
   /**
@@ -76,7 +158,13 @@ class AudioGraph {
       return;
     }
 
-    // Disconnect from destination if this is the first connection
+    // Oscillators have no audio input - edges into their FM/AM/sync inputs are
+    // per-voice modulation, wired up by VoiceManager
+    if (target.numberOfInputs === 0) {
+      return;
+    }
+
+    // Disconnect from the master bus if this is the first connection
     if (this.connections.get(sourceId).size === 0) {
       try {
         source.disconnect();
@@ -116,17 +204,17 @@ class AudioGraph {
         console.log(`Audio disconnection: ${sourceId} -> ${targetId}`);
       }
 
-      // If no more connections, connect back to destination
+      // If no more connections, connect back to the master bus
       if (this.connections.get(sourceId).size === 0) {
-        source.toDestination();
-        console.log(`${sourceId} reconnected to destination (no outputs)`);
+        masterBus.connect(source);
+        console.log(`${sourceId} reconnected to master bus (no outputs)`);
       }
     } else {
       // Disconnect all
       source.disconnect();
       this.connections.get(sourceId).clear();
-      source.toDestination();
-      console.log(`${sourceId} disconnected from all and reconnected to destination`);
+      masterBus.connect(source);
+      console.log(`${sourceId} disconnected from all and reconnected to master bus`);
     }
   }
 
@@ -193,6 +281,8 @@ class AudioGraph {
       return;
     }
 
+    this.edges = edges;
+
     // Find all OutputNodes
     const outputNodes = nodes.filter(node => node.type === 'outputNode');
 
@@ -206,6 +296,18 @@ class AudioGraph {
       const template = this.buildVoiceTemplateFromOutput(outputNode.id, nodes, edges);
 
       if (template && template.nodes.length > 0) {
+        // Voice mode/glide come from the piano that plays this template
+        const pianoNode = nodes.find(node =>
+          node.type === 'pianoNode' && controllerPlaysTemplate(node.id, template, edges)
+        );
+        template.voiceSettings = getVoiceSettings(pianoNode?.data);
+        template.polyphony = getPolyphonySettings(outputNode.data);
+
+        // Hard sync runs in an AudioWorklet, which has to be loaded before voices are built
+        if (template.connections.some(connection => connection.oscMod === OSC_MOD.SYNC)) {
+          loadSyncOscillator();
+        }
+
         console.log(`Registering voice template for output ${outputNode.id}:`, template);
         console.log('Template details:', {
           nodeCount: template.nodes.length,
@@ -226,10 +328,18 @@ class AudioGraph {
           });
         });
 
-        // Stop any active voices using the old template before updating
-        voiceManagerInstance.stopVoicesForTemplate(outputNode.id);
+        const previousTemplate = voiceManagerInstance.voiceTemplates.get(outputNode.id);
 
-        voiceManagerInstance.registerVoiceTemplate(outputNode.id, template);
+        if (previousTemplate && getTemplateSignature(previousTemplate) === getTemplateSignature(template)) {
+          // Same structure, only data changed - keep voices playing and update them live
+          voiceManagerInstance.registerVoiceTemplate(outputNode.id, template);
+          this.dispatchTemplateDataChanges(outputNode.id, previousTemplate, template);
+        } else {
+          // Stop any active voices using the old template before updating
+          voiceManagerInstance.stopVoicesForTemplate(outputNode.id);
+
+          voiceManagerInstance.registerVoiceTemplate(outputNode.id, template);
+        }
 
         // Track this as a valid output
         validOutputIds.push(outputNode.id);
@@ -240,6 +350,14 @@ class AudioGraph {
       }
     });
 
+    // Outputs deleted from the canvas take their templates (and voice telemetry) with them
+    const outputIds = outputNodes.map(node => node.id);
+    Array.from(voiceManagerInstance.voiceTemplates.keys())
+      .filter(templateId => !outputIds.includes(templateId))
+      .forEach(templateId => voiceManagerInstance.unregisterVoiceTemplate(templateId));
+
+    this.validTemplateIds = validOutputIds;
+
     // Store the first VALID output node ID for piano to use
     if (validOutputIds.length > 0) {
       this.primaryVoiceTemplateId = validOutputIds[0];
@@ -248,6 +366,39 @@ class AudioGraph {
     }
   }
 
+  /**
+   * Push changed node data from a re-scanned template to its active voices
+   *
+   * @param {string} templateId - Template (OutputNode) ID
+   * @param {object} previousTemplate - Template the active voices were built from
+   * @param {object} template - Freshly scanned template with the same structure
+   */
+  dispatchTemplateDataChanges(templateId, previousTemplate, template) {
+    template.nodes.forEach(node => {
+      const previousNode = previousTemplate.nodes.find(n => n.canvasNodeId === node.canvasNodeId);
+      if (!previousNode) return;
+
+      Object.keys(node.data).forEach(paramName => {
+        if (node.data[paramName] !== previousNode.data[paramName]) {
+          voiceManagerInstance.updateActiveVoiceParameter(
+            templateId,
+            node.canvasNodeId,
+            node.type,
+            paramName,
+            node.data[paramName]
+          );
+        }
+      });
+    });
+
+    template.connections.forEach((connection, index) => {
+      const previousConnection = previousTemplate.connections[index];
+      if (connection.paramAmount !== undefined && connection.paramAmount !== previousConnection?.paramAmount) {
+        voiceManagerInstance.updateActiveModulationAmount(templateId, index, connection.paramAmount);
+      }
+    });
+  }
+
   /**
    * Build a voice template by tracing backwards from an OutputNode
    *
@@ -262,6 +413,10 @@ class AudioGraph {
     const expandedNodes = []; // Track expanded group nodes
     const groupIdToNodeIds = new Map(); // Map group ID to its internal node IDs
 
+    // Look up a node on the canvas or inside an expanded group
+    const findChainNode = (nodeId) =>
+      nodes.find(n => n.id === nodeId) || expandedNodes.find(n => n.id === nodeId);
+
     // Trace backwards from output
     const visited = new Set();
     const queue = [outputNodeId];
@@ -297,7 +452,7 @@ class AudioGraph {
           const incomingEdges = edges.filter(e => e.target === currentNodeId);
           incomingEdges.forEach(edge => {
             const sourceNode = nodes.find(n => n.id === edge.source);
-            if (sourceNode && sourceNode.type !== 'pianoNode') {
+            if (sourceNode && !isTriggerEdge(sourceNode, edge)) {
               // Create virtual edge from external source to internal input node
               chainEdges.push({
                 source: edge.source,
@@ -317,11 +472,12 @@ class AudioGraph {
       incomingEdges.forEach(edge => {
         const sourceNode = nodes.find(n => n.id === edge.source);
 
-        // Skip piano nodes (they're controllers, not part of the voice)
-        // Skip modulation connections (they're not part of the main audio chain)
-        const isModulationConnection = edge.targetHandle === 'modulation-in';
+        // Skip trigger connections (pianos/sequencers are controllers, not part of the voice)
+        // Don't traverse past modulation connections (they're not part of the main audio chain)
+        const isModulationConnection = currentNode &&
+          getInputPort(currentNode.type, edge.targetHandle)?.kind === PORT_KIND.MOD;
 
-        if (sourceNode && sourceNode.type !== 'pianoNode') {
+        if (sourceNode && !isTriggerEdge(sourceNode, edge)) {
           // Add all edges (audio and modulation)
           chainEdges.push(edge);
 
@@ -352,85 +508,26 @@ class AudioGraph {
 
         // For envelope and LFO nodes, detect what they're connected to
         let modulationTarget = null;
-        if (node.type === 'envelopeNode') {
-          // First, check if audio is flowing INTO the envelope (incoming connection)
-          const incomingEdge = chainEdges.find(e => e.target === nodeId);
-          let hasIncomingAudio = false;
-
-          if (incomingEdge) {
-            const sourceNode = nodes.find(n => n.id === incomingEdge.source) ||
-                              expandedNodes.find(n => n.id === incomingEdge.source);
-            // Audio sources: oscillators, filters, or other envelopes (in audio path)
-            if (sourceNode && (
-              sourceNode.type === 'oscNode' ||
-              sourceNode.type === 'pulseOscNode' ||
-              sourceNode.type === 'sineOscNode' ||
-              sourceNode.type === 'squareOscNode' ||
-              sourceNode.type === 'sawtoothOscNode' ||
-              sourceNode.type === 'triangleOscNode' ||
-              sourceNode.type === 'noiseOscNode' ||
-              sourceNode.type === 'filterNode' ||
-              sourceNode.type === 'envelopeNode'
-            )) {
-              hasIncomingAudio = true;
-            }
-          }
+        if (isModulatorType(node.type)) {
+          // Audio flowing INTO an envelope means it sits in the audio path = VOLUME envelope
+          const hasIncomingAudio = chainEdges.some(e => {
+            if (e.target !== nodeId) return false;
+            const sourceNode = findChainNode(e.source);
+            return sourceNode && getOutputPort(sourceNode.type, e.sourceHandle)?.kind === PORT_KIND.AUDIO;
+          });
 
-          if (hasIncomingAudio) {
-            // Audio is flowing through this envelope = VOLUME envelope (in audio path)
+          if (hasIncomingAudio && getOutputPort(node.type, null)?.modulator) {
             modulationTarget = 'volume';
-            console.log(`Envelope ${nodeId}: VOLUME envelope (audio flowing through)`);
+            console.log(`${node.type} ${nodeId}: VOLUME envelope (audio flowing through)`);
           } else {
-            // No incoming audio, check what it connects TO
+            // Otherwise it modulates whichever mod input it's wired to
             const outgoingEdge = chainEdges.find(e => e.source === nodeId);
-            if (outgoingEdge) {
-              const targetNode = nodes.find(n => n.id === outgoingEdge.target) ||
-                                expandedNodes.find(n => n.id === outgoingEdge.target);
-
-              // Check which handle the envelope is connected to
-              const targetHandle = outgoingEdge.targetHandle;
-
-              if (targetNode) {
-                if (targetNode.type === 'filterNode' && targetHandle === 'modulation-in') {
-                  // Envelope connected to filter's modulation input = FILTER modulation
-                  modulationTarget = 'filter';
-                  console.log(`Envelope ${nodeId}: FILTER modulation (connected to modulation input)`);
-                } else if ((targetNode.type === 'oscNode' || targetNode.type === 'pulseOscNode' || targetNode.type === 'sineOscNode' || targetNode.type === 'squareOscNode' || targetNode.type === 'sawtoothOscNode' || targetNode.type === 'triangleOscNode' || targetNode.type === 'noiseOscNode') && targetHandle === 'modulation-in') {
-                  // Envelope connected to oscillator's modulation input = PITCH modulation
-                  modulationTarget = 'pitch';
-                  console.log(`Envelope ${nodeId}: PITCH modulation (connected to modulation input)`);
-                } else if (targetNode.type === 'filterNode') {
-                  // Envelope with no specific handle connecting to filter = assume FILTER modulation
-                  modulationTarget = 'filter';
-                  console.log(`Envelope ${nodeId}: FILTER modulation (no audio input)`);
-                } else if (targetNode.type === 'oscNode' || targetNode.type === 'pulseOscNode' || targetNode.type === 'sineOscNode' || targetNode.type === 'squareOscNode' || targetNode.type === 'sawtoothOscNode' || targetNode.type === 'triangleOscNode' || targetNode.type === 'noiseOscNode') {
-                  // Envelope with no specific handle connecting to oscillator = assume PITCH modulation
-                  modulationTarget = 'pitch';
-                  console.log(`Envelope ${nodeId}: PITCH modulation (no audio input)`);
-                }
-              }
-            }
-          }
-        } else if (node.type === 'lfoNode') {
-          // LFO nodes are always modulators - detect what they're connected to
-          const outgoingEdge = chainEdges.find(e => e.source === nodeId);
-          if (outgoingEdge) {
-            const targetNode = nodes.find(n => n.id === outgoingEdge.target) ||
-                              expandedNodes.find(n => n.id === outgoingEdge.target);
-            const targetHandle = outgoingEdge.targetHandle;
-
-            if (targetNode) {
-              if (targetNode.type === 'filterNode' && targetHandle === 'modulation-in') {
-                modulationTarget = 'filter';
-                console.log(`LFO ${nodeId}: FILTER modulation`);
-              } else if ((targetNode.type === 'oscNode' || targetNode.type === 'pulseOscNode' || targetNode.type === 'sineOscNode' || targetNode.type === 'squareOscNode' || targetNode.type === 'sawtoothOscNode' || targetNode.type === 'triangleOscNode' || targetNode.type === 'noiseOscNode') && targetHandle === 'modulation-in') {
-                modulationTarget = 'pitch';
-                console.log(`LFO ${nodeId}: PITCH modulation`);
-              } else if (targetNode.type === 'filterNode') {
-                modulationTarget = 'filter';
-              } else if (targetNode.type === 'oscNode' || targetNode.type === 'pulseOscNode' || targetNode.type === 'sineOscNode' || targetNode.type === 'squareOscNode' || targetNode.type === 'sawtoothOscNode' || targetNode.type === 'triangleOscNode' || targetNode.type === 'noiseOscNode') {
-                modulationTarget = 'pitch';
-              }
+            const targetNode = outgoingEdge && findChainNode(outgoingEdge.target);
+            const modulationPort = targetNode && getModulationPort(targetNode.type, outgoingEdge.targetHandle);
+
+            if (modulationPort) {
+              modulationTarget = modulationPort.target;
+              console.log(`${node.type} ${nodeId}: ${modulationTarget.toUpperCase()} modulation`);
             }
           }
         }
@@ -442,7 +539,10 @@ class AudioGraph {
           modulationTarget: modulationTarget  // For envelopes and LFOs: what they modulate
         };
       }),
-      connections: []
+      connections: [],
+      // Every canvas node reached while tracing (including groups and the output itself)
+      // Used to work out which controllers are wired into this template
+      memberNodeIds: Array.from(new Set([...visited, ...chainNodeIds]))
     };
 
     // Build connections array with indices instead of IDs
@@ -451,10 +551,38 @@ class AudioGraph {
       const targetIndex = chainNodeIds.indexOf(edge.target);
 
       if (sourceIndex !== -1 && targetIndex !== -1) {
-        template.connections.push({
+        const connection = {
           from: sourceIndex,
           to: targetIndex
-        });
+        };
+
+        // Oscillator-to-oscillator modulation (FM, AM/ring, sync) is marked with its type
+        const oscMod = getOscModType(template.nodes[targetIndex].type, edge.targetHandle);
+        if (oscMod) {
+          connection.oscMod = oscMod;
+        }
+
+        // Edges from one of a node's extra outputs (a state-variable filter's LP/BP/HP) name it
+        const output = getOutputPort(template.nodes[sourceIndex].type, edge.sourceHandle)?.output;
+        if (output) {
+          connection.output = output;
+        }
+
+        // Modulation connections carry the Tone.js param they drive on the target
+        // and the edge's bipolar amount, converted to that param's units
+        const sourceTemplateNode = template.nodes[sourceIndex];
+        if (sourceTemplateNode.modulationTarget && sourceTemplateNode.modulationTarget !== 'volume') {
+          const modulationPort = getModulationPort(template.nodes[targetIndex].type, edge.targetHandle);
+          connection.param = sourceTemplateNode.type === 'envelopeNode'
+            ? modulationPort?.envelopeParam ?? modulationPort?.param
+            : modulationPort?.param;
+          connection.paramAmount = modulationAmountToParamValue(
+            getModulationAmount(modulationPort, edge),
+            modulationPort?.amount?.unit
+          );
+        }
+
+        template.connections.push(connection);
       }
     });
 
@@ -468,9 +596,54 @@ class AudioGraph {
     return this.primaryVoiceTemplateId;
   }
 
+  /**
+   * Get every voice template a controller (piano, sequencer) should trigger
+   *
+   * A controller triggers each template whose chain contains a node it is wired to.
+   * An unwired controller triggers every valid template, so stacked outputs all sound.
+   *
+   * @param {string} controllerId - Canvas node ID of the piano/sequencer
+   * @returns {Array<string>} Template (OutputNode) IDs
+   */
+  getVoiceTemplateIdsForController(controllerId) {
+    if (!voiceManagerInstance) {
+      return [];
+    }
+
+    return this.validTemplateIds.filter(templateId =>
+      controllerPlaysTemplate(controllerId, voiceManagerInstance.voiceTemplates.get(templateId), this.edges)
+    );
+  }
+
+  /**
+   * Get the voice templates one trigger output of a controller plays (a drum machine lane)
+   * Unlike a whole controller, an unwired output plays nothing
+   *
+   * @param {string} controllerId - Canvas node ID of the controller
+   * @param {string} handleId - Source handle ID of the output
+   * @returns {Array<string>} Template (OutputNode) IDs
+   */
+  getVoiceTemplateIdsForTriggerOutput(controllerId, handleId) {
+    const targetIds = this.edges
+      .filter(edge => edge.source === controllerId && edge.sourceHandle === handleId)
+      .map(edge => edge.target);
+
+    if (!voiceManagerInstance || targetIds.length === 0) {
+      return [];
+    }
+
+    return this.validTemplateIds.filter(templateId => {
+      const members = voiceManagerInstance.voiceTemplates.get(templateId)?.memberNodeIds || [];
+      return targetIds.some(targetId => members.includes(targetId));
+    });
+  }
+
   /**
    * Notify that a node parameter has changed
-   * This updates both the template and active voices
+   * Updates every active voice built from this canvas node, in every template that contains it
+   *
+   * Data stored on ReactFlow nodes is picked up automatically by scanForVoiceTemplates;
+   * call this directly for values a component doesn't keep in node.data
    *
    * @param {string} nodeId - Node ID that changed
    * @param {string} nodeType - Type of node (e.g., 'filterNode')
@@ -478,24 +651,22 @@ class AudioGraph {
    * @param {*} paramValue - New parameter value
    */
   notifyParameterChange(nodeId, nodeType, paramName, paramValue) {
-    // Find which template(s) this node belongs to
     if (!voiceManagerInstance) {
       return;
     }
 
-    // Update all templates that contain this node
-    // For now, update all templates (simple approach)
-    // In a more complex system, you'd track which nodes belong to which templates
-    const templateId = this.primaryVoiceTemplateId;
-
-    if (templateId) {
-      voiceManagerInstance.updateActiveVoiceParameter(
-        templateId,
-        nodeType,
-        paramName,
-        paramValue
-      );
-    }
+    this.validTemplateIds.forEach(templateId => {
+      const template = voiceManagerInstance.voiceTemplates.get(templateId);
+      if (template?.memberNodeIds.includes(nodeId)) {
+        voiceManagerInstance.updateActiveVoiceParameter(
+          templateId,
+          nodeId,
+          nodeType,
+          paramName,
+          paramValue
+        );
+      }
+    });
   }
 
   /**
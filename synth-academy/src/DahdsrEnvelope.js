@@ -0,0 +1,196 @@
+import * as Tone from 'tone';
+import { getStageShape } from './envelopeCurve';
+
+// Points per curved stage - each stage is scheduled as this many short linear ramps
+const CURVE_RESOLUTION = 32;
+
+// Glide time when a held note's sustain level changes (short enough to feel instant, long enough not to click)
+const SUSTAIN_RAMP_TIME = 0.05;
+
+/**
+ * DahdsrEnvelope - Delay / Attack / Hold / Decay / Sustain / Release envelope
+ *
+ * Tone.js envelopes only cover ADSR, so this one schedules its own ramps on a signal:
+ *
+ *        ___
+ *       /   \
+ *      /     \______
+ *     /             \
+ * ___/               \
+ *  D   A  H  D   S   R
+ *
+ * Used for every envelope target:
+ * - amplitude: true  -> sits in the audio path as a VCA (like Tone.AmplitudeEnvelope)
+ * - amplitude: false -> outputs 0-1 to drive a modulation input (like Tone.Envelope)
+ *
+ * Stage lengths, sustain and curves can be changed live with setStages: a held note
+ * re-schedules what's left of its decay and glides to the new sustain level, and
+ * notes not yet released pick up the new release. Attack changes apply from the next trigger.
+ */
+export class DahdsrEnvelope extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options
+   * @param {boolean} options.amplitude - Pass audio through (VCA) instead of outputting a control signal
+   * @param {number} options.delay - Seconds before the attack starts
+   * @param {number} options.attack - Attack time in seconds
+   * @param {number} options.hold - Seconds held at the peak before decaying
+   * @param {number} options.decay - Decay time in seconds
+   * @param {number} options.sustain - Sustain level (0-1)
+   * @param {number} options.release - Release time in seconds
+   * @param {number} options.attackCurve - Attack curve (-1 to 1)
+   * @param {number} options.decayCurve - Decay curve (-1 to 1)
+   * @param {number} options.releaseCurve - Release curve (-1 to 1)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'DahdsrEnvelope';
+
+    this.delay = options.delay ?? 0;
+    this.attack = options.attack ?? 0.01;
+    this.hold = options.hold ?? 0;
+    this.decay = options.decay ?? 0.1;
+    this.sustain = options.sustain ?? 0.7;
+    this.release = options.release ?? 1.0;
+    this.attackCurve = options.attackCurve ?? 0;
+    this.decayCurve = options.decayCurve ?? 0;
+    this.releaseCurve = options.releaseCurve ?? 0;
+
+    // The envelope itself: a signal the stages are scheduled on
+    this._sig = new Tone.Signal({ context: this.context, value: 0 });
+
+    // The note in progress, so live changes can re-schedule its decay and sustain
+    this._peak = 0;
+    this._holdEnd = 0;
+    this._held = false;
+
+    if (options.amplitude) {
+      // VCA: the envelope drives the gain of the audio passing through
+      this._gain = new Tone.Gain({ context: this.context, gain: 0 });
+      this._sig.connect(this._gain.gain);
+      this.input = this._gain;
+      this.output = this._gain;
+    } else {
+      this.input = undefined;
+      this.output = this._sig;
+    }
+  }
+
+  /**
+   * Current envelope level (0-1)
+   */
+  get value() {
+    return this._sig.getValueAtTime(this.now());
+  }
+
+  /**
+   * Ramp from one level to another over a stage, following the stage's curve
+   * as the EnvelopeNode graph draws it between `shapeFrom` and `shapeTo`
+   *
+   * @param {number} from - Level at the start of the stage
+   * @param {number} to - Level at the end of the stage
+   * @param {number} startTime - Stage start (audio context time)
+   * @param {number} duration - Stage length in seconds
+   * @param {number} curve - Stage curve (-1 to 1)
+   * @param {number} shapeFrom - Level the graph draws the stage from
+   * @param {number} shapeTo - Level the graph draws the stage to
+   */
+  _rampStage(from, to, startTime, duration, curve, shapeFrom, shapeTo) {
+    if (duration <= 0) {
+      this._sig.setValueAtTime(to, startTime);
+      return;
+    }
+
+    this._sig.setValueAtTime(from, startTime);
+
+    if (!curve) {
+      this._sig.linearRampToValueAtTime(to, startTime + duration);
+      return;
+    }
+
+    const shape = getStageShape(duration, shapeFrom, shapeTo, curve, CURVE_RESOLUTION);
+    for (let i = 1; i <= CURVE_RESOLUTION; i++) {
+      // Drawn curves can dip below zero; a VCA gain must not
+      const level = Math.max(0, from + (to - from) * shape[i]);
+      this._sig.linearRampToValueAtTime(level, startTime + duration * (i / CURVE_RESOLUTION));
+    }
+  }
+
+  /**
+   * Start the envelope: delay, attack to the peak, hold, then decay to sustain
+   * Retriggering starts the attack from the current level instead of jumping to 0
+   *
+   * @param {number|string} time - When to start (defaults to now)
+   * @param {number} velocity - Peak level (0-1)
+   */
+  triggerAttack(time, velocity = 1) {
+    const startTime = this.toSeconds(time);
+    const startLevel = this._sig.getValueAtTime(startTime);
+    this._sig.cancelAndHoldAtTime(startTime);
+
+    const attackStart = startTime + this.delay;
+    const holdEnd = attackStart + this.attack + this.hold;
+
+    // The peak is held until the decay's first point at holdEnd
+    this._rampStage(startLevel, velocity, attackStart, this.attack, this.attackCurve, 0, 1);
+    this._rampStage(velocity, velocity * this.sustain, holdEnd, this.decay, this.decayCurve, 1, this.sustain);
+
+    this._peak = velocity;
+    this._holdEnd = holdEnd;
+    this._held = true;
+    return this;
+  }
+
+  /**
+   * Change stage settings, applying them to a held note
+   * Before the decay starts it is scheduled afresh; part-way through, the rest of it
+   * heads for the new sustain level; once sustaining, the level glides there.
+   *
+   * @param {object} stages - Any of the constructor's stage, sustain and curve options
+   */
+  setStages(stages) {
+    Object.assign(this, stages);
+    if (!this._held) return this;
+
+    const now = this.now();
+    const target = this._peak * this.sustain;
+    const decayEnd = this._holdEnd + this.decay;
+
+    if (now < this._holdEnd) {
+      this._sig.cancelAndHoldAtTime(this._holdEnd);
+      this._rampStage(this._peak, target, this._holdEnd, this.decay, this.decayCurve, 1, this.sustain);
+    } else if (now < decayEnd) {
+      const level = this._sig.getValueAtTime(now);
+      this._sig.cancelAndHoldAtTime(now);
+      this._rampStage(level, target, now, decayEnd - now, this.decayCurve, level / (this._peak || 1), this.sustain);
+    } else {
+      this._sig.cancelScheduledValues(now);
+      this._sig.rampTo(target, SUSTAIN_RAMP_TIME, now);
+    }
+    return this;
+  }
+
+  /**
+   * Release from wherever the envelope currently is down to 0
+   * @param {number|string} time - When to release (defaults to now)
+   */
+  triggerRelease(time) {
+    const releaseTime = this.toSeconds(time);
+    const releaseLevel = this._sig.getValueAtTime(releaseTime);
+    this._sig.cancelAndHoldAtTime(releaseTime);
+    this._held = false;
+
+    if (releaseLevel > 0) {
+      this._rampStage(releaseLevel, 0, releaseTime, this.release, this.releaseCurve, this.sustain, 0);
+    }
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    this._sig.dispose();
+    if (this._gain) {
+      this._gain.dispose();
+    }
+    return this;
+  }
+}
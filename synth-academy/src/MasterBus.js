@@ -0,0 +1,227 @@
+import * as Tone from 'tone';
+
+/**
+ * Master bus - every OutputNode sums into this before the speakers
+ *
+ * [Output A gain] ─┐
+ * [Output B gain] ─┼─→ [Master volume] → [Limiter] → [Ceiling] → speakers
+ * [Output C gain] ─┘
+ *
+ * - Per output: gain (dB), mute and solo. Soloing any output silences every output that isn't soloed.
+ * - Master: volume (dB) and a brickwall limiter, so stacked voices can't clip the speakers.
+ *
+ * Output settings live on the OutputNode (node.data.outputGain / muted / soloed);
+ * master volume is saved in localStorage.
+ */
+
+// Limiter threshold in dB - the limiter starts squashing peaks here
+export const LIMITER_THRESHOLD = -1;
+
+// Hard ceiling after the limiter (linear): catches the few samples the limiter's attack lets through
+const CEILING = Tone.dbToGain(LIMITER_THRESHOLD);
+const CEILING_CURVE_SIZE = 4096;
+
+export const OUTPUT_GAIN_RANGE = { min: -30, max: 6 };
+export const MASTER_VOLUME_RANGE = { min: -40, max: 6 };
+
+const MASTER_VOLUME_KEY = 'masterVolume';
+
+// Samples per meter reading
+export const METER_SIZE = 1024;
+
+// Ramp time for gain, mute and solo changes (avoids clicks)
+const GAIN_RAMP_TIME = 0.02;
+
+/**
+ * Peak and RMS level of a block of samples
+ *
+ * @param {Float32Array} waveform - Samples (-1 to 1, louder signals go past 1)
+ * @returns {{peak: number, rms: number}} Linear levels
+ */
+export function measureLevels(waveform) {
+  let peak = 0;
+  let sum = 0;
+  for (let i = 0; i < waveform.length; i++) {
+    const sample = Math.abs(waveform[i]);
+    peak = Math.max(peak, sample);
+    sum += sample * sample;
+  }
+  return { peak, rms: Math.sqrt(sum / (waveform.length || 1)) };
+}
+
+/**
+ * Whether an output can be heard given every output's mute/solo state
+ *
+ * @param {{muted: boolean, soloed: boolean}} output - The output to check
+ * @param {Array<{soloed: boolean}>} outputs - All outputs
+ * @returns {boolean}
+ */
+export function isOutputAudible(output, outputs) {
+  if (output.muted) return false;
+  const anySoloed = outputs.some(other => other.soloed);
+  return !anySoloed || output.soloed;
+}
+
+class MasterBus {
+  constructor() {
+    // Output node ID -> { gain: Tone.Gain, outputGain: dB, muted, soloed }
+    this.outputs = new Map();
+
+    // Built on first use so nothing touches the AudioContext at import time
+    this.input = null;
+    this.volume = null;
+    this.limiter = null;
+    this.ceiling = null;
+    this.meter = null;
+
+    const savedVolume = Number(localStorage.getItem(MASTER_VOLUME_KEY));
+    this.masterVolume = Number.isFinite(savedVolume) ? savedVolume : 0;
+  }
+
+  /**
+   * Build the master chain
+   */
+  ensureChain() {
+    if (this.input) return;
+
+    this.input = new Tone.Gain(1);
+    this.volume = new Tone.Volume(this.masterVolume);
+    this.limiter = new Tone.Limiter(LIMITER_THRESHOLD);
+    this.ceiling = new Tone.WaveShaper((x) => Math.max(-CEILING, Math.min(CEILING, x)), CEILING_CURVE_SIZE);
+
+    this.input.chain(this.volume, this.limiter, this.ceiling, Tone.Destination);
+
+    // Master meter reads what actually reaches the speakers
+    this.meter = new Tone.Analyser('waveform', METER_SIZE);
+    this.ceiling.connect(this.meter);
+  }
+
+  /**
+   * Input of the master bus (everything that should reach the speakers connects here)
+   * @returns {Tone.Gain}
+   */
+  getInput() {
+    this.ensureChain();
+    return this.input;
+  }
+
+  /**
+   * Connect an audio node to the master bus
+   * @param {object} audioNode - Tone.js audio object
+   */
+  connect(audioNode) {
+    audioNode.connect(this.getInput());
+  }
+
+  /**
+   * Register an OutputNode's gain stage and route it into the master bus
+   *
+   * @param {string} outputId - OutputNode ID (the voice template ID)
+   * @param {Tone.Gain} gain - The output's gain node
+   * @param {{outputGain?: number, muted?: boolean, soloed?: boolean}} settings
+   */
+  registerOutput(outputId, gain, settings = {}) {
+    this.outputs.set(outputId, {
+      gain,
+      outputGain: settings.outputGain ?? 0,
+      muted: settings.muted ?? false,
+      soloed: settings.soloed ?? false
+    });
+    gain.connect(this.getInput());
+    this.updateOutputGains();
+  }
+
+  /**
+   * Remove an OutputNode from the bus (the caller disposes its gain)
+   * @param {string} outputId - OutputNode ID
+   */
+  unregisterOutput(outputId) {
+    const output = this.outputs.get(outputId);
+    if (!output) return;
+
+    output.gain.disconnect(this.getInput());
+    this.outputs.delete(outputId);
+    this.updateOutputGains();
+  }
+
+  /**
+   * Change an output's gain / mute / solo
+   *
+   * @param {string} outputId - OutputNode ID
+   * @param {{outputGain?: number, muted?: boolean, soloed?: boolean}} settings
+   */
+  setOutputSettings(outputId, settings) {
+    const output = this.outputs.get(outputId);
+    if (!output) return;
+
+    Object.assign(output, settings);
+    this.updateOutputGains();
+  }
+
+  /**
+   * Where a voice template's voices should connect: its OutputNode, or the master bus
+   * if the output isn't mounted
+   *
+   * @param {string} outputId - OutputNode ID (the voice template ID)
+   * @returns {Tone.Gain}
+   */
+  getOutputInput(outputId) {
+    return this.outputs.get(outputId)?.gain || this.getInput();
+  }
+
+  /**
+   * Whether an output is currently heard (not muted, and not silenced by another output's solo)
+   * @param {string} outputId - OutputNode ID
+   * @returns {boolean}
+   */
+  isOutputAudible(outputId) {
+    const output = this.outputs.get(outputId);
+    return Boolean(output) && isOutputAudible(output, Array.from(this.outputs.values()));
+  }
+
+  /**
+   * Apply gain, mute and solo to every output's gain node
+   * Solo on one output changes what the others play, so they're all updated together
+   */
+  updateOutputGains() {
+    const outputs = Array.from(this.outputs.values());
+    outputs.forEach(output => {
+      const level = isOutputAudible(output, outputs) ? Tone.dbToGain(output.outputGain) : 0;
+      output.gain.gain.rampTo(level, GAIN_RAMP_TIME);
+    });
+
+    window.dispatchEvent(new CustomEvent('masterBusChange'));
+  }
+
+  /**
+   * Set the master volume
+   * @param {number} db - Volume in dB
+   */
+  setMasterVolume(db) {
+    this.masterVolume = db;
+    localStorage.setItem(MASTER_VOLUME_KEY, String(db));
+    if (this.volume) {
+      this.volume.volume.rampTo(db, GAIN_RAMP_TIME);
+    }
+  }
+
+  /**
+   * Analyser on the master output (for metering)
+   * @returns {Tone.Analyser}
+   */
+  getMeter() {
+    this.ensureChain();
+    return this.meter;
+  }
+
+  /**
+   * How much the limiter is turning the signal down right now
+   * @returns {number} Gain reduction in dB (0 when not limiting, negative while limiting)
+   */
+  getLimiterReduction() {
+    return this.limiter ? this.limiter.reduction : 0;
+  }
+}
+
+// Export a singleton instance
+export const masterBus = new MasterBus();
@@ -0,0 +1,182 @@
+import * as Tone from 'tone';
+import { RANDOM_LFO_WAVEFORMS, SLEW_TIME_CONSTANTS, getNextRandomLfoValue } from './lfoShapes';
+
+// Ramp time for rate changes (short enough to feel instant, long enough not to click)
+const RAMP_TIME = 0.05;
+
+/**
+ * ModulationLFO - the LFO behind LFONodes (one per voice)
+ *
+ * Outputs -1 to 1 (the edge amount sets how far above and below the target it swings).
+ * Periodic shapes run on a Tone.LFO; random shapes (see lfoShapes.js) step a signal
+ * from a Tone.Clock at the LFO rate, so both follow setFrequency. The output fades in
+ * over the delay from the moment the LFO starts, rather than switching on at full depth.
+ * The shape can be swapped while a note plays.
+ */
+export class ModulationLFO extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options
+   * @param {number} options.frequency - Rate in Hz
+   * @param {string} options.waveform - Key of LFO_WAVEFORMS
+   * @param {number} options.smoothness - Random shapes' slew (0-1)
+   * @param {number} options.phase - Periodic shapes' start phase in degrees
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'ModulationLFO';
+
+    this._frequency = options.frequency ?? 5;
+    this._waveform = options.waveform ?? 'sine';
+    this._smoothness = options.smoothness ?? 0.5;
+    this._phase = options.phase ?? 0;
+    this._started = false;
+
+    // Silent until start(), then fades in over the delay
+    this._fade = new Tone.Gain({ context: this.context, gain: 0 });
+
+    this.input = undefined;
+    this.output = this._fade;
+
+    this._buildShape();
+  }
+
+  /**
+   * @param {number} frequency - Rate in Hz
+   */
+  setFrequency(frequency) {
+    this._frequency = frequency;
+    (this._shape.lfo || this._shape.clock).frequency.rampTo(frequency, RAMP_TIME);
+  }
+
+  /**
+   * @param {string} waveform - Key of LFO_WAVEFORMS
+   */
+  setWaveform(waveform) {
+    const wasRandom = RANDOM_LFO_WAVEFORMS.includes(this._waveform);
+    this._waveform = waveform;
+    if (!wasRandom && !RANDOM_LFO_WAVEFORMS.includes(waveform)) {
+      this._shape.lfo.type = waveform;
+    } else {
+      // Switching between a periodic and a random shape (or between random ones) starts afresh
+      this._phase = 0;
+      this._buildShape();
+    }
+  }
+
+  /**
+   * @param {number} smoothness - 0-1, applies from the next random value
+   */
+  setSmoothness(smoothness) {
+    this._smoothness = smoothness;
+  }
+
+  /**
+   * Start the LFO, fading it in
+   * @param {number} time - Audio context time to start at
+   * @param {number} [fadeTime] - Seconds to fade in over (the LFO delay)
+   */
+  start(time, fadeTime = 0) {
+    const startTime = this.toSeconds(time);
+    this._started = true;
+    this._fade.gain.setValueAtTime(0, startTime);
+    this._fade.gain.linearRampToValueAtTime(1, startTime + Math.max(fadeTime, this.sampleTime));
+    this._startShape(startTime);
+    return this;
+  }
+
+  /**
+   * Start over from the top of the cycle (random shapes move to a new value)
+   * Running sources keep their phase through start(), so the shape is stopped and started
+   * afresh a sample later
+   *
+   * @param {number} time - Audio context time to restart at
+   */
+  restart(time) {
+    const { lfo, clock } = this._shape;
+    (lfo || clock).stop(time);
+    if (lfo) {
+      lfo.start(time + this.sampleTime);
+      // Set after starting, so it lands on the new oscillator and not the one playing out
+      lfo.phase = 0;
+    } else {
+      clock.start(time + this.sampleTime);
+    }
+    return this;
+  }
+
+  _startShape(time) {
+    const { lfo, clock, value } = this._shape;
+    if (lfo) {
+      lfo.start(time);
+    } else {
+      value.setValueAtTime(this._value, time);
+      clock.start(time);
+    }
+  }
+
+  // Move a random shape to its next value, at the start of a cycle
+  _step(time) {
+    const { value } = this._shape;
+    const period = 1 / this._frequency;
+    this._value = getNextRandomLfoValue(this._waveform, this._value, this._smoothness);
+
+    if (this._waveform === 'sampleHold') {
+      // Smoothness rounds off the jump, over up to a whole cycle
+      const slew = this._smoothness * period;
+      if (slew > 0) {
+        value.setTargetAtTime(this._value, time, slew / SLEW_TIME_CONSTANTS);
+      } else {
+        value.setValueAtTime(this._value, time);
+      }
+    } else {
+      // Glide from wherever the last glide got to, arriving as the next cycle starts
+      value.cancelAndHoldAtTime(time);
+      value.linearRampToValueAtTime(this._value, time + period);
+    }
+  }
+
+  _buildShape() {
+    this._disposeShape();
+
+    if (RANDOM_LFO_WAVEFORMS.includes(this._waveform)) {
+      const value = new Tone.Signal({ context: this.context, value: 0 });
+      const clock = new Tone.Clock({
+        context: this.context,
+        frequency: this._frequency,
+        callback: (time) => this._step(time)
+      });
+      value.connect(this._fade);
+      this._value = 0;
+      this._shape = { value, clock };
+    } else {
+      const lfo = new Tone.LFO({
+        context: this.context,
+        frequency: this._frequency,
+        type: this._waveform,
+        min: -1,
+        max: 1,
+        phase: this._phase
+      });
+      lfo.connect(this._fade);
+      this._shape = { lfo };
+    }
+
+    // A shape swapped in while playing starts straight away
+    if (this._started) {
+      this._startShape(this.now());
+    }
+  }
+
+  _disposeShape() {
+    if (!this._shape) return;
+    Object.values(this._shape).forEach(node => node.dispose());
+    this._shape = null;
+  }
+
+  dispose() {
+    this._disposeShape();
+    super.dispose();
+    this._fade.dispose();
+    return this;
+  }
+}
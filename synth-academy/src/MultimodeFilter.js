@@ -0,0 +1,289 @@
+import * as Tone from 'tone';
+import {
+  FILTER_OUTPUTS,
+  cutoffToFrequency,
+  getFilterSettings,
+  getKeyTrackingDetune,
+  getVowelFormants,
+  resonanceToQ
+} from './filterSettings';
+
+// Drive at 100%: how hard the signal is pushed into the saturator
+const MAX_DRIVE = 10;
+
+// Ramp time for setting changes (short enough to feel instant, long enough not to click)
+const RAMP_TIME = 0.05;
+
+// Ladder: how far (dB) full resonance turns down the bass below the cutoff
+const LADDER_BASS_CUT = 9;
+
+// Comb: feedback at full resonance, and the detune range its pitch follows (+-8 octaves)
+const MAX_COMB_FEEDBACK = 0.95;
+const COMB_DETUNE_RANGE = 9600;
+
+// Formant bandpasses let little of the sound through, so they're turned up
+const FORMANT_MAKEUP = 4;
+
+/**
+ * MultimodeFilter - the filter behind FilterNodes (one on the canvas node, one per voice)
+ *
+ * Signal path: drive (tanh saturation) -> the filter model (see FILTER_MODELS).
+ * `frequency`, `detune` and `Q` drive whichever model is built, so the model can be
+ * swapped while a note plays. LFOs modulate `detune` directly; envelopes modulate
+ * `envelope`, which reaches the cutoff through the env amount, so one knob sets how far
+ * every envelope on the filter sweeps it. Key tracking is the base value of `detune`,
+ * so modulation moves the cutoff around the tracked value.
+ *
+ * Besides the main output, `outputs` has one output per state-variable response
+ * (lowpass, bandpass, highpass); the other models send their sound out of all of them.
+ */
+export class MultimodeFilter extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options - Filter node data (see filterSettings.js)
+   * @param {number} options.frequency - Cutoff in Hz (defaults to the cutoff percentage)
+   * @param {number} options.noteFrequency - Frequency of the note the voice plays, for key tracking
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'MultimodeFilter';
+
+    this._settings = getFilterSettings(options);
+    this._noteFrequency = options.noteFrequency;
+    this._frequency = options.frequency ?? cutoffToFrequency(this._settings.cutoff);
+
+    this._shaper = new Tone.WaveShaper({ context: this.context, length: 1024 });
+    this.frequency = new Tone.Signal({ context: this.context, value: this._frequency, units: 'frequency' });
+    this.detune = new Tone.Signal({ context: this.context, value: this._getKeyTrackingDetune(), units: 'cents' });
+    this.Q = new Tone.Signal({ context: this.context, value: resonanceToQ(this._settings.resonance) });
+
+    this.envelope = new Tone.Signal({ context: this.context, value: 0, units: 'cents' });
+    this._envelopeAmount = new Tone.Gain({ context: this.context, gain: this._settings.envAmount / 100, convert: false });
+    this.envelope.chain(this._envelopeAmount, this.detune);
+
+    this._output = new Tone.Gain({ context: this.context });
+    this.outputs = Object.fromEntries(
+      Object.keys(FILTER_OUTPUTS).map(response => [response, new Tone.Gain({ context: this.context })])
+    );
+
+    this.input = this._shaper;
+    this.output = this._output;
+
+    this.setDrive(this._settings.drive);
+    this._buildModel();
+  }
+
+  /**
+   * @param {string} model - Key of FILTER_MODELS
+   */
+  setModel(model) {
+    if (model === this._settings.model) return;
+    this._settings.model = model;
+    this._buildModel();
+  }
+
+  /**
+   * @param {string} type - 'lowpass', 'highpass', 'bandpass' or 'notch'
+   */
+  setType(type) {
+    this._settings.type = type;
+    if (this._settings.model === 'standard') {
+      this._model.filter.type = type;
+    } else if (this._settings.model === 'stateVariable') {
+      // A different response goes out of the main output
+      this._buildModel();
+    }
+  }
+
+  /**
+   * @param {number} slope - 12, 24 or 48 dB per octave
+   */
+  setSlope(slope) {
+    this._settings.slope = slope;
+    if (this._settings.model === 'standard') {
+      this._model.filter.rolloff = -slope;
+    }
+  }
+
+  /**
+   * @param {number} frequency - Cutoff (comb pitch) in Hz
+   */
+  setFrequency(frequency) {
+    this._frequency = frequency;
+    this.frequency.rampTo(frequency, RAMP_TIME);
+    this._model.period?.factor.rampTo(1 / frequency, RAMP_TIME);
+  }
+
+  /**
+   * @param {number} resonance - 0-100%
+   */
+  setResonance(resonance) {
+    this._settings.resonance = resonance;
+    this.Q.rampTo(resonanceToQ(resonance), RAMP_TIME);
+    this._model.bassCut?.gain.rampTo(-LADDER_BASS_CUT * resonance / 100, RAMP_TIME);
+    this._model.comb?.resonance.rampTo(MAX_COMB_FEEDBACK * resonance / 100, RAMP_TIME);
+  }
+
+  /**
+   * Saturate before the filter (0 is clean; the curve is scaled so full scale stays full scale)
+   * @param {number} drive - 0-100%
+   */
+  setDrive(drive) {
+    const amount = Math.max((drive / 100) * MAX_DRIVE, 0.001);
+    this._shaper.setMap(value => Math.tanh(amount * value) / Math.tanh(amount));
+  }
+
+  /**
+   * @param {number} envAmount - -100 to 100% of the envelope modulation
+   */
+  setEnvelopeAmount(envAmount) {
+    this._envelopeAmount.gain.rampTo(envAmount / 100, RAMP_TIME);
+  }
+
+  /**
+   * @param {number} keyTracking - 0-100%
+   */
+  setKeyTracking(keyTracking) {
+    this._settings.keyTracking = keyTracking;
+    if (this._noteFrequency) {
+      this.detune.rampTo(this._getKeyTrackingDetune(), RAMP_TIME);
+    }
+  }
+
+  /**
+   * Follow a new note (mono legato)
+   * @param {number} noteFrequency - Frequency of the note in Hz
+   * @param {number} time - Audio context time the note starts
+   */
+  setNoteFrequency(noteFrequency, time) {
+    this._noteFrequency = noteFrequency;
+    this.detune.setValueAtTime(this._getKeyTrackingDetune(), time);
+  }
+
+  /**
+   * @param {number} vowel - 0-100% across A-E-I-O-U
+   */
+  setVowel(vowel) {
+    this._settings.vowel = vowel;
+    (this._model.formants || []).forEach(({ band, level }, i) => {
+      const formant = getVowelFormants(vowel)[i];
+      band.frequency.rampTo(formant.frequency, RAMP_TIME);
+      band.Q.rampTo(formant.Q, RAMP_TIME);
+      level.gain.rampTo(Tone.dbToGain(formant.gain) * FORMANT_MAKEUP, RAMP_TIME);
+    });
+  }
+
+  _getKeyTrackingDetune() {
+    return this._noteFrequency ? getKeyTrackingDetune(this._noteFrequency, this._settings.keyTracking) : 0;
+  }
+
+  /**
+   * Drive a stage's param from one of the filter's own signals
+   * (disconnected by Param input, since Tone can't disconnect from a Param itself)
+   */
+  _link(signal, param) {
+    signal.connect(param);
+    this._model.links.push([signal, param instanceof Tone.Param ? param.input : param]);
+  }
+
+  // A biquad following the detune, and optionally the cutoff and resonance
+  _createBiquad(type, { followCutoff = true, followResonance = true } = {}) {
+    const filter = new Tone.BiquadFilter({ context: this.context, type });
+    this._link(this.detune, filter.detune);
+    if (followCutoff) {
+      this._link(this.frequency, filter.frequency);
+    }
+    if (followResonance) {
+      this._link(this.Q, filter.Q);
+    }
+    this._model.stages.push(filter);
+    return filter;
+  }
+
+  // Send the model's sound out of the main output and every response output
+  _sendToOutputs(node) {
+    [this._output, ...Object.values(this.outputs)].forEach(output => node.connect(output));
+  }
+
+  _buildModel() {
+    this._disposeModel();
+    this._model = { links: [], stages: [] };
+    const { model, type, slope, resonance, vowel } = this._settings;
+
+    if (model === 'ladder') {
+      // Two lowpass stages (24 dB) - only the first resonates - then the bass drops as resonance rises
+      const resonant = this._createBiquad('lowpass');
+      const smoothing = this._createBiquad('lowpass', { followResonance: false });
+      smoothing.Q.value = 0;
+      const bassCut = this._createBiquad('lowshelf', { followResonance: false });
+      bassCut.gain.value = -LADDER_BASS_CUT * resonance / 100;
+      this._shaper.chain(resonant, smoothing, bassCut);
+      this._sendToOutputs(bassCut);
+      this._model.bassCut = bassCut;
+    } else if (model === 'stateVariable') {
+      const responses = Object.fromEntries(Object.keys(FILTER_OUTPUTS).map(response => {
+        const filter = this._createBiquad(response);
+        this._shaper.connect(filter);
+        filter.connect(this.outputs[response]);
+        return [response, filter];
+      }));
+      // Lowpass and highpass are out of phase at the cutoff, so together they notch it out
+      const mainResponses = type === 'notch' ? [responses.lowpass, responses.highpass] : [responses[type]];
+      mainResponses.forEach(filter => filter?.connect(this._output));
+    } else if (model === 'comb') {
+      // The delay is one period of the cutoff; detune (key tracking, modulation) scales it exponentially
+      const comb = new Tone.FeedbackCombFilter({ context: this.context, resonance: MAX_COMB_FEEDBACK * resonance / 100 });
+      const scale = new Tone.Multiply({ context: this.context, value: 1 / COMB_DETUNE_RANGE });
+      const pitch = new Tone.WaveShaper({
+        context: this.context,
+        mapping: value => Math.pow(2, -value * COMB_DETUNE_RANGE / 1200),
+        length: 4096
+      });
+      const period = new Tone.Multiply({ context: this.context, value: 1 / this._frequency });
+      const mix = new Tone.Gain({ context: this.context, gain: 0.5 });
+      this._link(this.detune, scale);
+      scale.chain(pitch, period, comb.delayTime);
+      this._shaper.connect(mix);
+      this._shaper.chain(comb, mix);
+      this._sendToOutputs(mix);
+      this._model.stages.push(comb, scale, pitch, period, mix);
+      Object.assign(this._model, { comb, period });
+    } else if (model === 'formant') {
+      // Modulation shifts every formant together (detune); the vowel sets where they sit
+      this._model.formants = getVowelFormants(vowel).map(formant => {
+        const band = this._createBiquad('bandpass', { followCutoff: false, followResonance: false });
+        band.frequency.value = formant.frequency;
+        band.Q.value = formant.Q;
+        const level = new Tone.Gain({ context: this.context, gain: Tone.dbToGain(formant.gain) * FORMANT_MAKEUP });
+        this._shaper.chain(band, level);
+        this._sendToOutputs(level);
+        this._model.stages.push(level);
+        return { band, level };
+      });
+    } else {
+      const filter = new Tone.Filter({ context: this.context, type, rolloff: -slope });
+      ['frequency', 'detune', 'Q'].forEach(param => this._link(this[param], filter[param]));
+      this._shaper.connect(filter);
+      this._sendToOutputs(filter);
+      this._model.stages.push(filter);
+      this._model.filter = filter;
+    }
+  }
+
+  _disposeModel() {
+    if (!this._model) return;
+    this._shaper.disconnect();
+    this._model.links.forEach(([signal, param]) => signal.disconnect(param));
+    this._model.stages.forEach(stage => stage.dispose());
+    this._model = null;
+  }
+
+  dispose() {
+    this._disposeModel();
+    super.dispose();
+    [
+      this._shaper, this.frequency, this.detune, this.Q, this.envelope, this._envelopeAmount,
+      this._output, ...Object.values(this.outputs)
+    ].forEach(node => node.dispose());
+    return this;
+  }
+}
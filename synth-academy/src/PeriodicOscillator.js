@@ -0,0 +1,107 @@
+import * as Tone from 'tone';
+
+/**
+ * PeriodicOscillator - plays a custom wave given as Fourier coefficients
+ *
+ * Tone.Oscillator's custom type only takes partial amplitudes, so per-partial phases
+ * (from the harmonic editor) would be lost. This wraps a native oscillator with the
+ * full { real, imag } wave instead, and can swap the wave while it plays.
+ * It looks like a Tone.js oscillator to VoiceManager (frequency, detune, phase,
+ * volume, start/stop); like the native oscillator it plays once: start, then stop.
+ */
+export class PeriodicOscillator extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options
+   * @param {number} options.frequency - Frequency in Hz
+   * @param {{ real?: ArrayLike<number>, imag: ArrayLike<number> }} options.wave - Fourier coefficients (index 0 is DC)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'PeriodicOscillator';
+
+    this._wave = options.wave ?? null;
+    this._phase = 0;
+
+    this._oscillator = new Tone.ToneOscillatorNode({ context: this.context });
+    this.frequency = new Tone.Signal({ context: this.context, units: 'frequency', value: options.frequency ?? 440 });
+    this.detune = new Tone.Signal({ context: this.context, units: 'cents', value: 0 });
+    this._volume = new Tone.Volume({ context: this.context });
+    this.volume = this._volume.volume;
+
+    this.frequency.connect(this._oscillator.frequency);
+    this.detune.connect(this._oscillator.detune);
+    this._oscillator.connect(this._volume);
+
+    this.input = undefined;
+    this.output = this._volume;
+
+    this._applyWave();
+  }
+
+  /**
+   * Swap the wave (keeps playing, in phase)
+   * @param {{ real?: ArrayLike<number>, imag: ArrayLike<number> }} wave - Fourier coefficients
+   */
+  setWave(wave) {
+    this._wave = wave;
+    this._applyWave();
+  }
+
+  /**
+   * Start phase in degrees (rotates every partial, like Tone.Oscillator's phase)
+   */
+  get phase() {
+    return this._phase;
+  }
+
+  set phase(degrees) {
+    this._phase = degrees;
+    this._applyWave();
+  }
+
+  _applyWave() {
+    if (!this._wave?.imag || this._wave.imag.length < 2) {
+      this._oscillator.type = 'sine';
+      return;
+    }
+
+    // Shifting the start by `phase` moves partial n by n * phase
+    const shift = (this._phase * Math.PI) / 180;
+    const length = this._wave.imag.length;
+    const real = new Float32Array(length);
+    const imag = new Float32Array(length);
+    for (let n = 1; n < length; n++) {
+      const a = this._wave.real?.[n] ?? 0;
+      const b = this._wave.imag[n];
+      real[n] = a * Math.cos(n * shift) + b * Math.sin(n * shift);
+      imag[n] = b * Math.cos(n * shift) - a * Math.sin(n * shift);
+    }
+    this._oscillator.setPeriodicWave(this.context.createPeriodicWave(real, imag));
+  }
+
+  /**
+   * @param {number} time - Audio context time to start at
+   */
+  start(time) {
+    this._oscillator.start(time);
+    return this;
+  }
+
+  /**
+   * @param {number} time - Audio context time to stop at
+   */
+  stop(time) {
+    this._oscillator.stop(time);
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    // The native oscillator disposes itself once it has stopped
+    if (!this._oscillator.disposed) {
+      this._oscillator.dispose();
+    }
+    [this.frequency, this.detune, this._volume].forEach(node => node.dispose());
+    return this;
+  }
+}
@@ -0,0 +1,92 @@
+import * as Tone from 'tone';
+
+/**
+ * SamplePlayer - plays a sample repitched to a note, for SamplerNode voices
+ *
+ * The sample plays at its original speed at the root frequency; playback rate follows
+ * `frequency / rootFrequency`, so glide, FM and pitch modulation (on `detune`) work
+ * like they do on an oscillator. Like the native buffer source it wraps, it plays
+ * once: start, then stop.
+ */
+export class SamplePlayer extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options
+   * @param {Tone.ToneAudioBuffer} options.buffer - Decoded sample
+   * @param {number} options.frequency - Frequency of the note to play in Hz
+   * @param {number} options.rootFrequency - Frequency the sample plays at its original speed
+   * @param {number} options.startOffset - Where playback starts (0-1 of the sample)
+   * @param {boolean} options.loop - Loop between loopStart and loopEnd while the note is held
+   * @param {number} options.loopStart - Loop start (0-1 of the sample)
+   * @param {number} options.loopEnd - Loop end (0-1 of the sample)
+   */
+  constructor(options) {
+    super();
+    this.name = 'SamplePlayer';
+
+    this._buffer = options.buffer;
+    this._startOffset = options.startOffset ?? 0;
+
+    this._source = this.context.createBufferSource();
+    this._source.buffer = this._buffer.get();
+
+    this.frequency = new Tone.Signal({ context: this.context, units: 'frequency', value: options.frequency ?? 440 });
+    this._rate = new Tone.Multiply({ context: this.context, value: 1 / (options.rootFrequency ?? 440) });
+    this._playbackRate = new Tone.Param({ context: this.context, param: this._source.playbackRate, units: 'positive' });
+    this.detune = new Tone.Param({ context: this.context, param: this._source.detune, units: 'cents' });
+    this._volume = new Tone.Volume({ context: this.context });
+    this.volume = this._volume.volume;
+
+    this.frequency.chain(this._rate, this._playbackRate);
+    Tone.connect(this._source, this._volume);
+
+    this.input = undefined;
+    this.output = this._volume;
+
+    this.setLoop(options);
+  }
+
+  /**
+   * Retune the sample (the note keeps its frequency)
+   * @param {number} rootFrequency - Frequency the sample plays at its original speed
+   */
+  setRootFrequency(rootFrequency) {
+    this._rate.factor.rampTo(1 / rootFrequency, 0.05);
+  }
+
+  /**
+   * Change the loop while the note plays
+   * @param {{ loop: boolean, loopStart: number, loopEnd: number }} settings - Loop points as 0-1 of the sample
+   */
+  setLoop({ loop, loopStart, loopEnd }) {
+    const { duration } = this._buffer;
+    this._source.loop = Boolean(loop);
+    this._source.loopStart = (loopStart ?? 0) * duration;
+    this._source.loopEnd = (loopEnd ?? 1) * duration;
+  }
+
+  /**
+   * @param {number} time - Audio context time to start at
+   */
+  start(time) {
+    this._source.start(this.toSeconds(time), this._startOffset * this._buffer.duration);
+    this._started = true;
+    return this;
+  }
+
+  /**
+   * @param {number} time - Audio context time to stop at
+   */
+  stop(time) {
+    if (this._started) {
+      this._source.stop(this.toSeconds(time));
+    }
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    this._source.disconnect();
+    [this.frequency, this._rate, this._playbackRate, this.detune, this._volume].forEach(node => node.dispose());
+    return this;
+  }
+}
@@ -0,0 +1,126 @@
+import * as Tone from 'tone';
+
+// Processor module, emitted by Vite as a separate file
+const WORKLET_URL = new URL('./worklets/syncOscillator.worklet.js', import.meta.url);
+
+let workletPromise = null;
+let workletReady = false;
+
+/**
+ * Load the hard-sync processor into the audio context (once)
+ * Tone.js only ever loads one worklet module of its own, so this goes straight to the raw context
+ *
+ * @returns {Promise<void>}
+ */
+export function loadSyncOscillator() {
+  if (!workletPromise) {
+    workletPromise = Tone.getContext().rawContext.audioWorklet.addModule(WORKLET_URL.href)
+      .then(() => {
+        workletReady = true;
+      })
+      .catch((error) => {
+        console.warn('Failed to load sync oscillator worklet:', error);
+        workletPromise = null;
+      });
+  }
+  return workletPromise;
+}
+
+/**
+ * Whether SyncOscillators can be created yet
+ * @returns {boolean}
+ */
+export function isSyncOscillatorReady() {
+  return workletReady;
+}
+
+/**
+ * SyncOscillator - an oscillator whose phase restarts on every cycle of a master oscillator
+ *
+ * Web Audio oscillators can't be phase-reset, so this one runs in an AudioWorklet.
+ * It looks like a Tone.js oscillator to VoiceManager (frequency, detune, width, volume,
+ * start/stop); connect the master's frequency and detune to `masterFrequency` / `masterDetune`.
+ *
+ * Call loadSyncOscillator() (and wait for it) before creating one.
+ */
+export class SyncOscillator extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options
+   * @param {number} options.frequency - Frequency in Hz
+   * @param {string} options.type - 'sine', 'triangle', 'sawtooth', 'square' or 'pulse'
+   * @param {number} options.width - Pulse width (like Tone.PulseOscillator)
+   * @param {number} options.phase - Start phase in degrees
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'SyncOscillator';
+
+    this._type = options.type ?? 'sine';
+    this._worklet = this.context.createAudioWorkletNode('sync-oscillator', {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      processorOptions: { type: this._type, phase: ((options.phase ?? 0) / 360) % 1 }
+    });
+
+    const param = (name, units, value) => new Tone.Param({
+      context: this.context,
+      param: this._worklet.parameters.get(name),
+      units,
+      value
+    });
+
+    this.frequency = param('frequency', 'frequency', options.frequency ?? 440);
+    this.detune = param('detune', 'cents', 0);
+    this.masterFrequency = param('masterFrequency', 'frequency', options.frequency ?? 440);
+    this.masterDetune = param('masterDetune', 'cents', 0);
+    this.width = param('width', 'audioRange', options.width ?? 0);
+
+    // Silent until start(), so a voice can be built ahead of its note
+    this._gate = new Tone.Gain({ context: this.context, gain: 0 });
+    this._volume = new Tone.Volume({ context: this.context });
+    this.volume = this._volume.volume;
+
+    this._worklet.connect(this._gate.input);
+    this._gate.connect(this._volume);
+
+    this.input = undefined;
+    this.output = this._volume;
+  }
+
+  /**
+   * Waveform ('sine', 'triangle', 'sawtooth', 'square' or 'pulse')
+   */
+  get type() {
+    return this._type;
+  }
+
+  set type(type) {
+    this._type = type;
+    this._worklet.port.postMessage({ type });
+  }
+
+  /**
+   * @param {number} time - Audio context time to start at
+   */
+  start(time) {
+    this._gate.gain.setValueAtTime(1, this.toSeconds(time));
+    return this;
+  }
+
+  /**
+   * @param {number} time - Audio context time to stop at
+   */
+  stop(time) {
+    this._gate.gain.setValueAtTime(0, this.toSeconds(time));
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    this._worklet.port.postMessage({ dispose: true });
+    this._worklet.disconnect();
+    [this.frequency, this.detune, this.masterFrequency, this.masterDetune, this.width, this._gate, this._volume]
+      .forEach(node => node.dispose());
+    return this;
+  }
+}
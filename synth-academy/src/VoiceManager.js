@@ -1,5 +1,275 @@
 import * as Tone from 'tone';
 import { audioGraph } from './AudioGraph';
+import { DahdsrEnvelope } from './DahdsrEnvelope';
+import { getVelocityAttack, getVelocityLevel } from './velocity';
+import { pickMonoNote } from './voiceSettings';
+import { pickVoiceToSteal } from './voiceStealing';
+import { resolveEffectMode } from './effectModes';
+import { getEffectSettings } from './effectSettings';
+import { masterBus } from './MasterBus';
+import { SyncOscillator, isSyncOscillatorReady } from './SyncOscillator';
+import { WavetableOscillator } from './WavetableOscillator';
+import { PeriodicOscillator } from './PeriodicOscillator';
+import { SamplePlayer } from './SamplePlayer';
+import { MultimodeFilter } from './MultimodeFilter';
+import { ModulationLFO } from './ModulationLFO';
+import { getLoadedSample, getSamplerSettings } from './samples';
+import { getWavetableFrames, getWavetableSettings } from './wavetables';
+import { MODULATION_TARGETS } from './portRegistry';
+import { DEFAULT_PHASE_RESET, MAX_DELAY_TIME, getSyncedDelayTime, getSyncedFrequency } from './tempoSync';
+import {
+  applyVoiceParameter,
+  getUnisonDetune,
+  getUnisonPan,
+  getOscillatorVolume,
+  addLevelStage,
+  connectModulation,
+  connectOscModulation,
+  disposeModulation,
+  getVoiceNodeOutput,
+  setModulationAmount,
+  setVoiceNodeFrequency
+} from './parameterDispatch';
+
+// Voice node types whose pitch follows the played note
+const PITCHED_NODE_TYPES = [
+  'oscNode', 'sineOscNode', 'squareOscNode', 'sawtoothOscNode', 'triangleOscNode', 'pulseOscNode',
+  'wavetableOscNode', 'samplerNode'
+];
+
+// Effect (and TV) node types: shared canvas nodes unless they run per voice (see effectModes.js)
+const EFFECT_NODE_TYPES = [
+  'tvNode', 'chorusNode', 'reverbNode', 'delayNode', 'distortionNode', 'pitchShifterNode',
+  'phaserNode', 'vibratoNode', 'panNode', 'stereoWidthNode'
+];
+
+// Voice node types that generate sound and must be stopped when the voice ends
+const SOURCE_NODE_TYPES = [...PITCHED_NODE_TYPES, 'noiseOscNode'];
+
+// Seconds to fade oscillators out before stopping them (prevents clicks)
+const VOICE_FADE_TIME = 0.02;
+
+// Extra seconds after an envelope's release before the voice is disposed,
+// so the envelope has fully reached zero
+const RELEASE_TAIL = 0.1;
+
+/**
+ * Run a callback when the audio clock reaches a time (right away if it already has)
+ * Tone's context timeouts follow the audio clock, so they stay on time in background tabs.
+ * Tone.now() runs ahead of the audio by the context's lookAhead, so the delay is
+ * measured from currentTime: the callback runs when the scheduled sound is heard.
+ *
+ * @param {Function} callback - Callback to run
+ * @param {number} time - Audio context time
+ * @returns {number|undefined} ID for cancelAudioTimeout
+ */
+const scheduleAtAudioTime = (callback, time) => {
+  const delay = time - Tone.getContext().currentTime;
+  if (delay <= 0) {
+    callback();
+    return undefined;
+  }
+  return Tone.getContext().setTimeout(callback, delay);
+};
+
+/**
+ * Where a new LFO starts in its cycle (see LFO_PHASE_RESETS)
+ * Note-on LFOs start at the top; transport LFOs count cycles from when the transport
+ * started, free ones from when the audio context did
+ *
+ * @param {string} phaseReset - Key of LFO_PHASE_RESETS
+ * @param {number} rate - LFO frequency in Hz
+ * @param {number} time - Audio context time the LFO starts
+ * @returns {number} Phase in degrees
+ */
+const getLfoStartPhase = (phaseReset, rate, time) => {
+  if (phaseReset === 'note') {
+    return 0;
+  }
+  const elapsed = phaseReset === 'transport' ? Tone.Transport.getSecondsAtTime(time) : time;
+  return ((elapsed * rate) % 1) * 360;
+};
+
+/**
+ * Build one oscillator for a voice
+ * Oscillators with another oscillator wired into their sync input run as SyncOscillators;
+ * oscillators with a custom wave (harmonic editor or 2D pad) play it as a PeriodicOscillator
+ *
+ * @param {string} waveform - Oscillator type ('sine', 'sawtooth', 'pulse', ...)
+ * @param {number} frequency - Frequency in Hz
+ * @param {object} data - Oscillator node data
+ * @param {boolean} synced - Whether the oscillator is hard-synced to another
+ * @returns {object} Tone.js oscillator (or SyncOscillator)
+ */
+const createOscillator = (waveform, frequency, data, synced) => {
+  if (synced) {
+    if (isSyncOscillatorReady()) {
+      return new SyncOscillator({ frequency, type: waveform, width: data.pulseWidth || 0.5 });
+    }
+    console.warn('Sync oscillator is still loading - playing this note without sync');
+  }
+  if (waveform === 'pulse') {
+    return new Tone.PulseOscillator(frequency, data.pulseWidth || 0.5);
+  }
+  if (data.waveformData?.imag) {
+    return new PeriodicOscillator({ frequency, wave: data.waveformData });
+  }
+  return new Tone.Oscillator(frequency, waveform);
+};
+
+/**
+ * Oscillators whose sound reaches a voice node, directly or through envelopes, filters and effects
+ * Used to find the modulator oscillators behind an FM input
+ *
+ * @param {object} template - Voice template
+ * @param {Array<object>} voiceNodes - The voice's nodes (same order as template.nodes)
+ * @param {number} index - Voice node index to trace back from
+ * @param {Set<number>} visited - Indices already traced
+ * @returns {Array<object>} Oscillator voice nodes
+ */
+const getUpstreamOscillators = (template, voiceNodes, index, visited = new Set()) => {
+  if (visited.has(index)) return [];
+  visited.add(index);
+
+  if (PITCHED_NODE_TYPES.includes(voiceNodes[index]?.type)) {
+    return [voiceNodes[index]];
+  }
+  return template.connections
+    .filter(conn => conn.to === index && !conn.param && !conn.oscMod)
+    .flatMap(conn => getUpstreamOscillators(template, voiceNodes, conn.from, visited));
+};
+
+/**
+ * Whether a voice node's sound passes through a shared canvas node before reaching it
+ * A shared node carries every voice, so a per-voice copy after it would get the whole
+ * mix once per voice: filters and effects there use their canvas node too
+ *
+ * @param {object} template - Voice template
+ * @param {number} index - Template node index to trace back from
+ * @param {number} soundingVoices - Voices already sounding (see resolveEffectMode)
+ * @param {Set<number>} visited - Indices already traced
+ * @returns {boolean} Whether a shared node feeds it
+ */
+const isAfterSharedNode = (template, index, soundingVoices, visited = new Set()) => {
+  if (visited.has(index)) return false;
+  visited.add(index);
+
+  return template.connections
+    .filter(conn => conn.to === index && !conn.param && !conn.oscMod)
+    .some(conn => {
+      const source = template.nodes[conn.from];
+      if (EFFECT_NODE_TYPES.includes(source?.type) && resolveEffectMode(source, soundingVoices) === 'shared') {
+        return true;
+      }
+      return isAfterSharedNode(template, conn.from, soundingVoices, visited);
+    });
+};
+
+/**
+ * Build a Tone.js effect from an effect node's data
+ * Used for per-voice copies, and for shared effects whose canvas node isn't registered
+ *
+ * @param {string} type - Effect node type
+ * @param {object} data - Effect node data
+ * @returns {object} Tone.js effect
+ */
+const createEffect = (type, data) => {
+  const settings = getEffectSettings(type, data);
+  const bpm = Tone.Transport.bpm.value;
+
+  switch (type) {
+    case 'chorusNode':
+      return new Tone.Chorus({
+        frequency: getSyncedFrequency(settings, bpm, settings.frequency),
+        delayTime: settings.delayTime,
+        depth: settings.depth,
+        wet: settings.wet
+      }).start();
+
+    case 'reverbNode':
+      return new Tone.Reverb({
+        decay: settings.decay,
+        preDelay: settings.preDelay,
+        wet: settings.wet
+      });
+
+    case 'delayNode':
+      return new Tone.FeedbackDelay({
+        delayTime: getSyncedDelayTime(settings, bpm, settings.delayTime),
+        maxDelay: MAX_DELAY_TIME,
+        feedback: settings.feedback,
+        wet: settings.wet
+      });
+
+    case 'distortionNode':
+      return new Tone.Distortion({
+        distortion: settings.distortion,
+        oversample: settings.oversample,
+        wet: settings.wet
+      });
+
+    case 'pitchShifterNode':
+      return new Tone.PitchShift({
+        pitch: settings.pitch,
+        windowSize: settings.windowSize,
+        wet: settings.wet
+      });
+
+    case 'phaserNode':
+      return new Tone.Phaser({
+        frequency: getSyncedFrequency(settings, bpm, settings.frequency),
+        octaves: settings.octaves,
+        baseFrequency: settings.baseFrequency,
+        wet: settings.wet
+      });
+
+    case 'vibratoNode':
+      return new Tone.Vibrato({
+        frequency: settings.frequency,
+        depth: settings.depth,
+        wet: settings.wet
+      });
+
+    case 'panNode':
+      return new Tone.Panner(settings.pan);
+
+    case 'stereoWidthNode':
+      // Width is stored 0-2 (1 = unchanged); Tone's widener runs 0-1 (0.5 = unchanged)
+      return new Tone.StereoWidener(settings.width / 2);
+
+    case 'tvNode':
+      // TV Monitor: The component already registered the node, don't create a new one
+      // Just use a simple gain as fallback (shouldn't happen normally)
+      console.warn('TV node not found in AudioGraph, this should not happen');
+      return new Tone.Gain(1);
+  }
+};
+
+/**
+ * Seconds a per-voice effect keeps ringing after its input goes silent,
+ * so the voice isn't disposed in the middle of its echoes
+ *
+ * @param {object} node - Entry from voice.nodes
+ * @returns {number}
+ */
+const getEffectTail = (node) => {
+  if (node.isCanvasNode) return 0;
+
+  if (node.type === 'delayNode') {
+    // Repeats until the feedback has died away by 60 dB (at the synced time, if the delay is synced)
+    const settings = getEffectSettings('delayNode', node.data);
+    const delayTime = getSyncedDelayTime(settings, Tone.Transport.bpm.value, settings.delayTime);
+    const feedback = Math.min(settings.feedback, 0.95);
+    return feedback > 0 ? delayTime * (Math.log(0.001) / Math.log(feedback)) : delayTime;
+  }
+  return 0;
+};
+
+const cancelAudioTimeout = (id) => {
+  if (id !== undefined) {
+    Tone.getContext().clearTimeout(id);
+  }
+};
 
 /**
  * VoiceManager handles the creation and management of synthesizer voices.
@@ -22,8 +292,31 @@ class VoiceManager {
     // Voice counter for unique IDs
     this.voiceCounter = 0;
 
-    // Max simultaneous voices (prevents CPU overload)
-    this.maxVoices = 8;
+    // Voices in their release phase: voiceId -> voice (with its cleanupTimer)
+    // They still sound, so they count towards polyphony until they're disposed
+    this.releasingVoices = new Map();
+
+    // Max simultaneous voices across all templates (prevents CPU overload)
+    // Each template also has its own polyphony (template.polyphony)
+    this.maxVoices = 32;
+
+    // Voices stolen per template, for the voice-count telemetry
+    this.stolenVoiceCounts = new Map();
+
+    // Mono templates: templateId -> { heldNotes: [{ noteId, frequency, velocity }], voiceId, noteId }
+    // All controllers share one mono voice per template, like a hardware mono synth
+    this.monoStates = new Map();
+
+    // Held mono notes: noteId -> templateId (noteIds are handed out in place of voiceIds)
+    this.monoNotes = new Map();
+    this.monoNoteCounter = 0;
+
+    // Tempo-synced voice nodes follow the transport tempo,
+    // and LFOs set to retrigger on the transport start over with it
+    window.addEventListener('tempoChange', () => this.updateSyncedVoiceNodes());
+    Tone.Transport.on('start', (time) => {
+      this.activeVoices.forEach(voice => this.retriggerLfos(voice, 'transport', time));
+    });
   }
 
   /**
@@ -34,11 +327,17 @@ class VoiceManager {
    * @param {object} template - Template definition
    *   {
    *     nodes: [{ type: 'oscNode', data: {...} }, { type: 'filterNode', ... }],
-   *     connections: [{ from: nodeIndex, to: nodeIndex }]
+   *     connections: [{ from: nodeIndex, to: nodeIndex, param?, paramAmount? }]
    *   }
+   *   Modulation connections name the target param and their amount in its units (cents for detune)
    */
   registerVoiceTemplate(templateId, template) {
     console.log(`Registering voice template: ${templateId}`, template);
+    // Steal counts are per polyphony setting, so a new setting starts counting afresh
+    const previous = this.voiceTemplates.get(templateId);
+    if (JSON.stringify(previous?.polyphony) !== JSON.stringify(template.polyphony)) {
+      this.stolenVoiceCounts.delete(templateId);
+    }
     this.voiceTemplates.set(templateId, template);
   }
 
@@ -55,6 +354,7 @@ class VoiceManager {
     });
 
     this.voiceTemplates.delete(templateId);
+    this.stolenVoiceCounts.delete(templateId);
     console.log(`Unregistered voice template: ${templateId}`);
   }
 
@@ -81,9 +381,11 @@ class VoiceManager {
    * @param {string} templateId - Which template to use
    * @param {number} frequency - Note frequency (e.g., 440 Hz for A4)
    * @param {number} velocity - How hard the key was pressed (0-1)
+   * @param {number} time - Audio context time to start at (defaults to now);
+   *   sequencers pass the time their transport callback was given
    * @returns {string} voiceId - Unique ID for this voice instance
    */
-  startVoice(templateId, frequency, velocity = 1.0) {
+  startVoice(templateId, frequency, velocity = 1.0, time = Tone.now()) {
     // Check if we have this template
     const template = this.voiceTemplates.get(templateId);
     if (!template) {
@@ -91,10 +393,18 @@ class VoiceManager {
       return null;
     }
 
-    // Check voice limit
-    if (this.activeVoices.size >= this.maxVoices) {
-      console.warn('Max voices reached, stealing oldest voice');
-      this.stealOldestVoice();
+    // Make room: the template's own polyphony first, then the global CPU limit
+    const polyphony = template.polyphony || { maxVoices: this.maxVoices, stealMode: 'oldest' };
+    const templateVoiceToSteal = pickVoiceToSteal(this.getSoundingVoices(templateId), polyphony, frequency);
+    if (templateVoiceToSteal) {
+      this.stealVoice(templateVoiceToSteal, time);
+    }
+
+    // The global limit only steals once it's reached, and always the oldest voice: it sees every
+    // template's voices, so e.g. sameNote would take a layered template's voice for the same note
+    const allVoices = this.getSoundingVoices();
+    if (allVoices.length >= this.maxVoices) {
+      this.stealVoice(pickVoiceToSteal(allVoices, { maxVoices: this.maxVoices, stealMode: 'oldest' }, frequency), time);
     }
 
     // Create unique voice ID
@@ -103,7 +413,7 @@ class VoiceManager {
     console.log(`Starting voice ${voiceId} at ${frequency}Hz`);
 
     // Create voice instance
-    const voiceInstance = this.createVoiceInstance(template, frequency, velocity);
+    const voiceInstance = this.createVoiceInstance(templateId, template, frequency, velocity, time);
 
     // Store active voice
     this.activeVoices.set(voiceId, {
@@ -111,167 +421,373 @@ class VoiceManager {
       frequency,
       velocity,
       nodes: voiceInstance.nodes,
-      startTime: Tone.now(),
+      modulations: voiceInstance.modulations,
+      startTime: time,
     });
 
-    // Dispatch noteOn event for envelope animations
-    window.dispatchEvent(new Event('noteOn'));
+    // Dispatch noteOn event for envelope animations when the note is heard
+    scheduleAtAudioTime(() => window.dispatchEvent(new Event('noteOn')), time);
+    window.dispatchEvent(new Event('voiceCountChange'));
 
     return voiceId;
   }
 
+  /**
+   * Start one voice per template for the same note
+   * Used when a controller is wired to several OutputNodes (layered/split patches)
+   *
+   * Templates in mono mode don't start a new voice; the note joins the template's
+   * held notes and its mono voice glides to whichever note has priority.
+   *
+   * @param {Array<string>} templateIds - Templates to trigger
+   * @param {number} frequency - Note frequency
+   * @param {number} velocity - Note velocity (0-1)
+   * @param {number} time - Audio context time to start at (defaults to now)
+   * @returns {Array<string>} IDs to pass to stopVoices (voiceIds, or mono noteIds)
+   */
+  startVoices(templateIds, frequency, velocity = 1.0, time = Tone.now()) {
+    return templateIds
+      .map(templateId => {
+        const template = this.voiceTemplates.get(templateId);
+        if (template?.voiceSettings?.voiceMode === 'mono') {
+          return this.startMonoNote(templateId, frequency, velocity, time);
+        }
+        return this.startVoice(templateId, frequency, velocity, time);
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Stop several voices at once (the counterpart of startVoices)
+   *
+   * @param {Array<string>} voiceIds - IDs returned by startVoices
+   * @param {number} time - Audio context time to release at (defaults to now)
+   */
+  stopVoices(voiceIds, time = Tone.now()) {
+    voiceIds.forEach(voiceId => {
+      if (this.monoNotes.has(voiceId)) {
+        this.stopMonoNote(voiceId, time);
+      } else {
+        this.stopVoice(voiceId, time);
+      }
+    });
+  }
+
+  /**
+   * Hold a note on a mono template
+   *
+   * @param {string} templateId - Mono template
+   * @param {number} frequency - Note frequency
+   * @param {number} velocity - Note velocity (0-1)
+   * @param {number} time - Audio context time to play at
+   * @returns {string|null} noteId for stopVoices
+   */
+  startMonoNote(templateId, frequency, velocity, time) {
+    if (!this.voiceTemplates.has(templateId)) {
+      console.warn(`No voice template found: ${templateId}`);
+      return null;
+    }
+
+    if (!this.monoStates.has(templateId)) {
+      this.monoStates.set(templateId, { heldNotes: [], voiceId: null, noteId: null });
+    }
+    const state = this.monoStates.get(templateId);
+
+    const noteId = `mono-note-${this.monoNoteCounter++}`;
+    state.heldNotes.push({ noteId, frequency, velocity });
+    this.monoNotes.set(noteId, templateId);
+
+    this.updateMonoVoice(templateId, true, time);
+    return noteId;
+  }
+
+  /**
+   * Release a held mono note
+   * The voice falls back to the next held note, or stops when none are left
+   *
+   * Which note sounds depends on which keys are held at that moment, so a release
+   * scheduled ahead (by a sequencer) is applied when the audio clock reaches it.
+   *
+   * @param {string} noteId - ID returned by startMonoNote
+   * @param {number} time - Audio context time to release at
+   */
+  stopMonoNote(noteId, time) {
+    scheduleAtAudioTime(() => {
+      const templateId = this.monoNotes.get(noteId);
+      this.monoNotes.delete(noteId);
+
+      const state = this.monoStates.get(templateId);
+      if (!state) return;
+
+      state.heldNotes = state.heldNotes.filter(note => note.noteId !== noteId);
+      this.updateMonoVoice(templateId, false, Math.max(time, Tone.now()));
+    }, time);
+  }
+
+  /**
+   * Make a mono template's voice play its priority note
+   *
+   * @param {string} templateId - Mono template
+   * @param {boolean} isNoteOn - Whether a new key was just pressed (retriggers if enabled)
+   * @param {number} time - Audio context time of the change
+   */
+  updateMonoVoice(templateId, isNoteOn, time) {
+    const state = this.monoStates.get(templateId);
+    const { glideTime, notePriority, retrigger } = this.voiceTemplates.get(templateId)?.voiceSettings || {};
+    const note = pickMonoNote(state.heldNotes, notePriority);
+    const voice = state.voiceId && this.activeVoices.get(state.voiceId);
+
+    if (!note) {
+      // Last key released
+      if (voice) {
+        this.stopVoice(state.voiceId, time);
+      }
+      this.monoStates.delete(templateId);
+      return;
+    }
+
+    if (note.noteId === state.noteId && voice) {
+      return;
+    }
+
+    if (!voice) {
+      // Nothing sounding (first note, or the voice was stolen/rebuilt)
+      state.voiceId = this.startVoice(templateId, note.frequency, note.velocity, time);
+      state.noteId = note.noteId;
+      return;
+    }
+
+    // Legato: keep the voice and slide its oscillators to the new note
+    voice.frequency = note.frequency;
+    voice.nodes.forEach(node => {
+      if (PITCHED_NODE_TYPES.includes(node.type) && !node.isCanvasNode) {
+        setVoiceNodeFrequency(node, note.frequency, glideTime, time);
+      } else if (node.type === 'filterNode' && !node.isCanvasNode) {
+        // Key tracking follows the new note
+        node.audioNode.setNoteFrequency(note.frequency, time);
+      }
+    });
+
+    if (retrigger && isNoteOn) {
+      voice.velocity = note.velocity;
+      voice.nodes.forEach(node => {
+        if (node.type === 'envelopeNode' && node.audioNode.triggerAttack) {
+          node.audioNode.triggerAttack(time, getVelocityLevel(note.velocity, node.data.velocityAmount ?? 1));
+        }
+      });
+      this.retriggerLfos(voice, 'note', time);
+    }
+
+    state.noteId = note.noteId;
+  }
+
   /**
    * Stop a voice (triggered by piano key release)
+   * The voice keeps sounding through its release and is disposed afterwards
    *
    * @param {string} voiceId - Voice to stop
+   * @param {number} time - Audio context time to release at (defaults to now)
    */
-  stopVoice(voiceId) {
+  stopVoice(voiceId, time = Tone.now()) {
     const voice = this.activeVoices.get(voiceId);
     if (!voice) {
       console.warn(`Voice not found: ${voiceId}`);
       return;
     }
 
-    console.log(`Stopping voice ${voiceId}`);
+    if (voice.releaseTime !== undefined) {
+      // Already scheduled to release by then
+      if (voice.releaseTime <= time) return;
 
-    // Dispatch noteOff event for envelope animations
-    window.dispatchEvent(new Event('noteOff'));
+      // Released earlier than scheduled (e.g. the template changed mid-note)
+      cancelAudioTimeout(voice.releaseTimer);
+      cancelAudioTimeout(voice.cleanupTimer);
+    }
 
-    // Trigger release phase of envelopes BEFORE stopping
+    console.log(`Stopping voice ${voiceId}`);
+    voice.releaseTime = time;
+
+    // Trigger release phase of envelopes at the exact release time
     voice.nodes.forEach(node => {
       if (node.type === 'envelopeNode' && node.audioNode.triggerRelease) {
         console.log(`Triggering envelope release: R=${node.data.release}s`);
-        node.audioNode.triggerRelease();
+        node.audioNode.triggerRelease(time);
       }
     });
 
     // Get the longest release time to know when to cleanup
     let maxReleaseTime = 0;
+    let maxEffectTail = 0;
     voice.nodes.forEach(node => {
       if (node.type === 'envelopeNode' && node.data.release) {
         maxReleaseTime = Math.max(maxReleaseTime, node.data.release);
       }
+      maxEffectTail = Math.max(maxEffectTail, getEffectTail(node));
     });
 
-    // If no envelope, cleanup immediately; otherwise wait for release to finish
-    // Add extra 100ms buffer to ensure envelope fully completes and reaches zero
-    const cleanupDelay = maxReleaseTime > 0 ? (maxReleaseTime * 1000) + 100 : 0;
+    // Once released the voice is no longer held, but still sounds until the release finishes
+    voice.releaseTimer = scheduleAtAudioTime(() => {
+      if (!this.activeVoices.has(voiceId)) return;
+
+      this.activeVoices.delete(voiceId);
+      this.releasingVoices.set(voiceId, voice);
+
+      // Dispatch noteOff event for envelope animations
+      window.dispatchEvent(new Event('noteOff'));
+      window.dispatchEvent(new Event('voiceCountChange'));
+    }, time);
+
+    // If no envelope, cleanup at the release time; otherwise wait for the release
+    // (and any per-voice reverb/delay tail) to finish
+    const ringTime = maxReleaseTime + maxEffectTail;
+    const cleanupTime = ringTime > 0 ? time + ringTime + RELEASE_TAIL : time;
+    voice.cleanupTimer = scheduleAtAudioTime(() => this.disposeVoice(voiceId, cleanupTime), cleanupTime);
+  }
+
+  /**
+   * Steal a voice for a new note: skip its release and fade it out fast
+   *
+   * @param {string} voiceId - Held or releasing voice to steal
+   * @param {number} time - Audio context time the new note starts
+   */
+  stealVoice(voiceId, time) {
+    const voice = this.activeVoices.get(voiceId) || this.releasingVoices.get(voiceId);
+    if (!voice) {
+      return;
+    }
+
+    console.log(`Stealing voice ${voiceId}`);
+
+    cancelAudioTimeout(voice.releaseTimer);
+    cancelAudioTimeout(voice.cleanupTimer);
+    this.stolenVoiceCounts.set(voice.templateId, (this.stolenVoiceCounts.get(voice.templateId) || 0) + 1);
+    this.disposeVoice(voiceId, time);
+  }
+
+  /**
+   * Fade out and dispose a voice's nodes (shared canvas nodes are left alone)
+   *
+   * @param {string} voiceId - Held or releasing voice
+   * @param {number} time - Audio context time to start the fade at
+   */
+  disposeVoice(voiceId, time) {
+    const voice = this.activeVoices.get(voiceId) || this.releasingVoices.get(voiceId);
+    if (!voice) {
+      return;
+    }
 
-    // Remove from active voices immediately (don't wait for cleanup)
     this.activeVoices.delete(voiceId);
+    this.releasingVoices.delete(voiceId);
 
-    // Cleanup all nodes in this voice (after release completes)
-    setTimeout(() => {
-      voice.nodes.forEach(node => {
-        if (node.audioNode && !node.isCanvasNode) {
-          // Only cleanup nodes that belong to this voice (not shared canvas nodes)
-
-          // Stop oscillators (they need explicit stop call)
-          // Ramp volume to -Infinity before stopping to prevent clicks
-          if (node.type === 'oscNode' && node.audioNode.stop) {
-            try {
-              // Ramp oscillator volume to silent over 20ms
-              if (node.audioNode.volume) {
-                node.audioNode.volume.rampTo(-Infinity, 0.02);
-              }
-              // Schedule stop after ramp completes
-              setTimeout(() => {
-                try {
-                  node.audioNode.stop();
-                } catch (e) {
-                  // Ignore if already stopped
-                }
-              }, 25);
-            } catch (e) {
-              // Ignore if already stopped
-            }
-          }
+    // Only cleanup nodes that belong to this voice (not shared canvas nodes)
+    const voiceNodes = voice.nodes.filter(node => node.audioNode && !node.isCanvasNode);
 
-          // Stop dedicated oscillator types (including unison)
-          if ((node.type === 'pulseOscNode' || node.type === 'sineOscNode' ||
-               node.type === 'squareOscNode' || node.type === 'sawtoothOscNode' ||
-               node.type === 'triangleOscNode' || node.type === 'noiseOscNode')) {
-
-            // Check if this is a unison node (has multiple oscillators)
-            if (node.audioNode._unisonOscillators) {
-              node.audioNode._unisonOscillators.forEach(({ osc }) => {
-                try {
-                  if (osc.volume) {
-                    osc.volume.rampTo(-Infinity, 0.02);
-                  }
-                  setTimeout(() => {
-                    try {
-                      osc.stop();
-                      osc.disconnect();
-                      if (osc.dispose) osc.dispose();
-                    } catch (e) {
-                      // Ignore cleanup errors
-                    }
-                  }, 25);
-                } catch (e) {
-                  // Ignore if already stopped
-                }
-              });
-            } else if (node.audioNode.stop) {
-              // Single oscillator
-              try {
-                if (node.audioNode.volume) {
-                  node.audioNode.volume.rampTo(-Infinity, 0.02);
-                }
-                setTimeout(() => {
-                  try {
-                    node.audioNode.stop();
-                  } catch (e) {
-                    // Ignore if already stopped
-                  }
-                }, 25);
-              } catch (e) {
-                // Ignore if already stopped
-              }
-            }
-          }
+    // Cleanup callbacks run once their time has been heard; fade from the next schedulable moment
+    const fadeStart = Math.max(time, Tone.now());
 
-          // Disconnect and dispose everything after oscillators have stopped
-          // Wait 50ms to let oscillator volume ramp and stop complete
-          setTimeout(() => {
-            try {
-              // For filter envelopes, clean up the scaler too
-              if (node.type === 'envelopeNode' && node.audioNode._scaler) {
-                node.audioNode._scaler.disconnect();
-                if (node.audioNode._scaler.dispose) {
-                  node.audioNode._scaler.dispose();
-                }
-              }
-
-              node.audioNode.disconnect();
-              if (node.audioNode.dispose) {
-                node.audioNode.dispose();
-              }
-            } catch (e) {
-              // Ignore cleanup errors
-            }
-          }, 50);
+    // Oscillators (including unison stacks) need an explicit stop
+    // Ramp volume to -Infinity before stopping to prevent clicks
+    const sources = voiceNodes
+      .filter(node => SOURCE_NODE_TYPES.includes(node.type))
+      .flatMap(node => node.audioNode._unisonOscillators?.map(({ osc }) => osc) || [node.audioNode]);
+
+    sources.forEach(source => {
+      if (source.volume) {
+        source.volume.rampTo(-Infinity, VOICE_FADE_TIME, fadeStart);
+      }
+      source.stop(fadeStart + VOICE_FADE_TIME);
+    });
+
+    // Unison stacks pan each copy through its own panner
+    const panners = voiceNodes.flatMap(node =>
+      (node.audioNode._unisonOscillators || []).map(({ panner }) => panner).filter(Boolean)
+    );
+
+    // Disconnect and dispose everything once the oscillators have stopped
+    scheduleAtAudioTime(() => {
+      const levelStages = voiceNodes.map(node => node.audioNode._levelStage).filter(Boolean);
+      new Set([...sources, ...panners, ...levelStages, ...voiceNodes.map(node => node.audioNode)]).forEach(audioNode => {
+        audioNode.disconnect();
+        audioNode.dispose();
+      });
+
+      // Modulation scalers may feed shared canvas nodes, so always detach them
+      voice.modulations.forEach(disposeModulation);
+    }, fadeStart + VOICE_FADE_TIME * 2);
+
+    window.dispatchEvent(new Event('voiceCountChange'));
+  }
+
+  /**
+   * Voices of a template (or of every template) that are still sounding
+   *
+   * @param {string} [templateId] - Limit to one template
+   * @returns {Array<object>} { voiceId, startTime, frequency, level, releasing } for voice stealing
+   */
+  getSoundingVoices(templateId) {
+    const sounding = [];
+    [[this.activeVoices, false], [this.releasingVoices, true]].forEach(([voices, releasing]) => {
+      voices.forEach((voice, voiceId) => {
+        if (templateId && voice.templateId !== templateId) {
+          return;
         }
-        // For canvas nodes (filters/mixers), do NOTHING
-        // They stay connected and are shared across all voices
+        sounding.push({
+          voiceId,
+          startTime: voice.startTime,
+          frequency: voice.frequency,
+          level: this.getVoiceLevel(voice),
+          releasing
+        });
       });
-    }, cleanupDelay);
+    });
+    return sounding;
+  }
+
+  /**
+   * Current loudness of a voice (0-1): its volume envelope level, or its velocity
+   *
+   * @param {object} voice - Active or releasing voice
+   * @returns {number}
+   */
+  getVoiceLevel(voice) {
+    const volumeEnvelope = voice.nodes.find(node =>
+      node.type === 'envelopeNode' && node.modulationTarget === 'volume' && !node.isCanvasNode
+    );
+    return volumeEnvelope ? volumeEnvelope.audioNode.value : voice.velocity;
   }
 
   /**
    * Create a voice instance from a template
    * This creates actual Tone.js objects
    *
+   * @param {string} templateId - Template (OutputNode) ID - the voice plays out through this output
    * @param {object} template - Voice template
    * @param {number} frequency - Note frequency
    * @param {number} velocity - Note velocity
+   * @param {number} time - Audio context time the note starts
    * @returns {object} Voice instance with nodes
    */
-  createVoiceInstance(template, frequency, velocity) {
+  createVoiceInstance(templateId, template, frequency, velocity, time) {
     const voiceNodes = [];
 
+    // Amplitude follows velocity through the volume envelope's peak when there is one,
+    // otherwise through the oscillator level
+    const hasVolumeEnvelope = template.nodes.some(
+      node => node.type === 'envelopeNode' && node.modulationTarget === 'volume'
+    );
+    const oscillatorVelocity = hasVolumeEnvelope ? 1 : velocity;
+
+    // CPU guard for per-voice effects
+    const soundingVoiceCount = this.getSoundingVoices().length;
+
+    // Oscillators with something wired into their sync input
+    const syncedIndices = new Set(
+      template.connections.filter(conn => conn.oscMod === 'sync').map(conn => conn.to)
+    );
+
     // Create each node in the template
-    template.nodes.forEach((nodeTemplate) => {
+    template.nodes.forEach((nodeTemplate, nodeIndex) => {
+      const synced = syncedIndices.has(nodeIndex);
       let audioNode = null;
       let isCanvasNode = false;
 
@@ -287,33 +803,17 @@ class VoiceManager {
             adjustedFrequency = frequency * Math.pow(2, nodeTemplate.data.octaveOffset);
           }
 
-          audioNode = new Tone.Oscillator(adjustedFrequency, nodeTemplate.data.waveform || 'sine');
+          audioNode = createOscillator(nodeTemplate.data.waveform || 'sine', adjustedFrequency, nodeTemplate.data, synced);
 
           // Apply detune if specified (in cents, e.g., +10 or -5)
           if (nodeTemplate.data.detune) {
             audioNode.detune.value = nodeTemplate.data.detune;
           }
 
-          // Set custom waveform if provided
-          if (nodeTemplate.data.waveformData) {
-            setTimeout(() => {
-              try {
-                const real = new Float32Array(nodeTemplate.data.waveformData.real);
-                const imag = new Float32Array(nodeTemplate.data.waveformData.imag);
-                const wave = audioNode.context.createPeriodicWave(real, imag);
-                if (audioNode._oscillator) {
-                  audioNode._oscillator.setPeriodicWave(wave);
-                }
-              } catch (e) {
-                console.warn('Failed to set custom waveform:', e);
-              }
-            }, 10);
-          }
-
-          // Start oscillator with velocity-based volume
-          const volume = -20 + (velocity * 10); // -20dB to -10dB based on velocity
-          audioNode.volume.value = volume;
-          audioNode.start();
+          // Start oscillator with velocity-based volume (-20dB to -10dB) and the node's level
+          audioNode.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, 1);
+          audioNode._oscillatorVelocity = oscillatorVelocity;
+          audioNode.start(time);
           break;
 
         case 'pulseOscNode':
@@ -325,7 +825,8 @@ class VoiceManager {
 
           // Determine waveform from node type
           let dedicatedWaveform = 'sine';
-          if (nodeTemplate.type === 'squareOscNode') dedicatedWaveform = 'square';
+          if (nodeTemplate.type === 'pulseOscNode') dedicatedWaveform = 'pulse';
+          else if (nodeTemplate.type === 'squareOscNode') dedicatedWaveform = 'square';
           else if (nodeTemplate.type === 'sawtoothOscNode') dedicatedWaveform = 'sawtooth';
           else if (nodeTemplate.type === 'triangleOscNode') dedicatedWaveform = 'triangle';
           else if (nodeTemplate.type === 'sineOscNode') dedicatedWaveform = 'sine';
@@ -340,75 +841,90 @@ class VoiceManager {
           const unisonVoices = nodeTemplate.data.unisonVoices > 1
             ? nodeTemplate.data.unisonVoices
             : 1;
-          const unisonSpread = nodeTemplate.data.unisonSpread || 50; // Cents
 
           if (unisonVoices > 1) {
             // Create multiple oscillators for unison
-            const merger = new Tone.Gain(); // Mix all voices together in mono
+            const merger = new Tone.Gain(); // Mix all voices together (stereo)
             const oscillators = [];
 
             for (let i = 0; i < unisonVoices; i++) {
-              let osc;
-              if (nodeTemplate.type === 'pulseOscNode') {
-                osc = new Tone.PulseOscillator(
-                  dedicatedAdjustedFrequency,
-                  nodeTemplate.data.pulseWidth || 0.5
-                );
-              } else {
-                osc = new Tone.Oscillator(dedicatedAdjustedFrequency, dedicatedWaveform);
-              }
-
-              // Apply base detune (shifts ALL voices together)
-              if (nodeTemplate.data.detune) {
-                osc.detune.value = nodeTemplate.data.detune;
-              }
-
-              // Apply spread detune (spreads voices around center pitch)
+              const osc = createOscillator(dedicatedWaveform, dedicatedAdjustedFrequency, nodeTemplate.data, synced);
+
+              // Apply base detune plus spread detune (spreads voices around center pitch)
               // Each voice gets detuned by a different amount from center
-              if (unisonVoices > 1) {
-                const spreadOffset = ((i / (unisonVoices - 1)) - 0.5) * 2 * unisonSpread;
-                osc.detune.value += spreadOffset;
-              }
+              osc.detune.value = getUnisonDetune(nodeTemplate.data, i, unisonVoices);
 
-              // Calculate volume compensation (more voices = lower volume per voice)
-              const volumeCompensation = -3 * Math.log2(unisonVoices);
-              const dedicatedVolume = -20 + (velocity * 10) + volumeCompensation;
-              osc.volume.value = dedicatedVolume;
+              // Random start phases keep the copies from adding up in phase on the attack,
+              // so equal-power compensation (more voices = lower volume per voice) holds
+              osc.phase = Math.random() * 360;
+              osc.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, unisonVoices);
 
-              // Connect: oscillator -> merger (all in mono/center)
-              osc.connect(merger);
+              // Connect: oscillator -> panner -> merger (stereo spread fans the copies left/right)
+              const panner = new Tone.Panner(getUnisonPan(nodeTemplate.data, i, unisonVoices));
+              osc.connect(panner);
+              panner.connect(merger);
 
-              osc.start();
-              oscillators.push({ osc });
+              osc.start(time);
+              oscillators.push({ osc, panner });
             }
 
             // The merger becomes the audio node that connects to the next stage
             audioNode = merger;
             // Store oscillators for cleanup
             audioNode._unisonOscillators = oscillators;
+            audioNode._oscillatorVelocity = oscillatorVelocity;
 
           } else {
             // Single oscillator (no unison)
-            if (nodeTemplate.type === 'pulseOscNode') {
-              audioNode = new Tone.PulseOscillator(
-                dedicatedAdjustedFrequency,
-                nodeTemplate.data.pulseWidth || 0.5
-              );
-            } else {
-              audioNode = new Tone.Oscillator(dedicatedAdjustedFrequency, dedicatedWaveform);
-            }
+            audioNode = createOscillator(dedicatedWaveform, dedicatedAdjustedFrequency, nodeTemplate.data, synced);
 
             // Apply detune if specified
             if (nodeTemplate.data.detune) {
               audioNode.detune.value = nodeTemplate.data.detune;
             }
 
-            // Start oscillator with velocity-based volume
-            const dedicatedVolume = -20 + (velocity * 10);
-            audioNode.volume.value = dedicatedVolume;
-            audioNode.start();
+            // Start oscillator with velocity-based volume and the node's level
+            audioNode.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, 1);
+            audioNode._oscillatorVelocity = oscillatorVelocity;
+            audioNode.start(time);
+          }
+          break;
+
+        case 'wavetableOscNode': {
+          // WAVETABLE: a stack of waves morphed by its position (see WavetableOscillator)
+          const { position, warmth } = getWavetableSettings(nodeTemplate.data);
+          audioNode = new WavetableOscillator({
+            frequency: frequency * Math.pow(2, nodeTemplate.data.octaveOffset || 0),
+            position,
+            frames: getWavetableFrames(warmth)
+          });
+          audioNode.detune.value = nodeTemplate.data.detune || 0;
+          audioNode.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, 1);
+          audioNode._oscillatorVelocity = oscillatorVelocity;
+          audioNode.start(time);
+          break;
+        }
+
+        case 'samplerNode': {
+          // SAMPLER: the node's audio file, sped up or slowed down from its root note
+          const sample = getLoadedSample(nodeTemplate.data.sampleUrl);
+          if (!sample) {
+            console.warn('Sampler has no sample loaded yet - playing this note without it');
+            break;
           }
+          const { rootNote, ...samplerSettings } = getSamplerSettings(nodeTemplate.data);
+          audioNode = new SamplePlayer({
+            buffer: sample,
+            frequency: frequency * Math.pow(2, nodeTemplate.data.octaveOffset || 0),
+            rootFrequency: Tone.mtof(rootNote),
+            ...samplerSettings
+          });
+          audioNode.detune.value = nodeTemplate.data.detune || 0;
+          audioNode.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, 1);
+          audioNode._oscillatorVelocity = oscillatorVelocity;
+          audioNode.start(time);
           break;
+        }
 
         case 'noiseOscNode':
           // NOISE OSCILLATOR: Create new one for each voice
@@ -426,144 +942,80 @@ class VoiceManager {
             for (let i = 0; i < noiseUnisonVoices; i++) {
               const noiseOsc = new Tone.Noise('white');
 
-              // Calculate volume compensation
-              const volumeCompensation = -3 * Math.log2(noiseUnisonVoices);
-              const voiceVolume = -20 + (velocity * 10) + volumeCompensation;
-              noiseOsc.volume.value = voiceVolume;
+              // Noise copies are uncorrelated, so equal-power compensation applies directly
+              noiseOsc.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, noiseUnisonVoices);
 
-              noiseOsc.connect(noiseMerger);
-              noiseOsc.start();
-              noiseOscillators.push({ osc: noiseOsc });
+              const noisePanner = new Tone.Panner(getUnisonPan(nodeTemplate.data, i, noiseUnisonVoices));
+              noiseOsc.connect(noisePanner);
+              noisePanner.connect(noiseMerger);
+              noiseOsc.start(time);
+              noiseOscillators.push({ osc: noiseOsc, panner: noisePanner });
             }
 
             audioNode = noiseMerger;
             audioNode._unisonOscillators = noiseOscillators;
+            audioNode._oscillatorVelocity = oscillatorVelocity;
 
           } else {
             // Single noise generator
             audioNode = new Tone.Noise('white');
-            const noiseVolume = -20 + (velocity * 10);
-            audioNode.volume.value = noiseVolume;
-            audioNode.start();
+            audioNode.volume.value = getOscillatorVolume(nodeTemplate.data, oscillatorVelocity, 1);
+            audioNode._oscillatorVelocity = oscillatorVelocity;
+            audioNode.start(time);
           }
           break;
 
         case 'filterNode':
-          // FILTERS: Use canvas node (shared across all voices)
-          const canvasNodeId = nodeTemplate.canvasNodeId;
-          audioNode = audioGraph.getAudioNode(canvasNodeId);
-
-          // If canvas node not found, it might be from a collapsed group
-          // In that case, create a new node instance for this voice
-          if (!audioNode) {
-            console.log(`Canvas node not found: ${canvasNodeId}, creating new instance from template`);
+          // FILTERS: Every voice gets its own, so envelopes and key tracking follow each note
+          if (!isAfterSharedNode(template, nodeIndex, soundingVoiceCount)) {
+            audioNode = new MultimodeFilter({
+              ...nodeTemplate.data,
+              frequency: nodeTemplate.data.frequency || 1000,
+              noteFrequency: frequency
+            });
+            break;
+          }
 
-            audioNode = new Tone.Filter(
-              nodeTemplate.data.frequency || 1000,
-              nodeTemplate.data.type || 'lowpass'
-            );
+          // ...unless a shared effect comes first: then all voices share the canvas filter
+          audioNode = audioGraph.getAudioNode(nodeTemplate.canvasNodeId);
 
-            // Don't mark as canvas node since we created it for this voice
-            isCanvasNode = false;
-          } else {
-            isCanvasNode = true;
+          // If canvas node not found (e.g. from a collapsed group), create it and register it
+          if (!audioNode) {
+            console.log(`Filter canvas node not found: ${nodeTemplate.canvasNodeId}, creating new instance`);
+            audioNode = new MultimodeFilter({
+              ...nodeTemplate.data,
+              frequency: nodeTemplate.data.frequency || 1000
+            });
+            audioGraph.registerNode(nodeTemplate.canvasNodeId, audioNode);
           }
+          isCanvasNode = true;
           break;
 
         case 'envelopeNode':
-          // ENVELOPE: Create based on modulation target
+          // ENVELOPE: DAHDSR envelope, a VCA for volume or a 0-1 control signal for modulation
           const modulationTarget = nodeTemplate.modulationTarget;
+          const envelopeData = nodeTemplate.data;
 
-          // Convert curve values (-1 to 1) to Tone.js curve types
-          const getCurveType = (curveValue) => {
-            if (!curveValue || curveValue === 0) return 'linear';
-            if (curveValue > 0.5) return 'exponential';
-            if (curveValue > 0) return 'sine'; // Smooth exponential
-            if (curveValue < -0.5) return 'cosine'; // Sharp logarithmic
-            return 'linear'; // Close to 0
-          };
-
-          if (modulationTarget === 'volume') {
-            // Volume envelope - use AmplitudeEnvelope in signal chain
-            console.log('Raw nodeTemplate.data:', nodeTemplate.data);
-
-            const envelopeParams = {
-              attack: nodeTemplate.data.attack ?? 0.01,
-              attackCurve: getCurveType(nodeTemplate.data.attackCurve),
-              decay: nodeTemplate.data.decay ?? 0.1,
-              decayCurve: getCurveType(nodeTemplate.data.decayCurve),
-              sustain: nodeTemplate.data.sustain ?? 0.7,  // Use ?? instead of || so 0 is valid
-              release: nodeTemplate.data.release ?? 1.0,
-              releaseCurve: getCurveType(nodeTemplate.data.releaseCurve)
-            };
-
-            console.log('Creating AmplitudeEnvelope with params:', envelopeParams);
-            audioNode = new Tone.AmplitudeEnvelope(envelopeParams);
-
-            // Check the envelope's current value
-            console.log('Envelope created. Current value:', audioNode.value);
-            console.log('Envelope ADSR values:', {
-              attack: audioNode.attack,
-              decay: audioNode.decay,
-              sustain: audioNode.sustain,
-              release: audioNode.release
-            });
-
-            // CRITICAL: Check if sustain is actually a number or a Tone.Signal
-            console.log('Sustain type check:', typeof audioNode.sustain, audioNode.sustain);
-            if (audioNode.sustain && audioNode.sustain.value !== undefined) {
-              console.log('Sustain as Signal.value:', audioNode.sustain.value);
-            }
-
-            // Note: Tone.js doesn't support delay/hold in AmplitudeEnvelope
-            // We'll handle them manually if needed later
-
-          } else if (modulationTarget === 'filter') {
-            // Filter envelope - modulates filter cutoff frequency
-            // Use a Gain-like approach: create an Envelope that controls a multiplier
-            // The envelope output (0 to 1) will scale the filter's frequency parameter
-
-            audioNode = new Tone.Envelope({
-              attack: nodeTemplate.data.attack ?? 0.01,
-              attackCurve: getCurveType(nodeTemplate.data.attackCurve),
-              decay: nodeTemplate.data.decay ?? 0.1,
-              decayCurve: getCurveType(nodeTemplate.data.decayCurve),
-              sustain: nodeTemplate.data.sustain ?? 0.7,
-              release: nodeTemplate.data.release ?? 1.0,
-              releaseCurve: getCurveType(nodeTemplate.data.releaseCurve)
-            });
-
-            // Store a reference to indicate this is a filter envelope
-            audioNode._isFilterEnvelope = true;
-
-          } else if (modulationTarget === 'pitch') {
-            // Pitch envelope - modulates oscillator frequency
-            // Use a regular Envelope that outputs 0-1, will be scaled later
-            console.log('Creating PITCH envelope with params:', nodeTemplate.data);
-            audioNode = new Tone.Envelope({
-              attack: nodeTemplate.data.attack ?? 0.01,
-              attackCurve: getCurveType(nodeTemplate.data.attackCurve),
-              decay: nodeTemplate.data.decay ?? 0.1,
-              decayCurve: getCurveType(nodeTemplate.data.decayCurve),
-              sustain: nodeTemplate.data.sustain ?? 0.7,
-              release: nodeTemplate.data.release ?? 1.0,
-              releaseCurve: getCurveType(nodeTemplate.data.releaseCurve)
-            });
-
-            // Store a reference to indicate this is a pitch envelope
-            audioNode._isPitchEnvelope = true;
-            console.log('Created pitch envelope:', audioNode);
-
-          } else {
-            console.warn(`Envelope with unknown modulation target: ${modulationTarget}`);
+          if (modulationTarget !== 'volume' && !MODULATION_TARGETS.includes(modulationTarget)) {
             // Default to amplitude envelope
-            audioNode = new Tone.AmplitudeEnvelope({
-              attack: nodeTemplate.data.attack ?? 0.01,
-              decay: nodeTemplate.data.decay ?? 0.1,
-              sustain: nodeTemplate.data.sustain ?? 0.7,
-              release: nodeTemplate.data.release ?? 1.0
-            });
+            console.warn(`Envelope with unknown modulation target: ${modulationTarget}`);
           }
+
+          audioNode = new DahdsrEnvelope({
+            // Anything driving a mod input is a 0-1 control signal rather than a VCA
+            amplitude: !MODULATION_TARGETS.includes(modulationTarget),
+            delay: envelopeData.delay ?? 0,
+            // Harder notes can shorten the attack
+            attack: getVelocityAttack(envelopeData.attack ?? 0.01, velocity, envelopeData.velocityAttack ?? 0),
+            hold: envelopeData.hold ?? 0,
+            decay: envelopeData.decay ?? 0.1,
+            sustain: envelopeData.sustain ?? 0.7,  // Use ?? instead of || so 0 is valid
+            release: envelopeData.release ?? 1.0,
+            attackCurve: envelopeData.attackCurve ?? 0,
+            decayCurve: envelopeData.decayCurve ?? 0,
+            releaseCurve: envelopeData.releaseCurve ?? 0
+          });
+          console.log(`Created ${modulationTarget} DAHDSR envelope:`, envelopeData);
           break;
 
         case 'lfoNode':
@@ -573,41 +1025,26 @@ class VoiceManager {
           const lfoFrequency = nodeTemplate.data.frequency || 5;
           const lfoDepth = nodeTemplate.data.depth || 0.5;
           const lfoDelay = nodeTemplate.data.delay || 0;
-          const lfoSmoothness = nodeTemplate.data.smoothness || 0.5;
+          const lfoSmoothness = nodeTemplate.data.smoothness ?? 0.5;
 
-          if (lfoModTarget === 'pitch' || lfoModTarget === 'filter') {
+          if (MODULATION_TARGETS.includes(lfoModTarget)) {
             // Create an LFO for modulation
-            if (lfoWaveform === 'random') {
-              // Use Tone.Noise with low-pass filter for random LFO
-              audioNode = new Tone.Noise('pink');
-              audioNode._isLFO = true;
-              audioNode._lfoWaveform = lfoWaveform;
-              audioNode._lfoFrequency = lfoFrequency;
-              audioNode._lfoDepth = lfoDepth;
-              audioNode._lfoDelay = lfoDelay;
-              audioNode._lfoSmoothness = lfoSmoothness;
-              audioNode._lfoModTarget = lfoModTarget;
-            } else {
-              // Use Tone.LFO for standard waveforms
-              audioNode = new Tone.LFO({
-                frequency: lfoFrequency,
-                type: lfoWaveform,
-                min: 0,
-                max: 1,
-                phase: 0
-              });
-              audioNode._isLFO = true;
-              audioNode._lfoDepth = lfoDepth;
-              audioNode._lfoDelay = lfoDelay;
-              audioNode._lfoModTarget = lfoModTarget;
-
-              // Start the LFO after delay
-              if (lfoDelay > 0) {
-                audioNode.start(`+${lfoDelay}`);
-              } else {
-                audioNode.start();
-              }
-            }
+            const lfoRate = getSyncedFrequency(nodeTemplate.data, Tone.Transport.bpm.value, lfoFrequency);
+            const lfoPhaseReset = nodeTemplate.data.phaseReset || DEFAULT_PHASE_RESET;
+            // Bipolar output - the edge amount sets how far above and below the target it swings
+            audioNode = new ModulationLFO({
+              frequency: lfoRate,
+              waveform: lfoWaveform,
+              smoothness: lfoSmoothness,
+              phase: getLfoStartPhase(lfoPhaseReset, lfoRate, time)
+            });
+            audioNode._isLFO = true;
+            audioNode._lfoDepth = lfoDepth;
+            audioNode._lfoDelay = lfoDelay;
+            audioNode._lfoModTarget = lfoModTarget;
+
+            // Runs from the note, fading in over the delay
+            audioNode.start(time, lfoDelay);
             console.log(`Created LFO for ${lfoModTarget} modulation:`, audioNode);
           } else {
             console.warn(`LFO with unknown modulation target: ${lfoModTarget}`);
@@ -622,7 +1059,18 @@ class VoiceManager {
         case 'pitchShifterNode':
         case 'phaserNode':
         case 'vibratoNode':
-          // EFFECTS & TV: Use canvas node (shared across all voices, like filters)
+        case 'panNode':
+        case 'stereoWidthNode':
+          // Per-voice effects get their own copy in every voice (see effectModes.js),
+          // unless a shared node comes first (see isAfterSharedNode)
+          if (resolveEffectMode(nodeTemplate, soundingVoiceCount) === 'perVoice' &&
+            !isAfterSharedNode(template, nodeIndex, soundingVoiceCount)) {
+            audioNode = createEffect(nodeTemplate.type, nodeTemplate.data);
+            isCanvasNode = false;
+            break;
+          }
+
+          // EFFECTS & TV: Use canvas node (shared across all voices)
           const effectCanvasNodeId = nodeTemplate.canvasNodeId;
           audioNode = audioGraph.getAudioNode(effectCanvasNodeId);
 
@@ -630,72 +1078,7 @@ class VoiceManager {
           if (!audioNode) {
             console.log(`Effect canvas node not found: ${effectCanvasNodeId}, creating new instance`);
 
-            switch (nodeTemplate.type) {
-              case 'chorusNode':
-                audioNode = new Tone.Chorus({
-                  frequency: nodeTemplate.data.frequency || 1.5,
-                  delayTime: nodeTemplate.data.delayTime || 3.5,
-                  depth: nodeTemplate.data.depth || 0.7,
-                  wet: nodeTemplate.data.wet || 0.5
-                }).start();
-                break;
-
-              case 'reverbNode':
-                audioNode = new Tone.Reverb({
-                  decay: nodeTemplate.data.decay || 1.5,
-                  preDelay: nodeTemplate.data.preDelay || 0.01,
-                  wet: nodeTemplate.data.wet || 0.3
-                });
-                break;
-
-              case 'delayNode':
-                audioNode = new Tone.FeedbackDelay({
-                  delayTime: nodeTemplate.data.delayTime || 0.25,
-                  feedback: nodeTemplate.data.feedback || 0.5,
-                  wet: nodeTemplate.data.wet || 0.5
-                });
-                break;
-
-              case 'distortionNode':
-                audioNode = new Tone.Distortion({
-                  distortion: nodeTemplate.data.distortion || 0.5,
-                  oversample: nodeTemplate.data.oversample || 'none',
-                  wet: nodeTemplate.data.wet || 1
-                });
-                break;
-
-              case 'pitchShifterNode':
-                audioNode = new Tone.PitchShift({
-                  pitch: nodeTemplate.data.pitch || 0,
-                  windowSize: nodeTemplate.data.windowSize || 0.1,
-                  wet: nodeTemplate.data.wet || 1
-                });
-                break;
-
-              case 'phaserNode':
-                audioNode = new Tone.Phaser({
-                  frequency: nodeTemplate.data.frequency || 0.5,
-                  octaves: nodeTemplate.data.octaves || 3,
-                  baseFrequency: nodeTemplate.data.baseFrequency || 350,
-                  wet: nodeTemplate.data.wet || 0.5
-                });
-                break;
-
-              case 'vibratoNode':
-                audioNode = new Tone.Vibrato({
-                  frequency: nodeTemplate.data.frequency || 5,
-                  depth: nodeTemplate.data.depth || 0.1,
-                  wet: nodeTemplate.data.wet || 1
-                });
-                break;
-
-              case 'tvNode':
-                // TV Monitor: The component already registered the node, don't create a new one
-                // Just use a simple gain as fallback (shouldn't happen normally)
-                console.warn('TV node not found in AudioGraph, this should not happen');
-                audioNode = new Tone.Gain(1);
-                break;
-            }
+            audioNode = createEffect(nodeTemplate.type, nodeTemplate.data);
 
             // Register the effect as a canvas node so all voices share it
             audioGraph.registerNode(effectCanvasNodeId, audioNode);
@@ -723,92 +1106,64 @@ class VoiceManager {
       });
     });
 
+    // Modulation scalers by template connection index, so edge amounts can be changed live
+    // (osc mod routes are kept here too, so they're disposed with the voice)
+    const modulations = new Map();
+
+    // Nodes with their level modulated get a level stage for it to drive, before anything
+    // is connected to their output (AM below goes after it)
+    new Set(template.connections.filter(conn => conn.param === 'level').map(conn => voiceNodes[conn.to]))
+      .forEach(node => {
+        if (node?.audioNode && !node.isCanvasNode) {
+          addLevelStage(node);
+        }
+      });
+
+    // Oscillator-to-oscillator modulation first: AM gives the carrier a new output
+    // that its audio connections below must use. AM before FM/sync, so an AM'd
+    // oscillator used as a modulator passes on its AM'd sound
+    const oscModOrder = { am: 0, fm: 1, sync: 1 };
+    template.connections
+      .map((conn, connectionIndex) => ({ conn, connectionIndex }))
+      .filter(({ conn }) => conn.oscMod)
+      .sort((a, b) => oscModOrder[a.conn.oscMod] - oscModOrder[b.conn.oscMod])
+      .forEach(({ conn, connectionIndex }) => {
+        const sourceNode = voiceNodes[conn.from];
+        const targetNode = voiceNodes[conn.to];
+        if (!sourceNode?.audioNode || !targetNode?.audioNode) return;
+
+        const modulators = getUpstreamOscillators(template, voiceNodes, conn.from);
+        const route = connectOscModulation(conn.oscMod, sourceNode, targetNode, modulators, frequency);
+        if (route) {
+          modulations.set(connectionIndex, route);
+          console.log(`✓ Connected ${sourceNode.type} → ${targetNode.type} (${conn.oscMod})`);
+        } else {
+          console.warn(`Could not connect ${sourceNode.type} to ${targetNode.type} ${conn.oscMod} input`);
+        }
+      });
+
     // Connect nodes according to template connections
-    template.connections.forEach(conn => {
+    template.connections.forEach((conn, connectionIndex) => {
       const sourceNode = voiceNodes[conn.from];
       const targetNode = voiceNodes[conn.to];
 
-      if (sourceNode?.audioNode && targetNode?.audioNode) {
-        // Special case: Filter envelope modulation
-        if (sourceNode.type === 'envelopeNode' && sourceNode.modulationTarget === 'filter') {
-          // Connect envelope to filter's frequency parameter
-          // The envelope outputs 0-1, which will modulate the filter cutoff
-          if (targetNode.audioNode.frequency) {
-            // Create a Scale node to convert envelope (0-1) to frequency range (50 Hz to 10000 Hz)
-            const scaler = new Tone.Scale(50, 10000);
-            sourceNode.audioNode.connect(scaler);
-            scaler.connect(targetNode.audioNode.frequency);
-
-            // Store scaler for cleanup
-            sourceNode.audioNode._scaler = scaler;
-
-            console.log('✓ Connected filter envelope to filter frequency (50-10000 Hz)');
-          }
-        } else if (sourceNode.type === 'envelopeNode' && sourceNode.modulationTarget === 'pitch') {
-          // Special case: Pitch envelope modulation
-          // Connect envelope to oscillator's frequency parameter
-          console.log('Attempting to connect pitch envelope to oscillator');
-          console.log('Source envelope:', sourceNode.audioNode);
-          console.log('Target oscillator:', targetNode.audioNode);
-
-          if (targetNode.audioNode.frequency) {
-            // Get the oscillator's base frequency
-            const baseFreq = targetNode.audioNode.frequency.value;
-            console.log('Base frequency:', baseFreq);
-
-            // Create a Scale node to convert envelope (0-1) to frequency multiplier
-            // 0 = base frequency, 0.5 = base frequency, 1 = 2 octaves up (4x frequency)
-            // This means the envelope sweeps from base freq to +2 octaves
-            const scaler = new Tone.Scale(baseFreq, baseFreq * 4);
-            console.log('Created scaler:', scaler, 'Range:', baseFreq, 'to', baseFreq * 4);
-
-            sourceNode.audioNode.connect(scaler);
-            scaler.connect(targetNode.audioNode.frequency);
-            console.log('Connected envelope → scaler → oscillator.frequency');
-
-            // Store scaler for cleanup
-            sourceNode.audioNode._scaler = scaler;
-
-            console.log(`✓ Connected pitch envelope to oscillator frequency (${baseFreq}Hz to ${baseFreq * 4}Hz)`);
+      if (sourceNode?.audioNode && targetNode?.audioNode && !conn.oscMod) {
+        const isModulation = (sourceNode.type === 'envelopeNode' || sourceNode.type === 'lfoNode') &&
+          sourceNode.modulationTarget && sourceNode.modulationTarget !== 'volume';
+
+        if (isModulation) {
+          // Envelope (0 to 1) or LFO (-1 to 1) scaled to the edge amount and summed into the
+          // target's param (detune for pitch/cutoff), so it moves relative to the target's base value
+          const depth = sourceNode.type === 'lfoNode' ? sourceNode.audioNode._lfoDepth ?? 0.5 : 1;
+          const scaler = conn.param &&
+            connectModulation(sourceNode.audioNode, targetNode.audioNode, conn.param, conn.paramAmount ?? 0, depth);
+
+          if (scaler) {
+            modulations.set(connectionIndex, scaler);
+            sourceNode.audioNode._scalers = [...(sourceNode.audioNode._scalers || []), scaler];
+            console.log(`✓ Connected ${sourceNode.type} to ${targetNode.type}.${conn.param} (amount: ${conn.paramAmount}, depth: ${depth})`);
           } else {
-            console.warn('Target oscillator has no frequency parameter!');
-          }
-        } else if (sourceNode.type === 'lfoNode' && sourceNode.modulationTarget === 'filter') {
-          // Special case: LFO modulating filter
-          if (targetNode.audioNode.frequency) {
-            // Create a Scale node to convert LFO (0-1) to frequency range
-            // Scale the range based on depth parameter
-            const depth = sourceNode.audioNode._lfoDepth || 0.5;
-            const minFreq = 50;
-            const maxFreq = 50 + (10000 - 50) * depth;
-
-            const scaler = new Tone.Scale(minFreq, maxFreq);
-            sourceNode.audioNode.connect(scaler);
-            scaler.connect(targetNode.audioNode.frequency);
-
-            // Store scaler for cleanup
-            sourceNode.audioNode._scaler = scaler;
-
-            console.log(`✓ Connected LFO to filter frequency (${minFreq}-${maxFreq} Hz, depth: ${depth})`);
-          }
-        } else if (sourceNode.type === 'lfoNode' && sourceNode.modulationTarget === 'pitch') {
-          // Special case: LFO modulating pitch
-          if (targetNode.audioNode.frequency) {
-            const baseFreq = targetNode.audioNode.frequency.value;
-            const depth = sourceNode.audioNode._lfoDepth || 0.5;
-
-            // Scale based on depth - 0 depth = no modulation, 1 depth = ±2 octaves
-            const minFreq = baseFreq / Math.pow(2, depth);
-            const maxFreq = baseFreq * Math.pow(2, depth);
-
-            const scaler = new Tone.Scale(minFreq, maxFreq);
-            sourceNode.audioNode.connect(scaler);
-            scaler.connect(targetNode.audioNode.frequency);
-
-            // Store scaler for cleanup
-            sourceNode.audioNode._scaler = scaler;
-
-            console.log(`✓ Connected LFO to oscillator pitch (${minFreq.toFixed(2)}-${maxFreq.toFixed(2)} Hz, depth: ${depth})`);
+            console.warn(`${targetNode.type} has no ${conn.param} parameter to modulate`);
           }
         } else {
           // Normal audio connection
@@ -816,7 +1171,7 @@ class VoiceManager {
           console.log(`  Source audioNode:`, sourceNode.audioNode);
           console.log(`  Target audioNode:`, targetNode.audioNode);
 
-          sourceNode.audioNode.connect(targetNode.audioNode);
+          getVoiceNodeOutput(sourceNode, conn.output).connect(targetNode.audioNode);
           console.log(`✓ Connected ${sourceNode.type} → ${targetNode.type}${sourceNode.type === 'envelopeNode' ? ' (volume envelope in audio path)' : ''}`);
 
           // Extra logging for envelope connections
@@ -844,14 +1199,15 @@ class VoiceManager {
     voiceNodes.forEach(node => {
       if (node.type === 'envelopeNode' && node.audioNode.triggerAttack) {
         console.log(`Triggering envelope attack:`);
-        console.log(`  From node.data: A=${node.data.attack}s D=${node.data.decay}s S=${node.data.sustain} R=${node.data.release}s`);
-        console.log(`  Actual envelope: A=${node.audioNode.attack} D=${node.audioNode.decay} S=${node.audioNode.sustain} R=${node.audioNode.release}`);
-        node.audioNode.triggerAttack();
+        console.log(`  From node.data: Delay=${node.data.delay ?? 0}s A=${node.data.attack}s H=${node.data.hold ?? 0}s D=${node.data.decay}s S=${node.data.sustain} R=${node.data.release}s`);
+        console.log(`  Actual envelope: Delay=${node.audioNode.delay} A=${node.audioNode.attack} H=${node.audioNode.hold} D=${node.audioNode.decay} S=${node.audioNode.sustain} R=${node.audioNode.release}`);
+        // The envelope's peak (amplitude or modulation amount) follows velocity
+        node.audioNode.triggerAttack(time, getVelocityLevel(velocity, node.data.velocityAmount ?? 1));
       }
     });
 
-    // Connect all leaf nodes (nodes with no outgoing connections) to destination
-    // This handles parallel oscillators correctly
+    // Connect all leaf nodes (nodes with no outgoing connections) to the template's OutputNode,
+    // which sums into the master bus. This handles parallel oscillators correctly
     const nodeIndicesWithOutgoingConnections = new Set();
 
     // Mark all node indices that have outgoing audio connections
@@ -863,35 +1219,33 @@ class VoiceManager {
     console.log('Node indices with outgoing connections:', Array.from(nodeIndicesWithOutgoingConnections));
     console.log('Total voiceNodes:', voiceNodes.length);
 
-    // Connect all leaf nodes to destination
+    // Connect all leaf nodes to the output
+    const output = masterBus.getOutputInput(templateId);
     let leafNodesConnected = 0;
     const connectedCanvasNodes = new Set(); // Track which canvas nodes we've already connected
 
     voiceNodes.forEach((node, index) => {
       const hasOutgoingConnection = nodeIndicesWithOutgoingConnections.has(index);
-      const isModulator = (
-        (node.type === 'envelopeNode' && (node.modulationTarget === 'filter' || node.modulationTarget === 'pitch')) ||
-        (node.type === 'lfoNode' && (node.modulationTarget === 'filter' || node.modulationTarget === 'pitch'))
-      );
+      const isModulator = Boolean(node.modulationTarget) && node.modulationTarget !== 'volume';
 
       console.log(`Node ${index} (${node.type}): hasOutgoing=${hasOutgoingConnection}, isModulator=${isModulator}, isCanvasNode=${node.isCanvasNode}`);
 
       if (!hasOutgoingConnection && !isModulator && node.audioNode) {
-        // This is a leaf node that produces audio - connect it to destination
-        console.log(`⚠️ CONNECTING LEAF NODE TO DESTINATION: ${node.type} (index ${index})`);
+        // This is a leaf node that produces audio - connect it to the output
+        console.log(`⚠️ CONNECTING LEAF NODE TO OUTPUT: ${node.type} (index ${index})`);
 
         // For canvas nodes (shared effects/filters), only connect once
         if (node.isCanvasNode) {
           if (!connectedCanvasNodes.has(node.nodeId)) {
-            node.audioNode.toDestination();
+            getVoiceNodeOutput(node).connect(output);
             connectedCanvasNodes.add(node.nodeId);
-            console.log(`✓ Connected canvas leaf node ${node.type} (${node.nodeId}) to destination`);
+            console.log(`✓ Connected canvas leaf node ${node.type} (${node.nodeId}) to output`);
             leafNodesConnected++;
           }
         } else {
           // For voice-specific nodes (oscillators, envelopes), connect each instance
-          node.audioNode.toDestination();
-          console.log(`✓ Connected voice leaf node ${node.type} (index ${index}) to destination`);
+          getVoiceNodeOutput(node).connect(output);
+          console.log(`✓ Connected voice leaf node ${node.type} (index ${index}) to output`);
           leafNodesConnected++;
         }
       } else {
@@ -899,29 +1253,9 @@ class VoiceManager {
       }
     });
 
-    console.log(`Total leaf nodes connected to destination: ${leafNodesConnected}`);
-
-    return { nodes: voiceNodes };
-  }
+    console.log(`Total leaf nodes connected to output: ${leafNodesConnected}`);
 
-  /**
-   * Steal (stop) the oldest active voice
-   * Used when max voices is reached
-   */
-  stealOldestVoice() {
-    let oldestVoiceId = null;
-    let oldestTime = Infinity;
-
-    this.activeVoices.forEach((voice, voiceId) => {
-      if (voice.startTime < oldestTime) {
-        oldestTime = voice.startTime;
-        oldestVoiceId = voiceId;
-      }
-    });
-
-    if (oldestVoiceId) {
-      this.stopVoice(oldestVoiceId);
-    }
+    return { nodes: voiceNodes, modulations };
   }
 
   /**
@@ -930,6 +1264,8 @@ class VoiceManager {
   stopAllVoices() {
     const voiceIds = Array.from(this.activeVoices.keys());
     voiceIds.forEach(voiceId => this.stopVoice(voiceId));
+    this.monoStates.clear();
+    this.monoNotes.clear();
   }
 
   /**
@@ -940,15 +1276,32 @@ class VoiceManager {
   }
 
   /**
-   * Update a parameter on all active voices using a specific template
+   * Voice-count telemetry for one template (shown on its OutputNode)
+   *
+   * @param {string} templateId - Template (OutputNode) ID
+   * @returns {{held: number, releasing: number, maxVoices: number, stolen: number}}
+   */
+  getVoiceStats(templateId) {
+    const voices = this.getSoundingVoices(templateId);
+    return {
+      held: voices.filter(voice => !voice.releasing).length,
+      releasing: voices.filter(voice => voice.releasing).length,
+      maxVoices: this.voiceTemplates.get(templateId)?.polyphony?.maxVoices ?? this.maxVoices,
+      stolen: this.stolenVoiceCounts.get(templateId) || 0
+    };
+  }
+
+  /**
+   * Update a parameter on every active voice built from a specific canvas node
    * This enables live parameter control during playback
    *
    * @param {string} templateId - Template ID to target
+   * @param {string} nodeId - Canvas node ID whose per-voice copies should change
    * @param {string} nodeType - Type of node to update (e.g., 'filterNode')
-   * @param {string} paramName - Parameter name (e.g., 'frequency', 'type')
+   * @param {string} paramName - Data key that changed (e.g., 'frequency', 'attack')
    * @param {*} paramValue - New parameter value
    */
-  updateActiveVoiceParameter(templateId, nodeType, paramName, paramValue) {
+  updateActiveVoiceParameter(templateId, nodeId, nodeType, paramName, paramValue) {
     let updateCount = 0;
 
     this.activeVoices.forEach((voice) => {
@@ -957,29 +1310,70 @@ class VoiceManager {
         return;
       }
 
-      // Find nodes of the matching type in this voice
+      // Shared canvas nodes are updated by their own components
       voice.nodes.forEach((node) => {
-        if (node.type === nodeType && node.audioNode) {
-          // Update the parameter based on node type
-          if (nodeType === 'filterNode') {
-            if (paramName === 'frequency' && node.audioNode.frequency) {
-              node.audioNode.frequency.value = paramValue;
-              updateCount++;
-            } else if (paramName === 'type') {
-              node.audioNode.type = paramValue;
-              updateCount++;
-            }
+        if (node.nodeId === nodeId && node.type === nodeType && !node.isCanvasNode) {
+          if (applyVoiceParameter(node, paramName, paramValue, voice)) {
+            updateCount++;
           }
-          // Add more node types as needed
         }
       });
     });
 
     if (updateCount > 0) {
-      console.log(`Updated ${paramName} to ${paramValue} on ${updateCount} active voice nodes`);
+      console.log(`Updated ${nodeType}.${paramName} to ${paramValue} on ${updateCount} active voice nodes`);
     }
   }
 
+  /**
+   * Re-apply the rate/time of every tempo-synced node on the active voices (the tempo changed)
+   */
+  updateSyncedVoiceNodes() {
+    this.activeVoices.forEach((voice) => {
+      voice.nodes.forEach((node) => {
+        if (node.data?.sync && !node.isCanvasNode) {
+          applyVoiceParameter(node, 'division', node.data.division, voice);
+        }
+      });
+    });
+  }
+
+  /**
+   * Start a voice's LFOs over from the top of their cycle
+   *
+   * @param {object} voice - Active voice
+   * @param {string} phaseReset - Only LFOs set to retrigger on this ('note' or 'transport')
+   * @param {number} time - Audio context time to restart at
+   */
+  retriggerLfos(voice, phaseReset, time) {
+    voice.nodes.forEach((node) => {
+      if (node.type === 'lfoNode' && node.audioNode instanceof ModulationLFO &&
+        (node.data.phaseReset || DEFAULT_PHASE_RESET) === phaseReset) {
+        node.audioNode.restart(time);
+      }
+    });
+  }
+
+  /**
+   * Update the amount of one modulation connection on every active voice of a template
+   *
+   * @param {string} templateId - Template ID to target
+   * @param {number} connectionIndex - Index into the template's connections
+   * @param {number} amount - New full-scale modulation amount in the param's units
+   */
+  updateActiveModulationAmount(templateId, connectionIndex, amount) {
+    this.activeVoices.forEach((voice) => {
+      if (voice.templateId !== templateId) {
+        return;
+      }
+
+      const scaler = voice.modulations.get(connectionIndex);
+      if (scaler) {
+        setModulationAmount(scaler, amount);
+      }
+    });
+  }
+
   /**
    * Cleanup all resources
    */
@@ -0,0 +1,103 @@
+import * as Tone from 'tone';
+import { getFrameWeight, getPartials } from './wavetables';
+
+// Resolution of the position -> frame gain curves
+const CROSSFADE_CURVE_LENGTH = 1024;
+
+/**
+ * WavetableOscillator - morphs through a stack of periodic waves
+ *
+ * Every frame of the stack runs as its own oscillator, all sharing one frequency
+ * and detune so they stay in phase. The `position` signal drives a crossfade curve
+ * per frame, so anything connected to it (LFOs, envelopes) sweeps the timbre at
+ * audio rate. It looks like a Tone.js oscillator to VoiceManager (frequency,
+ * detune, volume, start/stop).
+ */
+export class WavetableOscillator extends Tone.ToneAudioNode {
+  /**
+   * @param {object} options
+   * @param {number} options.frequency - Frequency in Hz
+   * @param {number} options.position - Wavetable position (0 = first frame, 1 = last)
+   * @param {Array<object>} options.frames - Waves ({ real, imag }) from wavetables.js
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'WavetableOscillator';
+
+    this.frequency = new Tone.Signal({ context: this.context, units: 'frequency', value: options.frequency ?? 440 });
+    this.detune = new Tone.Signal({ context: this.context, units: 'cents', value: 0 });
+    this.position = new Tone.Signal({ context: this.context, value: options.position ?? 0 });
+
+    this._volume = new Tone.Volume({ context: this.context });
+    this.volume = this._volume.volume;
+
+    this._frames = (options.frames || []).map((wave, frameIndex) => {
+      const oscillator = new Tone.Oscillator({ context: this.context, type: 'custom', partials: getPartials(wave) });
+      // Positions below 0 read the start of the curve, so the frame's weight is clamped there too
+      const crossfade = new Tone.WaveShaper({
+        context: this.context,
+        mapping: (value) => getFrameWeight(frameIndex, value),
+        length: CROSSFADE_CURVE_LENGTH
+      });
+      const gain = new Tone.Gain({ context: this.context, gain: 0 });
+
+      this.frequency.connect(oscillator.frequency);
+      this.detune.connect(oscillator.detune);
+      this.position.connect(crossfade);
+      crossfade.connect(gain.gain);
+      oscillator.chain(gain, this._volume);
+
+      return { oscillator, crossfade, gain };
+    });
+
+    this.input = undefined;
+    this.output = this._volume;
+  }
+
+  /**
+   * Swap the waves in the stack while playing (same number of frames)
+   * @param {Array<object>} frames - Waves ({ real, imag }) from wavetables.js
+   */
+  setFrames(frames) {
+    frames.forEach((wave, frameIndex) => {
+      const frame = this._frames[frameIndex];
+      if (frame) {
+        frame.oscillator.partials = getPartials(wave);
+      }
+    });
+  }
+
+  /**
+   * 'started' or 'stopped' (all frames run together)
+   */
+  get state() {
+    return this._frames[0]?.oscillator.state ?? 'stopped';
+  }
+
+  /**
+   * @param {number} time - Audio context time to start at
+   */
+  start(time) {
+    this._frames.forEach(({ oscillator }) => oscillator.start(time));
+    return this;
+  }
+
+  /**
+   * @param {number} time - Audio context time to stop at
+   */
+  stop(time) {
+    this._frames.forEach(({ oscillator }) => oscillator.stop(time));
+    return this;
+  }
+
+  dispose() {
+    super.dispose();
+    this._frames.forEach(({ oscillator, crossfade, gain }) => {
+      oscillator.dispose();
+      crossfade.dispose();
+      gain.dispose();
+    });
+    [this.frequency, this.detune, this.position, this._volume].forEach(node => node.dispose());
+    return this;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Arpeggio patterns - the order an ArpeggiatorNode plays held notes in
+ *
+ * - mode:    'up', 'down', 'upDown', 'random' or 'asPlayed' (the order the keys went down)
+ * - octaves: how many octaves the pattern climbs through (1 = just the held notes)
+ * - rate:    step length as a transport note value ('16n' = sixteenths, '8t' = eighth triplets)
+ * - gate:    how much of each step a note sounds for (0-1)
+ * - latch:   keep playing the last chord after the keys are let go (a new chord replaces it)
+ * - tempo:   BPM the transport starts at when the arpeggiator is the first thing to play
+ */
+
+export const ARP_MODES = {
+  up: 'Up',
+  down: 'Down',
+  upDown: 'Up/Down',
+  random: 'Random',
+  asPlayed: 'As Played'
+};
+
+export const ARP_RATES = {
+  '4n': '1/4',
+  '8n': '1/8',
+  '8t': '1/8T',
+  '16n': '1/16',
+  '16t': '1/16T',
+  '32n': '1/32'
+};
+
+export const DEFAULT_ARP_SETTINGS = {
+  mode: 'up',
+  octaves: 1,
+  rate: '16n',
+  gate: 0.5,
+  latch: false,
+  tempo: 120
+};
+
+/**
+ * Read arpeggiator settings from node data, filling in defaults
+ * @param {object} data - Arpeggiator node data
+ * @returns {object} Arpeggiator settings
+ */
+export function getArpSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ARP_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
+
+/**
+ * The notes one pass of the pattern plays, in order
+ * Random mode returns the notes low to high; the arpeggiator picks from them at random
+ *
+ * @param {Array<{frequency: number, velocity: number}>} heldNotes - Held notes, in the order they were played
+ * @param {string} mode - Key of ARP_MODES
+ * @param {number} octaves - Octave range (1 or more)
+ * @returns {Array<{frequency: number, velocity: number}>} Pattern
+ */
+export function getArpSequence(heldNotes, mode, octaves) {
+  const ordered = mode === 'asPlayed'
+    ? heldNotes
+    : [...heldNotes].sort((a, b) => a.frequency - b.frequency);
+
+  // Each octave repeats the notes an octave higher
+  const ascending = Array.from({ length: Math.max(octaves, 1) }, (_, octave) =>
+    ordered.map(note => ({ ...note, frequency: note.frequency * Math.pow(2, octave) }))
+  ).flat();
+
+  if (mode === 'down') {
+    return ascending.reverse();
+  }
+  if (mode === 'upDown') {
+    // Don't repeat the top and bottom notes at the turns
+    return [...ascending, ...ascending.slice(1, -1).reverse()];
+  }
+  return ascending;
+}
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Handle, Position, useReactFlow } from 'reactflow';
+import { Arpeggiator, registerArpeggiator, unregisterArpeggiator } from '../Arpeggiator';
+import { ARP_MODES, ARP_RATES, getArpSettings } from '../arpeggio';
+
+const selectStyle = {
+    marginLeft: 4,
+    background: '#222',
+    color: '#ccc',
+    border: '1px solid #444',
+    borderRadius: 4,
+    fontSize: '1em',
+};
+
+/**
+ * ArpeggiatorNode - plays held notes one at a time, in time with the transport
+ * Wire a piano or piano roll into the left, and the right into the synth chains to play
+ * (unwired, it plays every Output). Notes step through in the chosen order across the
+ * octave range, sounding for the gate's share of each step; latch keeps the last chord
+ * going after the keys are let go.
+ */
+export function ArpeggiatorNode({ id, data }) {
+    const { setNodes } = useReactFlow();
+
+    const initialSettings = getArpSettings(data);
+    const [mode, setMode] = useState(initialSettings.mode);
+    const [octaves, setOctaves] = useState(initialSettings.octaves);
+    const [rate, setRate] = useState(initialSettings.rate);
+    const [gate, setGate] = useState(initialSettings.gate);
+    const [latch, setLatch] = useState(initialSettings.latch);
+    const [tempo, setTempo] = useState(initialSettings.tempo);
+
+    const arpeggiatorRef = useRef(null);
+
+    useEffect(() => {
+        setNodes((nodes) =>
+            nodes.map((node) =>
+                node.id === id
+                    ? { ...node, data: { ...node.data, mode, octaves, rate, gate, latch, tempo } }
+                    : node
+            )
+        );
+    }, [mode, octaves, rate, gate, latch, tempo, id, setNodes]);
+
+    // Controllers wired into this node find the arpeggiator by node ID
+    // (the effect below applies the settings)
+    useEffect(() => {
+        const arpeggiator = new Arpeggiator(id);
+        arpeggiatorRef.current = arpeggiator;
+        registerArpeggiator(arpeggiator);
+
+        return () => {
+            unregisterArpeggiator(id);
+            arpeggiator.dispose();
+            arpeggiatorRef.current = null;
+        };
+    }, [id]);
+
+    useEffect(() => {
+        arpeggiatorRef.current?.setSettings({ mode, octaves, rate, gate, latch, tempo });
+    }, [mode, octaves, rate, gate, latch, tempo]);
+
+    return (
+        <div
+            style={{
+                padding: 10,
+                background: '#333',
+                color: 'white',
+                borderRadius: 6,
+                border: '1px solid #0af',
+                minWidth: 200,
+                textAlign: 'left',
+                fontSize: '0.75em',
+            }}
+        >
+            {/* Trigger input - from a piano or piano roll */}
+            <Handle
+                type="target"
+                position={Position.Left}
+                id="trigger-in"
+                style={{ background: '#0af', width: 16, height: 16, left: -8 }}
+            />
+            {/* Trigger output - the arpeggiated notes (unwired = play every Output) */}
+            <Handle
+                type="source"
+                position={Position.Right}
+                id="trigger-out"
+                style={{ background: '#0af', width: 16, height: 16, right: -8 }}
+            />
+
+            <strong style={{ color: '#0af', display: 'block', marginBottom: 8, fontSize: '1.2em' }}>ARPEGGIATOR</strong>
+
+            <div className="nodrag nopan" style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                <div style={{ display: 'flex', gap: 8 }}>
+                    <label>
+                        Mode
+                        <select value={mode} onChange={(e) => setMode(e.target.value)} style={selectStyle}>
+                            {Object.entries(ARP_MODES).map(([key, label]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label title="Step length, in time with the transport">
+                        Rate
+                        <select value={rate} onChange={(e) => setRate(e.target.value)} style={selectStyle}>
+                            {Object.entries(ARP_RATES).map(([key, label]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                <div style={{ display: 'flex', gap: 8 }}>
+                    <label title="How many octaves the pattern climbs through">
+                        Octaves
+                        <select value={octaves} onChange={(e) => setOctaves(Number(e.target.value))} style={selectStyle}>
+                            {[1, 2, 3, 4].map((count) => (
+                                <option key={count} value={count}>{count}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label title="Tempo the transport starts at when nothing else is playing">
+                        BPM
+                        <input
+                            type="number"
+                            min="40"
+                            max="240"
+                            value={tempo}
+                            onChange={(e) => setTempo(Math.min(Math.max(Number(e.target.value) || 120, 40), 240))}
+                            style={{ ...selectStyle, width: 42 }}
+                        />
+                    </label>
+                </div>
+
+                <label title="How much of each step a note sounds for">
+                    Gate: {Math.round(gate * 100)}%
+                    <input
+                        type="range"
+                        min="0.1"
+                        max="1"
+                        step="0.01"
+                        value={gate}
+                        onChange={(e) => setGate(Number(e.target.value))}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        style={{ width: '100%', cursor: 'pointer' }}
+                    />
+                </label>
+
+                <label title="Keep playing after the keys are let go (the next chord replaces the held one)">
+                    <input
+                        type="checkbox"
+                        checked={latch}
+                        onChange={(e) => setLatch(e.target.checked)}
+                        style={{ marginRight: 4, verticalAlign: 'middle' }}
+                    />
+                    Latch
+                </label>
+            </div>
+        </div>
+    );
+}
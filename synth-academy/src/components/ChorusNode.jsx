@@ -2,19 +2,33 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { TempoSyncControl } from './TempoSyncControl';
+import { getSyncedFrequency } from '../tempoSync';
+import { useTransportTempo } from '../useTransportTempo';
+import { ModInputs } from './ModInputs';
 
 /**
  * ChorusNode - Chorus effect
  * Creates a thickening/doubling effect by adding delayed, modulated copies of the signal
  */
-export function ChorusNode({ id, data }) {
+export function ChorusNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [frequency, setFrequency] = useState(data?.frequency || 2.5);
-  const [delayTime, setDelayTime] = useState(data?.delayTime || 5);
-  const [depth, setDepth] = useState(data?.depth || 0.85);
-  const [wet, setWet] = useState(data?.wet || 0.65);
+  const initialSettings = getEffectSettings('chorusNode', data);
+  const [frequency, setFrequency] = useState(initialSettings.frequency);
+  const [delayTime, setDelayTime] = useState(initialSettings.delayTime);
+  const [depth, setDepth] = useState(initialSettings.depth);
+  const [wet, setWet] = useState(initialSettings.wet);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
+  const [sync, setSync] = useState(initialSettings.sync);
+  const [division, setDivision] = useState(initialSettings.division);
+
+  const bpm = useTransportTempo();
+  const effectiveFrequency = getSyncedFrequency({ sync, division }, bpm, frequency);
 
   // Create the Tone.js effect on mount
   useEffect(() => {
@@ -49,9 +63,9 @@ export function ChorusNode({ id, data }) {
   // Update frequency
   useEffect(() => {
     if (effectRef.current) {
-      effectRef.current.frequency.value = frequency;
+      effectRef.current.frequency.value = effectiveFrequency;
     }
-  }, [frequency]);
+  }, [effectiveFrequency]);
 
   // Update delay time
   useEffect(() => {
@@ -84,13 +98,13 @@ export function ChorusNode({ id, data }) {
         if (node.id === id) {
           return {
             ...node,
-            data: { ...node.data, frequency, delayTime, depth, wet }
+            data: { ...node.data, frequency, delayTime, depth, wet, effectMode, sync, division }
           };
         }
         return node;
       })
     );
-  }, [frequency, delayTime, depth, wet, id, setNodes]);
+  }, [frequency, delayTime, depth, wet, effectMode, sync, division, id, setNodes]);
 
   return (
     <div style={{
@@ -106,24 +120,33 @@ export function ChorusNode({ id, data }) {
         Chorus
       </div>
 
-      {/* Frequency */}
-      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
-        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
-          <span>Rate:</span>
-          <span>{frequency.toFixed(2)} Hz</span>
-        </label>
-        <input
-          type="range"
-          min="0.1"
-          max="10"
-          step="0.1"
-          value={frequency}
-          onChange={(e) => setFrequency(parseFloat(e.target.value))}
-          onMouseDown={(e) => e.stopPropagation()}
-          onMouseUp={(e) => e.stopPropagation()}
-          style={{ width: '100%', cursor: 'pointer' }}
-        />
-      </div>
+      {/* Rate (free, or a note division per cycle when synced) */}
+      <TempoSyncControl
+        label="Rate"
+        sync={sync}
+        division={division}
+        syncedValue={`${effectiveFrequency.toFixed(2)} Hz`}
+        onSyncChange={setSync}
+        onDivisionChange={setDivision}
+      >
+        <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+          <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+            <span>Rate:</span>
+            <span>{frequency.toFixed(2)} Hz</span>
+          </label>
+          <input
+            type="range"
+            min="0.1"
+            max="10"
+            step="0.1"
+            value={frequency}
+            onChange={(e) => setFrequency(parseFloat(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{ width: '100%', cursor: 'pointer' }}
+          />
+        </div>
+      </TempoSyncControl>
 
       {/* Delay Time */}
       <div className="nodrag nopan" style={{ marginBottom: 8 }}>
@@ -182,6 +205,8 @@ export function ChorusNode({ id, data }) {
         />
       </div>
 
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
       <Handle
         type="target"
         position={Position.Left}
@@ -194,6 +219,7 @@ export function ChorusNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
@@ -2,23 +2,39 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { TempoSyncControl } from './TempoSyncControl';
+import { MAX_DELAY_TIME, getSyncedDelayTime } from '../tempoSync';
+import { useTransportTempo } from '../useTransportTempo';
+import { ModInputs } from './ModInputs';
 
 /**
  * DelayNode - Delay/Echo effect
  * Creates distinct echoes of the input signal
+ * Synced, the echoes land on a note division of the transport tempo
  */
-export function DelayNode({ id, data }) {
+export function DelayNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [delayTime, setDelayTime] = useState(data?.delayTime || 0.375);
-  const [feedback, setFeedback] = useState(data?.feedback || 0.6);
-  const [wet, setWet] = useState(data?.wet || 0.6);
+  const initialSettings = getEffectSettings('delayNode', data);
+  const [delayTime, setDelayTime] = useState(initialSettings.delayTime);
+  const [feedback, setFeedback] = useState(initialSettings.feedback);
+  const [wet, setWet] = useState(initialSettings.wet);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
+  const [sync, setSync] = useState(initialSettings.sync);
+  const [division, setDivision] = useState(initialSettings.division);
+
+  const bpm = useTransportTempo();
+  const effectiveDelayTime = getSyncedDelayTime({ sync, division }, bpm, delayTime);
 
   // Create the Tone.js effect on mount
   useEffect(() => {
     const effect = new Tone.FeedbackDelay({
       delayTime: delayTime,
+      maxDelay: MAX_DELAY_TIME,
       feedback: feedback,
       wet: wet
     });
@@ -36,12 +52,12 @@ export function DelayNode({ id, data }) {
   useEffect(() => {
     if (effectRef.current && effectRef.current.delayTime) {
       try {
-        effectRef.current.delayTime.value = delayTime;
+        effectRef.current.delayTime.value = effectiveDelayTime;
       } catch (e) {
         console.error('Error setting delay time:', e);
       }
     }
-  }, [delayTime]);
+  }, [effectiveDelayTime]);
 
   // Update feedback
   useEffect(() => {
@@ -75,13 +91,13 @@ export function DelayNode({ id, data }) {
         if (node.id === id) {
           return {
             ...node,
-            data: { ...node.data, delayTime, feedback, wet }
+            data: { ...node.data, delayTime, feedback, wet, effectMode, sync, division }
           };
         }
         return node;
       })
     );
-  }, [delayTime, feedback, wet, id, setNodes]);
+  }, [delayTime, feedback, wet, effectMode, sync, division, id, setNodes]);
 
   return (
     <div style={{
@@ -97,24 +113,33 @@ export function DelayNode({ id, data }) {
         Delay
       </div>
 
-      {/* Delay Time */}
-      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
-        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
-          <span>Time:</span>
-          <span>{(delayTime * 1000).toFixed(0)} ms</span>
-        </label>
-        <input
-          type="range"
-          min="0.01"
-          max="2"
-          step="0.01"
-          value={delayTime}
-          onChange={(e) => setDelayTime(parseFloat(e.target.value))}
-          onMouseDown={(e) => e.stopPropagation()}
-          onMouseUp={(e) => e.stopPropagation()}
-          style={{ width: '100%', cursor: 'pointer' }}
-        />
-      </div>
+      {/* Delay Time (free, or a note division when synced) */}
+      <TempoSyncControl
+        label="Time"
+        sync={sync}
+        division={division}
+        syncedValue={`${(effectiveDelayTime * 1000).toFixed(0)} ms`}
+        onSyncChange={setSync}
+        onDivisionChange={setDivision}
+      >
+        <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+          <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+            <span>Time:</span>
+            <span>{(delayTime * 1000).toFixed(0)} ms</span>
+          </label>
+          <input
+            type="range"
+            min="0.01"
+            max="2"
+            step="0.01"
+            value={delayTime}
+            onChange={(e) => setDelayTime(parseFloat(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{ width: '100%', cursor: 'pointer' }}
+          />
+        </div>
+      </TempoSyncControl>
 
       {/* Feedback */}
       <div className="nodrag nopan" style={{ marginBottom: 8 }}>
@@ -154,6 +179,8 @@ export function DelayNode({ id, data }) {
         />
       </div>
 
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
       <Handle
         type="target"
         position={Position.Left}
@@ -166,6 +193,7 @@ export function DelayNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
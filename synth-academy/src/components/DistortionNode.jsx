@@ -2,18 +2,24 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { ModInputs } from './ModInputs';
 
 /**
  * DistortionNode - Distortion effect
  * Adds harmonic distortion to the signal for grit and warmth
  */
-export function DistortionNode({ id, data }) {
+export function DistortionNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [distortion, setDistortion] = useState(data?.distortion || 0.7);
-  const [oversample, setOversample] = useState(data?.oversample || 'none');
-  const [wet, setWet] = useState(data?.wet || 1);
+  const initialSettings = getEffectSettings('distortionNode', data);
+  const [distortion, setDistortion] = useState(initialSettings.distortion);
+  const [oversample, setOversample] = useState(initialSettings.oversample);
+  const [wet, setWet] = useState(initialSettings.wet);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
 
   // Create the Tone.js effect on mount
   useEffect(() => {
@@ -63,13 +69,13 @@ export function DistortionNode({ id, data }) {
         if (node.id === id) {
           return {
             ...node,
-            data: { ...node.data, distortion, oversample, wet }
+            data: { ...node.data, distortion, oversample, wet, effectMode }
           };
         }
         return node;
       })
     );
-  }, [distortion, oversample, wet, id, setNodes]);
+  }, [distortion, oversample, wet, effectMode, id, setNodes]);
 
   return (
     <div style={{
@@ -149,6 +155,8 @@ export function DistortionNode({ id, data }) {
         />
       </div>
 
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
       <Handle
         type="target"
         position={Position.Left}
@@ -161,6 +169,7 @@ export function DistortionNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
@@ -0,0 +1,397 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as Tone from 'tone';
+import { Handle, Position, useReactFlow, useUpdateNodeInternals } from 'reactflow';
+import { audioGraph } from '../AudioGraph';
+import { voiceManager } from '../VoiceManager';
+import { claimTransport, releaseTransport, setTransportTempo } from '../transport';
+import { getNoteName } from '../samples';
+import {
+    DEFAULT_LANES,
+    MAX_LANES,
+    STEP_COUNT,
+    createLane,
+    createStep,
+    getDrumSettings,
+    getStepVelocity,
+    getSwingDelay,
+    shouldPlayStep
+} from '../drumPattern';
+
+const CELL_WIDTH = 18;
+
+// What clicking/dragging on the grid edits
+const EDIT_MODES = [
+    { id: 'steps', label: 'Steps', title: 'Click or drag to turn steps on and off' },
+    { id: 'velocity', label: 'Vel', title: 'Drag up and down on a step to set how hard it hits' },
+    { id: 'probability', label: 'Prob', title: 'Drag up and down on a step to set how often it plays' },
+    { id: 'accent', label: 'Acc', title: 'Click steps to accent them' },
+];
+
+// Velocity and probability are drawn as bars, so their rows are taller
+const getRowHeight = (editMode) => (editMode === 'velocity' || editMode === 'probability' ? 36 : 18);
+
+const smallButtonStyle = (active, color = '#ff8c42') => ({
+    padding: '2px 6px',
+    background: active ? color : '#222',
+    color: active ? '#000' : color,
+    border: `1px solid ${color}`,
+    borderRadius: 4,
+    cursor: 'pointer',
+    fontSize: '1em',
+});
+
+/**
+ * DrumMachineNode - a 16-step drum sequencer
+ * Each lane has its own trigger output on the right: wire it to a sampler (or any
+ * synth chain) and the lane plays it at the lane's note. Steps have velocity,
+ * probability and accent; swing pushes the off-beat sixteenths late. It plays on
+ * the same transport as the piano roll, so the two stay in time.
+ */
+export function DrumMachineNode({ id, data }) {
+    const { setNodes, setEdges } = useReactFlow();
+    const updateNodeInternals = useUpdateNodeInternals();
+
+    const initialSettings = getDrumSettings(data);
+    const [lanes, setLanes] = useState(data?.lanes || DEFAULT_LANES);
+    const [tempo, setTempo] = useState(initialSettings.tempo);
+    const [swing, setSwing] = useState(initialSettings.swing);
+    const [accentAmount, setAccentAmount] = useState(initialSettings.accentAmount);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [currentStep, setCurrentStep] = useState(null);
+    const [editMode, setEditMode] = useState('steps');
+
+    // The playing loop reads the latest pattern, so edits are heard on the next pass
+    const patternRef = useRef({ lanes, swing, accentAmount });
+    // Tempo to start the transport at (the effect below keeps it up to date)
+    const tempoRef = useRef(tempo);
+    // What a drag across the grid sets each step it crosses to
+    const paintRef = useRef(null);
+
+    const rowHeight = getRowHeight(editMode);
+
+    useEffect(() => {
+        setNodes((nodes) =>
+            nodes.map((node) => {
+                if (node.id === id) {
+                    return {
+                        ...node,
+                        data: {
+                            ...node.data,
+                            lanes: lanes,
+                            tempo: tempo,
+                            swing: swing,
+                            accentAmount: accentAmount,
+                        },
+                    };
+                }
+                return node;
+            })
+        );
+    }, [lanes, tempo, swing, accentAmount, id, setNodes]);
+
+    useEffect(() => {
+        patternRef.current = { lanes, swing, accentAmount };
+    }, [lanes, swing, accentAmount]);
+
+    // Lane outputs move when lanes are added/removed or rows change height
+    useEffect(() => {
+        updateNodeInternals(id);
+    }, [lanes.length, rowHeight, id, updateNodeInternals]);
+
+    // Tempo changes apply without restarting the loop
+    // (starting doesn't set it here: claimTransport keeps the tempo of sequencers already playing)
+    useEffect(() => {
+        if (isPlaying && tempoRef.current !== tempo) {
+            setTransportTempo(tempo);
+        }
+        tempoRef.current = tempo;
+    }, [isPlaying, tempo]);
+
+    // Play every sixteenth on the shared transport
+    useEffect(() => {
+        if (!isPlaying) return;
+
+        Tone.start();
+        const sixteenthTicks = Tone.Time('16n').toTicks();
+
+        const loop = new Tone.Loop((time) => {
+            // Work the step out from the transport, so joining a running piano roll stays on the grid
+            const step = Math.round(Tone.Transport.getTicksAtTime(time) / sixteenthTicks) % STEP_COUNT;
+            const pattern = patternRef.current;
+            const stepSeconds = Tone.Time('16n').toSeconds();
+            const stepTime = time + getSwingDelay(step, pattern.swing, stepSeconds);
+
+            pattern.lanes.forEach((lane) => {
+                const cell = lane.steps[step];
+                if (lane.muted || !shouldPlayStep(cell)) return;
+
+                // Resolve templates per hit so rewiring during playback takes effect
+                const templateIds = audioGraph.getVoiceTemplateIdsForTriggerOutput(id, lane.id);
+                const velocity = getStepVelocity(cell, pattern.accentAmount);
+                const voiceIds = voiceManager.startVoices(templateIds, Tone.mtof(lane.note), velocity, stepTime);
+                voiceManager.stopVoices(voiceIds, stepTime + stepSeconds);
+            });
+
+            Tone.Draw.schedule(() => setCurrentStep(step), time);
+        }, '16n');
+
+        loop.start(0);
+        claimTransport(id, tempoRef.current);
+
+        return () => {
+            loop.dispose();
+            releaseTransport(id);
+            setCurrentStep(null);
+        };
+    }, [isPlaying, id]);
+
+    // End a drag anywhere on the page
+    useEffect(() => {
+        const endPaint = () => { paintRef.current = null; };
+        window.addEventListener('pointerup', endPaint);
+        return () => window.removeEventListener('pointerup', endPaint);
+    }, []);
+
+    const updateLane = (laneIndex, changes) => {
+        setLanes((current) => current.map((lane, i) => (i === laneIndex ? { ...lane, ...changes } : lane)));
+    };
+
+    const setStep = (laneIndex, stepIndex, step) => {
+        setLanes((current) => current.map((lane, i) => {
+            if (i !== laneIndex) return lane;
+            const steps = [...lane.steps];
+            steps[stepIndex] = step;
+            return { ...lane, steps };
+        }));
+    };
+
+    // Value 0-1 from how high up the cell the pointer is
+    const getPointerValue = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const value = 1 - (e.clientY - rect.top) / rect.height;
+        return Math.round(Math.min(Math.max(value, 0.05), 1) * 20) / 20;
+    };
+
+    const paintStep = (e, laneIndex, stepIndex, isStart) => {
+        const cell = lanes[laneIndex].steps[stepIndex];
+
+        if (editMode === 'steps') {
+            // The first step clicked decides whether the drag turns steps on or off
+            if (isStart) paintRef.current = { on: !cell };
+            if (Boolean(cell) !== paintRef.current.on) {
+                setStep(laneIndex, stepIndex, paintRef.current.on ? createStep() : null);
+            }
+        } else if (editMode === 'accent') {
+            if (isStart) paintRef.current = { accent: !cell?.accent };
+            if (cell) {
+                setStep(laneIndex, stepIndex, { ...cell, accent: paintRef.current.accent });
+            }
+        } else {
+            if (isStart) paintRef.current = {};
+            if (cell) {
+                setStep(laneIndex, stepIndex, { ...cell, [editMode]: getPointerValue(e) });
+            }
+        }
+    };
+
+    const addLane = () => {
+        setLanes((current) => [...current, createLane(`lane-${Date.now()}`, `Lane ${current.length + 1}`)]);
+    };
+
+    // Remove a lane and the wires from its output
+    const removeLane = (laneIndex) => {
+        const laneId = lanes[laneIndex].id;
+        setLanes((current) => current.filter((_, i) => i !== laneIndex));
+        setEdges((edges) => edges.filter((edge) => !(edge.source === id && edge.sourceHandle === laneId)));
+    };
+
+    const clearPattern = () => {
+        setLanes((current) => current.map((lane) => ({ ...lane, steps: new Array(STEP_COUNT).fill(null) })));
+    };
+
+    const renderCell = (lane, laneIndex, cell, stepIndex) => {
+        const isBeat = Math.floor(stepIndex / 4) % 2 === 0;
+        const showBar = editMode === 'velocity' || editMode === 'probability';
+        const value = cell ? (showBar ? cell[editMode] : cell.velocity) : 0;
+
+        return (
+            <div
+                key={stepIndex}
+                onPointerDown={(e) => {
+                    e.stopPropagation();
+                    paintStep(e, laneIndex, stepIndex, true);
+                }}
+                onPointerMove={(e) => {
+                    // Value modes follow the pointer within the step while the button is down
+                    if (paintRef.current && showBar && e.buttons) paintStep(e, laneIndex, stepIndex, false);
+                }}
+                onPointerEnter={(e) => {
+                    if (paintRef.current && e.buttons) paintStep(e, laneIndex, stepIndex, false);
+                }}
+                style={{
+                    width: CELL_WIDTH - 2,
+                    height: rowHeight - 2,
+                    margin: 1,
+                    position: 'relative',
+                    background: isBeat ? '#2a2a2a' : '#222',
+                    outline: stepIndex === currentStep ? '1px solid #fff' : 'none',
+                    border: cell?.accent ? '1px solid #ffe66d' : '1px solid #3a3a3a',
+                    borderRadius: 2,
+                    boxSizing: 'border-box',
+                    overflow: 'hidden',
+                    cursor: 'pointer',
+                    opacity: lane.muted ? 0.4 : 1,
+                }}
+            >
+                {cell && (
+                    <div
+                        style={{
+                            position: 'absolute',
+                            left: 0,
+                            right: 0,
+                            bottom: 0,
+                            height: showBar ? `${value * 100}%` : '100%',
+                            background: editMode === 'probability' ? '#4ecdc4' : '#ff8c42',
+                            opacity: showBar ? 1 : 0.35 + value * 0.65,
+                            pointerEvents: 'none',
+                        }}
+                    />
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div
+            style={{
+                padding: 10,
+                background: '#333',
+                color: 'white',
+                borderRadius: 6,
+                border: '1px solid #ff8c42',
+                textAlign: 'left',
+                fontSize: '0.75em',
+                cursor: 'pointer',
+            }}
+        >
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 }}>
+                <strong style={{ color: '#ff8c42', fontSize: '1.2em' }}>DRUMS</strong>
+                <button
+                    className="nodrag"
+                    onClick={() => setIsPlaying(!isPlaying)}
+                    style={{
+                        ...smallButtonStyle(isPlaying, isPlaying ? '#f44336' : '#ff8c42'),
+                        fontWeight: 'bold',
+                    }}
+                >
+                    {isPlaying ? '■ Stop' : '▶ Play'}
+                </button>
+                <label className="nodrag nopan" title="Tempo of the shared transport (the piano roll follows it too)">
+                    BPM{' '}
+                    <input
+                        type="number"
+                        min="40"
+                        max="240"
+                        value={tempo}
+                        onChange={(e) => setTempo(Math.min(Math.max(Number(e.target.value) || 120, 40), 240))}
+                        style={{ width: 42, background: '#222', color: '#ccc', border: '1px solid #444' }}
+                    />
+                </label>
+                <div style={{ flex: 1 }} />
+                {EDIT_MODES.map((mode) => (
+                    <button
+                        key={mode.id}
+                        className="nodrag"
+                        onClick={() => setEditMode(mode.id)}
+                        title={mode.title}
+                        style={smallButtonStyle(editMode === mode.id)}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+
+            {/* Lanes: name, note, mute, remove, then the steps and the lane's trigger output */}
+            <div className="nodrag nopan" style={{ touchAction: 'none' }}>
+                {lanes.map((lane, laneIndex) => (
+                    <div key={lane.id} style={{ display: 'flex', alignItems: 'center', position: 'relative' }}>
+                        <input
+                            type="text"
+                            value={lane.name}
+                            onChange={(e) => updateLane(laneIndex, { name: e.target.value })}
+                            style={{ width: 56, background: '#222', color: '#ccc', border: '1px solid #444', fontSize: '1em' }}
+                        />
+                        <input
+                            type="number"
+                            min="24"
+                            max="96"
+                            value={lane.note}
+                            onChange={(e) => updateLane(laneIndex, { note: Math.min(Math.max(Number(e.target.value) || 60, 24), 96) })}
+                            title={`Note this lane plays: ${getNoteName(lane.note)} (C4 plays a sampler at its own pitch)`}
+                            style={{ width: 34, marginLeft: 2, background: '#222', color: '#ccc', border: '1px solid #444', fontSize: '1em' }}
+                        />
+                        <button
+                            onClick={() => updateLane(laneIndex, { muted: !lane.muted })}
+                            title="Mute this lane"
+                            style={{ ...smallButtonStyle(lane.muted, '#f5576c'), margin: '0 2px', padding: '0 4px' }}
+                        >
+                            M
+                        </button>
+                        <button
+                            onClick={() => removeLane(laneIndex)}
+                            title="Remove this lane"
+                            style={{ ...smallButtonStyle(false, '#888'), marginRight: 4, padding: '0 4px' }}
+                        >
+                            ×
+                        </button>
+                        <div style={{ display: 'flex' }}>
+                            {lane.steps.map((cell, stepIndex) => renderCell(lane, laneIndex, cell, stepIndex))}
+                        </div>
+                        <Handle
+                            type="source"
+                            position={Position.Right}
+                            id={lane.id}
+                            title={`${lane.name} trigger output`}
+                            style={{ background: '#0af', width: 14, height: 14, right: -17 }}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="nodrag nopan" style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6 }}>
+                <button onClick={addLane} disabled={lanes.length >= MAX_LANES} style={smallButtonStyle(false)}>
+                    + Lane
+                </button>
+                <button onClick={clearPattern} style={smallButtonStyle(false, '#888')}>
+                    Clear
+                </button>
+                <label style={{ flex: 1 }} title="Push the off-beat sixteenths late (100% = triplet feel)">
+                    Swing: {Math.round(swing * 100)}%
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        value={swing}
+                        onChange={(e) => setSwing(Number(e.target.value))}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        style={{ width: '100%', cursor: 'pointer' }}
+                    />
+                </label>
+                <label style={{ flex: 1 }} title="How much louder accented steps hit">
+                    Accent: +{Math.round(accentAmount * 100)}%
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={accentAmount}
+                        onChange={(e) => setAccentAmount(Number(e.target.value))}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        style={{ width: '100%', cursor: 'pointer' }}
+                    />
+                </label>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { EFFECT_MODES, PER_VOICE_EFFECT_VOICE_LIMIT } from '../effectModes';
+
+/**
+ * EffectModeSelect - "Shared / Per Voice" switch shown on effect nodes that can run per voice
+ * Shared runs the whole chord through one effect; per voice gives each note its own copy.
+ */
+export function EffectModeSelect({ value, onChange }) {
+  return (
+    <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+      <label style={{ fontSize: '0.85em', display: 'block', marginBottom: 4 }}>
+        Voices:
+      </label>
+      <div style={{ display: 'flex', gap: 4 }}>
+        {Object.entries(EFFECT_MODES).map(([mode, label]) => (
+          <button
+            key={mode}
+            onClick={() => onChange(mode)}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{
+              flex: 1,
+              padding: 4,
+              background: value === mode ? 'rgba(255, 255, 255, 0.35)' : 'rgba(0, 0, 0, 0.3)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: 4,
+              cursor: 'pointer',
+              fontSize: '0.85em'
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {value === 'perVoice' && (
+        <div style={{ fontSize: '0.75em', opacity: 0.8, marginTop: 4 }}>
+          Shared once {PER_VOICE_EFFECT_VOICE_LIMIT}+ voices are playing
+        </div>
+      )}
+    </div>
+  );
+}
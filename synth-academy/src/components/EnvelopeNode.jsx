@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
+import { ENVELOPE_GRAPH, getCurveControlPoint } from '../envelopeCurve';
 
 /**
  * EnvelopeNode - DAHDSR Envelope Generator
@@ -55,35 +56,23 @@ export function EnvelopeNode({ id, data }) {
     const [decayCurve, setDecayCurve] = useState(data?.decayCurve || 0);
     const [releaseCurve, setReleaseCurve] = useState(data?.releaseCurve || 0);
 
+    // Velocity response: how much note velocity scales the peak and shortens the attack
+    const [velocityAmount, setVelocityAmount] = useState(data?.velocityAmount ?? 1);
+    const [velocityAttack, setVelocityAttack] = useState(data?.velocityAttack ?? 0);
+
     // Additional parameters for filter envelope
     const [baseFrequency, setBaseFrequency] = useState(data?.baseFrequency || 200);
     const [octaves, setOctaves] = useState(data?.octaves || 4);
 
     // Helper function to draw a curved segment using quadratic bezier
+    // (the voice engine plays the same curve - see envelopeCurve.js)
     const drawCurvedSegment = (ctx, x1, y1, x2, y2, curve) => {
-        if (curve === 0) {
+        const controlPoint = getCurveControlPoint(x1, y1, x2, y2, curve);
+        if (controlPoint) {
+            ctx.quadraticCurveTo(controlPoint.x, controlPoint.y, x2, y2);
+        } else {
             // Linear - just draw a straight line
             ctx.lineTo(x2, y2);
-        } else {
-            // Curved - use quadratic bezier curve
-            // curve: -1 (log) to +1 (exp)
-            const midX = (x1 + x2) / 2;
-            const midY = (y1 + y2) / 2;
-
-            // Control point offset based on curve amount
-            const perpX = -(y2 - y1);
-            const perpY = (x2 - x1);
-            const perpLen = Math.sqrt(perpX * perpX + perpY * perpY);
-
-            if (perpLen > 0) {
-                const offsetAmount = curve * Math.min(perpLen * 0.3, 30);
-                const cpX = midX + (perpX / perpLen) * offsetAmount;
-                const cpY = midY + (perpY / perpLen) * offsetAmount;
-
-                ctx.quadraticCurveTo(cpX, cpY, x2, y2);
-            } else {
-                ctx.lineTo(x2, y2);
-            }
         }
     };
 
@@ -102,8 +91,7 @@ export function EnvelopeNode({ id, data }) {
         ctx.fillRect(0, 0, width, height);
 
         // Calculate time scale - use fixed total time for consistent visualization
-        const totalTime = 4; // Fixed 4 second display window
-        const padding = 10;
+        const { totalTime, padding } = ENVELOPE_GRAPH; // Fixed 4 second display window
         const graphWidth = width - (padding * 2);
         const graphHeight = height - (padding * 2);
 
@@ -248,8 +236,7 @@ export function EnvelopeNode({ id, data }) {
 
         const width = canvas.width;
         const height = canvas.height;
-        const totalTime = 4;
-        const padding = 10;
+        const { totalTime, padding } = ENVELOPE_GRAPH;
         const graphWidth = width - (padding * 2);
         const graphHeight = height - (padding * 2);
 
@@ -322,8 +309,7 @@ export function EnvelopeNode({ id, data }) {
         // Calculate envelope points (same as in draw)
         const width = canvas.width;
         const height = canvas.height;
-        const totalTime = 4; // Fixed 4 second display
-        const padding = 10;
+        const { totalTime, padding } = ENVELOPE_GRAPH; // Fixed 4 second display
         const graphWidth = width - (padding * 2);
         const graphHeight = height - (padding * 2);
 
@@ -442,14 +428,16 @@ export function EnvelopeNode({ id, data }) {
                             decayCurve,
                             releaseCurve,
                             baseFrequency,
-                            octaves
+                            octaves,
+                            velocityAmount,
+                            velocityAttack
                         }
                     };
                 }
                 return node;
             })
         );
-    }, [delay, attack, hold, decay, sustain, release, attackCurve, decayCurve, releaseCurve, baseFrequency, octaves, id, setNodes]);
+    }, [delay, attack, hold, decay, sustain, release, attackCurve, decayCurve, releaseCurve, baseFrequency, octaves, velocityAmount, velocityAttack, id, setNodes]);
 
     return (
         <div
@@ -500,8 +488,8 @@ export function EnvelopeNode({ id, data }) {
                 >
                     <canvas
                         ref={canvasRef}
-                        width={240}
-                        height={120}
+                        width={ENVELOPE_GRAPH.width}
+                        height={ENVELOPE_GRAPH.height}
                         style={{
                             width: '100%',
                             height: 'auto',
@@ -632,6 +620,40 @@ export function EnvelopeNode({ id, data }) {
                     />
                 </div>
             </details>
+
+            {/* Velocity response (collapsed by default) */}
+            <details style={{ marginTop: 8, fontSize: '0.75em' }}>
+                <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>
+                    Velocity
+                </summary>
+                <div style={{ marginTop: 6 }}>
+                    <label style={{ display: 'block', marginBottom: 2 }}>
+                        Velocity → Level: {Math.round(velocityAmount * 100)}%
+                    </label>
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        value={velocityAmount}
+                        onChange={(e) => handleParameterChange('velocityAmount', Number(e.target.value), setVelocityAmount)}
+                        style={{ width: '100%' }}
+                    />
+
+                    <label style={{ display: 'block', marginTop: 4, marginBottom: 2 }}>
+                        Velocity → Attack: {Math.round(velocityAttack * 100)}%
+                    </label>
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        value={velocityAttack}
+                        onChange={(e) => handleParameterChange('velocityAttack', Number(e.target.value), setVelocityAttack)}
+                        style={{ width: '100%' }}
+                    />
+                </div>
+            </details>
             </div>
             {/* End content area */}
 
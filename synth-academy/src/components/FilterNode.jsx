@@ -1,40 +1,78 @@
 import React, { useEffect, useRef, useState } from 'react';
-import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
-import { Handle, Position, useReactFlow } from 'reactflow';
+import { masterBus } from '../MasterBus';
+import { MultimodeFilter } from '../MultimodeFilter';
+import {
+    FILTER_MODELS,
+    FILTER_OUTPUTS,
+    FILTER_SLOPES,
+    FILTER_TYPES,
+    TYPED_FILTER_MODELS,
+    cutoffToFrequency,
+    getFilterSettings,
+    getVowelName
+} from '../filterSettings';
+import { Handle, Position, useReactFlow, useUpdateNodeInternals } from 'reactflow';
+import { ModInputs } from './ModInputs';
 
-export function FilterNode({ id, data }) {
+// One labelled 0-100 (or -100-100) slider
+const FilterSlider = ({ label, value, min = 0, title, display = `${value}%`, onChange }) => (
+    <>
+        <label style={{ display: 'block', marginTop: 8, marginBottom: 4 }} title={title}>
+            {label}: {display}
+        </label>
+        <input
+            type="range"
+            min={min}
+            max="100"
+            step="1"
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{ width: '100%', cursor: 'pointer' }}
+        />
+    </>
+);
+
+const selectStyle = {
+    width: '100%',
+    padding: 4,
+    marginBottom: 6,
+    background: '#222',
+    color: 'white',
+    border: '1px solid #555',
+    borderRadius: 3,
+    cursor: 'pointer',
+};
+
+export function FilterNode({ id, data, type }) {
     const filterRef = useRef(null);
     const { setNodes } = useReactFlow();
+    const updateNodeInternals = useUpdateNodeInternals();
 
     // Initialize state from node data if available, otherwise use defaults
-    const [cutoff, setCutoff] = useState(data?.cutoff !== undefined ? data.cutoff : 50); // 0-100%
-    const [resonance, setResonance] = useState(data?.resonance !== undefined ? data.resonance : 0); // 0-100%
-    const [filterType, setFilterType] = useState(data?.type || 'lowpass');
-
-    // Convert cutoff percentage to frequency (logarithmic scale 20Hz - 20kHz)
-    const percentToFrequency = (percent) => {
-        const minFreq = Math.log(20);
-        const maxFreq = Math.log(20000);
-        return Math.exp(minFreq + (percent / 100) * (maxFreq - minFreq));
-    };
-
-    // Convert resonance percentage to Q value (0.1 - 30)
-    const percentToQ = (percent) => {
-        return 0.1 + (percent / 100) * 29.9;
-    };
+    const initialSettings = getFilterSettings(data);
+    const [model, setModel] = useState(initialSettings.model);
+    const [cutoff, setCutoff] = useState(initialSettings.cutoff); // 0-100%
+    const [resonance, setResonance] = useState(initialSettings.resonance); // 0-100%
+    const [filterType, setFilterType] = useState(initialSettings.type);
+    const [slope, setSlope] = useState(initialSettings.slope);
+    const [drive, setDrive] = useState(initialSettings.drive);
+    const [keyTracking, setKeyTracking] = useState(initialSettings.keyTracking);
+    const [envAmount, setEnvAmount] = useState(initialSettings.envAmount);
+    const [vowel, setVowel] = useState(initialSettings.vowel);
 
-    const frequency = percentToFrequency(cutoff);
-    const qValue = percentToQ(resonance);
+    const frequency = cutoffToFrequency(cutoff);
+    const isStateVariable = model === 'stateVariable';
 
     useEffect(() => {
-        // Create a filter node
-        const filter = new Tone.Filter(frequency, filterType);
-        filter.Q.value = qValue;
+        // Create a filter node (the effect below sets its parameters, and keeps them up to date)
+        const filter = new MultimodeFilter();
         filterRef.current = filter;
 
-        // Connect to destination by default
-        filter.toDestination();
+        // Connect to the master bus by default
+        masterBus.connect(filter);
 
         // Register with audio graph
         audioGraph.registerNode(id, filter);
@@ -44,14 +82,19 @@ export function FilterNode({ id, data }) {
             audioGraph.unregisterNode(id);
             filterRef.current = null;
         };
-    }, [id, frequency, filterType, qValue]);
+    }, [id]);
 
-    // Update filter parameters when they change
+    // Update filter parameters in place when they change
     useEffect(() => {
-        if (filterRef.current) {
-            filterRef.current.frequency.value = frequency;
-            filterRef.current.Q.value = qValue;
-            filterRef.current.type = filterType;
+        const filter = filterRef.current;
+        if (filter) {
+            filter.setFrequency(frequency);
+            filter.setResonance(resonance);
+            filter.setType(filterType);
+            filter.setSlope(slope);
+            filter.setDrive(drive);
+            filter.setEnvelopeAmount(envAmount);
+            filter.setVowel(vowel);
         }
 
         // Update the node's data in ReactFlow so templates get the new values
@@ -62,21 +105,34 @@ export function FilterNode({ id, data }) {
                         ...node,
                         data: {
                             ...node.data,
+                            model: model,
                             cutoff: cutoff,
                             resonance: resonance,
                             frequency: frequency,
                             type: filterType,
+                            slope: slope,
+                            drive: drive,
+                            keyTracking: keyTracking,
+                            envAmount: envAmount,
+                            vowel: vowel,
                         },
                     };
                 }
                 return node;
             })
         );
+        // AudioGraph picks up the new data on its next scan and updates active voices
+    }, [model, cutoff, resonance, frequency, filterType, slope, drive, keyTracking, envAmount, vowel, id, setNodes]);
 
-        // Notify AudioGraph so it can update active voices
-        audioGraph.notifyParameterChange(id, 'filterNode', 'frequency', frequency);
-        audioGraph.notifyParameterChange(id, 'filterNode', 'type', filterType);
-    }, [cutoff, resonance, frequency, qValue, filterType, id, setNodes]);
+    // Switching model rebuilds the filter, keeping its settings
+    useEffect(() => {
+        filterRef.current?.setModel(model);
+    }, [model]);
+
+    // The state-variable filter's response outputs come and go with the model
+    useEffect(() => {
+        updateNodeInternals(id);
+    }, [isStateVariable, id, updateNodeInternals]);
 
     return (
         <div
@@ -110,59 +166,98 @@ export function FilterNode({ id, data }) {
 
             <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.85em' }}>
                 <select
-                    value={filterType}
-                    onChange={(e) => setFilterType(e.target.value)}
+                    value={model}
+                    onChange={(e) => setModel(e.target.value)}
                     onMouseDown={(e) => e.stopPropagation()}
                     onMouseUp={(e) => e.stopPropagation()}
-                    style={{
-                        width: '100%',
-                        padding: 4,
-                        marginBottom: 6,
-                        background: '#222',
-                        color: 'white',
-                        border: '1px solid #555',
-                        borderRadius: 3,
-                        cursor: 'pointer',
-                    }}
+                    title="Filter circuit"
+                    style={selectStyle}
                 >
-                    <option value="lowpass">Lowpass</option>
-                    <option value="highpass">Highpass</option>
-                    <option value="bandpass">Bandpass</option>
-                    <option value="notch">Notch</option>
+                    {Object.entries(FILTER_MODELS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
                 </select>
+                {TYPED_FILTER_MODELS.includes(model) && (
+                    <select
+                        value={filterType}
+                        onChange={(e) => setFilterType(e.target.value)}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onMouseUp={(e) => e.stopPropagation()}
+                        title={isStateVariable ? 'Response sent out of the main output' : undefined}
+                        style={selectStyle}
+                    >
+                        {Object.entries(FILTER_TYPES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                )}
+                {model === 'standard' && (
+                    <select
+                        value={slope}
+                        onChange={(e) => setSlope(Number(e.target.value))}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onMouseUp={(e) => e.stopPropagation()}
+                        title="How steeply the filter cuts (dB per octave)"
+                        style={selectStyle}
+                    >
+                        {Object.entries(FILTER_SLOPES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                )}
 
-                <label style={{ display: 'block', marginBottom: 4 }}>
-                    Cutoff: {cutoff}%
-                </label>
-                <input
-                    type="range"
-                    min="0"
-                    max="100"
-                    step="1"
-                    value={cutoff}
-                    onChange={(e) => setCutoff(Number(e.target.value))}
-                    onMouseDown={(e) => e.stopPropagation()}
-                    onMouseUp={(e) => e.stopPropagation()}
-                    style={{ width: '100%', cursor: 'pointer' }}
+                {model === 'formant' ? (
+                    <FilterSlider
+                        label="Vowel"
+                        value={vowel}
+                        display={getVowelName(vowel)}
+                        title="Morph through the vowels A-E-I-O-U (modulation shifts the formants)"
+                        onChange={setVowel}
+                    />
+                ) : (
+                    <FilterSlider
+                        label={model === 'comb' ? 'Pitch' : 'Cutoff'}
+                        value={cutoff}
+                        display={`${Math.round(frequency)} Hz`}
+                        onChange={setCutoff}
+                    />
+                )}
+                <FilterSlider label="Resonance" value={resonance} onChange={setResonance} />
+                <FilterSlider
+                    label="Drive"
+                    value={drive}
+                    title="Saturate the sound going into the filter"
+                    onChange={setDrive}
                 />
-
-                <label style={{ display: 'block', marginTop: 8, marginBottom: 4 }}>
-                    Resonance: {resonance}%
-                </label>
-                <input
-                    type="range"
-                    min="0"
-                    max="100"
-                    step="1"
-                    value={resonance}
-                    onChange={(e) => setResonance(Number(e.target.value))}
-                    onMouseDown={(e) => e.stopPropagation()}
-                    onMouseUp={(e) => e.stopPropagation()}
-                    style={{ width: '100%', cursor: 'pointer' }}
+                <FilterSlider
+                    label="Key Track"
+                    value={keyTracking}
+                    title="Move the cutoff with the note played (100% = an octave per octave, centred on C4)"
+                    onChange={setKeyTracking}
+                />
+                <FilterSlider
+                    label="Env Amount"
+                    value={envAmount}
+                    min={-100}
+                    title="How far envelopes wired into the top input sweep the cutoff (negative sweeps down)"
+                    onChange={setEnvAmount}
                 />
             </div>
 
             <Handle type="source" position={Position.Right} style={{ width: 24, height: 24, right: -12 }} />
+            <ModInputs id={id} type={type} />
+
+            {/* State-variable responses, each on its own output */}
+            {isStateVariable && Object.entries(FILTER_OUTPUTS).map(([response, label], index) => (
+                <Handle
+                    key={response}
+                    type="source"
+                    position={Position.Right}
+                    id={`${response}-out`}
+                    title={`${label} output`}
+                    style={{ background: '#f90', width: 14, height: 14, right: -7, top: `${65 + index * 10}%` }}
+                />
+            ))}
         </div>
     );
 }
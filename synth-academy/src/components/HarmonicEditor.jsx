@@ -0,0 +1,255 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useReactFlow } from 'reactflow';
+import { HARMONIC_COUNTS, createHarmonicWave, getHarmonicCount, getHarmonics, getStandardWave } from '../harmonics';
+import { wavePresets } from '../wavePresets';
+
+const GRAPH_WIDTH = 256;
+const AMPLITUDE_HEIGHT = 80;
+const PHASE_HEIGHT = 40;
+
+const buttonStyle = (active) => ({
+  padding: '2px 6px',
+  background: active ? '#0f0' : '#222',
+  color: active ? '#000' : '#0f0',
+  border: '1px solid #0f0',
+  borderRadius: 4,
+  cursor: 'pointer',
+  fontSize: '1em'
+});
+
+// Draw one bar per partial; bipolar graphs grow up/down from the middle
+const drawBars = (canvas, values, color, bipolar) => {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const barWidth = width / values.length;
+
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  if (bipolar) {
+    ctx.fillStyle = '#333';
+    ctx.fillRect(0, height / 2, width, 1);
+  }
+
+  ctx.fillStyle = color;
+  values.forEach((value, i) => {
+    const x = i * barWidth + 0.5;
+    const w = Math.max(barWidth - 1, 1);
+    if (bipolar) {
+      const barHeight = value * (height / 2);
+      ctx.fillRect(x, Math.min(height / 2, height / 2 - barHeight), w, Math.abs(barHeight));
+    } else {
+      ctx.fillRect(x, height - value * height, w, value * height);
+    }
+  });
+};
+
+/**
+ * HarmonicEditor - draw a custom wave partial by partial
+ * The top graph sets each partial's level, the bottom one its phase (-180° to 180°).
+ * Edits reshape the wave on notes that are already playing. Waves can be saved as
+ * named presets, which travel with the project file.
+ */
+export function HarmonicEditor({ id, data }) {
+  const { setNodes } = useReactFlow();
+  const amplitudeCanvasRef = useRef(null);
+  const phaseCanvasRef = useRef(null);
+  // Working copy of the partials while the pointer is down
+  const editRef = useRef(null);
+
+  const [open, setOpen] = useState(false);
+  // Until it's edited, a basic oscillator's wave is its type's partials
+  const wave = data?.waveformData || getStandardWave(data?.waveform);
+  const [count, setCount] = useState(() => getHarmonicCount(wave));
+  const [presets, setPresets] = useState(() => wavePresets.getPresets());
+  const [selectedPreset, setSelectedPreset] = useState('');
+  const [presetName, setPresetName] = useState('');
+
+  const harmonics = useMemo(() => getHarmonics(wave, count), [wave, count]);
+
+  useEffect(() => {
+    const handlePresetsChange = () => setPresets(wavePresets.getPresets());
+    window.addEventListener('wavePresetsChange', handlePresetsChange);
+    return () => window.removeEventListener('wavePresetsChange', handlePresetsChange);
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    drawBars(amplitudeCanvasRef.current, harmonics.amplitudes, '#0f0', false);
+    drawBars(phaseCanvasRef.current, harmonics.phases.map(phase => phase / 180), '#c77dff', true);
+  }, [open, harmonics]);
+
+  const setWave = useCallback((wave) => {
+    setNodes((nodes) =>
+      nodes.map((node) =>
+        node.id === id
+          ? { ...node, data: { ...node.data, waveform: 'custom', waveformData: wave } }
+          : node
+      )
+    );
+  }, [id, setNodes]);
+
+  // Paint bars under the pointer, filling in partials skipped by a fast drag
+  const handlePaint = (key, toValue) => (e) => {
+    if (e.type === 'pointermove' && !editRef.current) return;
+    e.stopPropagation();
+    if (e.type === 'pointerdown') {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      editRef.current = { amplitudes: [...harmonics.amplitudes], phases: [...harmonics.phases], lastIndex: null };
+    }
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const index = Math.min(Math.max(Math.floor(((e.clientX - rect.left) / rect.width) * count), 0), count - 1);
+    const fraction = Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1);
+    const value = toValue(fraction);
+
+    const edit = editRef.current;
+    const from = edit.lastIndex ?? index;
+    const step = index >= from ? 1 : -1;
+    for (let i = from; i !== index + step; i += step) {
+      edit[key][i] = value;
+    }
+    edit.lastIndex = index;
+
+    setWave(createHarmonicWave(edit));
+  };
+
+  const stopPaint = () => {
+    editRef.current = null;
+  };
+
+  const paintAmplitude = handlePaint('amplitudes', fraction => Math.round((1 - fraction) * 100) / 100);
+  const paintPhase = handlePaint('phases', fraction => Math.round((0.5 - fraction) * 360));
+
+  const changeCount = (newCount) => {
+    setCount(newCount);
+    setWave(createHarmonicWave(getHarmonics(wave, newCount)));
+  };
+
+  const loadPreset = (name) => {
+    setSelectedPreset(name);
+    const preset = wavePresets.getPreset(name);
+    if (preset) {
+      setCount(getHarmonicCount(preset.wave));
+      setWave(preset.wave);
+    }
+  };
+
+  const savePreset = () => {
+    if (wavePresets.savePreset(presetName, wave)) {
+      setSelectedPreset(presetName.trim());
+      setPresetName('');
+    } else {
+      alert('Please choose a name that is not one of the built-in presets.');
+    }
+  };
+
+  const selected = presets.find(preset => preset.name === selectedPreset);
+
+  return (
+    <div className="nodrag nopan nowheel" style={{ marginTop: 8, fontSize: '0.75em' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        onMouseDown={(e) => e.stopPropagation()}
+        title="Draw a custom wave partial by partial"
+        style={{ ...buttonStyle(open), width: '100%' }}
+      >
+        Harmonics {open ? '▴' : '▾'}
+      </button>
+
+      {open && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            marginTop: 8,
+            padding: 8,
+            width: GRAPH_WIDTH,
+            background: '#2a2a2a',
+            border: '1px solid #0f0',
+            borderRadius: 6,
+            boxShadow: '0 4px 12px rgba(0,0,0,0.4)',
+            color: '#ccc',
+            textAlign: 'left',
+            zIndex: 10
+          }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 }}>
+            <span>Partials</span>
+            <div style={{ display: 'flex', gap: 4 }}>
+              {HARMONIC_COUNTS.map(n => (
+                <button key={n} onClick={() => changeCount(n)} style={buttonStyle(count === n)}>
+                  {n}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ color: '#0f0', marginBottom: 2 }}>Level</div>
+          <canvas
+            ref={amplitudeCanvasRef}
+            width={GRAPH_WIDTH}
+            height={AMPLITUDE_HEIGHT}
+            onPointerDown={paintAmplitude}
+            onPointerMove={paintAmplitude}
+            onLostPointerCapture={stopPaint}
+            style={{ display: 'block', cursor: 'crosshair', touchAction: 'none' }}
+          />
+
+          <div style={{ color: '#c77dff', margin: '6px 0 2px' }}>Phase</div>
+          <canvas
+            ref={phaseCanvasRef}
+            width={GRAPH_WIDTH}
+            height={PHASE_HEIGHT}
+            onPointerDown={paintPhase}
+            onPointerMove={paintPhase}
+            onLostPointerCapture={stopPaint}
+            style={{ display: 'block', cursor: 'crosshair', touchAction: 'none' }}
+          />
+
+          <div style={{ display: 'flex', gap: 4, marginTop: 8 }}>
+            <select
+              value={selectedPreset}
+              onChange={(e) => loadPreset(e.target.value)}
+              style={{ flex: 1, background: '#222', color: '#ccc', border: '1px solid #444' }}
+            >
+              <option value="" disabled>Load preset…</option>
+              {presets.map(preset => (
+                <option key={preset.name} value={preset.name}>
+                  {preset.name}{preset.factory ? '' : ' ★'}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                wavePresets.deletePreset(selectedPreset);
+                setSelectedPreset('');
+              }}
+              disabled={!selected || selected.factory}
+              title="Delete this saved preset"
+              style={buttonStyle(false)}
+            >
+              Delete
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+            <input
+              type="text"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && presetName.trim() && savePreset()}
+              placeholder="Preset name"
+              style={{ flex: 1, minWidth: 0, background: '#222', color: '#ccc', border: '1px solid #444' }}
+            />
+            <button onClick={savePreset} disabled={!presetName.trim()} style={buttonStyle(false)}>
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
+import { TempoSyncControl } from './TempoSyncControl';
+import { DEFAULT_DIVISION, DEFAULT_PHASE_RESET, LFO_PHASE_RESETS, getSyncedFrequency } from '../tempoSync';
+import { useTransportTempo } from '../useTransportTempo';
+import { LFO_WAVEFORMS, RANDOM_LFO_WAVEFORMS, getNextRandomLfoValue, getRandomLfoValueAt } from '../lfoShapes';
+
+// Random shapes are drawn over more cycles than the others, to show a run of values
+const DRAWN_RANDOM_CYCLES = 8;
 
 /**
  * LFONode - Low Frequency Oscillator for modulation
@@ -7,11 +14,12 @@ import { Handle, Position, useReactFlow } from 'reactflow';
  * Modulates parameters of connected nodes (pitch, filter cutoff, etc.)
  *
  * Parameters:
- * - Waveform: sine, triangle, square, sawtooth, random
- * - Frequency: LFO speed (0.01 - 20 Hz)
+ * - Waveform: sine, triangle, square, sawtooth, sample & hold, smooth random
+ * - Frequency: LFO speed (0.01 - 20 Hz), or a note division when synced to the tempo
  * - Depth: Modulation amount (0 - 1)
- * - Delay: Time before LFO starts (0 - 5 seconds)
- * - Smoothness: For random wave, controls interpolation smoothness (0 - 1)
+ * - Delay: Time the LFO takes to fade in after a note starts (0 - 5 seconds)
+ * - Smoothness: For the random shapes, how they slew between values (0 - 1, see lfoShapes.js)
+ * - Retrigger: Where the cycle starts - on each note, when the transport starts, or free-running
  */
 export function LFONode({ id, data }) {
   const { setNodes } = useReactFlow();
@@ -24,7 +32,14 @@ export function LFONode({ id, data }) {
   const [frequency, setFrequency] = useState(data?.frequency || 5);
   const [depth, setDepth] = useState(data?.depth || 0.5);
   const [delay, setDelay] = useState(data?.delay || 0);
-  const [smoothness, setSmoothness] = useState(data?.smoothness || 0.5);
+  const [smoothness, setSmoothness] = useState(data?.smoothness ?? 0.5);
+  const [sync, setSync] = useState(data?.sync ?? false);
+  const [division, setDivision] = useState(data?.division || DEFAULT_DIVISION);
+  const [phaseReset, setPhaseReset] = useState(data?.phaseReset || DEFAULT_PHASE_RESET);
+
+  // The rate the LFO actually runs at (synced LFOs follow the transport tempo)
+  const bpm = useTransportTempo();
+  const rate = getSyncedFrequency({ sync, division }, bpm, frequency);
 
   // Update node data whenever parameters change
   useEffect(() => {
@@ -39,7 +54,10 @@ export function LFONode({ id, data }) {
               frequency,
               depth,
               delay,
-              smoothness
+              smoothness,
+              sync,
+              division,
+              phaseReset
             }
           };
         }
@@ -49,15 +67,16 @@ export function LFONode({ id, data }) {
 
     // Dispatch LFO parameter change event for bird
     window.dispatchEvent(new CustomEvent('lfoChange', {
-      detail: { nodeId: id, frequency, depth, waveform }
+      detail: { nodeId: id, frequency: rate, depth, waveform }
     }));
-  }, [waveform, frequency, depth, delay, smoothness, id, setNodes]);
+  }, [waveform, frequency, depth, delay, smoothness, sync, division, phaseReset, rate, id, setNodes]);
 
   // Generate real-time waveform values for bird animation
   useEffect(() => {
     let lastTime = Date.now();
-    let randomValue = 0;
-    let smoothedRandomValue = 0;
+    // Random shapes move from one value to the next each cycle
+    let randomFrom = 0;
+    let randomTo = 0;
 
     const generateWaveValue = () => {
       const now = Date.now();
@@ -65,9 +84,11 @@ export function LFONode({ id, data }) {
       lastTime = now;
 
       // Advance phase based on frequency
-      phaseRef.current += frequency * deltaTime * Math.PI * 2;
+      phaseRef.current += rate * deltaTime * Math.PI * 2;
       if (phaseRef.current > Math.PI * 2) {
         phaseRef.current -= Math.PI * 2;
+        randomFrom = getRandomLfoValueAt(waveform, randomFrom, randomTo, 1, smoothness);
+        randomTo = getNextRandomLfoValue(waveform, randomFrom, smoothness);
       }
 
       let value = 0;
@@ -86,12 +107,9 @@ export function LFONode({ id, data }) {
         case 'sawtooth':
           value = ((phase % (Math.PI * 2)) / (Math.PI * 2)) * 2 - 1;
           break;
+        case 'sampleHold':
         case 'random':
-          // Generate new random value
-          randomValue = Math.random() * 2 - 1;
-          // Smooth it based on smoothness parameter
-          smoothedRandomValue = smoothedRandomValue * smoothness + randomValue * (1 - smoothness);
-          value = smoothedRandomValue;
+          value = getRandomLfoValueAt(waveform, randomFrom, randomTo, phase / (Math.PI * 2), smoothness);
           break;
         default:
           value = 0;
@@ -99,7 +117,7 @@ export function LFONode({ id, data }) {
 
       // Dispatch waveform value event for bird
       window.dispatchEvent(new CustomEvent('lfoWaveform', {
-        detail: { nodeId: id, value, frequency, depth, waveform }
+        detail: { nodeId: id, value, frequency: rate, depth, waveform }
       }));
 
       animationRef.current = requestAnimationFrame(generateWaveValue);
@@ -112,7 +130,7 @@ export function LFONode({ id, data }) {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [frequency, waveform, depth, smoothness, id]);
+  }, [rate, waveform, depth, smoothness, id]);
 
   // Draw waveform visualization
   useEffect(() => {
@@ -141,11 +159,18 @@ export function LFONode({ id, data }) {
     ctx.lineWidth = 2;
     ctx.beginPath();
 
-    const cycles = 2; // Number of cycles to display
+    const cycles = RANDOM_LFO_WAVEFORMS.includes(waveform) ? DRAWN_RANDOM_CYCLES : 2; // Number of cycles to display
     const amplitude = (height / 2) * 0.8 * depth;
 
+    // One random value per cycle, starting from the centre
+    const randomValues = [0];
+    for (let i = 0; i < cycles; i++) {
+      randomValues.push(getNextRandomLfoValue(waveform, randomValues[i], smoothness));
+    }
+
     for (let x = 0; x < width; x++) {
       const phase = (x / width) * cycles * Math.PI * 2;
+      const cycle = Math.floor((x / width) * cycles);
       let y;
 
       switch (waveform) {
@@ -161,12 +186,11 @@ export function LFONode({ id, data }) {
         case 'sawtooth':
           y = height / 2 - ((phase % (Math.PI * 2)) / (Math.PI * 2) * 2 - 1) * amplitude;
           break;
+        case 'sampleHold':
         case 'random':
-          // Simplified random visualization - just show noise
-          const noise = Math.random() * 2 - 1;
-          // Apply smoothness by mixing with previous value
-          const prevY = x > 0 ? (ctx.getImageData(x - 1, 0, 1, height).data.findIndex(v => v > 0) || height / 2) : height / 2;
-          y = height / 2 - (noise * (1 - smoothness) + ((prevY - height / 2) / amplitude) * smoothness) * amplitude;
+          y = height / 2 - getRandomLfoValueAt(
+            waveform, randomValues[cycle], randomValues[cycle + 1], (x / width) * cycles - cycle, smoothness
+          ) * amplitude;
           break;
         default:
           y = height / 2;
@@ -224,32 +248,39 @@ export function LFONode({ id, data }) {
             cursor: 'pointer'
           }}
         >
-          <option value="sine">Sine</option>
-          <option value="triangle">Triangle</option>
-          <option value="square">Square</option>
-          <option value="sawtooth">Sawtooth</option>
-          <option value="random">Random</option>
+          {Object.entries(LFO_WAVEFORMS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
         </select>
       </div>
 
-      {/* Frequency control */}
-      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
-        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
-          <span>Frequency:</span>
-          <span>{frequency.toFixed(2)} Hz</span>
-        </label>
-        <input
-          type="range"
-          min="0.01"
-          max="20"
-          step="0.01"
-          value={frequency}
-          onChange={(e) => setFrequency(parseFloat(e.target.value))}
-          onMouseDown={(e) => e.stopPropagation()}
-          onMouseUp={(e) => e.stopPropagation()}
-          style={{ width: '100%', cursor: 'pointer' }}
-        />
-      </div>
+      {/* Frequency control (free, or a note division per cycle when synced) */}
+      <TempoSyncControl
+        label="Rate"
+        sync={sync}
+        division={division}
+        syncedValue={`${rate.toFixed(2)} Hz`}
+        onSyncChange={setSync}
+        onDivisionChange={setDivision}
+      >
+        <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+          <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+            <span>Frequency:</span>
+            <span>{frequency.toFixed(2)} Hz</span>
+          </label>
+          <input
+            type="range"
+            min="0.01"
+            max="20"
+            step="0.01"
+            value={frequency}
+            onChange={(e) => setFrequency(parseFloat(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{ width: '100%', cursor: 'pointer' }}
+          />
+        </div>
+      </TempoSyncControl>
 
       {/* Depth control */}
       <div className="nodrag nopan" style={{ marginBottom: 8 }}>
@@ -270,9 +301,12 @@ export function LFONode({ id, data }) {
         />
       </div>
 
-      {/* Delay control */}
+      {/* Delay control (fade-in time) */}
       <div className="nodrag nopan" style={{ marginBottom: 8 }}>
-        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+        <label
+          title="Time the LFO takes to fade in after each note"
+          style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}
+        >
           <span>Delay:</span>
           <span>{delay.toFixed(2)} s</span>
         </label>
@@ -289,8 +323,34 @@ export function LFONode({ id, data }) {
         />
       </div>
 
-      {/* Smoothness control (only for random waveform) */}
-      {waveform === 'random' && (
+      {/* Retrigger selector (where each cycle starts) */}
+      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+        <label style={{ fontSize: '0.85em', display: 'block', marginBottom: 4 }}>
+          Retrigger:
+        </label>
+        <select
+          value={phaseReset}
+          onChange={(e) => setPhaseReset(e.target.value)}
+          onMouseDown={(e) => e.stopPropagation()}
+          onMouseUp={(e) => e.stopPropagation()}
+          style={{
+            width: '100%',
+            padding: 4,
+            background: 'rgba(0, 0, 0, 0.3)',
+            color: 'white',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            borderRadius: 4,
+            cursor: 'pointer'
+          }}
+        >
+          {Object.entries(LFO_PHASE_RESETS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Smoothness control (only for the random shapes) */}
+      {RANDOM_LFO_WAVEFORMS.includes(waveform) && (
         <div className="nodrag nopan" style={{ marginBottom: 8 }}>
           <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
             <span>Smoothness:</span>
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import * as Tone from 'tone';
+import { measureLevels } from '../MasterBus';
+
+// Meter scale in dB (left edge to right edge)
+const METER_FLOOR_DB = -60;
+const METER_CEILING_DB = 6;
+
+// How fast the peak marker falls back, in dB per frame
+const PEAK_FALL_DB = 0.5;
+
+const toPercent = (db) =>
+  Math.min(Math.max((db - METER_FLOOR_DB) / (METER_CEILING_DB - METER_FLOOR_DB), 0), 1) * 100;
+
+const formatDb = (db) => (db <= METER_FLOOR_DB ? '-∞' : db.toFixed(1));
+
+/**
+ * LevelMeter - Peak/RMS meter with a clip light
+ * The clip light latches when a sample reaches 0 dBFS; click it to reset.
+ *
+ * @param {function} getAnalyser - Returns the Tone.Analyser ('waveform') to read, or null
+ */
+export function LevelMeter({ getAnalyser }) {
+  const [levels, setLevels] = useState({ peak: METER_FLOOR_DB, rms: METER_FLOOR_DB });
+  const [clipped, setClipped] = useState(false);
+
+  useEffect(() => {
+    let rafId;
+    let peakHold = METER_FLOOR_DB;
+
+    const update = () => {
+      const analyser = getAnalyser();
+      if (analyser) {
+        const { peak, rms } = measureLevels(analyser.getValue());
+        const peakDb = Math.max(Tone.gainToDb(peak), METER_FLOOR_DB);
+        peakHold = Math.max(peakDb, peakHold - PEAK_FALL_DB);
+        setLevels({ peak: peakHold, rms: Math.max(Tone.gainToDb(rms), METER_FLOOR_DB) });
+        if (peak >= 1) {
+          setClipped(true);
+        }
+      }
+      rafId = requestAnimationFrame(update);
+    };
+
+    update();
+    return () => cancelAnimationFrame(rafId);
+  }, [getAnalyser]);
+
+  const rmsColor = levels.rms > -6 ? '#fc0' : '#0f8';
+
+  return (
+    <div className="nodrag nopan" style={{ fontSize: '0.65em', color: '#999' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+        <div
+          style={{
+            position: 'relative',
+            flex: 1,
+            height: 6,
+            background: '#333',
+            borderRadius: 3,
+            overflow: 'hidden'
+          }}
+        >
+          <div style={{ width: `${toPercent(levels.rms)}%`, height: '100%', background: rmsColor }} />
+          <div
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: `${toPercent(levels.peak)}%`,
+              width: 2,
+              height: '100%',
+              background: levels.peak >= 0 ? '#f33' : 'white'
+            }}
+          />
+        </div>
+        <div
+          onClick={() => setClipped(false)}
+          title={clipped ? 'Clipped! Click to reset' : 'Lights up when the signal clips'}
+          style={{
+            padding: '0 3px',
+            borderRadius: 3,
+            background: clipped ? '#f33' : '#333',
+            color: clipped ? 'white' : '#666',
+            cursor: 'pointer',
+            fontWeight: 'bold'
+          }}
+        >
+          CLIP
+        </div>
+      </div>
+      <div style={{ marginTop: 2 }}>
+        Peak {formatDb(levels.peak)} dB · RMS {formatDb(levels.rms)} dB
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { masterBus, MASTER_VOLUME_RANGE } from '../MasterBus';
+import { LevelMeter } from './LevelMeter';
+
+// How often the limiter readout refreshes (ms)
+const REDUCTION_POLL_INTERVAL = 100;
+
+/**
+ * MasterBusPanel - Master volume, master meter and limiter activity
+ * Every OutputNode sums into the master bus before the speakers.
+ */
+export function MasterBusPanel() {
+  const [volume, setVolume] = useState(masterBus.masterVolume);
+  const [reduction, setReduction] = useState(0);
+
+  const getAnalyser = useCallback(() => masterBus.getMeter(), []);
+
+  useEffect(() => {
+    masterBus.setMasterVolume(volume);
+  }, [volume]);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setReduction(masterBus.getLimiterReduction()), REDUCTION_POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const limiting = reduction < -0.1;
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        bottom: '20px',
+        left: '20px',
+        width: 180,
+        padding: 10,
+        borderRadius: '12px',
+        background: 'rgba(20, 20, 30, 0.85)',
+        border: '2px solid #f0f',
+        boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+        color: 'white',
+        zIndex: 1000
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
+        <strong style={{ color: '#f0f', fontSize: '0.8em' }}>MASTER</strong>
+        <span
+          title="The limiter turns peaks down so the master never clips"
+          style={{ fontSize: '0.65em', color: limiting ? '#fc0' : '#666' }}
+        >
+          {limiting ? `LIMIT ${reduction.toFixed(1)} dB` : 'LIMIT'}
+        </span>
+      </div>
+      <label style={{ display: 'block', fontSize: '0.7em', color: '#f0f' }}>
+        Volume: {volume > 0 ? '+' : ''}{volume} dB
+        <input
+          type="range"
+          min={MASTER_VOLUME_RANGE.min}
+          max={MASTER_VOLUME_RANGE.max}
+          step="1"
+          value={volume}
+          onChange={(e) => setVolume(Number(e.target.value))}
+          onDoubleClick={() => setVolume(0)}
+          style={{ width: '100%' }}
+        />
+      </label>
+      <LevelMeter getAnalyser={getAnalyser} />
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { Handle, Position, useEdges } from 'reactflow';
+import { NODE_PORTS } from '../portRegistry';
+
+const MOD_COLOR = '#f5576c';
+
+// How brightly an input glows while an envelope drives it (LFOs pulse with their swing)
+const ENVELOPE_GLOW = 0.5;
+
+// The top center belongs to an oscillator's pitch / the filter's cutoff input
+const INPUTS = [
+  { id: 'level-in', label: 'LVL', title: 'Level', position: Position.Top, left: '15%' },
+  { id: 'spread-in', label: 'SPRD', title: 'Unison spread', position: Position.Top, left: '85%' },
+  { id: 'pwm-in', label: 'PWM', title: 'Pulse width', position: Position.Bottom, left: '80%' },
+  { id: 'resonance-in', label: 'RES', title: 'Resonance', position: Position.Top, left: '80%' },
+  { id: 'wet-in', label: 'WET', title: 'Wet/dry mix', position: Position.Top, left: '20%' },
+  { id: 'rate-in', label: 'RATE', title: 'Rate', position: Position.Top, left: '50%' },
+  { id: 'depth-in', label: 'DEPTH', title: 'Depth', position: Position.Top, left: '80%' },
+  { id: 'width-in', label: 'WIDTH', title: 'Stereo width', position: Position.Top, left: '80%' },
+  { id: 'pan-in', label: 'PAN', title: 'Pan', position: Position.Top, left: '50%' }
+];
+
+const handleStyle = (input, glow) => ({
+  background: MOD_COLOR,
+  width: 16,
+  height: 16,
+  left: input.left,
+  ...(input.position === Position.Top ? { top: -8 } : { bottom: -8 }),
+  boxShadow: glow > 0 ? `0 0 ${4 + glow * 12}px ${1 + glow * 4}px ${MOD_COLOR}` : 'none'
+});
+
+// Labels sit outside the node, clear of its title and controls
+const labelStyle = (input, modulated) => ({
+  position: 'absolute',
+  left: input.left,
+  transform: 'translateX(-50%)',
+  ...(input.position === Position.Top ? { bottom: 'calc(100% + 10px)' } : { top: 'calc(100% + 10px)' }),
+  fontSize: '0.55em',
+  fontWeight: modulated ? 'bold' : 'normal',
+  color: MOD_COLOR,
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+});
+
+/**
+ * ModInputs - mod inputs for a node's level, pulse width, unison spread, resonance,
+ * pan and effect wet/rate/depth
+ * Wire an envelope or LFO into one of these handles to modulate that setting
+ * (the edge's amount slider sets how far). Shows only the inputs the node type
+ * declares in the port registry. A modulated input glows: steadily for an envelope,
+ * pulsing with the LFO's swing for an LFO.
+ */
+export function ModInputs({ id, type }) {
+  const edges = useEdges();
+  const [swing, setSwing] = useState({});
+
+  const inputs = INPUTS.filter(input => NODE_PORTS[type]?.inputs[input.id]);
+  const sources = edges
+    .filter(edge => edge.target === id && inputs.some(input => input.id === edge.targetHandle))
+    .map(edge => ({ source: edge.source, handleId: edge.targetHandle }));
+  // Only changes when the wiring does, so the LFO listener isn't re-added every render
+  const wiring = JSON.stringify(sources);
+
+  useEffect(() => {
+    const wired = JSON.parse(wiring);
+    if (wired.length === 0) return;
+
+    const handleLfoWaveform = (e) => {
+      const { nodeId, value, depth } = e.detail;
+      if (!wired.some(({ source }) => source === nodeId)) return;
+      setSwing(prev => ({ ...prev, [nodeId]: Math.abs(value) * (depth ?? 1) }));
+    };
+
+    window.addEventListener('lfoWaveform', handleLfoWaveform);
+    return () => window.removeEventListener('lfoWaveform', handleLfoWaveform);
+  }, [wiring]);
+
+  const getGlow = (handleId) => Math.max(0, ...sources
+    .filter(({ handleId: wiredHandle }) => wiredHandle === handleId)
+    .map(({ source }) => swing[source] ?? ENVELOPE_GLOW));
+
+  return (
+    <>
+      {inputs.map((input) => {
+        const modulated = sources.some(({ handleId }) => handleId === input.id);
+        return (
+          <React.Fragment key={input.id}>
+            <Handle
+              type="target"
+              position={input.position}
+              id={input.id}
+              title={`${input.title} modulation input${modulated ? ' (modulated)' : ''}`}
+              style={handleStyle(input, modulated ? getGlow(input.id) : 0)}
+            />
+            <span style={labelStyle(input, modulated)}>
+              {modulated ? `~${input.label}~` : input.label}
+            </span>
+          </React.Fragment>
+        );
+      })}
+    </>
+  );
+}
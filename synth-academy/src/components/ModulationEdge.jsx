@@ -0,0 +1,106 @@
+import React from 'react';
+import { BaseEdge, EdgeLabelRenderer, getBezierPath, useReactFlow } from 'reactflow';
+import { getModulationPort, getModulationAmount } from '../portRegistry';
+
+const UNIT_LABELS = {
+  semitones: 'st',
+  octaves: 'oct',
+  percent: '%',
+  cents: '¢',
+  decibels: 'dB',
+  hertz: 'Hz',
+  q: 'Q'
+};
+
+/**
+ * ModulationEdge - an edge from an envelope/LFO into a mod input
+ *
+ * Shows a bipolar amount slider at the middle of the edge. The amount is stored
+ * on the edge (data.amount) in the units of the mod input it drives (semitones for
+ * pitch, octaves for cutoff, dB for level, percent of the range for wavetable position,
+ * wet, pan...) and is relative to the target's current value.
+ * Positive amounts are drawn warm, negative amounts cool.
+ */
+export function ModulationEdge({
+  id,
+  target,
+  targetHandleId,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  style,
+  markerEnd,
+  data
+}) {
+  const { setEdges, getNode } = useReactFlow();
+
+  const [edgePath, labelX, labelY] = getBezierPath({
+    sourceX,
+    sourceY,
+    sourcePosition,
+    targetX,
+    targetY,
+    targetPosition
+  });
+
+  const port = getModulationPort(getNode(target)?.type, targetHandleId);
+  const range = port?.amount;
+  const amount = getModulationAmount(port, { data });
+
+  const handleAmountChange = (value) => {
+    setEdges((edges) =>
+      edges.map((edge) =>
+        edge.id === id ? { ...edge, data: { ...edge.data, amount: value } } : edge
+      )
+    );
+  };
+
+  const amountColor = amount >= 0 ? '#ff8c42' : '#42a5ff';
+  const unitLabel = UNIT_LABELS[range?.unit] || '';
+
+  return (
+    <>
+      <BaseEdge path={edgePath} markerEnd={markerEnd} style={{ ...style, stroke: amountColor }} />
+      {range && (
+        <EdgeLabelRenderer>
+          <div
+            className="nodrag nopan"
+            style={{
+              position: 'absolute',
+              transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)`,
+              pointerEvents: 'all',
+              background: 'rgba(30, 30, 30, 0.85)',
+              border: `2px solid ${amountColor}`,
+              borderRadius: 8,
+              padding: '4px 8px',
+              color: 'white',
+              fontSize: '0.75em',
+              display: 'flex',
+              alignItems: 'center',
+              gap: 6
+            }}
+          >
+            <input
+              type="range"
+              min={range.min}
+              max={range.max}
+              step={range.step}
+              value={amount}
+              onChange={(e) => handleAmountChange(Number(e.target.value))}
+              onDoubleClick={() => handleAmountChange(range.default)}
+              title="Modulation amount (double-click to reset)"
+              className="nodrag nopan"
+              style={{ width: 80 }}
+            />
+            <span style={{ minWidth: 48, textAlign: 'right' }}>
+              {amount > 0 ? '+' : ''}{Number.isInteger(range.step) ? amount : amount.toFixed(1)} {unitLabel}
+            </span>
+          </div>
+        </EdgeLabelRenderer>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { Handle, Position, useEdges, useReactFlow } from 'reactflow';
+import { AM_MODES, FM_INDEX_RANGE, FM_RATIO_RANGE, getOscModSettings } from '../oscModSettings';
+import { NODE_PORTS } from '../portRegistry';
+
+const INPUTS = [
+  { id: 'fm-in', label: 'FM', color: '#c77dff', position: Position.Left, style: { top: '22%', left: -8 } },
+  { id: 'am-in', label: 'AM', color: '#ffb703', position: Position.Left, style: { top: '78%', left: -8 } },
+  { id: 'sync-in', label: 'SYNC', color: '#06d6a0', position: Position.Bottom, style: { left: '50%', bottom: -8 } }
+];
+
+const labelStyle = (input) => ({
+  position: 'absolute',
+  fontSize: '0.55em',
+  color: input.color,
+  pointerEvents: 'none',
+  ...(input.position === Position.Left
+    ? { left: 10, top: input.style.top, transform: 'translateY(-50%)' }
+    : { left: '50%', bottom: 10, transform: 'translateX(-50%)' })
+});
+
+/**
+ * OscModInputs - FM, AM/ring and hard-sync inputs for an oscillator node
+ * Wire another oscillator into one of these handles to modulate this one.
+ * Each input's settings show up once something is connected to it.
+ * Pass the node's type to show only the inputs it declares in the port registry.
+ */
+export function OscModInputs({ id, data, type }) {
+  const { setNodes } = useReactFlow();
+  const edges = useEdges();
+
+  const initialSettings = getOscModSettings(data);
+  const [fmIndex, setFmIndex] = useState(initialSettings.fmIndex);
+  const [fmRatio, setFmRatio] = useState(initialSettings.fmRatio);
+  const [amMode, setAmMode] = useState(initialSettings.amMode);
+
+  useEffect(() => {
+    setNodes((nodes) =>
+      nodes.map((node) =>
+        node.id === id
+          ? { ...node, data: { ...node.data, fmIndex, fmRatio, amMode } }
+          : node
+      )
+    );
+  }, [fmIndex, fmRatio, amMode, id, setNodes]);
+
+  const inputs = type ? INPUTS.filter(input => NODE_PORTS[type]?.inputs[input.id]) : INPUTS;
+  const isConnected = (handleId) => edges.some(edge => edge.target === id && edge.targetHandle === handleId);
+
+  return (
+    <>
+      {inputs.map((input) => (
+        <React.Fragment key={input.id}>
+          <Handle
+            type="target"
+            position={input.position}
+            id={input.id}
+            title={`${input.label} input`}
+            style={{ background: input.color, width: 16, height: 16, ...input.style }}
+          />
+          <span style={labelStyle(input)}>{input.label}</span>
+        </React.Fragment>
+      ))}
+
+      {isConnected('fm-in') && (
+        <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em', color: '#c77dff' }}>
+          <label style={{ display: 'block', marginBottom: 4 }}>
+            FM Index: {fmIndex.toFixed(1)}
+          </label>
+          <input
+            type="range"
+            min={FM_INDEX_RANGE.min}
+            max={FM_INDEX_RANGE.max}
+            step={FM_INDEX_RANGE.step}
+            value={fmIndex}
+            onChange={(e) => setFmIndex(Number(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            title="How far the modulator bends this oscillator's pitch"
+            style={{ width: '100%', cursor: 'pointer' }}
+          />
+          <label style={{ display: 'block', marginBottom: 4 }}>
+            Ratio: {fmRatio}×
+          </label>
+          <input
+            type="range"
+            min={FM_RATIO_RANGE.min}
+            max={FM_RATIO_RANGE.max}
+            step={FM_RATIO_RANGE.step}
+            value={fmRatio}
+            onChange={(e) => setFmRatio(Number(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            title="Modulator pitch as a multiple of the note (whole numbers sound harmonic, others bell-like)"
+            style={{ width: '100%', cursor: 'pointer' }}
+          />
+        </div>
+      )}
+
+      {isConnected('am-in') && (
+        <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em', color: '#ffb703' }}>
+          <div style={{ display: 'flex', gap: 4 }}>
+            {Object.entries(AM_MODES).map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setAmMode(mode)}
+                onMouseDown={(e) => e.stopPropagation()}
+                onMouseUp={(e) => e.stopPropagation()}
+                style={{
+                  flex: 1,
+                  padding: 2,
+                  background: amMode === mode ? '#ffb703' : '#222',
+                  color: amMode === mode ? '#000' : '#ffb703',
+                  border: '1px solid #ffb703',
+                  borderRadius: 4,
+                  cursor: 'pointer',
+                  fontSize: '1em'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isConnected('sync-in') && (
+        <div style={{ marginTop: 8, fontSize: '0.7em', color: '#06d6a0' }}>
+          Synced to master
+        </div>
+      )}
+    </>
+  );
+}
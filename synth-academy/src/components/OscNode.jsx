@@ -1,9 +1,15 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { masterBus } from '../MasterBus';
 import { Handle, Position, useReactFlow } from 'reactflow';
+import { OscModInputs } from './OscModInputs';
+import { ModInputs } from './ModInputs';
+import { HarmonicEditor } from './HarmonicEditor';
+import { PeriodicOscillator } from '../PeriodicOscillator';
+import { getWaveformPoints } from '../wavetables';
 
-export function OscNode({ data, id }) {
+export function OscNode({ data, id, type }) {
     const synthRef = useRef(null);
     const canvasRef = useRef(null);
     const nodeRef = useRef(null);
@@ -15,6 +21,11 @@ export function OscNode({ data, id }) {
     // Octave offset (-2 to +2 octaves)
     const [octaveOffset, setOctaveOffset] = useState(data?.octaveOffset || 0);
 
+    // Level in the mix (0-100%)
+    const [level, setLevel] = useState(data?.level ?? 100);
+
+    const isCustom = Boolean(data.waveformData?.imag);
+
     // Draw waveform visualization
     useEffect(() => {
         if (!canvasRef.current || !data.waveformData) return;
@@ -28,30 +39,9 @@ export function OscNode({ data, id }) {
         ctx.fillStyle = '#222';
         ctx.fillRect(0, 0, width, height);
 
-        const { real, imag } = data.waveformData;
-
-        // Generate waveform points
+        // Generate waveform points (normalized, phases included)
         const numPoints = width;
-        const waveform = new Float32Array(numPoints);
-
-        for (let i = 0; i < numPoints; i++) {
-            const phase = (i / numPoints) * Math.PI * 2;
-            let sample = 0;
-
-            for (let n = 1; n < real.length; n++) {
-                sample += imag[n] * Math.sin(n * phase);
-            }
-
-            waveform[i] = sample;
-        }
-
-        // Normalize
-        const max = Math.max(...waveform.map(Math.abs));
-        if (max > 0) {
-            for (let i = 0; i < waveform.length; i++) {
-                waveform[i] /= max;
-            }
-        }
+        const waveform = getWaveformPoints(data.waveformData, numPoints);
 
         // Draw waveform
         ctx.beginPath();
@@ -74,44 +64,33 @@ export function OscNode({ data, id }) {
 
     useEffect(() => {
         // Create oscillator but don't connect to destination yet
-        const synth = new Tone.Oscillator(440, data.waveform || 'sine');
+        // (custom waveforms play their harmonics with phases; the wave is set below)
+        const synth = isCustom
+            ? new PeriodicOscillator({ frequency: 440 })
+            : new Tone.Oscillator(440, data.waveform || 'sine');
         synth.volume.value = -Infinity; // Start completely silent
         synthRef.current = synth;
 
         // Start the oscillator first
         synth.start();
 
-        // Connect to destination by default (will be disconnected if edges are added)
-        synth.toDestination();
+        // Connect to the master bus by default (will be disconnected if edges are added)
+        masterBus.connect(synth);
 
         // Register with audio graph
         audioGraph.registerNode(id, synth);
 
-        // If custom waveform data is provided, set it after starting
-        if (data.waveformData && data.waveformData.real && data.waveformData.imag) {
-            // Wait a tick to ensure oscillator is fully initialized
-            setTimeout(() => {
-                try {
-                    const real = new Float32Array(data.waveformData.real);
-                    const imag = new Float32Array(data.waveformData.imag);
-                    const wave = synth.context.createPeriodicWave(real, imag);
-
-                    // Check if oscillator exists before setting wave
-                    if (synth._oscillator) {
-                        synth._oscillator.setPeriodicWave(wave);
-                    }
-                } catch (e) {
-                    console.warn('Failed to set custom waveform:', e);
-                }
-            }, 50);
-        }
-
         return () => {
             // Unregister from audio graph (handles cleanup)
             audioGraph.unregisterNode(id);
             synthRef.current = null;
         };
-    }, [id, data.waveform, data.waveformData]);
+    }, [id, data.waveform, isCustom]);
+
+    // Reshape the custom wave in place as the harmonic editor changes it
+    useEffect(() => {
+        synthRef.current?.setWave?.(data.waveformData);
+    }, [isCustom, data.waveformData]);
 
     // Update node data when detune changes
     useEffect(() => {
@@ -149,6 +128,24 @@ export function OscNode({ data, id }) {
         );
     }, [octaveOffset, id, setNodes]);
 
+    // Update node data when level changes
+    useEffect(() => {
+        setNodes((nodes) =>
+            nodes.map((node) => {
+                if (node.id === id) {
+                    return {
+                        ...node,
+                        data: {
+                            ...node.data,
+                            level: level,
+                        },
+                    };
+                }
+                return node;
+            })
+        );
+    }, [level, id, setNodes]);
+
     // Determine label based on waveform type
     const getLabel = () => {
         if (data.waveform === 'custom') {
@@ -248,6 +245,32 @@ export function OscNode({ data, id }) {
                     style={{ width: '100%', cursor: 'pointer' }}
                 />
             </div>
+
+            {/* Level slider */}
+            <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em' }}>
+                <label style={{ display: 'block', marginBottom: 4 }}>
+                    Level: {level}%
+                </label>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={level}
+                    onChange={(e) => setLevel(Number(e.target.value))}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onMouseUp={(e) => e.stopPropagation()}
+                    style={{ width: '100%', cursor: 'pointer' }}
+                />
+            </div>
+
+            {/* Amplitude/phase of each partial, and wave presets */}
+            <HarmonicEditor id={id} data={data} />
+
+            <ModInputs id={id} type={type} />
+
+            {/* FM, AM/ring and sync inputs from other oscillators */}
+            <OscModInputs id={id} data={data} />
         </div>
     );
 }
\ No newline at end of file
@@ -1,7 +1,11 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
-import { Handle, Position } from 'reactflow';
+import { voiceManager } from '../VoiceManager';
+import { STEAL_MODES, MAX_POLYPHONY, getPolyphonySettings } from '../voiceStealing';
+import { masterBus, OUTPUT_GAIN_RANGE, METER_SIZE } from '../MasterBus';
+import { LevelMeter } from './LevelMeter';
+import { Handle, Position, useReactFlow } from 'reactflow';
 
 /**
  * OutputNode marks the END of a voice chain.
@@ -13,28 +17,82 @@ import { Handle, Position } from 'reactflow';
  *
  * Example chain:
  * [Piano] → [Osc] → [Filter] → [Mixer] → [OUTPUT] ← You place this at the end
+ *
+ * Also sets the template's polyphony (how many notes it can play at once)
+ * and shows how many voices are sounding.
+ *
+ * Every OutputNode sums into the master bus. Each one has its own gain,
+ * mute and solo, and a peak/RMS meter with a clip light.
  */
-export function OutputNode({ id }) {
+export function OutputNode({ id, data }) {
+    const { setNodes } = useReactFlow();
     const gainRef = useRef(null);
+    const analyserRef = useRef(null);
+
+    const initialPolyphony = getPolyphonySettings(data);
+    const [polyphony, setPolyphony] = useState(initialPolyphony.maxVoices);
+    const [stealMode, setStealMode] = useState(initialPolyphony.stealMode);
+    const [voiceStats, setVoiceStats] = useState(() => voiceManager.getVoiceStats(id));
+    const [outputGain, setOutputGain] = useState(data?.outputGain ?? 0);
+    const [muted, setMuted] = useState(data?.muted ?? false);
+    const [soloed, setSoloed] = useState(data?.soloed ?? false);
+    const [audible, setAudible] = useState(true);
 
+    // Persist settings in node data (saved with the project, read by AudioGraph)
     useEffect(() => {
-        // Create a simple Gain node (just passes audio through)
-        // We need an actual audio node so the chain can connect to it
+        setNodes((nodes) =>
+            nodes.map((node) =>
+                node.id === id
+                    ? { ...node, data: { ...node.data, polyphony, stealMode, outputGain, muted, soloed } }
+                    : node
+            )
+        );
+    }, [polyphony, stealMode, outputGain, muted, soloed, id, setNodes]);
+
+    // Voice-count telemetry
+    useEffect(() => {
+        const handleVoiceCountChange = () => setVoiceStats(voiceManager.getVoiceStats(id));
+        window.addEventListener('voiceCountChange', handleVoiceCountChange);
+        return () => window.removeEventListener('voiceCountChange', handleVoiceCountChange);
+    }, [id]);
+
+    useEffect(() => {
+        // This output's gain stage - every voice of the template connects here
         const gain = new Tone.Gain(1);
         gainRef.current = gain;
 
-        // Connect to speakers
-        gain.toDestination();
+        // Meter after the gain, before the master bus
+        const analyser = new Tone.Analyser('waveform', METER_SIZE);
+        gain.connect(analyser);
+        analyserRef.current = analyser;
 
-        // Register with audio graph
+        // Register with audio graph, then route into the master bus
         audioGraph.registerNode(id, gain);
+        masterBus.registerOutput(id, gain);
 
         return () => {
+            masterBus.unregisterOutput(id);
             audioGraph.unregisterNode(id);
+            analyser.dispose();
+            analyserRef.current = null;
             gainRef.current = null;
         };
     }, [id]);
 
+    const getAnalyser = useCallback(() => analyserRef.current, []);
+
+    // Another output's solo can silence this one
+    useEffect(() => {
+        const handleMasterBusChange = () => setAudible(masterBus.isOutputAudible(id));
+        window.addEventListener('masterBusChange', handleMasterBusChange);
+        return () => window.removeEventListener('masterBusChange', handleMasterBusChange);
+    }, [id]);
+
+    // Gain, mute and solo on the master bus
+    useEffect(() => {
+        masterBus.setOutputSettings(id, { outputGain, muted, soloed });
+    }, [outputGain, muted, soloed, id]);
+
     return (
         <div
             style={{
@@ -43,7 +101,7 @@ export function OutputNode({ id }) {
                 color: 'white',
                 borderRadius: 6,
                 border: '2px solid #f0f',
-                width: 100,
+                width: 150,
                 textAlign: 'center',
                 boxShadow: '0 0 10px rgba(255, 0, 255, 0.3)',
             }}
@@ -73,6 +131,106 @@ export function OutputNode({ id }) {
             }}>
                 OUT
             </div>
+
+            {/* Polyphony */}
+            <div style={{ marginTop: 8, fontSize: '0.7em', color: '#f0f', textAlign: 'left' }}>
+                <label style={{ display: 'block' }}>
+                    Voices: {polyphony}
+                    <input
+                        type="range"
+                        className="nodrag"
+                        min="1"
+                        max={MAX_POLYPHONY}
+                        step="1"
+                        value={polyphony}
+                        onChange={(e) => setPolyphony(Number(e.target.value))}
+                        style={{ width: '100%' }}
+                    />
+                </label>
+                <label style={{ display: 'block', marginTop: 4 }}>
+                    Steal:
+                    <select
+                        className="nodrag"
+                        value={stealMode}
+                        onChange={(e) => setStealMode(e.target.value)}
+                        style={{
+                            marginLeft: 4,
+                            background: '#333',
+                            border: '1px solid #666',
+                            borderRadius: 4,
+                            color: '#f0f',
+                            fontSize: '1em',
+                        }}
+                    >
+                        {Object.entries(STEAL_MODES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {/* Voice-count telemetry */}
+            <div
+                style={{ marginTop: 6, fontSize: '0.65em', color: '#999', lineHeight: 1.4 }}
+                title="Held notes / polyphony, voices still releasing, and voices stolen so far"
+            >
+                <div style={{ color: voiceStats.held + voiceStats.releasing >= polyphony ? '#f66' : '#999' }}>
+                    Playing: {voiceStats.held}/{polyphony}
+                </div>
+                <div>Releasing: {voiceStats.releasing}</div>
+                <div>Stolen: {voiceStats.stolen}</div>
+            </div>
+
+            {/* Gain staging */}
+            <div style={{ marginTop: 8, fontSize: '0.7em', color: '#f0f', textAlign: 'left' }}>
+                <label style={{ display: 'block' }}>
+                    Gain: {outputGain > 0 ? '+' : ''}{outputGain} dB
+                    <input
+                        type="range"
+                        className="nodrag"
+                        min={OUTPUT_GAIN_RANGE.min}
+                        max={OUTPUT_GAIN_RANGE.max}
+                        step="1"
+                        value={outputGain}
+                        onChange={(e) => setOutputGain(Number(e.target.value))}
+                        onDoubleClick={() => setOutputGain(0)}
+                        style={{ width: '100%' }}
+                    />
+                </label>
+                <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+                    {[
+                        { label: 'M', title: 'Mute', active: muted, color: '#f66', toggle: () => setMuted(!muted) },
+                        { label: 'S', title: 'Solo', active: soloed, color: '#fc0', toggle: () => setSoloed(!soloed) },
+                    ].map(({ label, title, active, color, toggle }) => (
+                        <button
+                            key={label}
+                            className="nodrag"
+                            title={title}
+                            onClick={toggle}
+                            style={{
+                                flex: 1,
+                                padding: 2,
+                                background: active ? color : '#333',
+                                color: active ? '#000' : '#999',
+                                border: '1px solid #666',
+                                borderRadius: 4,
+                                cursor: 'pointer',
+                                fontWeight: 'bold',
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                {!muted && !audible && (
+                    <div style={{ marginTop: 2, color: '#999' }}>Silenced by solo</div>
+                )}
+            </div>
+
+            {/* Level meter */}
+            <div style={{ marginTop: 6 }}>
+                <LevelMeter getAnalyser={getAnalyser} />
+            </div>
         </div>
     );
 }
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Handle, Position, useReactFlow } from 'reactflow';
+import * as Tone from 'tone';
+import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { ModInputs } from './ModInputs';
+
+// Show a pan position as L50 / C / R50
+const formatPan = (pan) => {
+  const amount = Math.round(Math.abs(pan) * 100);
+  if (amount === 0) return 'C';
+  return `${pan < 0 ? 'L' : 'R'}${amount}`;
+};
+
+/**
+ * PanNode - Stereo panner
+ * Places the sound between the left and right speakers
+ */
+export function PanNode({ id, data, type }) {
+  const { setNodes } = useReactFlow();
+  const effectRef = useRef(null);
+
+  const initialSettings = getEffectSettings('panNode', data);
+  const [pan, setPan] = useState(initialSettings.pan);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
+
+  // Create the Tone.js panner on mount (the effect below sets its position)
+  useEffect(() => {
+    const effect = new Tone.Panner();
+    effectRef.current = effect;
+    audioGraph.registerNode(id, effect);
+
+    return () => {
+      audioGraph.unregisterNode(id);
+      effect.dispose();
+      effectRef.current = null;
+    };
+  }, [id]);
+
+  // Update pan position
+  useEffect(() => {
+    if (effectRef.current) {
+      effectRef.current.pan.rampTo(pan, 0.05);
+    }
+  }, [pan]);
+
+  useEffect(() => {
+    setNodes((nodes) =>
+      nodes.map((node) => {
+        if (node.id === id) {
+          return {
+            ...node,
+            data: { ...node.data, pan, effectMode }
+          };
+        }
+        return node;
+      })
+    );
+  }, [pan, effectMode, id, setNodes]);
+
+  return (
+    <div style={{
+      background: 'linear-gradient(135deg, #43cea2 0%, #185a9d 100%)',
+      border: '2px solid #43cea2',
+      borderRadius: 8,
+      padding: 12,
+      minWidth: 180,
+      color: 'white',
+      fontSize: '0.85em'
+    }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 8, textAlign: 'center' }}>
+        Pan
+      </div>
+
+      {/* Pan Position */}
+      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+          <span>Position:</span>
+          <span>{formatPan(pan)}</span>
+        </label>
+        <input
+          type="range"
+          min="-1"
+          max="1"
+          step="0.01"
+          value={pan}
+          onChange={(e) => setPan(parseFloat(e.target.value))}
+          onDoubleClick={() => setPan(0)}
+          onMouseDown={(e) => e.stopPropagation()}
+          onMouseUp={(e) => e.stopPropagation()}
+          title="Double-click to center"
+          style={{ width: '100%', cursor: 'pointer' }}
+        />
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75em', opacity: 0.8 }}>
+          <span>L</span>
+          <span>R</span>
+        </div>
+      </div>
+
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="audio-in"
+        style={{ background: '#0f0', top: '50%', width: 24, height: 24, left: -12 }}
+      />
+      <Handle
+        type="source"
+        position={Position.Right}
+        id="audio-out"
+        style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
+      />
+      <ModInputs id={id} type={type} />
+    </div>
+  );
+}
@@ -2,19 +2,33 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { TempoSyncControl } from './TempoSyncControl';
+import { getSyncedFrequency } from '../tempoSync';
+import { useTransportTempo } from '../useTransportTempo';
+import { ModInputs } from './ModInputs';
 
 /**
  * PhaserNode - Phaser effect
  * Creates a sweeping, whooshing sound by filtering the signal
  */
-export function PhaserNode({ id, data }) {
+export function PhaserNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [frequency, setFrequency] = useState(data?.frequency || 0.5);
-  const [octaves, setOctaves] = useState(data?.octaves || 3);
-  const [baseFrequency, setBaseFrequency] = useState(data?.baseFrequency || 350);
-  const [wet, setWet] = useState(data?.wet || 0.5);
+  const initialSettings = getEffectSettings('phaserNode', data);
+  const [frequency, setFrequency] = useState(initialSettings.frequency);
+  const [octaves, setOctaves] = useState(initialSettings.octaves);
+  const [baseFrequency, setBaseFrequency] = useState(initialSettings.baseFrequency);
+  const [wet, setWet] = useState(initialSettings.wet);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
+  const [sync, setSync] = useState(initialSettings.sync);
+  const [division, setDivision] = useState(initialSettings.division);
+
+  const bpm = useTransportTempo();
+  const effectiveFrequency = getSyncedFrequency({ sync, division }, bpm, frequency);
 
   // Create the Tone.js effect on mount
   useEffect(() => {
@@ -48,9 +62,9 @@ export function PhaserNode({ id, data }) {
   // Update frequency
   useEffect(() => {
     if (effectRef.current) {
-      effectRef.current.frequency.value = frequency;
+      effectRef.current.frequency.value = effectiveFrequency;
     }
-  }, [frequency]);
+  }, [effectiveFrequency]);
 
   // Update octaves
   useEffect(() => {
@@ -83,13 +97,13 @@ export function PhaserNode({ id, data }) {
         if (node.id === id) {
           return {
             ...node,
-            data: { ...node.data, frequency, octaves, baseFrequency, wet }
+            data: { ...node.data, frequency, octaves, baseFrequency, wet, effectMode, sync, division }
           };
         }
         return node;
       })
     );
-  }, [frequency, octaves, baseFrequency, wet, id, setNodes]);
+  }, [frequency, octaves, baseFrequency, wet, effectMode, sync, division, id, setNodes]);
 
   return (
     <div style={{
@@ -105,24 +119,33 @@ export function PhaserNode({ id, data }) {
         Phaser
       </div>
 
-      {/* Frequency */}
-      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
-        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
-          <span>Rate:</span>
-          <span>{frequency.toFixed(2)} Hz</span>
-        </label>
-        <input
-          type="range"
-          min="0.01"
-          max="10"
-          step="0.01"
-          value={frequency}
-          onChange={(e) => setFrequency(parseFloat(e.target.value))}
-          onMouseDown={(e) => e.stopPropagation()}
-          onMouseUp={(e) => e.stopPropagation()}
-          style={{ width: '100%', cursor: 'pointer' }}
-        />
-      </div>
+      {/* Rate (free, or a note division per cycle when synced) */}
+      <TempoSyncControl
+        label="Rate"
+        sync={sync}
+        division={division}
+        syncedValue={`${effectiveFrequency.toFixed(2)} Hz`}
+        onSyncChange={setSync}
+        onDivisionChange={setDivision}
+      >
+        <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+          <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+            <span>Rate:</span>
+            <span>{frequency.toFixed(2)} Hz</span>
+          </label>
+          <input
+            type="range"
+            min="0.01"
+            max="10"
+            step="0.01"
+            value={frequency}
+            onChange={(e) => setFrequency(parseFloat(e.target.value))}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{ width: '100%', cursor: 'pointer' }}
+          />
+        </div>
+      </TempoSyncControl>
 
       {/* Octaves */}
       <div className="nodrag nopan" style={{ marginBottom: 8 }}>
@@ -181,6 +204,8 @@ export function PhaserNode({ id, data }) {
         />
       </div>
 
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
       <Handle
         type="target"
         position={Position.Left}
@@ -193,6 +218,7 @@ export function PhaserNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
@@ -1,7 +1,9 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import * as Tone from 'tone';
-import { audioGraph } from '../AudioGraph';
-import { voiceManager } from '../VoiceManager';
+import { startControllerNote, stopControllerNote } from '../Arpeggiator';
+import { VELOCITY_CURVES, DEFAULT_VELOCITY_CURVE, applyVelocityCurve } from '../velocity';
+import { VOICE_MODES, NOTE_PRIORITIES, getVoiceSettings } from '../voiceSettings';
+import { Handle, Position, useReactFlow } from 'reactflow';
 
 // Base note names (no octave)
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -17,6 +19,16 @@ const getNoteFrequency = (noteName, octave) => {
     return 440 * Math.pow(2, (midiNote - 69) / 12);
 };
 
+// Softest velocity a mouse click can play (clicking at the very top of a key)
+const MIN_KEY_VELOCITY = 0.2;
+
+// Velocity from where a key is clicked: near the top is soft, near the front edge is loud
+const getKeyVelocity = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1);
+    return MIN_KEY_VELOCITY + (1 - MIN_KEY_VELOCITY) * position;
+};
+
 // Extended keyboard mapping - two rows of keys for two octaves
 const KEY_TO_NOTE = {
     // Lower row (home row) - white keys
@@ -54,13 +66,33 @@ const KEY_TO_NOTE = {
     '7': 'A#',
 };
 
-export function PianoNode({ id }) {
+export function PianoNode({ id, data }) {
+    const { setNodes } = useReactFlow();
     const [activeNotes, setActiveNotes] = useState(new Set());
     const activeNotesRef = useRef(new Set());
     const [octave, setOctave] = useState(4); // Start at octave 4 (middle C = C4)
+    const [velocityCurve, setVelocityCurve] = useState(data?.velocityCurve || DEFAULT_VELOCITY_CURVE);
 
-    // Map to track which voice ID belongs to which note
-    const activeVoicesRef = useRef(new Map()); // noteKey -> voiceId
+    // Voice mode - applied by AudioGraph to every template this piano plays
+    const initialVoiceSettings = getVoiceSettings(data);
+    const [voiceMode, setVoiceMode] = useState(initialVoiceSettings.voiceMode);
+    const [glideTime, setGlideTime] = useState(initialVoiceSettings.glideTime);
+    const [notePriority, setNotePriority] = useState(initialVoiceSettings.notePriority);
+    const [retrigger, setRetrigger] = useState(initialVoiceSettings.retrigger);
+
+    // Persist settings in node data (saved with the project)
+    useEffect(() => {
+        setNodes((nodes) =>
+            nodes.map((node) =>
+                node.id === id
+                    ? { ...node, data: { ...node.data, velocityCurve, voiceMode, glideTime, notePriority, retrigger } }
+                    : node
+            )
+        );
+    }, [velocityCurve, voiceMode, glideTime, notePriority, retrigger, id, setNodes]);
+
+    // Map to track which voices/arpeggiator notes belong to which note
+    const activeVoicesRef = useRef(new Map()); // noteKey -> note handle (see startControllerNote)
 
     useEffect(() => {
         // Piano no longer needs to register with audioGraph
@@ -68,8 +100,8 @@ export function PianoNode({ id }) {
 
         return () => {
             // Stop all active voices on cleanup
-            activeVoicesRef.current.forEach(voiceId => {
-                voiceManager.stopVoice(voiceId);
+            activeVoicesRef.current.forEach(handle => {
+                stopControllerNote(handle);
             });
             activeVoicesRef.current.clear();
         };
@@ -91,8 +123,8 @@ export function PianoNode({ id }) {
         return () => window.removeEventListener('keydown', handleOctaveChange);
     }, []);
 
-    // Play a note
-    const playNote = useCallback((note, keyboardOctave = null) => {
+    // Play a note (computer keyboard notes play at full velocity)
+    const playNote = useCallback((note, keyboardOctave = null, velocity = 1.0) => {
         // Use keyboard octave for keyboard input, or visual octave for mouse clicks
         const actualOctave = keyboardOctave !== null ? keyboardOctave : octave;
         const frequency = getNoteFrequency(note, actualOctave);
@@ -100,33 +132,28 @@ export function PianoNode({ id }) {
 
         Tone.start(); // Ensure audio context is started
 
-        // Get the voice template to use
-        const templateId = audioGraph.getPrimaryVoiceTemplateId();
-        if (!templateId) {
+        // Start one voice per template this piano is wired to, and hold the note on its arpeggiators
+        const handle = startControllerNote(id, frequency, applyVelocityCurve(velocity, velocityCurve));
+        if (handle.voiceIds.length === 0 && handle.arpNotes.length === 0) {
             console.warn('No voice template found. Did you create an Output node and connect a chain to it?');
             return;
         }
 
-        // Start a new voice
-        const voiceId = voiceManager.startVoice(templateId, frequency, 1.0);
-
-        if (voiceId) {
-            const noteKey = `${note}-${actualOctave}`;
-            activeVoicesRef.current.set(noteKey, voiceId);
-            setActiveNotes(prev => new Set([...prev, noteKey]));
-            activeNotesRef.current.add(noteKey);
-        }
-    }, [octave]);
+        const noteKey = `${note}-${actualOctave}`;
+        activeVoicesRef.current.set(noteKey, handle);
+        setActiveNotes(prev => new Set([...prev, noteKey]));
+        activeNotesRef.current.add(noteKey);
+    }, [octave, velocityCurve, id]);
 
     // Stop a note
     const stopNote = useCallback((note, keyboardOctave = null) => {
         const actualOctave = keyboardOctave !== null ? keyboardOctave : octave;
         const noteKey = `${note}-${actualOctave}`;
 
-        // Stop the voice for this note
-        const voiceId = activeVoicesRef.current.get(noteKey);
-        if (voiceId) {
-            voiceManager.stopVoice(voiceId);
+        // Stop the voices for this note
+        const handle = activeVoicesRef.current.get(noteKey);
+        if (handle) {
+            stopControllerNote(handle);
             activeVoicesRef.current.delete(noteKey);
         }
 
@@ -209,7 +236,7 @@ export function PianoNode({ id }) {
                     return (
                         <div
                             key={`${note}-${octave}`}
-                            onMouseDown={() => playNote(note, octave)}
+                            onMouseDown={(e) => playNote(note, octave, getKeyVelocity(e))}
                             onMouseUp={() => stopNote(note, octave)}
                             onMouseLeave={() => {
                                 if (activeNotes.has(noteKey)) stopNote(note, octave);
@@ -247,7 +274,7 @@ export function PianoNode({ id }) {
                     return (
                         <div
                             key={`${note}-${octave + 1}`}
-                            onMouseDown={() => playNote(note, octave + 1)}
+                            onMouseDown={(e) => playNote(note, octave + 1, getKeyVelocity(e))}
                             onMouseUp={() => stopNote(note, octave + 1)}
                             onMouseLeave={() => {
                                 if (activeNotes.has(noteKey)) stopNote(note, octave + 1);
@@ -290,7 +317,7 @@ export function PianoNode({ id }) {
                     return (
                         <div
                             key={`${note}-${octave}`}
-                            onMouseDown={() => playNote(note, octave)}
+                            onMouseDown={(e) => playNote(note, octave, getKeyVelocity(e))}
                             onMouseUp={() => stopNote(note, octave)}
                             onMouseLeave={() => {
                                 if (activeNotes.has(noteKey)) stopNote(note, octave);
@@ -324,7 +351,7 @@ export function PianoNode({ id }) {
                     return (
                         <div
                             key={`${note}-${octave + 1}`}
-                            onMouseDown={() => playNote(note, octave + 1)}
+                            onMouseDown={(e) => playNote(note, octave + 1, getKeyVelocity(e))}
                             onMouseUp={() => stopNote(note, octave + 1)}
                             onMouseLeave={() => {
                                 if (activeNotes.has(noteKey)) stopNote(note, octave + 1);
@@ -362,7 +389,13 @@ export function PianoNode({ id }) {
                 textAlign: 'center',
             }}
         >
-            {/* No handle - piano finds voice templates automatically */}
+            {/* Trigger output - wire into one or more voice chains (unwired = play every Output) */}
+            <Handle
+                type="source"
+                position={Position.Right}
+                id="trigger-out"
+                style={{ background: '#0af', width: 24, height: 24, right: -12 }}
+            />
 
             <strong style={{ color: '#0af', display: 'block', marginBottom: 8 }}>PIANO</strong>
 
@@ -407,6 +440,113 @@ export function PianoNode({ id }) {
                 >
                     ↑ Oct
                 </button>
+
+                <label style={{ color: '#0af', fontSize: '0.9em', fontWeight: 'bold' }}>
+                    Velocity:
+                    <select
+                        className="nodrag"
+                        value={velocityCurve}
+                        onChange={(e) => setVelocityCurve(e.target.value)}
+                        style={{
+                            marginLeft: 4,
+                            background: '#444',
+                            border: '1px solid #666',
+                            borderRadius: 4,
+                            color: '#0af',
+                            padding: '3px 4px',
+                            fontSize: '0.9em',
+                        }}
+                    >
+                        {Object.entries(VELOCITY_CURVES).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {/* Voice mode - mono plays one note at a time and glides between held notes */}
+            <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                gap: 10,
+                marginBottom: 8,
+            }}>
+                <label style={{ color: '#0af', fontSize: '0.9em', fontWeight: 'bold' }}>
+                    Mode:
+                    <select
+                        className="nodrag"
+                        value={voiceMode}
+                        onChange={(e) => setVoiceMode(e.target.value)}
+                        style={{
+                            marginLeft: 4,
+                            background: '#444',
+                            border: '1px solid #666',
+                            borderRadius: 4,
+                            color: '#0af',
+                            padding: '3px 4px',
+                            fontSize: '0.9em',
+                        }}
+                    >
+                        {Object.entries(VOICE_MODES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {voiceMode === 'mono' && (
+                    <>
+                        <label style={{ color: '#0af', fontSize: '0.9em', fontWeight: 'bold' }}>
+                            Glide: {glideTime.toFixed(2)}s
+                            <input
+                                type="range"
+                                className="nodrag"
+                                min="0"
+                                max="1"
+                                step="0.01"
+                                value={glideTime}
+                                onChange={(e) => setGlideTime(Number(e.target.value))}
+                                style={{ marginLeft: 4, width: 70, verticalAlign: 'middle' }}
+                            />
+                        </label>
+
+                        <label style={{ color: '#0af', fontSize: '0.9em', fontWeight: 'bold' }}>
+                            Priority:
+                            <select
+                                className="nodrag"
+                                value={notePriority}
+                                onChange={(e) => setNotePriority(e.target.value)}
+                                style={{
+                                    marginLeft: 4,
+                                    background: '#444',
+                                    border: '1px solid #666',
+                                    borderRadius: 4,
+                                    color: '#0af',
+                                    padding: '3px 4px',
+                                    fontSize: '0.9em',
+                                }}
+                            >
+                                {Object.entries(NOTE_PRIORITIES).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <label
+                            style={{ color: '#0af', fontSize: '0.9em', fontWeight: 'bold' }}
+                            title="Restart the envelopes on every new note instead of playing legato"
+                        >
+                            <input
+                                type="checkbox"
+                                className="nodrag"
+                                checked={retrigger}
+                                onChange={(e) => setRetrigger(e.target.checked)}
+                                style={{ marginRight: 4, verticalAlign: 'middle' }}
+                            />
+                            Retrigger
+                        </label>
+                    </>
+                )}
             </div>
 
             <div style={{
@@ -422,6 +562,7 @@ export function PianoNode({ id }) {
                 <div>Lower Row: Z-M (white) • S,D,G,H,J (black)</div>
                 <div>Upper Row: Q-I (white) • 2,3,5,6,7 (black)</div>
                 <div>Arrow Up/Down: Change octave</div>
+                <div>Click near the front of a key to play louder</div>
             </div>
         </div>
     );
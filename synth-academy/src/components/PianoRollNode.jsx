@@ -1,9 +1,13 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import * as Tone from 'tone';
 import { Midi } from '@tonejs/midi';
-import { audioGraph } from '../AudioGraph';
 import { voiceManager } from '../VoiceManager';
-import { useReactFlow } from 'reactflow';
+import { controllerHasTargets, startControllerNote, stopControllerNote } from '../Arpeggiator';
+import { VELOCITY_CURVES, DEFAULT_VELOCITY, DEFAULT_VELOCITY_CURVE, applyVelocityCurve } from '../velocity';
+import { getUnisonCompensation } from '../parameterDispatch';
+import { claimTransport, releaseTransport, setTransportTempo } from '../transport';
+import { Handle, Position, useReactFlow } from 'reactflow';
+import { masterBus } from '../MasterBus';
 
 // MIDI note names for reference
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -35,6 +39,10 @@ export function PianoRollNode({ id, data }) {
     const [snapEnabled, setSnapEnabled] = useState(true);
     const [snapDivision, setSnapDivision] = useState(16); // 16th notes
     const [metronomeEnabled, setMetronomeEnabled] = useState(false);
+    const [velocityCurve, setVelocityCurve] = useState(data?.velocityCurve || DEFAULT_VELOCITY_CURVE);
+    const velocityCurveRef = useRef(velocityCurve); // Read by the playing Tone.Part
+    const velocityCanvasRef = useRef(null);
+    const [isEditingVelocity, setIsEditingVelocity] = useState(false);
 
     // UI state
     const [mouseDown, setMouseDown] = useState(false);
@@ -67,6 +75,7 @@ export function PianoRollNode({ id, data }) {
     const scheduledNotes = useRef(new Map()); // noteId -> voiceId
     const playbackInterval = useRef(null);
     const tonePartRef = useRef(null);
+    const playingNotesRef = useRef(new Set()); // Note handles (see startControllerNote) still sounding
     const metronomeRef = useRef(null);
     const metronomeSynthRef = useRef(null);
 
@@ -93,6 +102,8 @@ export function PianoRollNode({ id, data }) {
     const VISIBLE_HEIGHT = canvasHeight; // Resizable viewport height
     const GRID_WIDTH = CANVAS_WIDTH - PIANO_WIDTH;
     const KEY_HEIGHT = CANVAS_HEIGHT / NUM_KEYS; // ~25px per key
+    const VELOCITY_LANE_HEIGHT = 80;
+    const VELOCITY_HIT_RADIUS = 6; // px either side of a note's start
 
     // Update node data whenever state changes (for persistence)
     useEffect(() => {
@@ -108,13 +119,18 @@ export function PianoRollNode({ id, data }) {
                         notes,
                         loopLength,
                         canvasHeight,
-                        canvasWidth
+                        canvasWidth,
+                        velocityCurve
                     }
                 };
             }
             return node;
         }));
-    }, [isPlaying, isRecording, tempo, notes, loopLength, canvasHeight, canvasWidth, id, setNodes]);
+    }, [isPlaying, isRecording, tempo, notes, loopLength, canvasHeight, canvasWidth, velocityCurve, id, setNodes]);
+
+    useEffect(() => {
+        velocityCurveRef.current = velocityCurve;
+    }, [velocityCurve]);
 
     // Handle vertical resize dragging
     const handleVerticalResizeMouseDown = (e) => {
@@ -288,9 +304,11 @@ export function PianoRollNode({ id, data }) {
             const isSelected = selectedNotes.has(index);
             const isHovered = hoveredNote === index;
 
-            // Note body - brighter when hovered
+            // Note body - brighter when hovered, fainter when quieter
             ctx.fillStyle = isSelected ? '#4CAF50' : isHovered ? '#00ccff' : '#0088ff';
+            ctx.globalAlpha = 0.4 + 0.6 * (note.velocity ?? DEFAULT_VELOCITY);
             ctx.fillRect(x, y, Math.max(width, 2), height);
+            ctx.globalAlpha = 1;
 
             // Note border - thicker when hovered
             ctx.strokeStyle = isHovered ? '#fff' : '#005599';
@@ -326,11 +344,80 @@ export function PianoRollNode({ id, data }) {
         }
     }, [notes, selectedNotes, hoveredNote, currentTime, isPlaying, loopLength, snapDivision, selectionBox]);
 
+    // Draw velocity lane (one stem per note, height = velocity)
+    const drawVelocityLane = useCallback(() => {
+        const canvas = velocityCanvasRef.current;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, GRID_WIDTH, VELOCITY_LANE_HEIGHT);
+
+        ctx.fillStyle = '#141414';
+        ctx.fillRect(0, 0, GRID_WIDTH, VELOCITY_LANE_HEIGHT);
+
+        // Beat lines, lined up with the grid above
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        for (let beat = 0; beat <= loopLength; beat++) {
+            const x = beat * PIXELS_PER_BEAT;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, VELOCITY_LANE_HEIGHT);
+            ctx.stroke();
+        }
+
+        notes.forEach((note, index) => {
+            const x = note.time * PIXELS_PER_BEAT;
+            const stemHeight = (note.velocity ?? DEFAULT_VELOCITY) * (VELOCITY_LANE_HEIGHT - 6);
+            const top = VELOCITY_LANE_HEIGHT - stemHeight;
+
+            ctx.strokeStyle = selectedNotes.has(index) ? '#4CAF50' : '#0088ff';
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x + 1, VELOCITY_LANE_HEIGHT);
+            ctx.lineTo(x + 1, top);
+            ctx.stroke();
+            ctx.fillRect(x - 3, top - 2, 8, 4);
+        });
+    }, [notes, selectedNotes, loopLength, GRID_WIDTH]);
+
+    // Set the velocity of the notes starting under the mouse in the velocity lane
+    // If some of those notes are selected, only the selected ones change (edit one note of a chord)
+    const setVelocityAt = (x, y) => {
+        const velocity = Math.min(Math.max(1 - y / (VELOCITY_LANE_HEIGHT - 6), 0.01), 1);
+        const hitIndices = notes
+            .map((note, index) => ({ index, x: note.time * PIXELS_PER_BEAT }))
+            .filter(hit => Math.abs(hit.x - x) <= VELOCITY_HIT_RADIUS)
+            .map(hit => hit.index);
+        if (hitIndices.length === 0) return;
+
+        const selectedHits = hitIndices.filter(index => selectedNotes.has(index));
+        const targets = new Set(selectedHits.length > 0 ? selectedHits : hitIndices);
+
+        setNotes(prev => prev.map((note, index) =>
+            targets.has(index) ? { ...note, velocity: Number(velocity.toFixed(2)) } : note
+        ));
+    };
+
+    const handleVelocityMouseDown = (e) => {
+        e.stopPropagation();
+        setIsFocused(true);
+        setIsEditingVelocity(true);
+        setVelocityAt(e.nativeEvent.offsetX, e.nativeEvent.offsetY);
+    };
+
+    const handleVelocityMouseMove = (e) => {
+        if (!isEditingVelocity) return;
+        setVelocityAt(e.nativeEvent.offsetX, e.nativeEvent.offsetY);
+    };
+
     // Redraw canvases when state changes
     useEffect(() => {
         drawPianoKeys();
         drawGrid();
-    }, [drawPianoKeys, drawGrid]);
+        drawVelocityLane();
+    }, [drawPianoKeys, drawGrid, drawVelocityLane]);
 
     // Handle mouse events on canvas with dragging and resizing
     const handleCanvasMouseDown = (e) => {
@@ -654,7 +741,7 @@ export function PianoRollNode({ id, data }) {
             pitchDecay: 0.008,
             octaves: 2,
             volume: -10
-        }).toDestination();
+        }).connect(masterBus.getInput());
 
         metronomeSynthRef.current = clickSynth;
 
@@ -739,10 +826,10 @@ export function PianoRollNode({ id, data }) {
         // Create all effects
         const effects = effectsConfig.map(config => createEffect(config));
 
-        // Chain effects: effect1 -> effect2 -> ... -> destination
+        // Chain effects: effect1 -> effect2 -> ... -> master bus
         if (effects.length > 0) {
-            // Connect last effect to destination
-            effects[effects.length - 1].toDestination();
+            // Connect last effect to the master bus
+            effects[effects.length - 1].connect(masterBus.getInput());
 
             // Chain effects in reverse order (so first effect is first in chain)
             for (let i = effects.length - 2; i >= 0; i--) {
@@ -765,9 +852,8 @@ export function PianoRollNode({ id, data }) {
             release: data.referenceParams.envelope?.release || 0.02
         };
 
-        // Calculate volume compensation for unison (more voices = lower volume per voice)
-        const volumeCompensation = unisonVoices > 1 ? -3 * Math.log2(unisonVoices) : 0;
-        const baseVolume = -6 + volumeCompensation;
+        // Equal-power compensation for unison (more voices = lower volume per voice), matching VoiceManager
+        const baseVolume = -6 + getUnisonCompensation(unisonVoices);
 
         // Create a custom synth class that handles unison internally
         // Architecture: oscillators -> merger -> envelope -> effects
@@ -788,12 +874,12 @@ export function PianoRollNode({ id, data }) {
                 // Create ONE envelope for all voices (this is the key difference!)
                 const envelope = new Tone.AmplitudeEnvelope(envelopeParams);
 
-                // Connect: merger -> envelope -> effects/destination
+                // Connect: merger -> envelope -> effects/master bus
                 merger.connect(envelope);
                 if (effects.length > 0) {
                     envelope.connect(effects[0]);
                 } else {
-                    envelope.toDestination();
+                    envelope.connect(masterBus.getInput());
                 }
 
                 // Create oscillators for each unison voice
@@ -811,10 +897,11 @@ export function PianoRollNode({ id, data }) {
                     // Apply base detune
                     osc.detune.value = baseDetune;
 
-                    // Apply spread detune for unison
+                    // Apply spread detune for unison, with random start phases like VoiceManager
                     if (unisonVoices > 1) {
                         const spreadOffset = ((i / (unisonVoices - 1)) - 0.5) * 2 * unisonSpread;
                         osc.detune.value += spreadOffset;
+                        osc.phase = Math.random() * 360;
                     }
 
                     // Start oscillator silent and ramp up to prevent click at note start
@@ -918,17 +1005,13 @@ export function PianoRollNode({ id, data }) {
     const startPlayback = useCallback(() => {
         Tone.start(); // Ensure audio context is started
 
-        const templateId = audioGraph.getPrimaryVoiceTemplateId();
-        if (!templateId) {
+        if (!controllerHasTargets(id)) {
             console.warn('No voice template found. Create an Output node and connect a synth chain.');
             return;
         }
 
-        // Clear any scheduled events from previous playback
-        Tone.Transport.cancel();
-
-        // Set Tone.js Transport tempo
-        Tone.Transport.bpm.value = tempo;
+        // Set Tone.js Transport tempo (shared with drum machines)
+        setTransportTempo(tempo);
 
         // Setup metronome if enabled
         if (metronomeEnabled && metronomeSynthRef.current) {
@@ -953,14 +1036,16 @@ export function PianoRollNode({ id, data }) {
         // Use beats as the time unit instead of ticks
         const part = new Tone.Part((time, note) => {
             const frequency = midiNoteToFrequency(note.pitch);
-            const voiceId = voiceManager.startVoice(templateId, frequency, note.velocity);
+            // Resolve templates/arpeggiators per note so rewiring during playback takes effect
+            const velocity = applyVelocityCurve(note.velocity, velocityCurveRef.current);
+            const handle = startControllerNote(id, frequency, velocity, time);
+            playingNotesRef.current.add(handle);
 
             // Schedule note off using the note duration in beats
             // Convert beats to seconds: duration (beats) * (60 seconds / tempo BPM) = seconds
             const durationInSeconds = note.duration * (60 / tempo);
-            Tone.Draw.schedule(() => {
-                voiceManager.stopVoice(voiceId);
-            }, time + durationInSeconds);
+            stopControllerNote(handle, time + durationInSeconds);
+            Tone.Draw.schedule(() => playingNotesRef.current.delete(handle), time + durationInSeconds);
 
         }, notes.map(note => ({
             time: `0:${note.time}`, // Time in bars:beats notation (0 bars + beats)
@@ -974,8 +1059,8 @@ export function PianoRollNode({ id, data }) {
 
         tonePartRef.current = part;
 
-        // Start transport and part
-        Tone.Transport.start();
+        // Start transport (or join drum machines already playing on it) and part
+        claimTransport(id);
         part.start(0);
 
         // Update visual playhead
@@ -996,9 +1081,12 @@ export function PianoRollNode({ id, data }) {
 
         updatePlayhead();
 
-    }, [notes, tempo, loopLength, isPlaying, metronomeEnabled]);
+    }, [notes, tempo, loopLength, isPlaying, metronomeEnabled, id]);
 
     const stopPlayback = useCallback(() => {
+        // Nothing to stop unless the roll is playing (the part only exists while it is)
+        if (!tonePartRef.current) return;
+
         // Stop metronome
         if (metronomeRef.current) {
             metronomeRef.current.stop();
@@ -1007,26 +1095,21 @@ export function PianoRollNode({ id, data }) {
         }
 
         // Stop the part first
-        if (tonePartRef.current) {
-            tonePartRef.current.stop();
-            tonePartRef.current.dispose();
-            tonePartRef.current = null;
-        }
+        tonePartRef.current.stop();
+        tonePartRef.current.dispose();
+        tonePartRef.current = null;
 
-        // Cancel all scheduled events
-        Tone.Transport.cancel();
+        // Stop transport, unless a drum machine is still playing on it
+        releaseTransport(id);
 
-        // Stop transport
-        Tone.Transport.stop();
-        Tone.Transport.position = 0;
-
-        // Stop all active voices
-        voiceManager.stopAllVoices();
+        // Stop the roll's own notes (other sequencers and the keyboard keep playing)
+        playingNotesRef.current.forEach(handle => stopControllerNote(handle));
+        playingNotesRef.current.clear();
 
         scheduledNotes.current.clear();
 
         setCurrentTime(0);
-    }, []);
+    }, [id]);
 
     // Handle play/stop
     useEffect(() => {
@@ -1050,11 +1133,8 @@ export function PianoRollNode({ id, data }) {
 
         Tone.start();
 
-        // Clear any existing scheduled events
-        Tone.Transport.cancel();
-
         // Set tempo
-        Tone.Transport.bpm.value = tempo;
+        setTransportTempo(tempo);
 
         // Create a Tone.Part for the reference synth
         const part = new Tone.Part((time, note) => {
@@ -1072,26 +1152,25 @@ export function PianoRollNode({ id, data }) {
         part.loopEnd = `0:${loopLength}`;
         referencePartRef.current = part;
 
-        // Start transport
-        Tone.Transport.start();
+        // Start transport (or join sequencers already playing on it)
+        claimTransport(`${id}-reference`);
         part.start(0);
 
         console.log('Reference playback started');
-    }, [notes, tempo, loopLength]);
+    }, [notes, tempo, loopLength, id]);
 
     const stopReferencePlayback = useCallback(() => {
-        if (referencePartRef.current) {
-            referencePartRef.current.stop();
-            referencePartRef.current.dispose();
-            referencePartRef.current = null;
-        }
+        if (!referencePartRef.current) return;
 
-        Tone.Transport.cancel();
-        Tone.Transport.stop();
-        Tone.Transport.position = 0;
+        referencePartRef.current.stop();
+        referencePartRef.current.dispose();
+        referencePartRef.current = null;
+
+        // Stop transport, unless another sequencer is still playing on it
+        releaseTransport(`${id}-reference`);
 
         console.log('Reference playback stopped');
-    }, []);
+    }, [id]);
 
     // Handle reference playback state
     useEffect(() => {
@@ -1324,6 +1403,14 @@ export function PianoRollNode({ id, data }) {
                     boxShadow: '0 0 10px rgba(65, 105, 225, 0.3)'
                 }}
             >
+                {/* Trigger output - wire into one or more voice chains (unwired = play every Output) */}
+                <Handle
+                    type="source"
+                    position={Position.Right}
+                    id="trigger-out"
+                    style={{ background: '#0af', width: 24, height: 24, right: -12 }}
+                />
+
                 {/* Title */}
                 <div style={{
                     fontWeight: 'bold',
@@ -1428,6 +1515,14 @@ export function PianoRollNode({ id, data }) {
                 outline: 'none'
             }}
         >
+            {/* Trigger output - wire into one or more voice chains (unwired = play every Output) */}
+            <Handle
+                type="source"
+                position={Position.Right}
+                id="trigger-out"
+                style={{ background: '#0af', width: 24, height: 24, right: -12 }}
+            />
+
             {/* Header */}
             <div style={{
                 display: 'flex',
@@ -1492,6 +1587,26 @@ export function PianoRollNode({ id, data }) {
                             }}
                         />
                     </label>
+
+                    <label style={{ fontSize: '11px', color: '#888' }}>
+                        Velocity:
+                        <select
+                            value={velocityCurve}
+                            onChange={(e) => setVelocityCurve(e.target.value)}
+                            style={{
+                                marginLeft: 4,
+                                padding: 2,
+                                background: '#333',
+                                border: '1px solid #555',
+                                color: '#fff',
+                                borderRadius: 3
+                            }}
+                        >
+                            {Object.entries(VELOCITY_CURVES).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
                 </div>
             </div>
 
@@ -1573,6 +1688,52 @@ export function PianoRollNode({ id, data }) {
                 </div>
             </div>
 
+            {/* Velocity lane - scrolls horizontally with the grid */}
+            <div
+                className="nodrag nopan"
+                style={{
+                    display: 'flex',
+                    marginTop: 4,
+                    background: '#1a1a1a',
+                    borderRadius: 4,
+                    border: '1px solid #444',
+                    width: VISIBLE_WIDTH + PIANO_WIDTH,
+                    height: VELOCITY_LANE_HEIGHT
+                }}
+            >
+                <div style={{
+                    width: PIANO_WIDTH,
+                    flexShrink: 0,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '10px',
+                    color: '#888',
+                    fontFamily: 'monospace',
+                    borderRight: '1px solid #444'
+                }}>
+                    VELOCITY
+                </div>
+                <div style={{ width: VISIBLE_WIDTH, height: VELOCITY_LANE_HEIGHT, overflow: 'hidden' }}>
+                    <canvas
+                        ref={velocityCanvasRef}
+                        width={GRID_WIDTH}
+                        height={VELOCITY_LANE_HEIGHT}
+                        onMouseDown={handleVelocityMouseDown}
+                        onMouseMove={handleVelocityMouseMove}
+                        onMouseUp={() => setIsEditingVelocity(false)}
+                        onMouseLeave={() => setIsEditingVelocity(false)}
+                        style={{
+                            display: 'block',
+                            cursor: 'ns-resize',
+                            width: `${GRID_WIDTH}px`,
+                            height: `${VELOCITY_LANE_HEIGHT}px`,
+                            transform: `translateX(-${scrollX}px)`
+                        }}
+                    />
+                </div>
+            </div>
+
             {/* Transport controls */}
             <div
                 className="nodrag nopan"
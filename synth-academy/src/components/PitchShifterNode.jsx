@@ -2,18 +2,24 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { ModInputs } from './ModInputs';
 
 /**
  * PitchShifterNode - Pitch shifter effect
  * Shifts the pitch of the input signal up or down
  */
-export function PitchShifterNode({ id, data }) {
+export function PitchShifterNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [pitch, setPitch] = useState(data?.pitch || 0);
-  const [windowSize, setWindowSize] = useState(data?.windowSize || 0.1);
-  const [wet, setWet] = useState(data?.wet || 1);
+  const initialSettings = getEffectSettings('pitchShifterNode', data);
+  const [pitch, setPitch] = useState(initialSettings.pitch);
+  const [windowSize, setWindowSize] = useState(initialSettings.windowSize);
+  const [wet, setWet] = useState(initialSettings.wet);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
 
   // Create the Tone.js effect on mount
   useEffect(() => {
@@ -70,13 +76,13 @@ export function PitchShifterNode({ id, data }) {
         if (node.id === id) {
           return {
             ...node,
-            data: { ...node.data, pitch, windowSize, wet }
+            data: { ...node.data, pitch, windowSize, wet, effectMode }
           };
         }
         return node;
       })
     );
-  }, [pitch, windowSize, wet, id, setNodes]);
+  }, [pitch, windowSize, wet, effectMode, id, setNodes]);
 
   return (
     <div style={{
@@ -149,6 +155,8 @@ export function PitchShifterNode({ id, data }) {
         />
       </div>
 
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
       <Handle
         type="target"
         position={Position.Left}
@@ -161,6 +169,7 @@ export function PitchShifterNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
@@ -2,18 +2,21 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { getEffectSettings } from '../effectSettings';
+import { ModInputs } from './ModInputs';
 
 /**
  * ReverbNode - Reverb effect
  * Simulates the sound of a space by creating many echoes
  */
-export function ReverbNode({ id, data }) {
+export function ReverbNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [decay, setDecay] = useState(data?.decay || 3.0);
-  const [preDelay, setPreDelay] = useState(data?.preDelay || 0.01);
-  const [wet, setWet] = useState(data?.wet || 0.5);
+  const initialSettings = getEffectSettings('reverbNode', data);
+  const [decay, setDecay] = useState(initialSettings.decay);
+  const [preDelay, setPreDelay] = useState(initialSettings.preDelay);
+  const [wet, setWet] = useState(initialSettings.wet);
 
   // Tutorial mode
   const tutorialMode = data?.tutorialMode || false;
@@ -200,6 +203,7 @@ export function ReverbNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
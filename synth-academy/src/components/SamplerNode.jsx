@@ -0,0 +1,360 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as Tone from 'tone';
+import { audioGraph } from '../AudioGraph';
+import { masterBus } from '../MasterBus';
+import { Handle, Position, useReactFlow } from 'reactflow';
+import { getNoteName, getSamplerSettings, loadSample, readSampleFile } from '../samples';
+import { ModInputs } from './ModInputs';
+
+const WAVE_WIDTH = 100;
+const WAVE_HEIGHT = 40;
+
+// Keep slider fractions on the 1% grid (the loop points stay at least 1% apart)
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+// One slider row, styled like the oscillator nodes' sliders
+function SamplerSlider({ label, title, ...inputProps }) {
+    return (
+        <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em' }}>
+            <label style={{ display: 'block', marginBottom: 4 }}>
+                {label}
+            </label>
+            <input
+                type="range"
+                {...inputProps}
+                onMouseDown={(e) => e.stopPropagation()}
+                onMouseUp={(e) => e.stopPropagation()}
+                title={title}
+                style={{ width: '100%', cursor: 'pointer' }}
+            />
+        </div>
+    );
+}
+
+/**
+ * SamplerNode - plays a local audio file across the keyboard
+ * Drop a file onto the waveform (or use Load). The root note plays the file at its
+ * original speed; other keys speed it up or slow it down. Playback starts at the
+ * start offset and, with loop on, repeats the loop region while the key is held.
+ */
+export function SamplerNode({ data, id, type }) {
+    const synthRef = useRef(null);
+    const canvasRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const { setNodes } = useReactFlow();
+
+    const initialSettings = getSamplerSettings(data);
+    const [rootNote, setRootNote] = useState(initialSettings.rootNote);
+    const [startOffset, setStartOffset] = useState(initialSettings.startOffset);
+    const [loop, setLoop] = useState(initialSettings.loop);
+    const [loopStart, setLoopStart] = useState(initialSettings.loopStart);
+    const [loopEnd, setLoopEnd] = useState(initialSettings.loopEnd);
+    const [detune, setDetune] = useState(data?.detune || 0);
+    const [octaveOffset, setOctaveOffset] = useState(data?.octaveOffset || 0);
+    const [level, setLevel] = useState(data?.level ?? 100);
+
+    const [buffer, setBuffer] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [dragOver, setDragOver] = useState(false);
+
+    // The canvas node is a silent player (voices get their own SamplePlayers)
+    useEffect(() => {
+        const synth = new Tone.Player();
+        synth.volume.value = -Infinity;
+        synthRef.current = synth;
+
+        masterBus.connect(synth);
+        audioGraph.registerNode(id, synth);
+
+        return () => {
+            audioGraph.unregisterNode(id);
+            synthRef.current = null;
+        };
+    }, [id]);
+
+    // Decode the sample (also warms the cache VoiceManager plays from)
+    useEffect(() => {
+        setBuffer(null);
+        setLoadError(null);
+        if (!data.sampleUrl) return;
+
+        let cancelled = false;
+        loadSample(data.sampleUrl)
+            .then(loaded => !cancelled && setBuffer(loaded))
+            .catch(error => {
+                console.warn('Failed to load sample:', error);
+                if (!cancelled) setLoadError('Could not decode this file');
+            });
+        return () => { cancelled = true; };
+    }, [data.sampleUrl]);
+
+    // Draw the sample with its start offset and loop region
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.fillStyle = '#222';
+        ctx.fillRect(0, 0, width, height);
+        if (!buffer) return;
+
+        if (loop) {
+            ctx.fillStyle = 'rgba(255, 179, 71, 0.25)';
+            ctx.fillRect(loopStart * width, 0, (loopEnd - loopStart) * width, height);
+        }
+
+        // Peak of each column
+        const samples = buffer.getChannelData(0);
+        const samplesPerColumn = Math.max(Math.floor(samples.length / width), 1);
+        ctx.fillStyle = '#0f0';
+        for (let x = 0; x < width; x++) {
+            let peak = 0;
+            for (let i = x * samplesPerColumn; i < (x + 1) * samplesPerColumn && i < samples.length; i++) {
+                peak = Math.max(peak, Math.abs(samples[i]));
+            }
+            ctx.fillRect(x, height / 2 - peak * height / 2, 1, Math.max(peak * height, 1));
+        }
+
+        ctx.fillStyle = '#ffb347';
+        ctx.fillRect(Math.min(startOffset * width, width - 1), 0, 1, height);
+    }, [buffer, startOffset, loop, loopStart, loopEnd]);
+
+    useEffect(() => {
+        setNodes((nodes) =>
+            nodes.map((node) => {
+                if (node.id === id) {
+                    return {
+                        ...node,
+                        data: {
+                            ...node.data,
+                            rootNote: rootNote,
+                            startOffset: startOffset,
+                            loop: loop,
+                            loopStart: loopStart,
+                            loopEnd: loopEnd,
+                            detune: detune,
+                            octaveOffset: octaveOffset,
+                            level: level,
+                        },
+                    };
+                }
+                return node;
+            })
+        );
+    }, [rootNote, startOffset, loop, loopStart, loopEnd, detune, octaveOffset, level, id, setNodes]);
+
+    // Store the file on the node (as a data URL, so it's saved with the project)
+    const loadFile = async (file) => {
+        if (!file) return;
+        try {
+            const sampleUrl = await readSampleFile(file);
+            setNodes((nodes) =>
+                nodes.map((node) =>
+                    node.id === id
+                        ? { ...node, data: { ...node.data, sampleUrl, sampleName: file.name } }
+                        : node
+                )
+            );
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragOver(false);
+        loadFile(e.dataTransfer.files[0]);
+    };
+
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const seconds = (value) => (buffer ? ` (${(value * buffer.duration).toFixed(2)}s)` : '');
+
+    return (
+        <div
+            style={{
+                padding: 10,
+                background: '#333',
+                color: 'white',
+                borderRadius: 6,
+                border: '1px solid #ffb347',
+                width: 120,
+                textAlign: 'center',
+                cursor: 'pointer',
+            }}
+        >
+            <Handle
+                type="target"
+                position={Position.Left}
+                id="control-in"
+                style={{ background: '#0af', top: '50%', width: 24, height: 24, left: -12 }}
+            />
+
+            {/* Pitch modulation on the top */}
+            <Handle
+                type="target"
+                position={Position.Top}
+                id="modulation-in"
+                style={{ background: '#f5576c', left: '50%', width: 24, height: 24, top: -12 }}
+            />
+
+            <Handle type="source" position={Position.Right} style={{ background: '#0f0', width: 24, height: 24, right: -12 }} />
+            <ModInputs id={id} type={type} />
+
+            <strong style={{ color: '#ffb347' }}>SAMPLER</strong>
+            <p style={{ fontSize: '0.8em' }}>Oscillator</p>
+
+            {/* Waveform, and the drop target for audio files */}
+            <div
+                className="nodrag nopan"
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    setDragOver(true);
+                }}
+                onDragLeave={() => setDragOver(false)}
+                onDrop={handleDrop}
+                title="Drop an audio file here"
+                style={{
+                    width: WAVE_WIDTH,
+                    height: WAVE_HEIGHT,
+                    background: '#222',
+                    border: `1px ${dragOver ? 'dashed #ffb347' : 'solid #444'}`,
+                    borderRadius: 4,
+                    overflow: 'hidden',
+                    margin: '0 auto 4px',
+                    position: 'relative',
+                }}
+            >
+                <canvas ref={canvasRef} width={WAVE_WIDTH} height={WAVE_HEIGHT} style={{ display: 'block' }} />
+                {!buffer && (
+                    <span style={{
+                        position: 'absolute',
+                        inset: 0,
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        fontSize: '0.6em',
+                        color: loadError ? '#f5576c' : '#888',
+                        pointerEvents: 'none',
+                    }}>
+                        {loadError || (data.sampleUrl ? 'Loading…' : 'Drop audio here')}
+                    </span>
+                )}
+            </div>
+
+            <div className="nodrag nopan" style={{ fontSize: '0.65em', color: '#aaa' }}>
+                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={data.sampleName}>
+                    {data.sampleName || 'No sample'}
+                </div>
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    style={{
+                        marginTop: 4,
+                        padding: '2px 8px',
+                        background: '#222',
+                        color: '#ffb347',
+                        border: '1px solid #ffb347',
+                        borderRadius: 4,
+                        cursor: 'pointer',
+                        fontSize: '1em',
+                    }}
+                >
+                    Load…
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="audio/*"
+                    onChange={(e) => {
+                        loadFile(e.target.files[0]);
+                        e.target.value = '';
+                    }}
+                    style={{ display: 'none' }}
+                />
+            </div>
+
+            <SamplerSlider
+                label={`Root: ${getNoteName(rootNote)}`}
+                title="The key that plays the file at its original pitch"
+                min="24"
+                max="96"
+                step="1"
+                value={rootNote}
+                onChange={(e) => setRootNote(Number(e.target.value))}
+            />
+
+            <SamplerSlider
+                label={`Start: ${percent(startOffset)}${seconds(startOffset)}`}
+                title="Where in the file each note starts"
+                min="0"
+                max="0.99"
+                step="0.01"
+                value={startOffset}
+                onChange={(e) => setStartOffset(Number(e.target.value))}
+            />
+
+            <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em' }}>
+                <label style={{ cursor: 'pointer' }}>
+                    <input
+                        type="checkbox"
+                        checked={loop}
+                        onChange={(e) => setLoop(e.target.checked)}
+                        style={{ marginRight: 4 }}
+                    />
+                    Loop while held
+                </label>
+            </div>
+
+            {loop && (
+                <>
+                    <SamplerSlider
+                        label={`Loop start: ${percent(loopStart)}${seconds(loopStart)}`}
+                        min="0"
+                        max="0.99"
+                        step="0.01"
+                        value={loopStart}
+                        onChange={(e) => setLoopStart(Math.min(Number(e.target.value), roundPercent(loopEnd - 0.01)))}
+                    />
+                    <SamplerSlider
+                        label={`Loop end: ${percent(loopEnd)}${seconds(loopEnd)}`}
+                        min="0.01"
+                        max="1"
+                        step="0.01"
+                        value={loopEnd}
+                        onChange={(e) => setLoopEnd(Math.max(Number(e.target.value), roundPercent(loopStart + 0.01)))}
+                    />
+                </>
+            )}
+
+            <SamplerSlider
+                label={`Detune: ${detune > 0 ? '+' : ''}${detune}¢`}
+                min="-50"
+                max="50"
+                value={detune}
+                onChange={(e) => setDetune(Number(e.target.value))}
+            />
+
+            <SamplerSlider
+                label={`Octave: ${octaveOffset > 0 ? '+' : ''}${octaveOffset}`}
+                min="-2"
+                max="2"
+                step="1"
+                value={octaveOffset}
+                onChange={(e) => setOctaveOffset(Number(e.target.value))}
+            />
+
+            <SamplerSlider
+                label={`Level: ${level}%`}
+                title="How loud this sampler is in the mix"
+                min="0"
+                max="100"
+                step="1"
+                value={level}
+                onChange={(e) => setLevel(Number(e.target.value))}
+            />
+        </div>
+    );
+}
@@ -1,9 +1,12 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { masterBus } from '../MasterBus';
 import { Handle, Position, useReactFlow } from 'reactflow';
+import { OscModInputs } from './OscModInputs';
+import { ModInputs } from './ModInputs';
 
-export function SawtoothOscNode({ data, id }) {
+export function SawtoothOscNode({ data, id, type }) {
     const synthRef = useRef(null);
     const { setNodes } = useReactFlow();
 
@@ -11,6 +14,8 @@ export function SawtoothOscNode({ data, id }) {
     const [octaveOffset, setOctaveOffset] = useState(data?.octaveOffset || 0);
     const [unisonVoices, setUnisonVoices] = useState(data?.unisonVoices || 1);
     const [unisonSpread, setUnisonSpread] = useState(data?.unisonSpread || 50);
+    const [stereoSpread, setStereoSpread] = useState(data?.stereoSpread ?? 0);
+    const [level, setLevel] = useState(data?.level ?? 100);
 
     // Tutorial mode
     const tutorialMode = data?.tutorialMode || false;
@@ -39,7 +44,7 @@ export function SawtoothOscNode({ data, id }) {
         synthRef.current = synth;
 
         synth.start();
-        synth.toDestination();
+        masterBus.connect(synth);
 
         audioGraph.registerNode(id, synth);
 
@@ -62,13 +67,15 @@ export function SawtoothOscNode({ data, id }) {
                             octaveOffset: octaveOffset,
                             unisonVoices: unisonVoices,
                             unisonSpread: unisonSpread,
+                            stereoSpread: stereoSpread,
+                            level: level,
                         },
                     };
                 }
                 return node;
             })
         );
-    }, [detune, octaveOffset, unisonVoices, unisonSpread, id, setNodes]);
+    }, [detune, octaveOffset, unisonVoices, unisonSpread, stereoSpread, level, id, setNodes]);
 
     return (
         <div
@@ -196,6 +203,61 @@ export function SawtoothOscNode({ data, id }) {
                     style={{ width: '100%', cursor: 'pointer' }}
                 />
             </div>
+
+            <div className="nodrag nopan" style={{
+                marginTop: 8,
+                fontSize: '0.75em',
+                filter: isParamBlurred('stereoSpread') ? 'blur(5px)' : 'none',
+                opacity: isParamBlurred('stereoSpread') ? 0.5 : 1,
+                transition: 'all 0.3s ease',
+                pointerEvents: isParamBlurred('stereoSpread') ? 'none' : 'auto'
+            }}>
+                <label style={{ display: 'block', marginBottom: 4 }}>
+                    Stereo: {stereoSpread}%
+                </label>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={stereoSpread}
+                    onChange={(e) => handleParameterChange('stereoSpread', Number(e.target.value), setStereoSpread)}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onMouseUp={(e) => e.stopPropagation()}
+                    title="Fan the unison copies across the stereo field"
+                    style={{ width: '100%', cursor: 'pointer' }}
+                />
+            </div>
+
+            <div className="nodrag nopan" style={{
+                marginTop: 8,
+                fontSize: '0.75em',
+                filter: isParamBlurred('level') ? 'blur(5px)' : 'none',
+                opacity: isParamBlurred('level') ? 0.5 : 1,
+                transition: 'all 0.3s ease',
+                pointerEvents: isParamBlurred('level') ? 'none' : 'auto'
+            }}>
+                <label style={{ display: 'block', marginBottom: 4 }}>
+                    Level: {level}%
+                </label>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={level}
+                    onChange={(e) => handleParameterChange('level', Number(e.target.value), setLevel)}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onMouseUp={(e) => e.stopPropagation()}
+                    title="How loud this oscillator is in the mix"
+                    style={{ width: '100%', cursor: 'pointer' }}
+                />
+            </div>
+
+            <ModInputs id={id} type={type} />
+
+            {/* FM, AM/ring and sync inputs from other oscillators */}
+            <OscModInputs id={id} data={data} />
         </div>
     );
 }
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Handle, Position, useReactFlow } from 'reactflow';
+import * as Tone from 'tone';
+import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { ModInputs } from './ModInputs';
+
+/**
+ * StereoWidthNode - Stereo width (mid/side)
+ * 0% folds the sound to mono, 100% leaves it as is, 200% pushes the sides out wider
+ *
+ * Width is stored 0-2 (1 = unchanged); Tone's StereoWidener runs 0-1 (0.5 = unchanged)
+ */
+export function StereoWidthNode({ id, data, type }) {
+  const { setNodes } = useReactFlow();
+  const effectRef = useRef(null);
+
+  const initialSettings = getEffectSettings('stereoWidthNode', data);
+  const [width, setWidth] = useState(initialSettings.width);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
+
+  // Create the Tone.js widener on mount (the effect below sets its width)
+  useEffect(() => {
+    const effect = new Tone.StereoWidener();
+    effectRef.current = effect;
+    audioGraph.registerNode(id, effect);
+
+    return () => {
+      audioGraph.unregisterNode(id);
+      effect.dispose();
+      effectRef.current = null;
+    };
+  }, [id]);
+
+  // Update width
+  useEffect(() => {
+    if (effectRef.current) {
+      effectRef.current.width.rampTo(width / 2, 0.05);
+    }
+  }, [width]);
+
+  useEffect(() => {
+    setNodes((nodes) =>
+      nodes.map((node) => {
+        if (node.id === id) {
+          return {
+            ...node,
+            data: { ...node.data, width, effectMode }
+          };
+        }
+        return node;
+      })
+    );
+  }, [width, effectMode, id, setNodes]);
+
+  return (
+    <div style={{
+      background: 'linear-gradient(135deg, #667eea 0%, #43cea2 100%)',
+      border: '2px solid #667eea',
+      borderRadius: 8,
+      padding: 12,
+      minWidth: 180,
+      color: 'white',
+      fontSize: '0.85em'
+    }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 8, textAlign: 'center' }}>
+        Stereo Width
+      </div>
+
+      {/* Width */}
+      <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+        <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+          <span>Width:</span>
+          <span>{width === 0 ? 'Mono' : `${(width * 100).toFixed(0)}%`}</span>
+        </label>
+        <input
+          type="range"
+          min="0"
+          max="2"
+          step="0.01"
+          value={width}
+          onChange={(e) => setWidth(parseFloat(e.target.value))}
+          onDoubleClick={() => setWidth(1)}
+          onMouseDown={(e) => e.stopPropagation()}
+          onMouseUp={(e) => e.stopPropagation()}
+          title="Double-click to reset"
+          style={{ width: '100%', cursor: 'pointer' }}
+        />
+      </div>
+
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
+      <Handle
+        type="target"
+        position={Position.Left}
+        id="audio-in"
+        style={{ background: '#0f0', top: '50%', width: 24, height: 24, left: -12 }}
+      />
+      <Handle
+        type="source"
+        position={Position.Right}
+        id="audio-out"
+        style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
+      />
+      <ModInputs id={id} type={type} />
+    </div>
+  );
+}
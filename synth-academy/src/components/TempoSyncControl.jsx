@@ -0,0 +1,53 @@
+import React from 'react';
+import { NOTE_DIVISIONS } from '../tempoSync';
+
+/**
+ * TempoSyncControl - "Sync" switch for an LFO/effect's rate or time
+ * Synced, it picks a note division that follows the transport tempo;
+ * free, it shows the node's own control (children).
+ */
+export function TempoSyncControl({ label, sync, division, syncedValue, onSyncChange, onDivisionChange, children }) {
+  return (
+    <>
+      <div className="nodrag nopan" style={{ marginBottom: 4 }}>
+        <label style={{ fontSize: '0.85em', display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={sync}
+            onChange={(e) => onSyncChange(e.target.checked)}
+            onMouseDown={(e) => e.stopPropagation()}
+          />
+          Sync to tempo
+        </label>
+      </div>
+
+      {sync ? (
+        <div className="nodrag nopan" style={{ marginBottom: 8 }}>
+          <label style={{ fontSize: '0.85em', display: 'flex', justifyContent: 'space-between' }}>
+            <span>{label}:</span>
+            <span>{syncedValue}</span>
+          </label>
+          <select
+            value={division}
+            onChange={(e) => onDivisionChange(e.target.value)}
+            onMouseDown={(e) => e.stopPropagation()}
+            onMouseUp={(e) => e.stopPropagation()}
+            style={{
+              width: '100%',
+              padding: 4,
+              background: 'rgba(0, 0, 0, 0.3)',
+              color: 'white',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: 4,
+              cursor: 'pointer'
+            }}
+          >
+            {Object.entries(NOTE_DIVISIONS).map(([key, divisionLabel]) => (
+              <option key={key} value={key}>{divisionLabel}</option>
+            ))}
+          </select>
+        </div>
+      ) : children}
+    </>
+  );
+}
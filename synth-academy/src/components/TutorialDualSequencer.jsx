@@ -3,6 +3,10 @@ import * as Tone from 'tone';
 import { Midi } from '@tonejs/midi';
 import { voiceManager } from '../VoiceManager';
 import { audioGraph } from '../AudioGraph';
+import { claimTransport, releaseTransport, setTransportTempo } from '../transport';
+
+// Transport claim for the tutorial sequencer (it isn't a canvas node, so it has no node ID)
+const TRANSPORT_OWNER_ID = 'tutorialDualSequencer';
 
 // Convert MIDI note number to frequency
 const midiNoteToFrequency = (midiNote) => {
@@ -27,6 +31,7 @@ export function TutorialDualSequencer({ midiFilePath, referenceChain, onClose })
   const userPartRef = useRef(null);
   const referencePartRef = useRef(null);
   const referenceVoiceTemplateIdRef = useRef(null);
+  const playingVoiceIdsRef = useRef(new Set()); // Voices started by the sequencer still sounding
 
   // Load MIDI file on mount
   useEffect(() => {
@@ -130,21 +135,23 @@ export function TutorialDualSequencer({ midiFilePath, referenceChain, onClose })
     console.log('Tutorial Sequencer - Playing', notes.length, 'notes');
     console.log('Tutorial Sequencer - Tempo:', tempo, 'BPM, Loop length:', loopLength, 'beats');
 
-    // Clear any existing scheduled events
-    Tone.Transport.cancel();
+    // Set Tone.js Transport tempo (note lengths below are worked out at this tempo)
+    setTransportTempo(tempo);
 
-    // Set Tone.js Transport tempo
-    Tone.Transport.bpm.value = tempo;
+    // Keep track of a voice until it ends, so stopping only stops the sequencer's own voices
+    const scheduleVoiceEnd = (voiceId, endTime) => {
+      playingVoiceIdsRef.current.add(voiceId);
+      voiceManager.stopVoice(voiceId, endTime);
+      Tone.Draw.schedule(() => playingVoiceIdsRef.current.delete(voiceId), endTime);
+    };
 
     // Create user synth part
     const userPart = new Tone.Part((time, note) => {
       const frequency = midiNoteToFrequency(note.pitch);
-      const voiceId = voiceManager.startVoice(templateId, frequency, note.velocity);
+      const voiceId = voiceManager.startVoice(templateId, frequency, note.velocity, time);
 
       const durationInSeconds = note.duration * (60 / tempo);
-      Tone.Draw.schedule(() => {
-        voiceManager.stopVoice(voiceId);
-      }, time + durationInSeconds);
+      scheduleVoiceEnd(voiceId, time + durationInSeconds);
 
     }, notes.map(note => ({
       time: `0:${note.time}`,
@@ -161,12 +168,10 @@ export function TutorialDualSequencer({ midiFilePath, referenceChain, onClose })
     if (referenceVoiceTemplateIdRef.current) {
       const referencePart = new Tone.Part((time, note) => {
         const frequency = midiNoteToFrequency(note.pitch);
-        const voiceId = voiceManager.startVoice(referenceVoiceTemplateIdRef.current, frequency, note.velocity);
+        const voiceId = voiceManager.startVoice(referenceVoiceTemplateIdRef.current, frequency, note.velocity, time);
 
         const durationInSeconds = note.duration * (60 / tempo);
-        Tone.Draw.schedule(() => {
-          voiceManager.stopVoice(voiceId);
-        }, time + durationInSeconds);
+        scheduleVoiceEnd(voiceId, time + durationInSeconds);
 
       }, notes.map(note => ({
         time: `0:${note.time}`,
@@ -181,8 +186,8 @@ export function TutorialDualSequencer({ midiFilePath, referenceChain, onClose })
       referencePart.start(0);
     }
 
-    // Start transport
-    Tone.Transport.start();
+    // Start transport (or join sequencers already playing on it)
+    claimTransport(TRANSPORT_OWNER_ID);
     userPart.start(0);
 
     // Update visual playhead
@@ -204,12 +209,13 @@ export function TutorialDualSequencer({ midiFilePath, referenceChain, onClose })
   }, [notes, tempo, loopLength, isPlaying]);
 
   const stopPlayback = useCallback(() => {
+    // Nothing to stop unless the sequencer is playing (the user part only exists while it is)
+    if (!userPartRef.current) return;
+
     // Stop user part
-    if (userPartRef.current) {
-      userPartRef.current.stop();
-      userPartRef.current.dispose();
-      userPartRef.current = null;
-    }
+    userPartRef.current.stop();
+    userPartRef.current.dispose();
+    userPartRef.current = null;
 
     // Stop reference part
     if (referencePartRef.current) {
@@ -218,13 +224,12 @@ export function TutorialDualSequencer({ midiFilePath, referenceChain, onClose })
       referencePartRef.current = null;
     }
 
-    // Cancel all scheduled events
-    Tone.Transport.cancel();
-    Tone.Transport.stop();
-    Tone.Transport.position = 0;
+    // Stop transport, unless another sequencer is still playing on it
+    releaseTransport(TRANSPORT_OWNER_ID);
 
-    // Stop all active voices
-    voiceManager.stopAllVoices();
+    // Stop the sequencer's own voices (anything else playing carries on)
+    voiceManager.stopVoices(Array.from(playingVoiceIdsRef.current));
+    playingVoiceIdsRef.current.clear();
 
     setCurrentTime(0);
   }, []);
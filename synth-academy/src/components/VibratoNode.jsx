@@ -2,18 +2,24 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Handle, Position, useReactFlow } from 'reactflow';
 import * as Tone from 'tone';
 import { audioGraph } from '../AudioGraph';
+import { DEFAULT_EFFECT_MODE } from '../effectModes';
+import { getEffectSettings } from '../effectSettings';
+import { EffectModeSelect } from './EffectModeSelect';
+import { ModInputs } from './ModInputs';
 
 /**
  * VibratoNode - Vibrato effect
  * Creates pitch modulation for a vibrato effect
  */
-export function VibratoNode({ id, data }) {
+export function VibratoNode({ id, data, type }) {
   const { setNodes } = useReactFlow();
   const effectRef = useRef(null);
 
-  const [frequency, setFrequency] = useState(data?.frequency || 5);
-  const [depth, setDepth] = useState(data?.depth || 0.1);
-  const [wet, setWet] = useState(data?.wet || 1);
+  const initialSettings = getEffectSettings('vibratoNode', data);
+  const [frequency, setFrequency] = useState(initialSettings.frequency);
+  const [depth, setDepth] = useState(initialSettings.depth);
+  const [wet, setWet] = useState(initialSettings.wet);
+  const [effectMode, setEffectMode] = useState(data?.effectMode || DEFAULT_EFFECT_MODE);
 
   // Create the Tone.js effect on mount
   useEffect(() => {
@@ -70,13 +76,13 @@ export function VibratoNode({ id, data }) {
         if (node.id === id) {
           return {
             ...node,
-            data: { ...node.data, frequency, depth, wet }
+            data: { ...node.data, frequency, depth, wet, effectMode }
           };
         }
         return node;
       })
     );
-  }, [frequency, depth, wet, id, setNodes]);
+  }, [frequency, depth, wet, effectMode, id, setNodes]);
 
   return (
     <div style={{
@@ -149,6 +155,8 @@ export function VibratoNode({ id, data }) {
         />
       </div>
 
+      <EffectModeSelect value={effectMode} onChange={setEffectMode} />
+
       <Handle
         type="target"
         position={Position.Left}
@@ -161,6 +169,7 @@ export function VibratoNode({ id, data }) {
         id="audio-out"
         style={{ background: '#0f0', top: '50%', width: 24, height: 24, right: -12 }}
       />
+      <ModInputs id={id} type={type} />
     </div>
   );
 }
@@ -1,5 +1,8 @@
 import React, { useRef, useState, useEffect } from "react";
 import * as Tone from "tone";
+import { createBlendedWaveform, getWavetableFrames } from "../wavetables";
+import { WavetableOscillator } from "../WavetableOscillator";
+import { masterBus } from "../MasterBus";
 
 export function WaveformGraph2D() {
     const canvasRef = useRef(null);
@@ -12,63 +15,6 @@ export function WaveformGraph2D() {
     const rafIdRef = useRef(null);
     const currentWaveformRef = useRef({ real: null, imag: null });
 
-    // Create custom waveform by blending harmonics
-    const createBlendedWaveform = (x, y) => {
-        // Define harmonic content for each basic waveform
-        // Sine: only fundamental (1st harmonic)
-        // Triangle: odd harmonics with 1/n^2 amplitude (alternating phase)
-        // Sawtooth: all harmonics with 1/n amplitude
-        // Square: odd harmonics with 1/n amplitude
-
-        const numHarmonics = 32;
-        const real = new Float32Array(numHarmonics);
-        const imag = new Float32Array(numHarmonics);
-
-        // X-axis: Round (left) to Sharp (right)
-        // Y-axis: Cold (bottom) to Warm (top)
-
-        // Weight factors for blending - use smooth interpolation
-        const sharpness = x; // 0 = round, 1 = sharp
-        const warmth = y;    // 0 = cold, 1 = warm
-
-        // Calculate corner weights for bilinear interpolation
-        const sineWeight = (1 - sharpness) * warmth;           // top-left
-        const sawtoothWeight = sharpness * warmth;             // top-right
-        const triangleWeight = (1 - sharpness) * (1 - warmth); // bottom-left
-        const squareWeight = sharpness * (1 - warmth);         // bottom-right
-
-        for (let n = 1; n < numHarmonics; n++) {
-            let amplitude = 0;
-
-            // Sine wave (warm, round) - only fundamental
-            if (n === 1) {
-                amplitude += sineWeight;
-            }
-
-            // Triangle wave (cold, round) - odd harmonics with alternating phase, 1/n^2
-            if (n % 2 === 1) {
-                const sign = ((n - 1) / 2) % 2 === 0 ? 1 : -1;
-                const triangleAmp = sign * (1 / (n * n)) * triangleWeight;
-                amplitude += triangleAmp * 8; // Scale up triangle for better volume
-            }
-
-            // Sawtooth wave (warm, sharp) - all harmonics, 1/n
-            const sawtoothAmp = (1 / n) * sawtoothWeight;
-            amplitude += sawtoothAmp * 2; // Scale up sawtooth
-
-            // Square wave (cold, sharp) - odd harmonics, 1/n
-            if (n % 2 === 1) {
-                const squareAmp = (1 / n) * squareWeight;
-                amplitude += squareAmp * 4; // Scale up square
-            }
-
-            // Store in imaginary component (sine terms)
-            imag[n] = amplitude;
-        }
-
-        return { real, imag };
-    };
-
     // Draw waveform on canvas
     const drawWaveform = (real, imag) => {
         const canvas = canvasRef.current;
@@ -145,9 +91,14 @@ export function WaveformGraph2D() {
             // Store current waveform
             currentWaveformRef.current = { real, imag };
 
-            // Create and set custom periodic wave
-            const wave = osc.context.createPeriodicWave(real, imag);
-            osc._oscillator.setPeriodicWave(wave);
+            // Morph the wavetable: across moves the position, up rebuilds the stack's row
+            // (warmth is rounded so the stack only changes - and Tone caches waves - per step)
+            osc.position.rampTo(x, 0.02);
+            const warmth = Math.round(y * 100) / 100;
+            if (warmth !== synthRef.current.warmth) {
+                synthRef.current.warmth = warmth;
+                osc.setFrames(getWavetableFrames(warmth));
+            }
 
             // Draw waveform visualization
             drawWaveform(real, imag);
@@ -248,9 +199,12 @@ export function WaveformGraph2D() {
 
     // Initialize oscillator and default waveform
     useEffect(() => {
-        const osc = new Tone.Oscillator(440, "sine").toDestination();
+        // Same wavetable oscillator the dropped node plays, so the pad previews it exactly
+        const osc = new WavetableOscillator({ frequency: 440, position: 0.5, frames: getWavetableFrames(0.5) });
+        // Through the master bus, so the preview is limited and metered like everything else
+        masterBus.connect(osc);
         osc.volume.value = -60; // Start muted
-        synthRef.current = { osc };
+        synthRef.current = { osc, warmth: 0.5 };
 
         // Initialize with default waveform (center position)
         const { real, imag } = createBlendedWaveform(0.5, 0.5);
@@ -340,12 +294,11 @@ export function WaveformGraph2D() {
                 <button
                     draggable
                     onDragStart={(e) => {
-                        e.dataTransfer.setData('waveform', 'custom');
+                        // Drops a wavetable oscillator that keeps morphing from this point
+                        e.dataTransfer.setData('waveform', 'wavetable');
                         e.dataTransfer.setData('waveformData', JSON.stringify({
-                            x: pos.x,
-                            y: pos.y,
-                            real: Array.from(currentWaveformRef.current.real || []),
-                            imag: Array.from(currentWaveformRef.current.imag || [])
+                            position: pos.x,
+                            warmth: pos.y
                         }));
                     }}
                     onClick={(e) => {
@@ -0,0 +1,287 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { audioGraph } from '../AudioGraph';
+import { masterBus } from '../MasterBus';
+import { Handle, Position, useReactFlow } from 'reactflow';
+import { OscModInputs } from './OscModInputs';
+import { ModInputs } from './ModInputs';
+import { WavetableOscillator } from '../WavetableOscillator';
+import {
+    createBlendedWaveform,
+    getWaveformPoints,
+    getWavetableFrames,
+    getWavetableSettings
+} from '../wavetables';
+
+const PAD_WIDTH = 100;
+const PAD_HEIGHT = 70;
+
+// Pad axis labels, matching the 2D waveform pad
+const padLabelStyle = {
+    position: 'absolute',
+    fontSize: '0.55em',
+    color: '#888',
+    pointerEvents: 'none',
+};
+
+/**
+ * WavetableOscNode - an oscillator that morphs through a stack of waves
+ * The pad moves through the sine/triangle/saw/square map live: across is the
+ * wavetable position (round to sharp), up is warmth. Wire an LFO or envelope
+ * into POS to sweep the position while notes play.
+ */
+export function WavetableOscNode({ data, id, type }) {
+    const synthRef = useRef(null);
+    const canvasRef = useRef(null);
+    const { setNodes } = useReactFlow();
+
+    const initialSettings = getWavetableSettings(data);
+    const [position, setPosition] = useState(initialSettings.position);
+    const [warmth, setWarmth] = useState(initialSettings.warmth);
+    const [detune, setDetune] = useState(data?.detune || 0);
+    const [octaveOffset, setOctaveOffset] = useState(data?.octaveOffset || 0);
+    const [level, setLevel] = useState(data?.level ?? 100);
+
+    // Create the canvas oscillator on mount (the effects below set its position/waves)
+    useEffect(() => {
+        const synth = new WavetableOscillator({ frequency: 440, frames: getWavetableFrames(0.5) });
+        synth.volume.value = -Infinity;
+        synthRef.current = synth;
+
+        synth.start();
+        masterBus.connect(synth);
+        audioGraph.registerNode(id, synth);
+
+        return () => {
+            audioGraph.unregisterNode(id);
+            synthRef.current = null;
+        };
+    }, [id]);
+
+    useEffect(() => {
+        synthRef.current?.position.rampTo(position, 0.05);
+    }, [position]);
+
+    useEffect(() => {
+        synthRef.current?.setFrames(getWavetableFrames(warmth));
+    }, [warmth]);
+
+    // Draw the wave at the current pad position
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const points = getWaveformPoints(createBlendedWaveform(position, warmth), width);
+
+        ctx.fillStyle = '#222';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.beginPath();
+        ctx.strokeStyle = '#0f0';
+        ctx.lineWidth = 1.5;
+        points.forEach((sample, x) => {
+            const y = height / 2 - sample * height * 0.35;
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }, [position, warmth]);
+
+    useEffect(() => {
+        setNodes((nodes) =>
+            nodes.map((node) => {
+                if (node.id === id) {
+                    return {
+                        ...node,
+                        data: {
+                            ...node.data,
+                            position: position,
+                            warmth: warmth,
+                            detune: detune,
+                            octaveOffset: octaveOffset,
+                            level: level,
+                        },
+                    };
+                }
+                return node;
+            })
+        );
+    }, [position, warmth, detune, octaveOffset, level, id, setNodes]);
+
+    // Move the morph to the pointer (x = position, y = warmth)
+    const handlePadPointer = (e) => {
+        if (e.type === 'pointermove' && !e.buttons) return;
+        e.stopPropagation();
+        if (e.type === 'pointerdown') {
+            e.currentTarget.setPointerCapture(e.pointerId);
+        }
+
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        const y = Math.min(Math.max(1 - (e.clientY - rect.top) / rect.height, 0), 1);
+        setPosition(Math.round(x * 100) / 100);
+        setWarmth(Math.round(y * 100) / 100);
+    };
+
+    return (
+        <div
+            style={{
+                padding: 10,
+                background: '#333',
+                color: 'white',
+                borderRadius: 6,
+                border: '1px solid #ff6ad5',
+                width: 120,
+                textAlign: 'center',
+                cursor: 'pointer',
+            }}
+        >
+            <Handle
+                type="target"
+                position={Position.Left}
+                id="control-in"
+                style={{ background: '#0af', top: '50%', width: 24, height: 24, left: -12 }}
+            />
+
+            {/* Pitch modulation on the top */}
+            <Handle
+                type="target"
+                position={Position.Top}
+                id="modulation-in"
+                style={{ background: '#f5576c', left: '50%', width: 24, height: 24, top: -12 }}
+            />
+
+            {/* Wavetable position modulation on the bottom */}
+            <Handle
+                type="target"
+                position={Position.Bottom}
+                id="position-in"
+                title="Position input (LFO or envelope)"
+                style={{ background: '#ff6ad5', left: '50%', width: 16, height: 16, bottom: -8 }}
+            />
+            <span style={{ ...padLabelStyle, color: '#ff6ad5', left: '50%', bottom: 10, transform: 'translateX(-50%)' }}>
+                POS
+            </span>
+
+            <Handle type="source" position={Position.Right} style={{ background: '#0f0', width: 24, height: 24, right: -12 }} />
+
+            <strong style={{ color: '#ff6ad5' }}>WAVETABLE</strong>
+            <p style={{ fontSize: '0.8em' }}>Oscillator</p>
+
+            <div style={{
+                width: PAD_WIDTH,
+                height: 40,
+                background: '#222',
+                border: '1px solid #444',
+                borderRadius: 4,
+                overflow: 'hidden',
+                margin: '0 auto 8px',
+            }}>
+                <canvas ref={canvasRef} width={PAD_WIDTH} height={40} style={{ display: 'block' }} />
+            </div>
+
+            {/* Morph pad */}
+            <div
+                className="nodrag nopan"
+                onPointerDown={handlePadPointer}
+                onPointerMove={handlePadPointer}
+                title="Drag to morph: across = position (round to sharp), up = warmth"
+                style={{
+                    width: PAD_WIDTH,
+                    height: PAD_HEIGHT,
+                    margin: '0 auto',
+                    background: 'radial-gradient(circle at 50% 50%, #333, #0a0a0a)',
+                    border: '1px solid #444',
+                    borderRadius: 4,
+                    position: 'relative',
+                    cursor: 'crosshair',
+                    touchAction: 'none',
+                }}
+            >
+                <span style={{ ...padLabelStyle, top: 2, left: '50%', transform: 'translateX(-50%)' }}>WARM</span>
+                <span style={{ ...padLabelStyle, bottom: 2, left: '50%', transform: 'translateX(-50%)' }}>COLD</span>
+                <span style={{ ...padLabelStyle, left: 2, top: '50%', transform: 'translateY(-50%)' }}>R</span>
+                <span style={{ ...padLabelStyle, right: 2, top: '50%', transform: 'translateY(-50%)' }}>S</span>
+                <div
+                    style={{
+                        position: 'absolute',
+                        left: `${position * 100}%`,
+                        top: `${(1 - warmth) * 100}%`,
+                        transform: 'translate(-50%, -50%)',
+                        width: 10,
+                        height: 10,
+                        borderRadius: '50%',
+                        background: '#ff6ad5',
+                        border: '1px solid #fff',
+                        pointerEvents: 'none',
+                    }}
+                />
+            </div>
+            <div style={{ fontSize: '0.65em', color: '#aaa', marginTop: 4 }}>
+                Pos {Math.round(position * 100)}% · Warm {Math.round(warmth * 100)}%
+            </div>
+
+            {/* Detune slider */}
+            <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em' }}>
+                <label style={{ display: 'block', marginBottom: 4 }}>
+                    Detune: {detune > 0 ? '+' : ''}{detune}¢
+                </label>
+                <input
+                    type="range"
+                    min="-50"
+                    max="50"
+                    value={detune}
+                    onChange={(e) => setDetune(Number(e.target.value))}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onMouseUp={(e) => e.stopPropagation()}
+                    style={{ width: '100%', cursor: 'pointer' }}
+                />
+            </div>
+
+            {/* Octave offset slider */}
+            <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em' }}>
+                <label style={{ display: 'block', marginBottom: 4 }}>
+                    Octave: {octaveOffset > 0 ? '+' : ''}{octaveOffset}
+                </label>
+                <input
+                    type="range"
+                    min="-2"
+                    max="2"
+                    step="1"
+                    value={octaveOffset}
+                    onChange={(e) => setOctaveOffset(Number(e.target.value))}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onMouseUp={(e) => e.stopPropagation()}
+                    style={{ width: '100%', cursor: 'pointer' }}
+                />
+            </div>
+
+            {/* Level slider */}
+            <div className="nodrag nopan" style={{ marginTop: 8, fontSize: '0.75em' }}>
+                <label style={{ display: 'block', marginBottom: 4 }}>
+                    Level: {level}%
+                </label>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={level}
+                    onChange={(e) => setLevel(Number(e.target.value))}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onMouseUp={(e) => e.stopPropagation()}
+                    style={{ width: '100%', cursor: 'pointer' }}
+                />
+            </div>
+
+            <ModInputs id={id} type={type} />
+
+            {/* FM and AM/ring inputs from other oscillators */}
+            <OscModInputs id={id} data={data} type={type} />
+        </div>
+    );
+}
@@ -0,0 +1,103 @@
+/**
+ * Drum patterns - the step grid played by DrumMachineNodes
+ *
+ * A pattern is STEP_COUNT sixteenth-note steps per lane. Each lane has its own trigger
+ * output (handle ID = lane ID) and plays the voice templates wired to it (a sampler, or
+ * any synth chain) at the lane's note.
+ * Steps are null (off) or { velocity, probability, accent }:
+ * - velocity:    0-1, how hard the step hits
+ * - probability: 0-1, chance the step plays each time round
+ * - accent:      adds the machine's accent amount to the velocity
+ *
+ * Swing delays every off-beat sixteenth; at 100% it lands on the triplet position.
+ */
+
+export const STEP_COUNT = 16;
+
+export const MAX_LANES = 8;
+
+export const DEFAULT_DRUM_SETTINGS = {
+  tempo: 120,
+  // 0-1 (see getSwingDelay)
+  swing: 0,
+  // Velocity added to accented steps
+  accentAmount: 0.3
+};
+
+// New steps hit fairly hard, every time
+const DEFAULT_STEP = { velocity: 0.8, probability: 1, accent: false };
+
+// Lanes play at C4, the sampler's default root note, so samples play at their own pitch
+const DEFAULT_LANE_NOTE = 60;
+
+/**
+ * Read drum machine settings from node data, filling in defaults
+ * @param {object} data - Drum machine node data
+ * @returns {object} Drum machine settings
+ */
+export function getDrumSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_DRUM_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
+
+/**
+ * An empty lane
+ * @param {string} id - Lane ID, also the ID of its trigger output (kept when other lanes are removed)
+ * @param {string} name - Lane name
+ * @returns {object} { id, name, note, muted, steps }
+ */
+export function createLane(id, name) {
+  return {
+    id,
+    name,
+    note: DEFAULT_LANE_NOTE,
+    muted: false,
+    steps: new Array(STEP_COUNT).fill(null)
+  };
+}
+
+// Four lanes for a new machine
+export const DEFAULT_LANES = ['Kick', 'Snare', 'Hat', 'Open Hat'].map((name, i) => createLane(`lane-${i}`, name));
+
+/**
+ * A step that's just been turned on
+ * @returns {object} Step
+ */
+export function createStep() {
+  return { ...DEFAULT_STEP };
+}
+
+/**
+ * Velocity a step plays at
+ * @param {object} step - Step that's on
+ * @param {number} accentAmount - Velocity added to accented steps
+ * @returns {number} Velocity 0-1
+ */
+export function getStepVelocity(step, accentAmount) {
+  return Math.min(step.velocity + (step.accent ? accentAmount : 0), 1);
+}
+
+/**
+ * Whether a step plays this time round
+ * @param {object|null} step - Step (null = off)
+ * @param {Function} random - Random number source (0-1)
+ * @returns {boolean}
+ */
+export function shouldPlayStep(step, random = Math.random) {
+  return Boolean(step) && random() < step.probability;
+}
+
+/**
+ * How late a step plays because of swing
+ * Off-beat sixteenths (odd steps) move towards the next step; full swing moves
+ * them a third of a step, onto the triplet grid
+ *
+ * @param {number} stepIndex - Step in the pattern
+ * @param {number} swing - 0-1
+ * @param {number} stepSeconds - Length of a step in seconds
+ * @returns {number} Delay in seconds
+ */
+export function getSwingDelay(stepIndex, swing, stepSeconds) {
+  return stepIndex % 2 === 1 ? swing * stepSeconds / 3 : 0;
+}
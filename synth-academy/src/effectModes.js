@@ -0,0 +1,49 @@
+/**
+ * Effect modes - whether an effect node is shared by every voice or copied into each one
+ *
+ * - shared:   all voices are summed, then run through one effect (a bus/insert effect)
+ * - perVoice: every voice gets its own copy of the effect, so e.g. distortion only
+ *             distorts each note on its own and chords stay clean
+ *
+ * Set on the effect node (node.data.effectMode) and honoured by VoiceManager when it
+ * builds a voice. Per-voice copies are expensive, so once many voices are sounding
+ * new voices fall back to the shared effect.
+ */
+
+export const EFFECT_MODES = {
+  shared: 'Shared',
+  perVoice: 'Per Voice'
+};
+
+export const DEFAULT_EFFECT_MODE = 'shared';
+
+// Effect node types that can run per voice
+// (not reverb: every copy would render its own impulse response, leaving each note dry until it's ready)
+export const PER_VOICE_EFFECT_TYPES = [
+  'chorusNode',
+  'delayNode',
+  'distortionNode',
+  'pitchShifterNode',
+  'phaserNode',
+  'vibratoNode',
+  'panNode',
+  'stereoWidthNode'
+];
+
+// CPU guard: with this many voices already sounding, new voices use the shared effect
+export const PER_VOICE_EFFECT_VOICE_LIMIT = 4;
+
+/**
+ * Effect mode a new voice should use for an effect node
+ *
+ * @param {object} nodeTemplate - Effect node from the voice template ({ type, data })
+ * @param {number} soundingVoices - Voices already sounding
+ * @returns {string} Key of EFFECT_MODES
+ */
+export function resolveEffectMode(nodeTemplate, soundingVoices) {
+  const requested = nodeTemplate.data?.effectMode ?? DEFAULT_EFFECT_MODE;
+  if (requested !== 'perVoice' || !PER_VOICE_EFFECT_TYPES.includes(nodeTemplate.type)) {
+    return 'shared';
+  }
+  return soundingVoices < PER_VOICE_EFFECT_VOICE_LIMIT ? 'perVoice' : 'shared';
+}
@@ -0,0 +1,37 @@
+import { DEFAULT_DIVISION } from './tempoSync';
+
+/**
+ * Effect settings - what each effect node stores in node.data
+ *
+ * The effect components build the shared effect and VoiceManager builds per-voice
+ * copies (see effectModes.js); both start from these defaults, so a copy sounds like
+ * the node it came from. Missing keys fall back to the default, but a setting of 0 stays 0.
+ */
+
+export const DEFAULT_EFFECT_SETTINGS = {
+  chorusNode: { frequency: 2.5, delayTime: 5, depth: 0.85, wet: 0.65, sync: false, division: DEFAULT_DIVISION },
+  reverbNode: { decay: 3.0, preDelay: 0.01, wet: 0.5 },
+  // Synced: a dotted eighth, like the default time at 120 BPM
+  delayNode: { delayTime: 0.375, feedback: 0.6, wet: 0.6, sync: false, division: '8n.' },
+  distortionNode: { distortion: 0.7, oversample: 'none', wet: 1 },
+  pitchShifterNode: { pitch: 0, windowSize: 0.1, wet: 1 },
+  // Synced: a bar per sweep, like the default rate at 120 BPM
+  phaserNode: { frequency: 0.5, octaves: 3, baseFrequency: 350, wet: 0.5, sync: false, division: '1n' },
+  vibratoNode: { frequency: 5, depth: 0.1, wet: 1 },
+  // Pan -1 (left) to 1 (right)
+  panNode: { pan: 0 },
+  // Width is stored 0-2 (1 = unchanged)
+  stereoWidthNode: { width: 1 }
+};
+
+/**
+ * Effect settings from node data, with defaults for anything not set
+ * @param {string} type - Effect node type
+ * @param {object} data - Effect node data
+ * @returns {object} Settings (keys of the type's DEFAULT_EFFECT_SETTINGS)
+ */
+export function getEffectSettings(type, data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_EFFECT_SETTINGS[type] || {}).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
@@ -0,0 +1,115 @@
+/**
+ * Envelope curve shapes, shared by the EnvelopeNode graph and the voice engine
+ *
+ * A curved stage is a quadratic bezier whose control point is pushed off the straight
+ * line between the stage's end points (curve: -1 log .. 0 linear .. +1 exp).
+ * EnvelopeNode draws it; DahdsrEnvelope samples the same bezier in the same graph
+ * space, so the stage the student drags is the stage they hear.
+ */
+
+// EnvelopeNode graph geometry, in canvas pixels
+export const ENVELOPE_GRAPH = {
+  width: 240,
+  height: 120,
+  padding: 10,
+  totalTime: 4 // Seconds shown across the graph
+};
+
+// Bezier samples used to invert x (time) -> y (level)
+const BEZIER_SAMPLES = 128;
+
+/**
+ * Control point of a curved segment between two graph points
+ *
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y
+ * @param {number} x2 - End x
+ * @param {number} y2 - End y
+ * @param {number} curve - Curve amount (-1 to 1)
+ * @returns {{x: number, y: number}|null} Control point, or null for a straight segment
+ */
+export function getCurveControlPoint(x1, y1, x2, y2, curve) {
+  if (!curve) return null;
+
+  const midX = (x1 + x2) / 2;
+  const midY = (y1 + y2) / 2;
+
+  // Offset perpendicular to the segment, capped so long stages don't balloon
+  const perpX = -(y2 - y1);
+  const perpY = (x2 - x1);
+  const perpLen = Math.sqrt(perpX * perpX + perpY * perpY);
+  if (perpLen === 0) return null;
+
+  const offsetAmount = curve * Math.min(perpLen * 0.3, 30);
+  return {
+    x: midX + (perpX / perpLen) * offsetAmount,
+    y: midY + (perpY / perpLen) * offsetAmount
+  };
+}
+
+/**
+ * Shape of an envelope stage as drawn on the EnvelopeNode graph
+ *
+ * Lays the stage out in graph space (time across, level up), follows the drawn bezier
+ * and reads back its level at evenly spaced times.
+ *
+ * @param {number} duration - Stage length in seconds
+ * @param {number} fromLevel - Level the graph draws the stage from (0-1)
+ * @param {number} toLevel - Level the graph draws the stage to (0-1)
+ * @param {number} curve - Stage curve (-1 to 1)
+ * @param {number} resolution - Number of intervals to sample
+ * @returns {Array<number>} resolution + 1 values of stage progress (0 at the start, 1 at the end)
+ */
+export function getStageShape(duration, fromLevel, toLevel, curve, resolution) {
+  const { width, height, padding, totalTime } = ENVELOPE_GRAPH;
+  const graphWidth = width - padding * 2;
+  const graphHeight = height - padding * 2;
+
+  const x1 = 0;
+  const y1 = (1 - fromLevel) * graphHeight;
+  const x2 = (duration / totalTime) * graphWidth;
+  const y2 = (1 - toLevel) * graphHeight;
+
+  const linear = Array.from({ length: resolution + 1 }, (_, i) => i / resolution);
+  const control = getCurveControlPoint(x1, y1, x2, y2, curve);
+  if (!control || x2 <= x1 || y1 === y2) {
+    return linear;
+  }
+
+  // Sample the bezier; keep x non-decreasing so it can be read as a function of time
+  const samples = [];
+  let maxX = x1;
+  for (let i = 0; i <= BEZIER_SAMPLES; i++) {
+    const t = i / BEZIER_SAMPLES;
+    const a = (1 - t) * (1 - t);
+    const b = 2 * (1 - t) * t;
+    const c = t * t;
+    maxX = Math.max(maxX, a * x1 + b * control.x + c * x2);
+    samples.push({ x: maxX, y: a * y1 + b * control.y + c * y2 });
+  }
+
+  // Strongly curved short stages bulge past their end time on the graph;
+  // fit the drawn curve back into the stage so it still ends on time
+  const fit = (x2 - x1) / (maxX - x1);
+  samples.forEach(sample => {
+    sample.x = x1 + (sample.x - x1) * fit;
+  });
+
+  let sampleIndex = 0;
+  return linear.map(progress => {
+    // The drawn stage always starts and lands on its end points
+    if (progress === 0 || progress === 1) return progress;
+
+    const x = x1 + (x2 - x1) * progress;
+    while (sampleIndex < BEZIER_SAMPLES && samples[sampleIndex + 1].x < x) {
+      sampleIndex++;
+    }
+
+    const from = samples[sampleIndex];
+    const to = samples[Math.min(sampleIndex + 1, BEZIER_SAMPLES)];
+    const fraction = to.x > from.x ? (x - from.x) / (to.x - from.x) : 1;
+    const y = from.y + (to.y - from.y) * Math.min(Math.max(fraction, 0), 1);
+
+    return (y - y1) / (y2 - y1);
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Filter settings - the controls of a FilterNode, shared by the node and the per-voice filters
+ *
+ * - model:       which filter circuit (see FILTER_MODELS)
+ * - cutoff:      0-100%, on a log scale from 20 Hz to 20 kHz (stored as `frequency` too);
+ *                the comb filter's pitch
+ * - type:        response of the standard filter, or which output of the state-variable
+ *                filter goes out of the main output
+ * - resonance:   0-100%, Q 0.1-30
+ * - slope:       12, 24 or 48 dB per octave (standard filter)
+ * - drive:       0-100%, saturation before the filter
+ * - keyTracking: 0-100%, how far the cutoff follows the played note (100% = an octave per octave, from C4)
+ * - envAmount:   -100 to 100%, how far envelopes wired into the mod input move the cutoff
+ *                (scales the edge amount; negative sweeps down)
+ * - vowel:       0-100%, the formant filter's vowel, morphing A-E-I-O-U
+ */
+
+export const FILTER_MODELS = {
+  standard: 'Standard',
+  // 24 dB lowpass with a resonant peak that thins out the bass, like a transistor ladder
+  ladder: 'Ladder',
+  // Lowpass, bandpass and highpass at once, each on its own output
+  stateVariable: 'State Variable',
+  // Resonates at the cutoff and its harmonics (track the keyboard to play it in tune)
+  comb: 'Comb',
+  // Three bandpass formants that make vowel sounds
+  formant: 'Formant'
+};
+
+// Models with a choice of response (the others have one fixed shape)
+export const TYPED_FILTER_MODELS = ['standard', 'stateVariable'];
+
+// The state-variable filter's extra outputs, by response
+export const FILTER_OUTPUTS = {
+  lowpass: 'LP',
+  bandpass: 'BP',
+  highpass: 'HP'
+};
+
+export const FILTER_TYPES = {
+  lowpass: 'Lowpass',
+  highpass: 'Highpass',
+  bandpass: 'Bandpass',
+  notch: 'Notch'
+};
+
+export const FILTER_SLOPES = {
+  12: '12 dB',
+  24: '24 dB',
+  48: '48 dB'
+};
+
+export const DEFAULT_FILTER_SETTINGS = {
+  model: 'standard',
+  cutoff: 50,
+  resonance: 0,
+  type: 'lowpass',
+  slope: 12,
+  drive: 0,
+  keyTracking: 0,
+  // Full edge amount, as before the knob existed
+  envAmount: 100,
+  vowel: 0
+};
+
+// Formants of a sung vowel (bass voice): centre frequency (Hz), level (dB), bandwidth (Hz)
+const VOWEL_FORMANTS = [
+  // A
+  [[600, 0, 60], [1040, -7, 70], [2250, -9, 110]],
+  // E
+  [[400, 0, 40], [1620, -12, 80], [2400, -9, 100]],
+  // I
+  [[250, 0, 60], [1750, -30, 90], [2600, -16, 100]],
+  // O
+  [[400, 0, 40], [750, -11, 80], [2400, -21, 100]],
+  // U
+  [[350, 0, 40], [600, -20, 80], [2400, -32, 100]]
+];
+
+export const VOWEL_NAMES = ['A', 'E', 'I', 'O', 'U'];
+
+// Key tracking leaves the cutoff where it is at C4
+const KEY_TRACKING_CENTER = 440 * Math.pow(2, -9 / 12);
+
+/**
+ * Read filter settings from node data, filling in defaults
+ * @param {object} data - Filter node data
+ * @returns {object} Filter settings
+ */
+export function getFilterSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_FILTER_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
+
+/**
+ * Cutoff percentage to frequency (logarithmic scale 20Hz - 20kHz)
+ * @param {number} percent - Cutoff 0-100%
+ * @returns {number} Frequency in Hz
+ */
+export function cutoffToFrequency(percent) {
+  const minFreq = Math.log(20);
+  const maxFreq = Math.log(20000);
+  return Math.exp(minFreq + (percent / 100) * (maxFreq - minFreq));
+}
+
+/**
+ * Resonance percentage to Q (0.1 - 30)
+ * @param {number} percent - Resonance 0-100%
+ * @returns {number} Q
+ */
+export function resonanceToQ(percent) {
+  return 0.1 + (percent / 100) * 29.9;
+}
+
+/**
+ * How far key tracking moves the cutoff for a note
+ * @param {number} noteFrequency - Frequency of the played note in Hz
+ * @param {number} keyTracking - 0-100%
+ * @returns {number} Cutoff offset in cents
+ */
+export function getKeyTrackingDetune(noteFrequency, keyTracking) {
+  return 1200 * Math.log2(noteFrequency / KEY_TRACKING_CENTER) * (keyTracking / 100);
+}
+
+/**
+ * Formants for a point between two vowels
+ * Frequencies glide on a log scale; levels and Q move linearly
+ *
+ * @param {number} vowel - 0-100% across A-E-I-O-U
+ * @returns {Array<{frequency: number, gain: number, Q: number}>} Formants (gain in dB)
+ */
+export function getVowelFormants(vowel) {
+  const position = Math.min(Math.max(vowel, 0), 100) / 100 * (VOWEL_FORMANTS.length - 1);
+  const index = Math.min(Math.floor(position), VOWEL_FORMANTS.length - 2);
+  const mix = position - index;
+
+  return VOWEL_FORMANTS[index].map(([frequency, gain, bandwidth], i) => {
+    const [nextFrequency, nextGain, nextBandwidth] = VOWEL_FORMANTS[index + 1][i];
+    const morphedFrequency = frequency * Math.pow(nextFrequency / frequency, mix);
+    return {
+      frequency: morphedFrequency,
+      gain: gain + (nextGain - gain) * mix,
+      Q: morphedFrequency / (bandwidth + (nextBandwidth - bandwidth) * mix)
+    };
+  });
+}
+
+/**
+ * Name of the vowel nearest a vowel setting
+ * @param {number} vowel - 0-100%
+ * @returns {string} 'A', 'E', 'I', 'O' or 'U'
+ */
+export function getVowelName(vowel) {
+  return VOWEL_NAMES[Math.round(vowel / 100 * (VOWEL_NAMES.length - 1))];
+}
@@ -0,0 +1,111 @@
+/**
+ * Harmonics - custom oscillator waves as amplitude + phase per partial
+ *
+ * Custom waves are stored on the OscNode as Fourier coefficients
+ * (node.data.waveformData = { real, imag }, index 0 is DC) - the same form the
+ * Web Audio PeriodicWave takes. The harmonic editor works in amplitude/phase:
+ *
+ *   partial n = amplitude * sin(n * wt + phase)
+ *   real[n] = amplitude * sin(phase), imag[n] = amplitude * cos(phase)
+ *
+ * The browser normalizes periodic waves, so only the amplitudes' relative sizes matter.
+ */
+
+// Partial counts the editor offers
+export const HARMONIC_COUNTS = [32, 64];
+
+const DEGREES = 180 / Math.PI;
+
+/**
+ * Amplitude and phase of each partial of a wave
+ * Amplitudes are scaled so the loudest partial is 1
+ *
+ * @param {{ real?: ArrayLike<number>, imag: ArrayLike<number> }|null} wave - Fourier coefficients (null = sine)
+ * @param {number} count - Number of partials to return (padded with silent partials)
+ * @returns {{ amplitudes: Array<number>, phases: Array<number> }} Partial 1 first; phases in degrees
+ */
+export function getHarmonics(wave, count) {
+  const amplitudes = new Array(count).fill(0);
+  const phases = new Array(count).fill(0);
+
+  if (!wave?.imag) {
+    amplitudes[0] = 1;
+    return { amplitudes, phases };
+  }
+
+  for (let i = 0; i < count; i++) {
+    const real = wave.real?.[i + 1] ?? 0;
+    const imag = wave.imag[i + 1] ?? 0;
+    amplitudes[i] = Math.hypot(real, imag);
+    phases[i] = amplitudes[i] > 0 ? Math.round(Math.atan2(real, imag) * DEGREES) : 0;
+  }
+
+  const peak = Math.max(...amplitudes);
+  return {
+    amplitudes: amplitudes.map(amplitude => (peak > 0 ? amplitude / peak : 0)),
+    phases
+  };
+}
+
+/**
+ * Fourier coefficients for a set of partials
+ *
+ * @param {{ amplitudes: Array<number>, phases: Array<number> }} harmonics - Partial 1 first; phases in degrees
+ * @returns {{ real: Array<number>, imag: Array<number> }} Plain arrays, so they save with the project
+ */
+export function createHarmonicWave({ amplitudes, phases }) {
+  const real = [0];
+  const imag = [0];
+  amplitudes.forEach((amplitude, i) => {
+    const phase = (phases[i] ?? 0) / DEGREES;
+    real.push(amplitude * Math.sin(phase));
+    imag.push(amplitude * Math.cos(phase));
+  });
+  return { real, imag };
+}
+
+/**
+ * Count of partials a wave holds, rounded up to one of HARMONIC_COUNTS
+ * @param {{ imag: ArrayLike<number> }|null} wave - Fourier coefficients
+ * @returns {number}
+ */
+export function getHarmonicCount(wave) {
+  const partials = Math.max((wave?.imag?.length ?? 0) - 1, 0);
+  return HARMONIC_COUNTS.find(count => count >= partials) ?? HARMONIC_COUNTS[HARMONIC_COUNTS.length - 1];
+}
+
+const partialsOf = (count, amplitude, phase = () => 0) => createHarmonicWave({
+  amplitudes: Array.from({ length: count }, (_, i) => amplitude(i + 1)),
+  phases: Array.from({ length: count }, (_, i) => phase(i + 1))
+});
+
+// The basic oscillator types as partials, so the editor can start from an OscNode's current shape
+const STANDARD_WAVES = {
+  sine: partialsOf(32, n => (n === 1 ? 1 : 0)),
+  triangle: partialsOf(32, n => (n % 2 === 1 ? 1 / (n * n) : 0), n => ((n - 1) / 2) % 2 === 0 ? 0 : 180),
+  sawtooth: partialsOf(32, n => 1 / n),
+  square: partialsOf(32, n => (n % 2 === 1 ? 1 / n : 0))
+};
+
+/**
+ * Partials of a basic oscillator type
+ * @param {string} type - 'sine', 'triangle', 'sawtooth' or 'square' (anything else gives a sine)
+ * @returns {{ real: Array<number>, imag: Array<number> }} Fourier coefficients
+ */
+export function getStandardWave(type) {
+  return STANDARD_WAVES[type] || STANDARD_WAVES.sine;
+}
+
+// Starting points for the editor (can't be deleted or overwritten)
+export const FACTORY_WAVE_PRESETS = [
+  { name: 'Sine', wave: STANDARD_WAVES.sine },
+  { name: 'Triangle', wave: STANDARD_WAVES.triangle },
+  { name: 'Saw', wave: STANDARD_WAVES.sawtooth },
+  { name: 'Square', wave: STANDARD_WAVES.square },
+  // Drawbar organ with the 8', 4', 2 2/3', 2', 1 1/3' and 1' bars pulled out
+  { name: 'Organ', wave: partialsOf(32, n => ([1, 2, 3, 4, 6, 8].includes(n) ? 1 / Math.sqrt(n) : 0)) },
+  // Odd harmonics only, falling slowly - a hollow, clarinet-like tone
+  { name: 'Hollow', wave: partialsOf(32, n => (n % 2 === 1 ? 1 / (n * 0.5 + 0.5) : 0)) },
+  // The saw's partials with spread-out phases - sounds the same, but the wave has no sharp edge
+  { name: 'Smeared Saw', wave: partialsOf(32, n => 1 / n, n => (n * n * 90) % 360) }
+].map(preset => ({ ...preset, factory: true }));
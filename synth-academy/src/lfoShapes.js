@@ -0,0 +1,67 @@
+/**
+ * LFO shapes - the waveforms an LFONode plays
+ *
+ * The periodic shapes are Tone.LFO waveforms. The random shapes pick a new value
+ * every cycle, so their rate follows the LFO frequency like the others, and the
+ * node's smoothness sets how they slew between values:
+ *
+ * - sampleHold: jumps to any value each cycle; smoothness rounds off the jumps
+ *               (0 = hard steps, 100% = a glide lasting the whole cycle)
+ * - random:     glides from value to value, arriving as the next cycle starts;
+ *               smoothness limits how far each glide can go (0 = anywhere, 100% = a slow wander)
+ */
+
+export const LFO_WAVEFORMS = {
+  sine: 'Sine',
+  triangle: 'Triangle',
+  square: 'Square',
+  sawtooth: 'Sawtooth',
+  sampleHold: 'Sample & Hold',
+  random: 'Smooth Random'
+};
+
+export const RANDOM_LFO_WAVEFORMS = ['sampleHold', 'random'];
+
+// How far a smooth random glide can reach at full smoothness (the full range is 2)
+const MIN_RANDOM_REACH = 0.2;
+
+// A sample & hold slew (smoothness x one cycle) settles within 1% of its new value
+// after this many time constants
+export const SLEW_TIME_CONSTANTS = 5;
+
+/**
+ * The value a random LFO moves to on its next cycle
+ * @param {string} waveform - 'sampleHold' or 'random'
+ * @param {number} previous - The value it's moving from (-1 to 1)
+ * @param {number} smoothness - 0-1
+ * @param {number} [random] - Random number 0-1
+ * @returns {number} Next value (-1 to 1)
+ */
+export function getNextRandomLfoValue(waveform, previous, smoothness, random = Math.random()) {
+  if (waveform === 'sampleHold') {
+    return random * 2 - 1;
+  }
+  const reach = 2 - (2 - MIN_RANDOM_REACH) * smoothness;
+  return Math.min(Math.max(previous + (random * 2 - 1) * reach, -1), 1);
+}
+
+/**
+ * Where a random LFO is part-way through a cycle
+ * (for drawing it - voices' LFOs schedule the same moves, see ModulationLFO)
+ *
+ * @param {string} waveform - 'sampleHold' or 'random'
+ * @param {number} from - Value at the end of the last cycle
+ * @param {number} to - This cycle's new value
+ * @param {number} progress - How far through the cycle (0-1)
+ * @param {number} smoothness - 0-1
+ * @returns {number} Value (-1 to 1)
+ */
+export function getRandomLfoValueAt(waveform, from, to, progress, smoothness) {
+  if (waveform === 'random') {
+    return from + (to - from) * progress;
+  }
+  if (smoothness <= 0) {
+    return to;
+  }
+  return to + (from - to) * Math.exp(-progress * SLEW_TIME_CONSTANTS / smoothness);
+}
@@ -0,0 +1,38 @@
+/**
+ * Osc mod settings - how an oscillator responds to another oscillator wired into it
+ *
+ * - FM (fm-in):     the input bends this oscillator's frequency
+ *                   fmIndex: depth, as a multiple of the modulator's frequency (0 = none)
+ *                   fmRatio: the modulator's pitch as a multiple of the note (1 = same pitch)
+ * - AM (am-in):     the input scales this oscillator's level
+ *                   amMode: 'ring' (multiply - sum and difference tones, no carrier)
+ *                           or 'am' (tremolo at audio rate - the carrier stays in)
+ * - Sync (sync-in): this oscillator restarts its cycle every time the input oscillator does
+ *
+ * Set on the receiving (carrier) oscillator node's data.
+ */
+
+export const AM_MODES = {
+  ring: 'Ring',
+  am: 'AM'
+};
+
+export const FM_INDEX_RANGE = { min: 0, max: 10, step: 0.1 };
+export const FM_RATIO_RANGE = { min: 0.25, max: 8, step: 0.25 };
+
+export const DEFAULT_OSC_MOD_SETTINGS = {
+  fmIndex: 2,
+  fmRatio: 1,
+  amMode: 'ring'
+};
+
+/**
+ * Read osc mod settings from node data, filling in defaults
+ * @param {object} data - Oscillator node data
+ * @returns {object} Osc mod settings
+ */
+export function getOscModSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_OSC_MOD_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
@@ -0,0 +1,585 @@
+/**
+ * Parameter dispatch for live voice updates
+ *
+ * Maps each node type's data keys (what the canvas components store in node.data)
+ * to the Tone.js params on the per-voice copies VoiceManager builds.
+ *
+ * Shared canvas nodes (effects) are owned by their components,
+ * which already update their own Tone objects, so only voice-owned nodes land here.
+ */
+import * as Tone from 'tone';
+import { getVelocityAttack } from './velocity';
+import { getOscModSettings } from './oscModSettings';
+import { getWavetableFrames } from './wavetables';
+import { getSamplerSettings } from './samples';
+import { getSyncedDelayTime, getSyncedFrequency } from './tempoSync';
+import { LEVEL_MOD_RANGE, levelModulationToGain } from './portRegistry';
+
+// Ramp time for live parameter changes (short enough to feel instant, long enough not to click)
+export const PARAM_RAMP_TIME = 0.05;
+
+/**
+ * Smoothly move a Tone.js Param/Signal to a new value
+ * @param {object} param - Tone.js Param or Signal
+ * @param {number} value - Target value
+ */
+const rampParam = (param, value) => {
+  if (!param || typeof value !== 'number' || !Number.isFinite(value)) {
+    return;
+  }
+  param.rampTo(value, PARAM_RAMP_TIME);
+};
+
+/**
+ * Get every oscillator behind a voice node (single oscillator or unison stack)
+ * @param {object} audioNode - The voice node's Tone.js object
+ * @returns {Array} Tone.js oscillators
+ */
+const getOscillators = (audioNode) => {
+  if (audioNode._unisonOscillators) {
+    return audioNode._unisonOscillators.map(({ osc }) => osc);
+  }
+  return [audioNode];
+};
+
+/**
+ * Detune (in cents) for one oscillator of a unison stack
+ * Base detune shifts all voices; spread fans them evenly around the center pitch
+ *
+ * @param {object} data - Oscillator node data
+ * @param {number} index - Oscillator index within the stack
+ * @param {number} count - Number of oscillators in the stack
+ * @returns {number} Detune in cents
+ */
+export const getUnisonDetune = (data, index, count) => {
+  const baseDetune = data.detune || 0;
+  if (count <= 1) {
+    return baseDetune;
+  }
+  const spread = data.unisonSpread ?? 50;
+  return baseDetune + ((index / (count - 1)) - 0.5) * 2 * spread;
+};
+
+/**
+ * Pan position for one oscillator of a unison stack
+ * Stereo spread (0-100%) fans the stack from the center out to hard left/right,
+ * in the same order as the detune spread (flattest copy on the left)
+ *
+ * @param {object} data - Oscillator node data
+ * @param {number} index - Oscillator index within the stack
+ * @param {number} count - Number of oscillators in the stack
+ * @returns {number} Pan (-1 left to 1 right)
+ */
+export const getUnisonPan = (data, index, count) => {
+  if (count <= 1) {
+    return 0;
+  }
+  const stereoSpread = (data.stereoSpread ?? 0) / 100;
+  return ((index / (count - 1)) - 0.5) * 2 * stereoSpread;
+};
+
+// Oscillator volume (dB) at full velocity and 100% level (see getOscillatorVolume)
+const OSCILLATOR_FULL_LEVEL_DB = -10;
+
+// Osc mod sources are scaled back up so a full-level oscillator swings -1 to 1
+const OSC_MOD_SOURCE_GAIN = Tone.dbToGain(-OSCILLATOR_FULL_LEVEL_DB);
+
+// Quietest oscillator level in dB (level 0% is effectively silent; Params can't ramp to -Infinity)
+const MIN_LEVEL_DB = -80;
+
+/**
+ * Equal-power gain compensation for a unison stack (in dB)
+ * Detuned copies with random start phases add up in power rather than amplitude,
+ * so a stack of n copies is turned down by 10*log10(n) to sound as loud as one
+ *
+ * @param {number} count - Number of oscillators in the stack
+ * @returns {number} Gain change in dB (0 for a single oscillator)
+ */
+export const getUnisonCompensation = (count) => -10 * Math.log10(Math.max(count, 1));
+
+/**
+ * Volume (dB) of each oscillator in a voice node
+ * Velocity sets -20 to -10 dB, then unison compensation and the node's level (0-100%) apply
+ *
+ * @param {object} data - Oscillator node data
+ * @param {number} velocity - Velocity driving the oscillator level (1 when a volume envelope handles it)
+ * @param {number} count - Number of oscillators in the stack
+ * @returns {number} Volume in dB
+ */
+export const getOscillatorVolume = (data, velocity, count) => {
+  const levelDb = Math.max(Tone.gainToDb((data.level ?? 100) / 100), MIN_LEVEL_DB);
+  return OSCILLATOR_FULL_LEVEL_DB - ((1 - velocity) * 10) + getUnisonCompensation(count) + levelDb;
+};
+
+/**
+ * Set a modulation's scale from the edge amount (param units) and the modulator's depth
+ * @param {object} scaler - Tone.Multiply created by connectModulation
+ */
+const applyModulationScale = (scaler) => {
+  rampParam(scaler.factor, scaler._amount * scaler._depth);
+};
+
+// Mod input params that aren't a param of the same name on each oscillator (or the node itself):
+// each lists the Tone.js params it drives and how much of the modulation each one gets
+const MODULATED_PARAMS = {
+  // Spread fans a unison stack's detunes apart, so each copy moves by its share of it
+  unisonSpread: (audioNode) =>
+    (audioNode._unisonOscillators || []).map(({ osc }, index, stack) => ({
+      param: osc.detune,
+      scale: getUnisonDetune({ unisonSpread: 1 }, index, stack.length)
+    })),
+  // Chorus/phaser depth is a plain number in Tone.js; their sweep LFOs' amplitude scales it instead
+  sweepDepth: (audioNode) =>
+    [audioNode._lfoL, audioNode._lfoR].filter(Boolean).map(lfo => ({ param: lfo.amplitude, scale: 1 })),
+  // Level swings the gain of the node's level stage (see addLevelStage), in dB
+  level: (audioNode) =>
+    audioNode._levelStage ? [{ param: audioNode._levelStage.gain, scale: 1, decibels: true }] : []
+};
+
+// Points in the dB-to-gain curve level modulation goes through
+const LEVEL_CURVE_LENGTH = 4096;
+
+/**
+ * Give a voice node a level stage after its output for level modulation to drive
+ * (a gain of 1 that level modulation moves, so it doesn't fight the oscillators' own volume)
+ *
+ * @param {object} voiceNode - Entry from voice.nodes
+ */
+export const addLevelStage = (voiceNode) => {
+  const levelStage = new Tone.Gain(1);
+  getVoiceNodeOutput(voiceNode).connect(levelStage);
+  voiceNode.outputNode = levelStage;
+  voiceNode.audioNode._levelStage = levelStage;
+};
+
+/**
+ * Connect a modulator to a param on every oscillator/filter behind a voice node
+ *
+ * Pitch and cutoff inputs drive `detune` (cents), which sums with the target's own frequency,
+ * so the modulation moves pitch/cutoff relative to its current value; other params (pulse
+ * width, wet...) move around their set value, and level scales the node's level stage.
+ * Tone.js zeroes a param when a signal is connected to it, so each param's own value is restored.
+ *
+ * Shared effects take the modulation of every sounding voice, which adds up; set the effect
+ * to per-voice for each note to move its own copy.
+ *
+ * @param {object} modulator - Envelope or LFO output (0-1 or -1..1)
+ * @param {object} audioNode - Target voice node's Tone.js object
+ * @param {string} paramName - Param to drive (from the port registry)
+ * @param {number} amount - Full-scale modulation amount in the param's units (signed)
+ * @param {number} depth - Modulator depth (0-1), scales the amount
+ * @returns {object|null} The Tone.Multiply scaling the modulator, or null if the target has no such param
+ */
+export const connectModulation = (modulator, audioNode, paramName, amount, depth = 1) => {
+  const targets = (MODULATED_PARAMS[paramName]?.(audioNode) ??
+    getOscillators(audioNode).map(node => ({ param: node[paramName], scale: 1 })))
+    .filter(({ param, scale }) => param && scale !== 0);
+  if (targets.length === 0) {
+    return null;
+  }
+
+  const scaler = new Tone.Multiply(amount * depth);
+  scaler._amount = amount;
+  scaler._depth = depth;
+  // Nodes between the scaler and its params (shares, the level curve), disposed with it (see disposeModulation)
+  scaler._shares = [];
+  modulator.connect(scaler);
+
+  targets.forEach(({ param, scale, decibels }) => {
+    const baseValue = param.value;
+    if (decibels) {
+      // dB to gain (less the stage's own gain of 1, which the curve's output is added to);
+      // the curve takes -1..1, so the dB are scaled down to that first
+      const normalize = new Tone.Multiply(1 / LEVEL_MOD_RANGE);
+      const toGain = new Tone.WaveShaper(x => levelModulationToGain(x * LEVEL_MOD_RANGE) - 1, LEVEL_CURVE_LENGTH);
+      scaler.chain(normalize, toGain, param);
+      scaler._shares.push(normalize, toGain);
+    } else if (scale === 1) {
+      scaler.connect(param);
+    } else {
+      const share = new Tone.Gain(scale);
+      scaler.chain(share, param);
+      scaler._shares.push(share);
+    }
+    param.overridden = false;
+    param.value = baseValue;
+  });
+
+  return scaler;
+};
+
+/**
+ * Dispose a voice's modulation (a scaler from connectModulation or an osc mod route)
+ * @param {object} modulation - Entry from voice.modulations
+ */
+export const disposeModulation = (modulation) => {
+  (modulation._shares || []).forEach(share => share.dispose());
+  modulation.dispose();
+};
+
+/**
+ * Change the amount of a live modulation (edge amount edited while notes play)
+ * @param {object} scaler - Tone.Multiply created by connectModulation
+ * @param {number} amount - New full-scale amount in the param's units
+ */
+export const setModulationAmount = (scaler, amount) => {
+  scaler._amount = amount;
+  applyModulationScale(scaler);
+};
+
+/**
+ * The audio a voice node sends on to the next node
+ * (an oscillator with AM applied sends out of its AM stage instead of the oscillator itself)
+ *
+ * @param {object} voiceNode - Entry from voice.nodes
+ * @param {string} [output] - One of the node's extra outputs (a state-variable filter response)
+ * @returns {object} Tone.js node to connect from
+ */
+export const getVoiceNodeOutput = (voiceNode, output) =>
+  (output && voiceNode.audioNode.outputs?.[output]) || voiceNode.outputNode || voiceNode.audioNode;
+
+/**
+ * Frequency of a voice node's oscillators for a note
+ * Octave offset applies on top of the note, and FM modulators are tuned by their carrier's ratio
+ *
+ * @param {object} voiceNode - Oscillator entry from voice.nodes
+ * @param {number} noteFrequency - Frequency of the played note
+ * @returns {number} Frequency in Hz
+ */
+export const getNodeFrequency = (voiceNode, noteFrequency) =>
+  noteFrequency * Math.pow(2, voiceNode.data.octaveOffset || 0) * (voiceNode.frequencyRatio ?? 1);
+
+// Set an FM route's depth from the carrier's index
+const applyFmIndex = (route, fmIndex) => {
+  rampParam(route.depth.factor, fmIndex * OSC_MOD_SOURCE_GAIN);
+};
+
+// Retune an FM route's modulators to the carrier's ratio
+const applyFmRatio = (route, fmRatio, noteFrequency) => {
+  route.modulators.forEach(modulator => {
+    modulator.frequencyRatio = fmRatio;
+    getOscillators(modulator.audioNode).forEach(osc => {
+      rampParam(osc.frequency, getNodeFrequency(modulator, noteFrequency));
+    });
+  });
+};
+
+// Ring: level = input. AM: level swings 0-1 around 0.5, so the carrier stays in
+const applyAmMode = (route, amMode) => {
+  const ring = amMode === 'ring';
+  rampParam(route.scale.factor, (ring ? 1 : 0.5) * OSC_MOD_SOURCE_GAIN);
+  rampParam(route.offset.addend, ring ? 0 : 0.5);
+};
+
+/**
+ * Wire one oscillator's output into another oscillator's FM, AM or sync input
+ *
+ * - fm:   the source, scaled by index x modulator frequency, is added to the carrier's frequency
+ * - am:   the carrier is sent through a gain driven by the source (ring or AM)
+ * - sync: the carrier (built as a SyncOscillator) follows the source oscillator's frequency
+ *
+ * Oscillators play at OSCILLATOR_FULL_LEVEL_DB, so sources are scaled back up to full scale;
+ * the source's level and envelope still set how much modulation gets through.
+ *
+ * @param {string} oscMod - 'fm', 'am' or 'sync'
+ * @param {object} sourceNode - Voice node wired into the input
+ * @param {object} carrierNode - Oscillator voice node receiving it
+ * @param {Array<object>} modulators - Oscillator voice nodes the source's signal comes from
+ * @param {number} noteFrequency - Frequency of the played note
+ * @returns {object|null} Route (kept on the carrier's audio node for live updates), or null
+ */
+export const connectOscModulation = (oscMod, sourceNode, carrierNode, modulators, noteFrequency) => {
+  const settings = getOscModSettings(carrierNode.data);
+  const carriers = getOscillators(carrierNode.audioNode);
+  const source = getVoiceNodeOutput(sourceNode);
+  let route = null;
+
+  if (oscMod === 'fm') {
+    // Depth follows the modulator's frequency, so the timbre stays the same across the keyboard
+    // (a synced modulator's frequency can't be tapped, so it uses a fixed reference)
+    const frequency = getOscillators((modulators[0] || carrierNode).audioNode)[0].frequency;
+    const reference = frequency instanceof Tone.Signal ? frequency : new Tone.Signal(frequency.value);
+    const depth = new Tone.Multiply(0);
+    const fmGain = new Tone.Gain(0);
+    reference.connect(depth);
+    depth.connect(fmGain.gain);
+    source.connect(fmGain);
+    carriers.forEach(osc => fmGain.connect(osc.frequency));
+
+    route = { oscMod, depth, modulators, nodes: [depth, fmGain, ...(reference === frequency ? [] : [reference])] };
+    applyFmIndex(route, settings.fmIndex);
+    modulators.forEach(modulator => {
+      modulator.frequencyRatio = settings.fmRatio;
+      getOscillators(modulator.audioNode).forEach(osc => {
+        osc.frequency.value = getNodeFrequency(modulator, noteFrequency);
+      });
+    });
+  } else if (oscMod === 'am') {
+    const scale = new Tone.Multiply(0);
+    const offset = new Tone.Add(0);
+    const amGain = new Tone.Gain(0);
+    source.chain(scale, offset, amGain.gain);
+    getVoiceNodeOutput(carrierNode).connect(amGain);
+    carrierNode.outputNode = amGain;
+
+    route = { oscMod, scale, offset, nodes: [scale, offset, amGain] };
+    applyAmMode(route, settings.amMode);
+  } else if (oscMod === 'sync') {
+    const master = getOscillators(sourceNode.audioNode)[0];
+    const synced = carriers.filter(osc => osc.masterFrequency);
+    if (!(master?.frequency instanceof Tone.Signal) || synced.length === 0) {
+      return null;
+    }
+    synced.forEach(osc => {
+      master.frequency.connect(osc.masterFrequency);
+      master.detune.connect(osc.masterDetune);
+    });
+    route = { oscMod, nodes: [] };
+  }
+
+  if (route) {
+    route.dispose = () => route.nodes.forEach(node => node.dispose());
+    carrierNode.audioNode._oscModRoutes = [...(carrierNode.audioNode._oscModRoutes || []), route];
+  }
+  return route;
+};
+
+// Apply a changed osc mod setting to every route of that type on the carrier
+const oscModParam = (oscMod, apply) => (voiceNode, value, voice) => {
+  (voiceNode.audioNode._oscModRoutes || [])
+    .filter(route => route.oscMod === oscMod)
+    .forEach(route => apply(route, value, voice.frequency));
+};
+
+/**
+ * Move a voice's oscillators to a new note (mono legato)
+ *
+ * @param {object} voiceNode - Oscillator entry from voice.nodes
+ * @param {number} frequency - New note frequency (before the node's octave offset)
+ * @param {number} glideTime - Seconds to slide to the new pitch (0 = jump)
+ * @param {number} time - Audio context time the new note starts
+ */
+export const setVoiceNodeFrequency = (voiceNode, frequency, glideTime, time = Tone.now()) => {
+  const target = getNodeFrequency(voiceNode, frequency);
+  getOscillators(voiceNode.audioNode).forEach(osc => {
+    if (!osc.frequency) return; // Noise has no pitch
+    if (glideTime > 0) {
+      osc.frequency.rampTo(target, glideTime, time);
+    } else {
+      osc.frequency.setValueAtTime(target, time);
+    }
+  });
+};
+
+// Re-apply detune to every oscillator in the stack from the voice node's current data
+const applyOscillatorDetune = (voiceNode) => {
+  const oscillators = getOscillators(voiceNode.audioNode);
+  oscillators.forEach((osc, index) => {
+    rampParam(osc.detune, getUnisonDetune(voiceNode.data, index, oscillators.length));
+  });
+};
+
+// Re-pan every oscillator in the stack from the voice node's current data
+const applyUnisonPan = (voiceNode) => {
+  const unison = voiceNode.audioNode._unisonOscillators || [];
+  unison.forEach(({ panner }, index) => {
+    rampParam(panner?.pan, getUnisonPan(voiceNode.data, index, unison.length));
+  });
+};
+
+// Re-apply level to every oscillator in the stack (velocity is kept on the voice node's audio node)
+const applyOscillatorLevel = (voiceNode) => {
+  const oscillators = getOscillators(voiceNode.audioNode);
+  const velocity = voiceNode.audioNode._oscillatorVelocity ?? 1;
+  oscillators.forEach(osc => {
+    rampParam(osc.volume, getOscillatorVolume(voiceNode.data, velocity, oscillators.length));
+  });
+};
+
+const oscillatorParams = {
+  detune: (voiceNode) => applyOscillatorDetune(voiceNode),
+  level: (voiceNode) => applyOscillatorLevel(voiceNode),
+  stereoSpread: (voiceNode) => applyUnisonPan(voiceNode),
+  unisonSpread: (voiceNode) => applyOscillatorDetune(voiceNode),
+  octaveOffset: (voiceNode, value, voice) => {
+    const frequency = getNodeFrequency(voiceNode, voice.frequency);
+    getOscillators(voiceNode.audioNode).forEach(osc => rampParam(osc.frequency, frequency));
+  },
+  pulseWidth: (voiceNode, value) => {
+    getOscillators(voiceNode.audioNode).forEach(osc => rampParam(osc.width, value));
+  },
+  fmIndex: oscModParam('fm', applyFmIndex),
+  fmRatio: oscModParam('fm', applyFmRatio),
+  amMode: oscModParam('am', applyAmMode)
+};
+
+// Held notes re-schedule their decay and sustain; release applies when they are let go (see DahdsrEnvelope.setStages)
+const setEnvelopeProperty = (property) => (voiceNode, value) => {
+  voiceNode.audioNode.setStages({ [property]: value });
+};
+
+// Attack is scaled by the voice's velocity (see velocity.js)
+const applyEnvelopeAttack = (voiceNode, value, voice) => {
+  const { attack, velocityAttack } = voiceNode.data;
+  voiceNode.audioNode.setStages({
+    attack: getVelocityAttack(attack ?? 0.01, voice.velocity, velocityAttack ?? 0)
+  });
+};
+
+const envelopeParams = {
+  ...Object.fromEntries(
+    ['delay', 'hold', 'decay', 'sustain', 'release', 'attackCurve', 'decayCurve', 'releaseCurve']
+      .map(property => [property, setEnvelopeProperty(property)])
+  ),
+  attack: applyEnvelopeAttack,
+  velocityAttack: applyEnvelopeAttack
+};
+
+// Rate of a chorus/phaser, following the transport tempo when synced
+const applySyncedRate = (voiceNode) => {
+  const { data } = voiceNode;
+  rampParam(voiceNode.audioNode.frequency, getSyncedFrequency(data, Tone.Transport.bpm.value, data.frequency));
+};
+
+// Delay time, following the transport tempo when synced
+const applySyncedDelayTime = (voiceNode) => {
+  const { data } = voiceNode;
+  rampParam(voiceNode.audioNode.delayTime, getSyncedDelayTime(data, Tone.Transport.bpm.value, data.delayTime));
+};
+
+// Keys that change a node's rate (sync and division also re-apply when the tempo changes)
+const syncedRateParams = Object.fromEntries(
+  ['frequency', 'sync', 'division'].map(property => [property, applySyncedRate])
+);
+
+// LFO rate (a ModulationLFO), following the transport tempo when synced
+const applyLfoRate = (voiceNode) => {
+  const { data } = voiceNode;
+  voiceNode.audioNode.setFrequency(getSyncedFrequency(data, Tone.Transport.bpm.value, data.frequency));
+};
+
+const lfoParams = {
+  ...Object.fromEntries(['frequency', 'sync', 'division'].map(property => [property, applyLfoRate])),
+  // Read when a note starts or the transport does (see VoiceManager.retriggerLfos)
+  phaseReset: () => {},
+  waveform: (voiceNode, value) => voiceNode.audioNode.setWaveform(value),
+  smoothness: (voiceNode, value) => voiceNode.audioNode.setSmoothness(value),
+  depth: (voiceNode, value) => {
+    (voiceNode.audioNode._scalers || []).forEach(scaler => {
+      scaler._depth = value;
+      applyModulationScale(scaler);
+    });
+  }
+};
+
+// Per-voice effects: Tone effects mix Params/Signals (ramped) and plain properties (assigned)
+const effectParams = (properties) => Object.fromEntries(
+  properties.map(property => [property, (voiceNode, value) => {
+    const target = voiceNode.audioNode[property];
+    if (typeof target?.rampTo === 'function') {
+      rampParam(target, value);
+    } else {
+      voiceNode.audioNode[property] = value;
+    }
+  }])
+);
+
+/**
+ * Dispatch table: node type -> data key -> (voiceNode, value, voice) => void
+ */
+const PARAMETER_DISPATCH = {
+  oscNode: {
+    ...oscillatorParams,
+    waveform: (voiceNode, value) => {
+      // Custom (periodic wave) oscillators keep their drawn shape
+      if (!voiceNode.data.waveformData) {
+        voiceNode.audioNode.type = value;
+      }
+    },
+    // Harmonic editor changes reshape the wave while it plays
+    waveformData: (voiceNode, value) => {
+      getOscillators(voiceNode.audioNode).forEach(osc => osc.setWave?.(value));
+    }
+  },
+  sineOscNode: oscillatorParams,
+  squareOscNode: oscillatorParams,
+  sawtoothOscNode: oscillatorParams,
+  triangleOscNode: oscillatorParams,
+  pulseOscNode: oscillatorParams,
+  wavetableOscNode: {
+    ...oscillatorParams,
+    position: (voiceNode, value) => rampParam(voiceNode.audioNode.position, value),
+    // Warmth rebuilds the stack's waves in place; the oscillators keep running
+    warmth: (voiceNode, value) => voiceNode.audioNode.setFrames(getWavetableFrames(value))
+  },
+  samplerNode: {
+    detune: oscillatorParams.detune,
+    level: oscillatorParams.level,
+    octaveOffset: oscillatorParams.octaveOffset,
+    rootNote: (voiceNode, value) => voiceNode.audioNode.setRootFrequency(Tone.mtof(value)),
+    // Loop points move while the note plays; the start offset applies from the next note
+    ...Object.fromEntries(
+      ['loop', 'loopStart', 'loopEnd']
+        .map(property => [property, (voiceNode) => voiceNode.audioNode.setLoop(getSamplerSettings(voiceNode.data))])
+    )
+  },
+  noiseOscNode: {
+    stereoSpread: (voiceNode) => applyUnisonPan(voiceNode),
+    level: (voiceNode) => applyOscillatorLevel(voiceNode)
+  },
+  filterNode: {
+    model: (voiceNode, value) => voiceNode.audioNode.setModel(value),
+    frequency: (voiceNode, value) => voiceNode.audioNode.setFrequency(value),
+    type: (voiceNode, value) => voiceNode.audioNode.setType(value),
+    resonance: (voiceNode, value) => voiceNode.audioNode.setResonance(value),
+    vowel: (voiceNode, value) => voiceNode.audioNode.setVowel(value),
+    slope: (voiceNode, value) => voiceNode.audioNode.setSlope(value),
+    drive: (voiceNode, value) => voiceNode.audioNode.setDrive(value),
+    keyTracking: (voiceNode, value) => voiceNode.audioNode.setKeyTracking(value),
+    envAmount: (voiceNode, value) => voiceNode.audioNode.setEnvelopeAmount(value)
+  },
+  envelopeNode: envelopeParams,
+  lfoNode: lfoParams,
+  chorusNode: { ...effectParams(['delayTime', 'depth', 'wet']), ...syncedRateParams },
+  reverbNode: effectParams(['decay', 'preDelay', 'wet']),
+  delayNode: {
+    ...effectParams(['feedback', 'wet']),
+    ...Object.fromEntries(['delayTime', 'sync', 'division'].map(property => [property, applySyncedDelayTime]))
+  },
+  distortionNode: effectParams(['distortion', 'oversample', 'wet']),
+  pitchShifterNode: effectParams(['pitch', 'windowSize', 'wet']),
+  phaserNode: { ...effectParams(['octaves', 'baseFrequency', 'wet']), ...syncedRateParams },
+  vibratoNode: effectParams(['frequency', 'depth', 'wet']),
+  panNode: effectParams(['pan']),
+  stereoWidthNode: {
+    // Width is stored 0-2 (1 = unchanged); Tone's widener runs 0-1 (0.5 = unchanged)
+    width: (voiceNode, value) => rampParam(voiceNode.audioNode.width, value / 2)
+  }
+};
+
+/**
+ * Apply a changed data value to one node of an active voice
+ *
+ * @param {object} voiceNode - Entry from voice.nodes ({ type, audioNode, data, ... })
+ * @param {string} paramName - Data key that changed (e.g. 'detune', 'attack')
+ * @param {*} paramValue - New value
+ * @param {object} voice - The active voice ({ frequency, velocity, ... })
+ * @returns {boolean} true if the parameter was applied
+ */
+export function applyVoiceParameter(voiceNode, paramName, paramValue, voice) {
+  const handler = PARAMETER_DISPATCH[voiceNode.type]?.[paramName];
+  if (!handler || !voiceNode.audioNode) {
+    return false;
+  }
+
+  // Keep the voice's data in sync so dependent params (detune + spread) see the new value
+  voiceNode.data = { ...voiceNode.data, [paramName]: paramValue };
+
+  try {
+    handler(voiceNode, paramValue, voice);
+    return true;
+  } catch (e) {
+    console.warn(`Failed to update ${voiceNode.type}.${paramName}:`, e);
+    return false;
+  }
+}
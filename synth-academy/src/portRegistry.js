@@ -0,0 +1,447 @@
+/**
+ * Port registry - declares the typed inputs/outputs (handles) of every node type
+ *
+ * Port kinds:
+ * - audio:   audio signal flowing through the voice chain
+ * - mod:     modulation signal (envelopes, LFOs) driving a Tone.js param
+ * - trigger: note on/off from a controller (piano, sequencer)
+ *
+ * Ports are keyed by ReactFlow handle ID. Handles rendered without an ID are keyed
+ * by DEFAULT_HANDLE. Each mod input names the modulation target it represents, the
+ * Tone.js param it drives on the target's audio node, and the range of the per-edge
+ * modulation amount (stored on the edge as data.amount). A mod input can name a separate
+ * `envelopeParam` for envelopes to drive instead. Audio outputs other than a node's main
+ * one name the `output` of its audio node they come from.
+ *
+ * Oscillators also have audio-rate inputs for another oscillator's output (osc mod):
+ * FM (into frequency), AM/ring (into level) and hard sync. These are audio ports with
+ * an `oscMod` type; VoiceManager wires them up instead of making a plain connection.
+ *
+ * Template building (AudioGraph) and connection validation (App) are derived from this
+ * table, so adding a modulation destination is a matter of declaring a port here.
+ */
+
+export const PORT_KIND = {
+  AUDIO: 'audio',
+  MOD: 'mod',
+  TRIGGER: 'trigger'
+};
+
+// Key used for handles rendered without an `id`
+export const DEFAULT_HANDLE = 'default';
+
+const { AUDIO, MOD, TRIGGER } = PORT_KIND;
+
+// Param value per unit of modulation amount. Pitch and cutoff inputs drive `detune`
+// params (in cents), so that modulation is relative to the target's current value.
+// Other params are driven directly around their set value: level in dB (through a gain
+// stage, see levelModulationToGain), unison spread
+// in cents, effect rates in Hz, resonance in filter Q, and 0-1 params (wavetable position,
+// pulse width, wet, pan, depth) in percent (100% sweeps the whole range)
+const PARAM_VALUE_PER_UNIT = {
+  semitones: 100,
+  octaves: 1200,
+  percent: 0.01,
+  cents: 1,
+  decibels: 1,
+  hertz: 1,
+  q: 1
+};
+
+// Bipolar modulation amounts: a full-scale modulator moves the target by `amount` units
+const PITCH_AMOUNT = { unit: 'semitones', min: -48, max: 48, step: 1, default: 12 };
+const CUTOFF_AMOUNT = { unit: 'octaves', min: -8, max: 8, step: 0.1, default: 4 };
+const PERCENT_AMOUNT = { unit: 'percent', min: -100, max: 100, step: 1, default: 50 };
+const PWM_AMOUNT = { unit: 'percent', min: -100, max: 100, step: 1, default: 25 };
+// Level modulation swings a voice's level this many dB either way at most
+export const LEVEL_MOD_RANGE = 48;
+
+const LEVEL_AMOUNT = { unit: 'decibels', min: -LEVEL_MOD_RANGE, max: LEVEL_MOD_RANGE, step: 1, default: 12 };
+const SPREAD_AMOUNT = { unit: 'cents', min: -100, max: 100, step: 1, default: 25 };
+const RESONANCE_AMOUNT = { unit: 'q', min: -30, max: 30, step: 0.5, default: 5 };
+const RATE_AMOUNT = { unit: 'hertz', min: -10, max: 10, step: 0.1, default: 2 };
+
+// Oscillators with a pitch - these can be FM'd, ring modulated and drive a sync input
+export const PITCHED_OSCILLATOR_TYPES = [
+  'oscNode', 'sineOscNode', 'squareOscNode', 'sawtoothOscNode', 'triangleOscNode', 'pulseOscNode',
+  'wavetableOscNode'
+];
+
+// Osc mod types (see VoiceManager)
+export const OSC_MOD = {
+  FM: 'fm',
+  AM: 'am',
+  SYNC: 'sync'
+};
+
+const oscillatorPorts = {
+  inputs: {
+    'control-in': { kind: TRIGGER, default: true },
+    'modulation-in': { kind: MOD, target: 'pitch', param: 'detune', amount: PITCH_AMOUNT },
+    'level-in': { kind: MOD, target: 'level', param: 'level', amount: LEVEL_AMOUNT }
+  },
+  outputs: {
+    [DEFAULT_HANDLE]: { kind: AUDIO, default: true }
+  }
+};
+
+const pitchedOscillatorPorts = {
+  inputs: {
+    ...oscillatorPorts.inputs,
+    'fm-in': { kind: AUDIO, oscMod: OSC_MOD.FM },
+    'am-in': { kind: AUDIO, oscMod: OSC_MOD.AM },
+    // Sync follows the master's pitch, so only an oscillator can drive it
+    'sync-in': { kind: AUDIO, oscMod: OSC_MOD.SYNC, acceptsFrom: PITCHED_OSCILLATOR_TYPES }
+  },
+  outputs: oscillatorPorts.outputs
+};
+
+// Oscillators with a unison stack - spread fans the copies' detune apart (see parameterDispatch)
+const unisonOscillatorPorts = {
+  inputs: {
+    ...pitchedOscillatorPorts.inputs,
+    'spread-in': { kind: MOD, target: 'unisonSpread', param: 'unisonSpread', amount: SPREAD_AMOUNT }
+  },
+  outputs: oscillatorPorts.outputs
+};
+
+const pulseOscillatorPorts = {
+  inputs: {
+    ...unisonOscillatorPorts.inputs,
+    'pwm-in': { kind: MOD, target: 'pulseWidth', param: 'width', amount: PWM_AMOUNT }
+  },
+  outputs: oscillatorPorts.outputs
+};
+
+// A wavetable's frames are plain oscillators, so it can be a sync master but not be synced
+const wavetableOscillatorPorts = {
+  inputs: {
+    ...oscillatorPorts.inputs,
+    'position-in': { kind: MOD, target: 'position', param: 'position', amount: PERCENT_AMOUNT },
+    'fm-in': pitchedOscillatorPorts.inputs['fm-in'],
+    'am-in': pitchedOscillatorPorts.inputs['am-in']
+  },
+  outputs: oscillatorPorts.outputs
+};
+
+const effectPorts = {
+  inputs: {
+    'audio-in': { kind: AUDIO, default: true },
+    'wet-in': { kind: MOD, target: 'wet', param: 'wet', amount: PERCENT_AMOUNT }
+  },
+  outputs: {
+    'audio-out': { kind: AUDIO, default: true }
+  }
+};
+
+const RATE_INPUT = { kind: MOD, target: 'rate', param: 'frequency', amount: RATE_AMOUNT };
+
+// Chorus and phaser depth are plain numbers in Tone.js, so their depth input scales the
+// sweep LFOs instead (see parameterDispatch)
+const sweepEffectPorts = {
+  inputs: {
+    ...effectPorts.inputs,
+    'rate-in': RATE_INPUT,
+    'depth-in': { kind: MOD, target: 'depth', param: 'sweepDepth', amount: PERCENT_AMOUNT }
+  },
+  outputs: effectPorts.outputs
+};
+
+const passThroughPorts = {
+  inputs: {
+    [DEFAULT_HANDLE]: { kind: AUDIO, default: true }
+  },
+  outputs: {
+    [DEFAULT_HANDLE]: { kind: AUDIO, default: true }
+  }
+};
+
+const controllerPorts = {
+  inputs: {},
+  outputs: {
+    'trigger-out': { kind: TRIGGER, default: true }
+  }
+};
+
+export const NODE_PORTS = {
+  oscNode: pitchedOscillatorPorts,
+  sineOscNode: unisonOscillatorPorts,
+  squareOscNode: unisonOscillatorPorts,
+  sawtoothOscNode: unisonOscillatorPorts,
+  triangleOscNode: unisonOscillatorPorts,
+  pulseOscNode: pulseOscillatorPorts,
+  wavetableOscNode: wavetableOscillatorPorts,
+  noiseOscNode: oscillatorPorts,
+  // A sampler follows the played note but isn't a waveform oscillator, so no FM/AM/sync inputs
+  samplerNode: oscillatorPorts,
+
+  filterNode: {
+    inputs: {
+      'audio-in': { kind: AUDIO, default: true },
+      // Envelopes go through the filter's env amount (see MultimodeFilter)
+      'modulation-in': { kind: MOD, target: 'filter', param: 'detune', envelopeParam: 'envelope', amount: CUTOFF_AMOUNT },
+      'resonance-in': { kind: MOD, target: 'resonance', param: 'Q', amount: RESONANCE_AMOUNT }
+    },
+    outputs: {
+      [DEFAULT_HANDLE]: { kind: AUDIO, default: true },
+      // State-variable filter responses (see MultimodeFilter outputs)
+      'lowpass-out': { kind: AUDIO, output: 'lowpass' },
+      'bandpass-out': { kind: AUDIO, output: 'bandpass' },
+      'highpass-out': { kind: AUDIO, output: 'highpass' }
+    }
+  },
+
+  // An envelope is a VCA when audio flows through it, otherwise a modulation source
+  envelopeNode: {
+    inputs: {
+      [DEFAULT_HANDLE]: { kind: AUDIO, default: true }
+    },
+    outputs: {
+      [DEFAULT_HANDLE]: { kind: AUDIO, modulator: true, default: true }
+    }
+  },
+
+  lfoNode: {
+    inputs: {},
+    outputs: {
+      'modulation-out': { kind: MOD, default: true }
+    }
+  },
+
+  chorusNode: sweepEffectPorts,
+  reverbNode: effectPorts,
+  delayNode: effectPorts,
+  distortionNode: effectPorts,
+  pitchShifterNode: effectPorts,
+  phaserNode: sweepEffectPorts,
+  vibratoNode: {
+    inputs: {
+      ...effectPorts.inputs,
+      'rate-in': RATE_INPUT,
+      'depth-in': { kind: MOD, target: 'depth', param: 'depth', amount: PERCENT_AMOUNT }
+    },
+    outputs: effectPorts.outputs
+  },
+  // A panner isn't a Tone.js effect, so it has no wet/dry mix
+  panNode: {
+    inputs: {
+      'audio-in': effectPorts.inputs['audio-in'],
+      'pan-in': { kind: MOD, target: 'pan', param: 'pan', amount: PERCENT_AMOUNT }
+    },
+    outputs: effectPorts.outputs
+  },
+  stereoWidthNode: {
+    inputs: {
+      ...effectPorts.inputs,
+      'width-in': { kind: MOD, target: 'width', param: 'width', amount: PERCENT_AMOUNT }
+    },
+    outputs: effectPorts.outputs
+  },
+
+  tvNode: passThroughPorts,
+
+  // Groups forward whatever their inner nodes accept
+  groupNode: {
+    inputs: {
+      [DEFAULT_HANDLE]: { kind: AUDIO, accepts: [AUDIO, MOD, TRIGGER], default: true }
+    },
+    outputs: {
+      [DEFAULT_HANDLE]: { kind: AUDIO, default: true }
+    }
+  },
+
+  outputNode: {
+    inputs: {
+      [DEFAULT_HANDLE]: { kind: AUDIO, default: true }
+    },
+    outputs: {}
+  },
+
+  pianoNode: controllerPorts,
+  pianoRollNode: controllerPorts,
+  // One trigger output per lane ('lane-0', 'lane-1', ...), which resolve to the default port
+  drumMachineNode: controllerPorts,
+  // Takes notes from a piano/piano roll and plays them on, one at a time
+  arpeggiatorNode: {
+    inputs: {
+      'trigger-in': { kind: TRIGGER, default: true }
+    },
+    outputs: {
+      'trigger-out': { kind: TRIGGER, default: true }
+    }
+  }
+};
+
+// Every target a modulator (envelope, LFO) can drive through a mod input ('pitch', 'filter', ...)
+export const MODULATION_TARGETS = Array.from(new Set(
+  Object.values(NODE_PORTS)
+    .flatMap(ports => Object.values(ports.inputs))
+    .filter(port => port.kind === MOD)
+    .map(port => port.target)
+));
+
+/**
+ * Look up a port on a node type
+ * Unknown handle IDs (e.g. from older saved patches) resolve to the side's default port
+ *
+ * @param {string} nodeType - ReactFlow node type
+ * @param {'inputs'|'outputs'} side - Which side of the node
+ * @param {string|null} handleId - ReactFlow handle ID (null for unnamed handles)
+ * @returns {object|null} Port definition
+ */
+function getPort(nodeType, side, handleId) {
+  const ports = NODE_PORTS[nodeType]?.[side];
+  if (!ports) return null;
+
+  const port = ports[handleId ?? DEFAULT_HANDLE];
+  if (port) return port;
+
+  return Object.values(ports).find(p => p.default) || null;
+}
+
+/**
+ * @param {string} nodeType - ReactFlow node type
+ * @param {string|null} handleId - Target handle ID
+ * @returns {object|null} Input port definition
+ */
+export function getInputPort(nodeType, handleId) {
+  return getPort(nodeType, 'inputs', handleId);
+}
+
+/**
+ * @param {string} nodeType - ReactFlow node type
+ * @param {string|null} handleId - Source handle ID
+ * @returns {object|null} Output port definition
+ */
+export function getOutputPort(nodeType, handleId) {
+  return getPort(nodeType, 'outputs', handleId);
+}
+
+/**
+ * Whether a node's outputs can act as a modulation source (envelopes, LFOs)
+ * @param {string} nodeType - ReactFlow node type
+ * @returns {boolean}
+ */
+export function isModulatorType(nodeType) {
+  const outputs = Object.values(NODE_PORTS[nodeType]?.outputs || {});
+  return outputs.some(port => port.kind === MOD || port.modulator);
+}
+
+/**
+ * Resolve the mod input a modulator drives when connected to a handle
+ * Connections into a non-mod handle fall back to the node's first mod input,
+ * so older patches wired to the main input keep modulating the same target
+ *
+ * @param {string} nodeType - Target node type
+ * @param {string|null} handleId - Target handle ID
+ * @returns {object|null} Mod input port definition ({ kind, target, param, amount })
+ */
+export function getModulationPort(nodeType, handleId) {
+  const port = getInputPort(nodeType, handleId);
+  if (port?.kind === MOD) return port;
+
+  const inputs = Object.values(NODE_PORTS[nodeType]?.inputs || {});
+  return inputs.find(p => p.kind === MOD) || null;
+}
+
+/**
+ * Osc mod input (FM, AM/ring, sync) an edge goes into, if any
+ *
+ * @param {string} nodeType - Target node type
+ * @param {string|null} handleId - Target handle ID
+ * @returns {string|null} Key of OSC_MOD values ('fm', 'am', 'sync')
+ */
+export function getOscModType(nodeType, handleId) {
+  return getInputPort(nodeType, handleId)?.oscMod ?? null;
+}
+
+/**
+ * Whether an edge carries modulation (and so has an editable amount)
+ *
+ * @param {string} sourceType - Source node type
+ * @param {string|null} sourceHandle - Source handle ID
+ * @param {string} targetType - Target node type
+ * @param {string|null} targetHandle - Target handle ID
+ * @returns {boolean}
+ */
+export function isModulationEdge(sourceType, sourceHandle, targetType, targetHandle) {
+  if (getInputPort(targetType, targetHandle)?.kind === MOD) {
+    return true;
+  }
+  return getOutputPort(sourceType, sourceHandle)?.kind === MOD &&
+    Boolean(getModulationPort(targetType, targetHandle));
+}
+
+/**
+ * Modulation amount of an edge, in the units of the mod input it drives
+ * Edges without a stored amount (new or older patches) use the port's default
+ *
+ * @param {object} port - Mod input port definition
+ * @param {object} edge - ReactFlow edge
+ * @returns {number} Bipolar amount (in the port's amount unit)
+ */
+export function getModulationAmount(port, edge) {
+  const amount = edge?.data?.amount;
+  if (typeof amount === 'number' && Number.isFinite(amount)) {
+    return amount;
+  }
+  return port?.amount?.default ?? 0;
+}
+
+/**
+ * Convert a modulation amount to the units of the param it drives
+ * (cents for detune params, dB for level, 0-1 for wavetable position, wet, pan...)
+ *
+ * @param {number} amount - Bipolar amount
+ * @param {string} unit - Key of PARAM_VALUE_PER_UNIT
+ * @returns {number} Full-scale amount in param units
+ */
+export function modulationAmountToParamValue(amount, unit) {
+  return amount * (PARAM_VALUE_PER_UNIT[unit] ?? 100);
+}
+
+/**
+ * Gain for a level modulation in dB (12 dB is about 4x, -12 dB about a quarter)
+ * Level is modulated in dB and turned into gain for the voice's level stage, since a
+ * signal connected to a param skips the param's unit conversion
+ *
+ * @param {number} decibels - Level change in dB
+ * @returns {number} Gain factor
+ */
+export function levelModulationToGain(decibels) {
+  return Math.pow(10, decibels / 20);
+}
+
+/**
+ * Whether an edge between two handles is allowed
+ * Node types missing from the registry are allowed so new nodes aren't blocked
+ *
+ * @param {string} sourceType - Source node type
+ * @param {string|null} sourceHandle - Source handle ID
+ * @param {string} targetType - Target node type
+ * @param {string|null} targetHandle - Target handle ID
+ * @returns {boolean}
+ */
+export function canConnect(sourceType, sourceHandle, targetType, targetHandle) {
+  if (!NODE_PORTS[sourceType] || !NODE_PORTS[targetType]) {
+    return true;
+  }
+
+  const sourcePort = getOutputPort(sourceType, sourceHandle);
+  const targetPort = getInputPort(targetType, targetHandle);
+  if (!sourcePort || !targetPort) {
+    return false;
+  }
+
+  if (targetPort.acceptsFrom && !targetPort.acceptsFrom.includes(sourceType)) {
+    return false;
+  }
+
+  const accepts = targetPort.accepts || [targetPort.kind];
+  if (accepts.includes(sourcePort.kind)) {
+    return true;
+  }
+
+  // Envelopes can drive mod inputs as well as sit in the audio path
+  return Boolean(sourcePort.modulator) && targetPort.kind === MOD;
+}
@@ -0,0 +1,99 @@
+/**
+ * Samples - audio files played by SamplerNodes
+ *
+ * A sampler's file is stored on its node as a data URL (node.data.sampleUrl), so it
+ * is saved with the project and opening a shared project brings the sound along.
+ * Decoded buffers are cached by URL; VoiceManager builds voices synchronously, so it
+ * only plays samples that have finished loading (the SamplerNode loads its sample on mount).
+ *
+ * Start offset and loop points are fractions (0-1) of the sample's length, so they
+ * stay put when a different file is loaded.
+ */
+import * as Tone from 'tone';
+
+// Largest file a sampler accepts (it's written into the project file)
+export const MAX_SAMPLE_BYTES = 10 * 1024 * 1024;
+
+export const DEFAULT_SAMPLER_SETTINGS = {
+  // MIDI note the file plays at its original speed (60 = C4)
+  rootNote: 60,
+  startOffset: 0,
+  loop: false,
+  loopStart: 0,
+  loopEnd: 1
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Decoded samples by URL: { promise, buffer } (buffer is set once decoding finishes)
+const sampleCache = new Map();
+
+/**
+ * Read sampler settings from node data, filling in defaults
+ * @param {object} data - Sampler node data
+ * @returns {object} Sampler settings
+ */
+export function getSamplerSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SAMPLER_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
+
+/**
+ * Name of a MIDI note
+ * @param {number} midiNote - MIDI note number
+ * @returns {string} e.g. 'C4' for 60
+ */
+export function getNoteName(midiNote) {
+  return `${NOTE_NAMES[midiNote % 12]}${Math.floor(midiNote / 12) - 1}`;
+}
+
+/**
+ * Decode a sample (cached, so every sampler using the same file shares one buffer)
+ * @param {string} url - Data URL of the file
+ * @returns {Promise<Tone.ToneAudioBuffer>} Decoded sample
+ */
+export function loadSample(url) {
+  if (!sampleCache.has(url)) {
+    const entry = { buffer: null };
+    entry.promise = new Tone.ToneAudioBuffer().load(url).then(buffer => {
+      entry.buffer = buffer;
+      return buffer;
+    }).catch(error => {
+      // Let a later attempt try again
+      sampleCache.delete(url);
+      throw error;
+    });
+    sampleCache.set(url, entry);
+  }
+  return sampleCache.get(url).promise;
+}
+
+/**
+ * A sample that has finished decoding
+ * @param {string} url - Data URL of the file
+ * @returns {Tone.ToneAudioBuffer|null} Decoded sample, or null if it isn't loaded (yet)
+ */
+export function getLoadedSample(url) {
+  return (url && sampleCache.get(url)?.buffer) || null;
+}
+
+/**
+ * Read a local audio file as a data URL
+ * @param {File} file - File from a file input or drop
+ * @returns {Promise<string>} Data URL
+ */
+export function readSampleFile(file) {
+  if (!file.type.startsWith('audio/')) {
+    return Promise.reject(new Error(`${file.name} is not an audio file`));
+  }
+  if (file.size > MAX_SAMPLE_BYTES) {
+    return Promise.reject(new Error(`${file.name} is larger than ${MAX_SAMPLE_BYTES / (1024 * 1024)} MB`));
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
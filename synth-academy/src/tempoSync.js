@@ -0,0 +1,82 @@
+/**
+ * Tempo sync - note-value rates for LFOs and time-based effects (delay, chorus, phaser)
+ *
+ * Synced nodes keep their own Hz/seconds setting and switch to a note division that
+ * follows the transport tempo:
+ *
+ * - sync:       follow the tempo instead of the node's own rate/time
+ * - division:   note value of one LFO cycle / one delay repeat, in Tone's notation
+ *               ('4n' = quarter note, '8n.' = dotted eighth, '8t' = eighth triplet)
+ * - phaseReset: where an LFO starts its cycle (see LFO_PHASE_RESETS)
+ */
+
+// 1/1 to 1/32, each straight, dotted and triplet
+export const NOTE_DIVISIONS = Object.fromEntries(
+  [1, 2, 4, 8, 16, 32].flatMap(value => [
+    [`${value}n`, `1/${value}`],
+    [`${value}n.`, `1/${value}D`],
+    [`${value}t`, `1/${value}T`]
+  ])
+);
+
+export const DEFAULT_DIVISION = '4n';
+
+export const LFO_PHASE_RESETS = {
+  // Every note starts the LFO from the top of its cycle
+  note: 'Note On',
+  // Cycles line up with the bar: the LFO restarts when the transport starts
+  transport: 'Transport',
+  // Runs on regardless, so notes pick it up wherever it is
+  free: 'Free'
+};
+
+export const DEFAULT_PHASE_RESET = 'note';
+
+// Longest delay time a delay is built for (a whole bar at 60 BPM)
+export const MAX_DELAY_TIME = 4;
+
+/**
+ * Length of a note division
+ * @param {string} division - Key of NOTE_DIVISIONS
+ * @param {number} bpm - Tempo in beats (quarter notes) per minute
+ * @returns {number} Seconds
+ */
+export function getDivisionSeconds(division, bpm) {
+  const beats = 4 / parseInt(division, 10);
+  const scale = division.endsWith('.') ? 1.5 : division.endsWith('t') ? 2 / 3 : 1;
+  return beats * scale * 60 / bpm;
+}
+
+/**
+ * Rate of something that cycles once per note division
+ * @param {string} division - Key of NOTE_DIVISIONS
+ * @param {number} bpm - Tempo in BPM
+ * @returns {number} Frequency in Hz
+ */
+export function getDivisionFrequency(division, bpm) {
+  return 1 / getDivisionSeconds(division, bpm);
+}
+
+/**
+ * The rate an LFO, chorus or phaser runs at
+ * @param {object} data - Node data (sync, division)
+ * @param {number} bpm - Transport tempo
+ * @param {number} frequency - The node's own rate in Hz, used when it isn't synced
+ * @returns {number} Frequency in Hz
+ */
+export function getSyncedFrequency(data, bpm, frequency) {
+  return data?.sync ? getDivisionFrequency(data.division ?? DEFAULT_DIVISION, bpm) : frequency;
+}
+
+/**
+ * The time a delay repeats after
+ * @param {object} data - Delay node data (sync, division)
+ * @param {number} bpm - Transport tempo
+ * @param {number} delayTime - The node's own time in seconds, used when it isn't synced
+ * @returns {number} Seconds (at most MAX_DELAY_TIME)
+ */
+export function getSyncedDelayTime(data, bpm, delayTime) {
+  return data?.sync
+    ? Math.min(getDivisionSeconds(data.division ?? DEFAULT_DIVISION, bpm), MAX_DELAY_TIME)
+    : delayTime;
+}
@@ -0,0 +1,54 @@
+/**
+ * Transport - shares Tone.Transport between the sequencers (piano roll, drum machines, arpeggiators)
+ *
+ * Each sequencer schedules its own part on Tone.Transport and claims the transport
+ * while it plays. The first claim starts it from bar 1 and later ones join in time;
+ * it stops (back to bar 1) when the last claim is released. Sequencers dispose only
+ * their own parts, so one stopping or restarting doesn't silence the others.
+ *
+ * Tempo changes go through setTransportTempo, so tempo-synced nodes can follow them.
+ */
+import * as Tone from 'tone';
+
+// Canvas node IDs of the sequencers currently playing
+const claims = new Set();
+
+/**
+ * Start the transport for a sequencer (joins in time if it's already running)
+ * @param {string} ownerId - Canvas node ID of the sequencer
+ * @param {number} [bpm] - Tempo to start at (ignored when joining, so the others keep theirs)
+ */
+export function claimTransport(ownerId, bpm) {
+  claims.add(ownerId);
+  if (Tone.Transport.state !== 'started') {
+    if (bpm) {
+      setTransportTempo(bpm);
+    }
+    Tone.Transport.position = 0;
+    Tone.Transport.start();
+  }
+}
+
+/**
+ * Let go of the transport; it stops once no sequencer is playing
+ * @param {string} ownerId - Canvas node ID of the sequencer
+ */
+export function releaseTransport(ownerId) {
+  if (!claims.delete(ownerId) || claims.size > 0) {
+    return;
+  }
+  Tone.Transport.stop();
+  Tone.Transport.position = 0;
+}
+
+/**
+ * Set the transport tempo and let tempo-synced nodes know ('tempoChange' event)
+ * @param {number} bpm - Tempo in BPM
+ */
+export function setTransportTempo(bpm) {
+  if (Tone.Transport.bpm.value === bpm) {
+    return;
+  }
+  Tone.Transport.bpm.value = bpm;
+  window.dispatchEvent(new CustomEvent('tempoChange', { detail: { bpm } }));
+}
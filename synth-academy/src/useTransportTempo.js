@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import * as Tone from 'tone';
+
+/**
+ * The transport tempo, kept up to date for tempo-synced nodes
+ * @returns {number} Tempo in BPM
+ */
+export function useTransportTempo() {
+  const [bpm, setBpm] = useState(() => Tone.Transport.bpm.value);
+
+  useEffect(() => {
+    const handleTempoChange = (e) => setBpm(e.detail.bpm);
+    window.addEventListener('tempoChange', handleTempoChange);
+    return () => window.removeEventListener('tempoChange', handleTempoChange);
+  }, []);
+
+  return bpm;
+}
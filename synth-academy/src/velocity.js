@@ -0,0 +1,66 @@
+/**
+ * Velocity pipeline
+ *
+ * Controllers (piano, sequencer) shape raw note velocity with a velocity curve;
+ * VoiceManager then routes the shaped velocity to:
+ * - amplitude: the volume envelope's peak (or oscillator level when there's no envelope)
+ * - filter envelope amount: the filter envelope's peak
+ * - attack time: harder notes get a shorter attack
+ *
+ * How much each envelope responds is set on the EnvelopeNode
+ * (data.velocityAmount and data.velocityAttack, both 0-1).
+ */
+
+export const DEFAULT_VELOCITY_CURVE = 'linear';
+
+// Velocity of notes stored without one (they play, and are drawn, at full velocity)
+export const DEFAULT_VELOCITY = 1;
+
+// Velocity curves: raw velocity (0-1) -> shaped velocity (0-1)
+export const VELOCITY_CURVES = {
+  linear: { label: 'Linear', shape: (velocity) => velocity },
+  soft: { label: 'Soft', shape: (velocity) => Math.sqrt(velocity) }, // Light touch already sounds loud
+  hard: { label: 'Hard', shape: (velocity) => velocity * velocity }, // Needs a firm touch to get loud
+  fixed: { label: 'Fixed', shape: () => 1 } // Every note at full velocity
+};
+
+// Shortest attack a full-velocity note can get, as a fraction of the envelope's attack
+const MIN_ATTACK_SCALE = 0.1;
+
+/**
+ * Shape a note's velocity with a controller's velocity curve
+ *
+ * @param {number} velocity - Raw velocity (0-1); missing velocities count as DEFAULT_VELOCITY
+ * @param {string} curve - Key of VELOCITY_CURVES
+ * @returns {number} Shaped velocity (0-1)
+ */
+export function applyVelocityCurve(velocity, curve = DEFAULT_VELOCITY_CURVE) {
+  const raw = Math.min(Math.max(velocity ?? DEFAULT_VELOCITY, 0), 1);
+  const { shape } = VELOCITY_CURVES[curve] || VELOCITY_CURVES[DEFAULT_VELOCITY_CURVE];
+  return shape(raw);
+}
+
+/**
+ * Envelope peak for a note
+ * amount 0 ignores velocity, amount 1 makes the peak follow velocity fully
+ *
+ * @param {number} velocity - Shaped velocity (0-1)
+ * @param {number} amount - Velocity sensitivity (0-1)
+ * @returns {number} Peak level (0-1)
+ */
+export function getVelocityLevel(velocity, amount = 1) {
+  return 1 - amount * (1 - velocity);
+}
+
+/**
+ * Attack time for a note
+ * amount 0 ignores velocity, amount 1 shortens a full-velocity attack to MIN_ATTACK_SCALE
+ *
+ * @param {number} attack - Envelope attack in seconds
+ * @param {number} velocity - Shaped velocity (0-1)
+ * @param {number} amount - Velocity sensitivity (0-1)
+ * @returns {number} Attack in seconds
+ */
+export function getVelocityAttack(attack, velocity, amount = 0) {
+  return attack * (1 - amount * velocity * (1 - MIN_ATTACK_SCALE));
+}
@@ -0,0 +1,55 @@
+/**
+ * Voice settings - how a voice template responds to overlapping notes
+ *
+ * Set on the PianoNode (node.data) and applied by AudioGraph to every template the
+ * piano plays, so the sequencer playing the same templates behaves the same way.
+ *
+ * - voiceMode:    'poly' (one voice per note) or 'mono' (one voice, legato between notes)
+ * - glideTime:    Mono only - seconds to slide from one note's pitch to the next
+ * - notePriority: Mono only - which held note sounds: 'last', 'low' or 'high'
+ * - retrigger:    Mono only - restart the envelopes on every new note instead of playing legato
+ */
+
+export const VOICE_MODES = {
+  poly: 'Poly',
+  mono: 'Mono'
+};
+
+export const NOTE_PRIORITIES = {
+  last: 'Last',
+  low: 'Low',
+  high: 'High'
+};
+
+export const DEFAULT_VOICE_SETTINGS = {
+  voiceMode: 'poly',
+  glideTime: 0,
+  notePriority: 'last',
+  retrigger: false
+};
+
+/**
+ * Read voice settings from node data, filling in defaults
+ * @param {object} data - PianoNode data
+ * @returns {object} Voice settings
+ */
+export function getVoiceSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_VOICE_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
+
+/**
+ * Pick the held note that should sound in mono mode
+ *
+ * @param {Array<{frequency: number}>} heldNotes - Held notes, oldest first
+ * @param {string} notePriority - Key of NOTE_PRIORITIES
+ * @returns {object|undefined} The note to play
+ */
+export function pickMonoNote(heldNotes, notePriority) {
+  if (notePriority === 'low' || notePriority === 'high') {
+    const direction = notePriority === 'low' ? 1 : -1;
+    return [...heldNotes].sort((a, b) => (a.frequency - b.frequency) * direction)[0];
+  }
+  return heldNotes[heldNotes.length - 1];
+}
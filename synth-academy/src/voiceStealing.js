@@ -0,0 +1,83 @@
+/**
+ * Polyphony and voice stealing
+ *
+ * Each voice template (OutputNode) has its own polyphony: how many voices it may
+ * sound at once, counting voices that are still in their release. When a new note
+ * needs a voice and the template is full, one voice is stolen and faded out quickly.
+ *
+ * Set on the OutputNode (node.data.polyphony and node.data.stealMode).
+ */
+
+export const DEFAULT_POLYPHONY = 8;
+export const MAX_POLYPHONY = 16;
+
+export const STEAL_MODES = {
+  oldest: 'Oldest',
+  quietest: 'Quietest',
+  sameNote: 'Same Note', // Replaying a sounding note retriggers its voice
+  lowestPriority: 'Lowest Priority' // Keep the top (melody) and bottom (bass) notes
+};
+
+export const DEFAULT_STEAL_MODE = 'oldest';
+
+// Frequencies closer than this (Hz) count as the same note
+const SAME_NOTE_TOLERANCE = 0.01;
+
+/**
+ * Read polyphony settings from OutputNode data, filling in defaults
+ * @param {object} data - OutputNode data
+ * @returns {{maxVoices: number, stealMode: string}}
+ */
+export function getPolyphonySettings(data) {
+  return {
+    maxVoices: data?.polyphony ?? DEFAULT_POLYPHONY,
+    stealMode: data?.stealMode ?? DEFAULT_STEAL_MODE
+  };
+}
+
+const oldestOf = (voices) =>
+  voices.reduce((oldest, voice) => (voice.startTime < oldest.startTime ? voice : oldest));
+
+const quietestOf = (voices) =>
+  voices.reduce((quietest, voice) => (voice.level < quietest.level ? voice : quietest));
+
+/**
+ * Pick the voice a new note should take over
+ *
+ * Voices already releasing are always stolen first (the quietest of them),
+ * then the steal mode decides among held voices.
+ *
+ * @param {Array<{voiceId: string, startTime: number, frequency: number, level: number, releasing: boolean}>} voices
+ *   The template's sounding voices
+ * @param {{maxVoices: number, stealMode: string}} settings - Polyphony settings
+ * @param {number} frequency - Frequency of the new note
+ * @returns {string|null} voiceId to steal, or null when the note fits
+ */
+export function pickVoiceToSteal(voices, { maxVoices, stealMode }, frequency) {
+  if (stealMode === 'sameNote') {
+    const sameNote = voices.find(voice => Math.abs(voice.frequency - frequency) < SAME_NOTE_TOLERANCE);
+    if (sameNote) {
+      return sameNote.voiceId;
+    }
+  }
+
+  if (voices.length === 0 || voices.length < maxVoices) {
+    return null;
+  }
+
+  const releasing = voices.filter(voice => voice.releasing);
+  if (releasing.length > 0) {
+    return quietestOf(releasing).voiceId;
+  }
+
+  if (stealMode === 'quietest') {
+    return quietestOf(voices).voiceId;
+  }
+
+  if (stealMode === 'lowestPriority' && voices.length > 2) {
+    const byPitch = [...voices].sort((a, b) => a.frequency - b.frequency);
+    return oldestOf(byPitch.slice(1, -1)).voiceId;
+  }
+
+  return oldestOf(voices).voiceId;
+}
@@ -0,0 +1,101 @@
+/**
+ * Wave presets - named custom oscillator waves
+ *
+ * Saved presets are kept in localStorage and written into the project file
+ * (projectData.wavePresets), so opening a shared project brings its waves along.
+ * The factory presets from harmonics.js are always listed first.
+ *
+ * Components listen for the 'wavePresetsChange' window event to refresh their lists.
+ */
+import { FACTORY_WAVE_PRESETS } from './harmonics';
+
+const STORAGE_KEY = 'wavePresets';
+
+// Keep only well-formed presets ({ name, wave: { real, imag } })
+const isValidPreset = (preset) =>
+  typeof preset?.name === 'string' && preset.name.trim() !== '' &&
+  Array.isArray(preset.wave?.real) && Array.isArray(preset.wave?.imag);
+
+class WavePresetLibrary {
+  constructor() {
+    this.presets = [];
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      this.presets = Array.isArray(saved) ? saved.filter(isValidPreset) : [];
+    } catch (e) {
+      console.warn('Failed to load wave presets:', e);
+    }
+  }
+
+  /**
+   * Every preset, factory ones first
+   * @returns {Array<object>} { name, wave, factory? }
+   */
+  getPresets() {
+    return [...FACTORY_WAVE_PRESETS, ...this.presets];
+  }
+
+  /**
+   * @param {string} name - Preset name
+   * @returns {object|undefined} Preset
+   */
+  getPreset(name) {
+    return this.getPresets().find(preset => preset.name === name);
+  }
+
+  /**
+   * Save a wave under a name (replaces a saved preset of the same name)
+   *
+   * @param {string} name - Preset name
+   * @param {{ real: Array<number>, imag: Array<number> }} wave - Fourier coefficients
+   * @returns {boolean} false if the name is empty or taken by a factory preset
+   */
+  savePreset(name, wave) {
+    const trimmed = name.trim();
+    if (!trimmed || FACTORY_WAVE_PRESETS.some(preset => preset.name === trimmed)) {
+      return false;
+    }
+    this.presets = [
+      ...this.presets.filter(preset => preset.name !== trimmed),
+      { name: trimmed, wave: { real: Array.from(wave.real), imag: Array.from(wave.imag) } }
+    ];
+    this.persist();
+    return true;
+  }
+
+  /**
+   * @param {string} name - Saved preset to remove (factory presets stay)
+   */
+  deletePreset(name) {
+    this.presets = this.presets.filter(preset => preset.name !== name);
+    this.persist();
+  }
+
+  /**
+   * Saved presets, for writing into the project file
+   * @returns {Array<object>}
+   */
+  exportPresets() {
+    return this.presets;
+  }
+
+  /**
+   * Add a project file's presets (ones with the same name are replaced)
+   * @param {Array<object>} presets - projectData.wavePresets
+   */
+  importPresets(presets) {
+    if (!Array.isArray(presets)) return;
+    const incoming = presets.filter(isValidPreset)
+      .filter(preset => !FACTORY_WAVE_PRESETS.some(factory => factory.name === preset.name));
+    const names = new Set(incoming.map(preset => preset.name));
+    this.presets = [...this.presets.filter(preset => !names.has(preset.name)), ...incoming];
+    this.persist();
+  }
+
+  persist() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+    window.dispatchEvent(new CustomEvent('wavePresetsChange'));
+  }
+}
+
+export const wavePresets = new WavePresetLibrary();
@@ -0,0 +1,132 @@
+/**
+ * Wavetables - the stack of waves a WavetableOscNode morphs through
+ *
+ * Waves are blends of sine/triangle/saw/square harmonics on a 2D map:
+ * - x (round -> sharp) is the wavetable position, which LFOs and envelopes can sweep
+ * - y (cold -> warm) picks which row of the map the stack is built from
+ *
+ * The stack is WAVETABLE_FRAME_COUNT waves evenly spaced along x; the oscillator
+ * crossfades between neighbouring frames, so any position in between sounds the blend.
+ */
+
+// Harmonics per wave (index 0 is DC and always 0)
+export const WAVETABLE_HARMONICS = 32;
+
+// Waves in the stack (frame k sits at position k / (count - 1))
+export const WAVETABLE_FRAME_COUNT = 5;
+
+export const DEFAULT_WAVETABLE_SETTINGS = {
+  position: 0.5,
+  warmth: 0.5
+};
+
+/**
+ * Read wavetable settings from node data, filling in defaults
+ * @param {object} data - Wavetable oscillator node data
+ * @returns {object} Wavetable settings
+ */
+export function getWavetableSettings(data) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_WAVETABLE_SETTINGS).map(([key, fallback]) => [key, data?.[key] ?? fallback])
+  );
+}
+
+/**
+ * Blend sine/triangle/saw/square harmonics for a point on the 2D map
+ * Corner weights are bilinear: sine top-left, saw top-right, triangle bottom-left, square bottom-right
+ *
+ * @param {number} x - Sharpness, 0 (round) to 1 (sharp)
+ * @param {number} y - Warmth, 0 (cold) to 1 (warm)
+ * @returns {{ real: Float32Array, imag: Float32Array }} Fourier coefficients (sine terms in imag)
+ */
+export function createBlendedWaveform(x, y) {
+  const real = new Float32Array(WAVETABLE_HARMONICS);
+  const imag = new Float32Array(WAVETABLE_HARMONICS);
+
+  const sineWeight = (1 - x) * y;
+  const sawtoothWeight = x * y;
+  const triangleWeight = (1 - x) * (1 - y);
+  const squareWeight = x * (1 - y);
+
+  for (let n = 1; n < WAVETABLE_HARMONICS; n++) {
+    let amplitude = 0;
+
+    // Sine - only the fundamental
+    if (n === 1) {
+      amplitude += sineWeight;
+    }
+
+    // Triangle - odd harmonics, 1/n^2, alternating sign (scaled up for volume)
+    if (n % 2 === 1) {
+      const sign = ((n - 1) / 2) % 2 === 0 ? 1 : -1;
+      amplitude += sign * (1 / (n * n)) * triangleWeight * 8;
+    }
+
+    // Sawtooth - all harmonics, 1/n
+    amplitude += (1 / n) * sawtoothWeight * 2;
+
+    // Square - odd harmonics, 1/n
+    if (n % 2 === 1) {
+      amplitude += (1 / n) * squareWeight * 4;
+    }
+
+    imag[n] = amplitude;
+  }
+
+  return { real, imag };
+}
+
+/**
+ * The stack of waves for one row of the map
+ * @param {number} warmth - 0 (cold) to 1 (warm)
+ * @returns {Array<{ real: Float32Array, imag: Float32Array }>} WAVETABLE_FRAME_COUNT waves, round to sharp
+ */
+export function getWavetableFrames(warmth) {
+  return Array.from({ length: WAVETABLE_FRAME_COUNT }, (_, k) =>
+    createBlendedWaveform(k / (WAVETABLE_FRAME_COUNT - 1), warmth)
+  );
+}
+
+/**
+ * How loud one frame is at a wavetable position (linear crossfade between neighbours)
+ * Positions outside 0-1 hold the first/last frame
+ *
+ * @param {number} frameIndex - Frame in the stack
+ * @param {number} position - Wavetable position
+ * @returns {number} Gain 0-1
+ */
+export function getFrameWeight(frameIndex, position) {
+  const clamped = Math.min(Math.max(position, 0), 1);
+  return Math.max(0, 1 - Math.abs(clamped * (WAVETABLE_FRAME_COUNT - 1) - frameIndex));
+}
+
+/**
+ * Tone.js oscillator partials (sine amplitudes of harmonics 1..n) for a wave
+ * @param {{ imag: ArrayLike<number> }} wave - Fourier coefficients
+ * @returns {Array<number>} Partials
+ */
+export function getPartials(wave) {
+  return Array.from(wave.imag).slice(1);
+}
+
+/**
+ * One cycle of a wave, normalized to -1..1, for drawing
+ * @param {{ real?: ArrayLike<number>, imag: ArrayLike<number> }} wave - Fourier coefficients
+ * @param {number} numPoints - Samples across the cycle
+ * @returns {Float32Array} Samples
+ */
+export function getWaveformPoints(wave, numPoints) {
+  const points = new Float32Array(numPoints);
+  for (let i = 0; i < numPoints; i++) {
+    const phase = (i / numPoints) * Math.PI * 2;
+    for (let n = 1; n < wave.imag.length; n++) {
+      points[i] += (wave.real?.[n] ?? 0) * Math.cos(n * phase) + wave.imag[n] * Math.sin(n * phase);
+    }
+  }
+
+  const max = points.reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0);
+  if (max > 0) {
+    points.forEach((sample, i) => { points[i] = sample / max; });
+  }
+  return points;
+}
@@ -0,0 +1,91 @@
+/**
+ * Hard-sync oscillator processor (runs on the audio thread, see SyncOscillator.js)
+ *
+ * Two phase accumulators run side by side: the master's and this oscillator's own.
+ * Every time the master completes a cycle this oscillator's phase is reset,
+ * which gives the classic tearing "sync lead" sound as its pitch moves.
+ */
+
+// PolyBLEP correction - smooths the jump in a saw/pulse wave to cut aliasing
+const polyBlep = (phase, increment) => {
+  if (phase < increment) {
+    const t = phase / increment;
+    return t + t - t * t - 1;
+  }
+  if (phase > 1 - increment) {
+    const t = (phase - 1) / increment;
+    return t * t + t + t + 1;
+  }
+  return 0;
+};
+
+const WAVEFORMS = {
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+  sawtooth: (phase, increment) => 2 * phase - 1 - polyBlep(phase, increment),
+  pulse: (phase, increment, duty) =>
+    (phase < duty ? 1 : -1) + polyBlep(phase, increment) - polyBlep((phase + 1 - duty) % 1, increment)
+};
+
+// Parameter value for sample i (a-rate params have 128 values, constant ones have 1)
+const valueAt = (values, i) => (values.length > 1 ? values[i] : values[0]);
+
+class SyncOscillatorProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'frequency', defaultValue: 440, minValue: 0 },
+      { name: 'detune', defaultValue: 0 },
+      { name: 'masterFrequency', defaultValue: 440, minValue: 0 },
+      { name: 'masterDetune', defaultValue: 0 },
+      // Same meaning as Tone.PulseOscillator's width: 0 = square, towards 1 = thinner pulse
+      { name: 'width', defaultValue: 0, minValue: -1, maxValue: 1 }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const { type = 'sine', phase = 0 } = options.processorOptions || {};
+    this.type = type;
+    this.phase = phase;
+    this.masterPhase = 0;
+    this.alive = true;
+
+    this.port.onmessage = ({ data }) => {
+      if (data.type) this.type = data.type;
+      if (data.dispose) this.alive = false;
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    const output = outputs[0][0];
+    if (!output) return this.alive;
+
+    const { frequency, detune, masterFrequency, masterDetune, width } = parameters;
+    const waveform = this.type === 'square' ? WAVEFORMS.pulse : WAVEFORMS[this.type] || WAVEFORMS.sine;
+
+    for (let i = 0; i < output.length; i++) {
+      const increment = (valueAt(frequency, i) * Math.pow(2, valueAt(detune, i) / 1200)) / sampleRate;
+      const masterIncrement = (valueAt(masterFrequency, i) * Math.pow(2, valueAt(masterDetune, i) / 1200)) / sampleRate;
+      const duty = this.type === 'square' ? 0.5 : (1 - valueAt(width, i)) / 2;
+
+      this.masterPhase += masterIncrement;
+      if (this.masterPhase >= 1) {
+        // Master wrapped: restart this oscillator where the master's new cycle actually began
+        this.masterPhase -= Math.floor(this.masterPhase);
+        this.phase = masterIncrement > 0 ? (this.masterPhase / masterIncrement) * increment : 0;
+      } else {
+        this.phase += increment;
+      }
+      this.phase -= Math.floor(this.phase);
+
+      output[i] = waveform(this.phase, Math.max(increment, 1e-9), duty);
+    }
+
+    // Copy to every other output channel
+    outputs[0].slice(1).forEach(channel => channel.set(output));
+
+    return this.alive;
+  }
+}
+
+registerProcessor('sync-oscillator', SyncOscillatorProcessor);